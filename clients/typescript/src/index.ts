@@ -11,6 +11,16 @@ import type {
   Response,
   AudioTranscriptionRequest,
   AudioTranscriptionResponse,
+  AudioSpeechRequest,
+  VectorStore,
+  VectorStoreCreateRequest,
+  VectorStoreUpdateRequest,
+  VectorStoreFile,
+  VectorStoreListResponse,
+  VectorStoreFileListResponse,
+  VectorStoreListParams,
+  VectorStoreSearchRequest,
+  VectorStoreSearchResponse,
 } from './types.ts';
 
 /**
@@ -31,6 +41,16 @@ export interface OzwellAIConfig {
   defaultHeaders?: Record<string, string>;
 }
 
+/** Build a query string from defined params (empty string when there are none). */
+function toQueryString(params: VectorStoreListParams & { filter?: string }): string {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined) query.set(key, String(value));
+  }
+  const text = query.toString();
+  return text ? `?${text}` : '';
+}
+
 /**
  * OzwellAI API client for TypeScript/JavaScript applications.
  * 
@@ -282,6 +302,96 @@ export class OzwellAI {
     });
   }
 
+  /**
+   * Create a vector store, optionally with files to ingest
+   */
+  async createVectorStore(request: VectorStoreCreateRequest = {}): Promise<VectorStore> {
+    return this.makeRequest<VectorStore>('/v1/vector_stores', {
+      method: 'POST',
+      body: JSON.stringify(request),
+    });
+  }
+
+  /**
+   * List vector stores
+   */
+  async listVectorStores(params: VectorStoreListParams = {}): Promise<VectorStoreListResponse> {
+    return this.makeRequest<VectorStoreListResponse>(`/v1/vector_stores${toQueryString(params)}`);
+  }
+
+  /**
+   * Get vector store details
+   */
+  async getVectorStore(vectorStoreId: string): Promise<VectorStore> {
+    return this.makeRequest<VectorStore>(`/v1/vector_stores/${vectorStoreId}`);
+  }
+
+  /**
+   * Rename a vector store or replace its metadata
+   */
+  async updateVectorStore(vectorStoreId: string, request: VectorStoreUpdateRequest): Promise<VectorStore> {
+    return this.makeRequest<VectorStore>(`/v1/vector_stores/${vectorStoreId}`, {
+      method: 'POST',
+      body: JSON.stringify(request),
+    });
+  }
+
+  /**
+   * Delete a vector store (its uploaded files are kept)
+   */
+  async deleteVectorStore(vectorStoreId: string): Promise<{ deleted: boolean; id: string }> {
+    return this.makeRequest<{ deleted: boolean; id: string }>(`/v1/vector_stores/${vectorStoreId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  /**
+   * Add an uploaded file to a vector store.
+   * Ingestion runs in the background; poll getVectorStoreFile until status leaves "in_progress".
+   */
+  async createVectorStoreFile(vectorStoreId: string, fileId: string): Promise<VectorStoreFile> {
+    return this.makeRequest<VectorStoreFile>(`/v1/vector_stores/${vectorStoreId}/files`, {
+      method: 'POST',
+      body: JSON.stringify({ file_id: fileId }),
+    });
+  }
+
+  /**
+   * List files in a vector store, optionally only those with a given status
+   */
+  async listVectorStoreFiles(
+    vectorStoreId: string,
+    params: VectorStoreListParams & { filter?: VectorStoreFile['status'] } = {}
+  ): Promise<VectorStoreFileListResponse> {
+    return this.makeRequest<VectorStoreFileListResponse>(`/v1/vector_stores/${vectorStoreId}/files${toQueryString(params)}`);
+  }
+
+  /**
+   * Get a vector store file, including its ingestion status
+   */
+  async getVectorStoreFile(vectorStoreId: string, fileId: string): Promise<VectorStoreFile> {
+    return this.makeRequest<VectorStoreFile>(`/v1/vector_stores/${vectorStoreId}/files/${fileId}`);
+  }
+
+  /**
+   * Remove a file from a vector store (the uploaded file is kept)
+   */
+  async deleteVectorStoreFile(vectorStoreId: string, fileId: string): Promise<{ deleted: boolean; id: string }> {
+    return this.makeRequest<{ deleted: boolean; id: string }>(`/v1/vector_stores/${vectorStoreId}/files/${fileId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  /**
+   * Search a vector store for the chunks most relevant to a query
+   */
+  async searchVectorStore(vectorStoreId: string, request: VectorStoreSearchRequest): Promise<VectorStoreSearchResponse> {
+    return this.makeRequest<VectorStoreSearchResponse>(`/v1/vector_stores/${vectorStoreId}/search`, {
+      method: 'POST',
+      body: JSON.stringify(request),
+    });
+  }
+
   /**
    * Create a response (Ozwell-specific endpoint)
    */
@@ -328,6 +438,48 @@ export class OzwellAI {
       body: formData,
     }, responseType);
   }
+
+  /**
+   * Create speech from text.
+   * Returns the audio as a stream of bytes, readable while it is still being generated.
+   *
+   * @example
+   * ```typescript
+   * const audio = await client.createSpeech({ model: 'tts-1', voice: 'alloy', input: 'Hello!' });
+   * const bytes = new Uint8Array(await new Response(audio).arrayBuffer());
+   * ```
+   */
+  async createSpeech(request: AudioSpeechRequest): Promise<ReadableStream<Uint8Array>> {
+    const url = `${this.baseURL}/v1/audio/speech`;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          ...this.defaultHeaders,
+        },
+        body: JSON.stringify(request),
+        signal: controller.signal,
+      });
+
+      clearTimeout(timeoutId);
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      if (!response.body) {
+        throw new Error('Response body is null');
+      }
+
+      return response.body;
+    } catch (error) {
+      clearTimeout(timeoutId);
+      throw error;
+    }
+  }
 }
 
 export default OzwellAI;
@@ -346,4 +498,14 @@ export type {
   Response,
   AudioTranscriptionRequest,
   AudioTranscriptionResponse,
+  AudioSpeechRequest,
+  VectorStore,
+  VectorStoreCreateRequest,
+  VectorStoreUpdateRequest,
+  VectorStoreFile,
+  VectorStoreListResponse,
+  VectorStoreFileListResponse,
+  VectorStoreListParams,
+  VectorStoreSearchRequest,
+  VectorStoreSearchResponse,
 } from './types.ts';
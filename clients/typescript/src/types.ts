@@ -44,6 +44,23 @@ export interface ChatCompletionRequest {
   frequency_penalty?: number;
   /** Modify the likelihood of specified tokens appearing in the completion */
   logit_bias?: Record<string, number>;
+  /** Whether to return log probabilities of the output tokens */
+  logprobs?: boolean;
+  /** Number of most likely tokens to return at each position (0-20), with `logprobs` */
+  top_logprobs?: number;
+  /** If specified, the system will make a best effort to sample deterministically */
+  seed?: number;
+  /** Tools (functions) the model may call */
+  tools?: Array<{
+    type: 'function';
+    function: { name: string; description?: string; parameters?: Record<string, unknown> };
+  }>;
+  /** Controls which (if any) tool is called by the model */
+  tool_choice?: 'none' | 'auto' | 'required' | { type: 'function'; function: { name: string } };
+  /** Whether to enable parallel function calling during tool use */
+  parallel_tool_calls?: boolean;
+  /** Constrains effort on reasoning, for reasoning models */
+  reasoning_effort?: 'minimal' | 'low' | 'medium' | 'high';
   /**
    * An object specifying the format the model must output.
    * Use `json_schema` for structured output validated against a JSON Schema.
@@ -191,6 +208,167 @@ export interface FileListResponse {
   data: FileObject[];
 }
 
+/**
+ * A vector store: a searchable set of uploaded files.
+ * Compatible with OpenAI's vector stores API.
+ */
+export interface VectorStore {
+  /** The vector store identifier */
+  id: string;
+  /** The object type, which is always "vector_store" */
+  object: 'vector_store';
+  /** The Unix timestamp (in seconds) for when the vector store was created */
+  created_at: number;
+  /** The name of the vector store */
+  name: string | null;
+  /** Total size in bytes of the files that finished ingesting */
+  usage_bytes: number;
+  /** Number of files in each ingestion state */
+  file_counts: {
+    in_progress: number;
+    completed: number;
+    failed: number;
+    cancelled: number;
+    total: number;
+  };
+  /** "in_progress" while any file is still being ingested */
+  status: 'expired' | 'in_progress' | 'completed';
+  /** Expiration policy (not supported by the reference server) */
+  expires_after: null;
+  /** The Unix timestamp (in seconds) for when the vector store expires */
+  expires_at: number | null;
+  /** The Unix timestamp (in seconds) for when the vector store was last searched */
+  last_active_at: number | null;
+  /** Up to 16 key-value pairs attached to the vector store */
+  metadata: Record<string, string>;
+}
+
+/**
+ * Request object for creating a vector store.
+ */
+export interface VectorStoreCreateRequest {
+  /** The name of the vector store */
+  name?: string;
+  /** IDs of uploaded files to add to the vector store */
+  file_ids?: string[];
+  /** Key-value pairs to attach to the vector store */
+  metadata?: Record<string, string>;
+}
+
+/**
+ * Request object for modifying a vector store.
+ */
+export interface VectorStoreUpdateRequest {
+  /** The new name of the vector store */
+  name?: string | null;
+  /** Replacement key-value pairs */
+  metadata?: Record<string, string>;
+}
+
+/**
+ * A file attached to a vector store. Poll it until `status` leaves "in_progress".
+ */
+export interface VectorStoreFile {
+  /** The ID of the uploaded file */
+  id: string;
+  /** The object type, which is always "vector_store.file" */
+  object: 'vector_store.file';
+  /** Size in bytes of the ingested file */
+  usage_bytes: number;
+  /** The Unix timestamp (in seconds) for when the file was added */
+  created_at: number;
+  /** The ID of the vector store the file belongs to */
+  vector_store_id: string;
+  /** Ingestion status */
+  status: 'in_progress' | 'completed' | 'cancelled' | 'failed';
+  /** Why ingestion failed, if it did */
+  last_error: {
+    code: 'server_error' | 'unsupported_file' | 'invalid_file';
+    message: string;
+  } | null;
+}
+
+/**
+ * A page of vector stores.
+ */
+export interface VectorStoreListResponse {
+  /** The object type, which is always "list" */
+  object: 'list';
+  /** The vector stores on this page */
+  data: VectorStore[];
+  /** ID of the first item on this page */
+  first_id: string | null;
+  /** ID of the last item on this page; pass as `after` to get the next page */
+  last_id: string | null;
+  /** Whether more items follow this page */
+  has_more: boolean;
+}
+
+/**
+ * A page of files in a vector store.
+ */
+export interface VectorStoreFileListResponse {
+  /** The object type, which is always "list" */
+  object: 'list';
+  /** The files on this page */
+  data: VectorStoreFile[];
+  /** ID of the first item on this page */
+  first_id: string | null;
+  /** ID of the last item on this page; pass as `after` to get the next page */
+  last_id: string | null;
+  /** Whether more items follow this page */
+  has_more: boolean;
+}
+
+/**
+ * Options for listing vector stores or their files.
+ */
+export interface VectorStoreListParams {
+  /** Number of items per page (1-100, default 20) */
+  limit?: number;
+  /** Sort order by creation time (default "desc") */
+  order?: 'asc' | 'desc';
+  /** Cursor: the `last_id` of the previous page */
+  after?: string;
+}
+
+/**
+ * Request object for searching a vector store.
+ */
+export interface VectorStoreSearchRequest {
+  /** The query text */
+  query: string | string[];
+  /** Maximum number of chunks to return (1-50, default 10) */
+  max_num_results?: number;
+}
+
+/**
+ * Chunks of a vector store's files that best match a query, most relevant first.
+ */
+export interface VectorStoreSearchResponse {
+  /** The object type, which is always "vector_store.search_results.page" */
+  object: 'vector_store.search_results.page';
+  /** The query that was searched */
+  search_query: string | string[];
+  /** The matching chunks */
+  data: Array<{
+    /** The ID of the file the chunk came from */
+    file_id: string;
+    /** The name of that file */
+    filename: string;
+    /** Similarity score (cosine similarity) */
+    score: number;
+    /** File attributes */
+    attributes: Record<string, string | number | boolean>;
+    /** The chunk text */
+    content: Array<{ type: 'text'; text: string }>;
+  }>;
+  /** Whether more results are available */
+  has_more: boolean;
+  /** Cursor for the next page of results */
+  next_page: string | null;
+}
+
 /**
  * Request object for text completion API calls.
  * Legacy completion format for generating text.
@@ -328,6 +506,25 @@ export interface AudioTranscriptionRequest {
   timestamp_granularities?: Array<'word' | 'segment'>;
 }
 
+/**
+ * Request object for text-to-speech API calls.
+ * Turns text into audio in the given voice.
+ */
+export interface AudioSpeechRequest {
+  /** TTS model to use (e.g., "tts-1", "tts-1-hd", "gpt-4o-mini-tts") */
+  model: string;
+  /** The text to speak, up to 4096 characters */
+  input: string;
+  /** Voice to use (e.g., alloy, echo, fable, onyx, nova, shimmer) */
+  voice: string;
+  /** Speaking style, for models that support it */
+  instructions?: string;
+  /** Audio format: mp3, wav, opus, or pcm (default: mp3) */
+  response_format?: 'mp3' | 'wav' | 'opus' | 'pcm';
+  /** Playback speed from 0.25 to 4.0 (default: 1.0) */
+  speed?: number;
+}
+
 /**
  * Response object from audio transcription API calls.
  * Contains the transcribed text and optional timing information.
@@ -46,3 +46,50 @@ test('OzwellAI client with Ollama (case insensitive)', () => {
 test('exports are available', () => {
   assert.ok(typeof OzwellAI === 'function');
 });
+
+test('vector store methods call the OpenAI-compatible endpoints', async () => {
+  const calls: Array<{ url: string; method: string; body?: string }> = [];
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = (async (url: string, init: RequestInit = {}) => {
+    calls.push({ url, method: init.method ?? 'GET', body: init.body as string | undefined });
+    return new Response('{}', { status: 200 });
+  }) as typeof fetch;
+
+  try {
+    const client = new OzwellAI({ apiKey: 'test-key', baseURL: 'https://custom.api.com' });
+    await client.listVectorStores({ limit: 5, order: 'asc' });
+    await client.createVectorStoreFile('vs-1', 'file-1');
+    await client.searchVectorStore('vs-1', { query: 'clinic hours', max_num_results: 3 });
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+
+  assert.deepStrictEqual(calls, [
+    { url: 'https://custom.api.com/v1/vector_stores?limit=5&order=asc', method: 'GET', body: undefined },
+    { url: 'https://custom.api.com/v1/vector_stores/vs-1/files', method: 'POST', body: '{"file_id":"file-1"}' },
+    { url: 'https://custom.api.com/v1/vector_stores/vs-1/search', method: 'POST', body: '{"query":"clinic hours","max_num_results":3}' },
+  ]);
+});
+
+test('createSpeech posts JSON and returns the audio stream', async () => {
+  const calls: Array<{ url: string; method: string; body?: string }> = [];
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = (async (url: string, init: RequestInit = {}) => {
+    calls.push({ url, method: init.method ?? 'GET', body: init.body as string | undefined });
+    return new Response(new Uint8Array([82, 73, 70, 70]), { status: 200, headers: { 'content-type': 'audio/wav' } });
+  }) as typeof fetch;
+
+  let bytes: Uint8Array;
+  try {
+    const client = new OzwellAI({ apiKey: 'test-key', baseURL: 'https://custom.api.com' });
+    const audio = await client.createSpeech({ model: 'tts-1', voice: 'alloy', input: 'Hello', response_format: 'wav' });
+    bytes = new Uint8Array(await new Response(audio).arrayBuffer());
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+
+  assert.deepStrictEqual(calls, [
+    { url: 'https://custom.api.com/v1/audio/speech', method: 'POST', body: '{"model":"tts-1","voice":"alloy","input":"Hello","response_format":"wav"}' },
+  ]);
+  assert.deepStrictEqual([...bytes], [82, 73, 70, 70]);
+});
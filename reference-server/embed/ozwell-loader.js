@@ -10,6 +10,7 @@
  * - MCP tools: tool_call, tool_result (by design)
  * - Config: config, request-config
  * - Notifications: assistant_response (signal only, no message text)
+ * - Transcripts: export-transcript, transcript (only when the page asks, via exportTranscript())
  *
  * Usage:
  *   1. Configure: window.OzwellChatConfig = { endpoint: '/v1/chat/completions', tools: [...] }
@@ -62,11 +63,15 @@
     hasUnread: false, // Track unread messages when chat is closed
     chatOpen: false, // Track if chat window is currently open
     agentTools: null, // Tools fetched from server via agent key (MCP discovery)
+    transcriptRequests: {}, // Pending exportTranscript() calls by request ID
+    transcriptRequestId: 0,
   };
 
   const EMPTY_SCHEMA = { type: 'object', properties: {} };
   const PAGE_TOOL_PREFIX = 'postMessage_';
   const TOOL_RESPONSE_TIMEOUT_MS = 29000;
+  const TRANSCRIPT_FORMATS = ['json', 'markdown', 'html'];
+  const TRANSCRIPT_TIMEOUT_MS = 10000;
 
   function readGlobalConfig() {
     const { OzwellChatConfig } = window;
@@ -380,6 +385,9 @@
         // AI responded with text (not a tool call) - handle notification
         handleAssistantResponse(data);
         break;
+      case 'transcript':
+        handleTranscript(data.payload || {});
+        break;
       default:
         break;
     }
@@ -901,6 +909,43 @@
     }
   }
 
+  function handleTranscript(payload) {
+    const pending = state.transcriptRequests[payload.requestId];
+    if (!pending) return;
+    delete state.transcriptRequests[payload.requestId];
+    clearTimeout(pending.timeoutId);
+    if (payload.error) {
+      pending.reject(new Error(payload.error));
+    } else {
+      pending.resolve(payload.transcript);
+    }
+  }
+
+  /**
+   * Export the current conversation, including tool calls, tool results and
+   * thinking, so the page can attach it to its own records.
+   *
+   * @param {'json'|'markdown'|'html'} [format='json'] - Transcript format
+   * @returns {Promise<{format: string, mimeType: string, filename: string, content: string}>}
+   */
+  function exportTranscript(format = 'json') {
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      return Promise.reject(new Error(`Unsupported transcript format "${format}". Use json, markdown or html.`));
+    }
+    return api.ready().then(() => new Promise((resolve, reject) => {
+      const requestId = `transcript-${++state.transcriptRequestId}`;
+      const timeoutId = setTimeout(() => {
+        delete state.transcriptRequests[requestId];
+        reject(new Error('Widget did not return the transcript in time'));
+      }, TRANSCRIPT_TIMEOUT_MS);
+      state.transcriptRequests[requestId] = { resolve, reject, timeoutId };
+      postToWidget({
+        type: 'export-transcript',
+        payload: { format, requestId },
+      });
+    }));
+  }
+
   window.addEventListener('message', handleWidgetMessage);
 
   const api = {
@@ -908,6 +953,7 @@
     configure,
     open: openChat,
     close: closeChat,
+    exportTranscript,
     get iframe() {
       return state.iframe;
     },
@@ -11,6 +11,7 @@ import {
   type MCPToolCall,
 } from '@mieweb/ui';
 import { MarkdownContent } from './MarkdownContent';
+import { TRANSCRIPT_FORMATS, buildTranscript, isTranscriptFormat, type TranscriptFormat } from './transcript';
 import type {
   ChatHistoryMessage,
   OpenAITool,
@@ -306,6 +307,7 @@ export function WidgetApp() {
   const [thinkingMenuOpen, setThinkingMenuOpen] = useState(false);
   const [messagesMenuOpen, setMessagesMenuOpen] = useState(false);
   const [messagesButtonFlare, setMessagesButtonFlare] = useState(false);
+  const [exportMenuOpen, setExportMenuOpen] = useState(false);
 
   const configRef = useRef(config);
   const historyRef = useRef(historyMessages);
@@ -368,6 +370,11 @@ export function WidgetApp() {
     setHistoryMessages([]);
   }, []);
 
+  const exportTranscript = useCallback((format: TranscriptFormat) => buildTranscript(historyRef.current, format, {
+    title: configRef.current.title || DEFAULT_CONFIG.title,
+    exportedAt: new Date(),
+  }), []);
+
   const updateDisplayMessage = useCallback((id: string, updater: (message: WidgetMessage) => WidgetMessage) => {
     setDisplayMessages((current) => current.map((message) => (
       message.id === id ? updater(message) : message
@@ -799,6 +806,20 @@ export function WidgetApp() {
           type: 'closed',
         });
       }
+
+      // The transcript holds the conversation itself, so reply only to the
+      // window and origin that asked for it.
+      if (data.type === 'export-transcript') {
+        const format = data.payload?.format ?? 'json';
+        const reply = isTranscriptFormat(format)
+          ? { transcript: exportTranscript(format) }
+          : { error: `Unsupported transcript format "${format}". Use json, markdown or html.` };
+        window.parent.postMessage({
+          source: 'ozwell-chat-widget',
+          type: 'transcript',
+          payload: { requestId: data.payload?.requestId, ...reply },
+        }, event.origin || '*');
+      }
     }
 
     window.addEventListener('message', handleParentMessage);
@@ -844,7 +865,7 @@ export function WidgetApp() {
       window.removeEventListener('message', handleParentMessage);
       window.removeEventListener('message', onInitResponse);
     };
-  }, [appendDisplay, appendHistory, applyConfig, mcpNotify, mcpSend, postToParent, toolsForRequest, updateToolExecutionResult]);
+  }, [appendDisplay, appendHistory, applyConfig, exportTranscript, mcpNotify, mcpSend, postToParent, toolsForRequest, updateToolExecutionResult]);
 
   const renderTextContent = useCallback((text: string, ctx: { messageId: string; streaming: boolean }) => (
     <MarkdownContent text={text} cacheKey={ctx.messageId} streaming={ctx.streaming} />
@@ -899,6 +920,21 @@ export function WidgetApp() {
     THINKING_MODE_OPTIONS.find((option) => option.value === String(thinkingMode))?.label || 'Auto'
   ), [thinkingMode]);
 
+  const canExport = historyMessages.length > 0;
+
+  const downloadTranscript = useCallback((format: TranscriptFormat) => {
+    const transcript = exportTranscript(format);
+    const url = URL.createObjectURL(new Blob([transcript.content], { type: transcript.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = transcript.filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.setTimeout(() => URL.revokeObjectURL(url), 0);
+    setExportMenuOpen(false);
+  }, [exportTranscript]);
+
   const scrollToMessage = useCallback((chatIndex: number) => {
     const messageNodes = document.querySelectorAll<HTMLElement>(
       '[data-slot="ai-chat-messages"] [data-slot="ai-message"]'
@@ -909,7 +945,7 @@ export function WidgetApp() {
 
   return (
     <div className="ozwell-widget-shell">
-      {(config.thinkingEnabled || showMessagesNav) && (
+      {(config.thinkingEnabled || showMessagesNav || canExport) && (
         <div className="ozwell-reasoning-bar">
           {config.thinkingEnabled ? (
             <div className="ozwell-thinking-control">
@@ -955,6 +991,39 @@ export function WidgetApp() {
             <span className="ozwell-control-spacer" aria-hidden="true" />
           )}
           <div className="ozwell-reasoning-controls">
+            {canExport && (
+              <Dropdown
+                open={exportMenuOpen}
+                onOpenChange={setExportMenuOpen}
+                placement="bottom-end"
+                width={180}
+                className="ozwell-export-menu"
+                trigger={(
+                  <Button
+                    type="button"
+                    size="sm"
+                    variant="ghost"
+                    className="ozwell-export-trigger"
+                    aria-label="Export conversation"
+                  >
+                    Export
+                  </Button>
+                )}
+              >
+                <DropdownContent className="ozwell-export-menu-content">
+                  {TRANSCRIPT_FORMATS.map((format) => (
+                    <DropdownItem
+                      key={format.value}
+                      searchText={format.label}
+                      onClick={() => downloadTranscript(format.value)}
+                      className="ozwell-export-menu-item"
+                    >
+                      {format.label}
+                    </DropdownItem>
+                  ))}
+                </DropdownContent>
+              </Dropdown>
+            )}
             {showMessagesNav && (
               <Dropdown
                 open={messagesMenuOpen}
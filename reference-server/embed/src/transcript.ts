@@ -0,0 +1,151 @@
+import type { ChatHistoryMessage } from './types';
+
+export type TranscriptFormat = 'json' | 'markdown' | 'html';
+
+export const TRANSCRIPT_FORMATS: { value: TranscriptFormat; label: string; extension: string; mimeType: string }[] = [
+  { value: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { value: 'markdown', label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  { value: 'html', label: 'HTML', extension: 'html', mimeType: 'text/html' },
+];
+
+export interface TranscriptMeta {
+  title: string;
+  exportedAt: Date;
+}
+
+export interface Transcript {
+  format: TranscriptFormat;
+  mimeType: string;
+  filename: string;
+  content: string;
+}
+
+const ROLE_LABELS: Record<ChatHistoryMessage['role'], string> = {
+  system: 'System',
+  user: 'User',
+  assistant: 'Assistant',
+  tool: 'Tool result',
+};
+
+export function isTranscriptFormat(value: unknown): value is TranscriptFormat {
+  return TRANSCRIPT_FORMATS.some((format) => format.value === value);
+}
+
+// Tool arguments arrive as a JSON string; pretty-print them when they parse
+function formatToolArguments(rawArgs: string | undefined) {
+  if (!rawArgs || !rawArgs.trim()) return '{}';
+  try {
+    return JSON.stringify(JSON.parse(rawArgs), null, 2);
+  } catch {
+    return rawArgs;
+  }
+}
+
+// Pick a backtick fence longer than any run inside the content
+function fence(content: string, language = '') {
+  const longestRun = Math.max(2, ...(content.match(/`+/g) || []).map((run) => run.length));
+  const marks = '`'.repeat(longestRun + 1);
+  return `${marks}${language}\n${content}\n${marks}`;
+}
+
+function escapeHtml(value: string) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function toJson(messages: ChatHistoryMessage[], meta: TranscriptMeta) {
+  return JSON.stringify({
+    object: 'transcript',
+    title: meta.title,
+    exported_at: meta.exportedAt.toISOString(),
+    messages,
+  }, null, 2);
+}
+
+function toMarkdown(messages: ChatHistoryMessage[], meta: TranscriptMeta) {
+  const lines = [`# ${meta.title}`, '', `_Exported ${meta.exportedAt.toISOString()}_`];
+  for (const message of messages) {
+    lines.push('', `## ${ROLE_LABELS[message.role]}`);
+    if (message.role === 'tool' && message.tool_call_id != null) {
+      lines.push('', `Call \`${message.tool_call_id}\``);
+    }
+    if (message.thinking) {
+      lines.push('', '<details><summary>Thinking</summary>', '', fence(message.thinking), '', '</details>');
+    }
+    if (message.content) {
+      lines.push('', message.role === 'tool' ? fence(message.content) : message.content);
+    }
+    for (const toolCall of message.tool_calls || []) {
+      lines.push('', `**Tool call:** \`${toolCall.function?.name || 'unknown'}\` (\`${toolCall.id ?? ''}\`)`);
+      lines.push('', fence(formatToolArguments(toolCall.function?.arguments), 'json'));
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function toHtml(messages: ChatHistoryMessage[], meta: TranscriptMeta) {
+  const sections = messages.map((message) => {
+    const parts = [`<h2>${escapeHtml(ROLE_LABELS[message.role])}</h2>`];
+    if (message.role === 'tool' && message.tool_call_id != null) {
+      parts.push(`<p class="meta">Call <code>${escapeHtml(String(message.tool_call_id))}</code></p>`);
+    }
+    if (message.thinking) {
+      parts.push(`<details><summary>Thinking</summary><pre>${escapeHtml(message.thinking)}</pre></details>`);
+    }
+    if (message.content) {
+      parts.push(message.role === 'tool'
+        ? `<pre>${escapeHtml(message.content)}</pre>`
+        : `<div class="content">${escapeHtml(message.content)}</div>`);
+    }
+    for (const toolCall of message.tool_calls || []) {
+      parts.push(
+        `<p class="meta">Tool call <code>${escapeHtml(toolCall.function?.name || 'unknown')}</code>`
+        + ` (<code>${escapeHtml(String(toolCall.id ?? ''))}</code>)</p>`,
+        `<pre>${escapeHtml(formatToolArguments(toolCall.function?.arguments))}</pre>`,
+      );
+    }
+    return `<section class="message ${message.role}">\n${parts.join('\n')}\n</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(meta.title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 760px; margin: 24px auto; padding: 0 16px; color: #1f2937; }
+h1 { font-size: 20px; }
+h2 { font-size: 13px; margin: 0 0 6px; text-transform: uppercase; letter-spacing: 0.04em; color: #4b5563; }
+.message { border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px; margin: 12px 0; }
+.message.user { background: #e6f7fc; }
+.message.tool { background: #f9fafb; }
+.content { white-space: pre-wrap; }
+.meta { font-size: 12px; color: #6b7280; margin: 6px 0; }
+pre { white-space: pre-wrap; word-break: break-word; background: #f3f4f6; padding: 8px; border-radius: 6px; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(meta.title)}</h1>
+<p class="meta">Exported ${escapeHtml(meta.exportedAt.toISOString())}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Serialize the conversation history, including tool calls, tool results and
+ * thinking, as JSON, Markdown or a standalone HTML page.
+ */
+export function buildTranscript(messages: ChatHistoryMessage[], format: TranscriptFormat, meta: TranscriptMeta): Transcript {
+  const { extension, mimeType } = TRANSCRIPT_FORMATS.find((item) => item.value === format)!;
+  const content = format === 'json'
+    ? toJson(messages, meta)
+    : format === 'markdown' ? toMarkdown(messages, meta) : toHtml(messages, meta);
+  const stamp = meta.exportedAt.toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  return { format, mimeType, filename: `ozwell-transcript-${stamp}.${extension}`, content };
+}
@@ -1,8 +1,17 @@
 import { FastifyPluginAsync, FastifyRequest, FastifyReply } from 'fastify';
-import { createError, generateId, getKeyHint, isValidApiKey, extractToken, isAgentKey, AGENT_KEY_PREFIX, formatAgentKeyHint } from '../util';
+import { createError, generateId, generateKeySecret, isValidApiKey, extractToken, isAgentKey, AGENT_KEY_PREFIX, formatAgentKeyHint } from '../util';
 import * as yaml from 'yaml';
-import { agentStore, Agent, ManagerIdentity, ManagerUser, ProviderModelSelection } from '../storage/agents';
+import { agentStore, Agent, AgentRevision, ManagerIdentity, ManagerUser, ProviderModelSelection } from '../storage/agents';
 import { getCachedModelsList, getModelsList } from './models';
+import { allowedFailoverSteps, fallbacksFromYaml, validateFallbacks } from '../util/failover';
+import { indexKnowledgeFiles, knowledgeFromYaml } from '../util/knowledge';
+import { redactionFromYaml } from '../util/redaction';
+import { agentDefinitionError, validateAgentDefinition, type AgentDefinitionProblem } from '../util/agent-definition';
+import { parseUsageQuery, sendUsage, usageQueryError, usageQuerystringSchema, type UsageQuerystring } from '../util/usage';
+import { auditQueryError, auditQuerystringSchema, parseAuditQuery, recordAudit, requestActor, yamlDiff, type AuditQuerystring } from '../util/audit';
+import { auditStore } from '../storage/audit';
+import { emitWebhookEvent } from '../util/webhook-events';
+import { responseCacheStore } from '../storage/response-cache';
 
 // Extend FastifyRequest to include auth data
 declare module 'fastify' {
@@ -19,7 +28,7 @@ declare module 'fastify' {
  * API Key authentication preHandler
  * Validates parent keys (ozw_ prefix) via plaintext lookup.
  */
-async function apiKeyAuth(
+export async function apiKeyAuth(
     request: FastifyRequest,
     reply: FastifyReply
 ): Promise<void> {
@@ -80,7 +89,7 @@ function readForwardedIdentity(request: FastifyRequest): ManagerIdentity | null
     };
 }
 
-async function managerHeaderAuth(
+export async function managerHeaderAuth(
     request: FastifyRequest,
     reply: FastifyReply
 ): Promise<void> {
@@ -113,11 +122,22 @@ async function requireManagerAdmin(
 
 // Generate agent key
 function generateAgentKey(): string {
-    return `${AGENT_KEY_PREFIX}${generateId('key')}`;
+    return generateKeySecret(`${AGENT_KEY_PREFIX}key-`);
 }
 
-function formatParentKeyHint(key: string): string {
-    return `ozw_...${getKeyHint(key)}`;
+function formatParentKeyHint(keyHint: string): string {
+    return `ozw_...${keyHint}`;
+}
+
+// Keys are stored hashed, so they can only be shown when created or rotated.
+function keyNotRetrievable(reply: FastifyReply, kind: 'Agent' | 'Parent') {
+    reply.code(410);
+    return createError(
+        `${kind} keys are only shown when created or rotated. Rotate the key to get a new one.`,
+        'invalid_request_error',
+        null,
+        'key_not_retrievable',
+    );
 }
 
 /** Normalize tools: plain strings become { name } objects */
@@ -171,7 +191,7 @@ type AdminParentKeyRow = AdminMetricRow & {
 
 type AdminAgentRow = AdminMetricRow & {
     id: string;
-    agent_key: string;
+    key_hint: string;
     parent_key: string;
     yaml: string;
     created_at: number;
@@ -217,6 +237,45 @@ function defaultAllowedByRestrictions(defaultModel: { provider: string; model: s
     ));
 }
 
+const AGENT_BUNDLE_VERSION = 1;
+
+type AgentBundleModelPolicy = {
+    default_model: { provider: string; model: string } | null;
+    allowed_models: ProviderModelSelection[];
+};
+
+/**
+ * Portable copy of an agent, for moving it to another parent key or server.
+ * Keys are never included; importing issues a new agent key.
+ */
+type AgentBundle = {
+    object: 'agent.bundle';
+    version: number;
+    exported_at?: string;
+    source?: { agent_id: string; revision: number };
+    yaml: string;
+    model_policy: AgentBundleModelPolicy | null;
+};
+
+/** The agent's stored model policy, or null when it only has what its YAML says. */
+function bundleModelPolicy(agent: Agent): AgentBundleModelPolicy | null {
+    const policy = agentStore.getAgentModelPolicy(agent.id);
+    if (policy.source !== 'db') return null;
+    return {
+        default_model: policy.default_provider && policy.default_model
+            ? { provider: policy.default_provider, model: policy.default_model }
+            : null,
+        allowed_models: policy.allowed_models,
+    };
+}
+
+/** Set `name:` in agent YAML, keeping the rest of the document (comments, order) as is. */
+function renameAgentYaml(yamlInput: string, name: string): string {
+    const doc = yaml.parseDocument(yamlInput);
+    doc.set('name', name);
+    return doc.toString();
+}
+
 /** Parse YAML into a loose object. Throws on invalid YAML. */
 function parseAgentYaml(yamlInput: string): ParsedAgentFields {
     const parsed = yaml.parse(yamlInput);
@@ -227,29 +286,46 @@ function parseAgentYaml(yamlInput: string): ParsedAgentFields {
 }
 
 /**
- * Parse YAML and enforce required fields. On failure, set reply.code and
- * return an error payload. On success, return the parsed fields.
+ * Parse YAML and check it against the agent definition schema. On failure, set
+ * reply.code and return an error payload with the line and column of the first
+ * problem. On success, return the parsed fields and any unknown-key warnings.
  */
 function parseAndValidate(
     yamlInput: string,
     reply: FastifyReply
-): { parsed: ParsedAgentFields; error: null } | { parsed: null; error: ReturnType<typeof createError> } {
-    let parsed: ParsedAgentFields;
-    try {
-        parsed = parseAgentYaml(yamlInput);
-    } catch {
+): { parsed: ParsedAgentFields; warnings: AgentDefinitionProblem[]; error: null } | { parsed: null; error: ReturnType<typeof agentDefinitionError> } {
+    const result = validateAgentDefinition(yamlInput);
+    if (!result.valid) {
         reply.code(400);
-        return { parsed: null, error: createError('Invalid YAML format', 'invalid_request_error') };
+        return { parsed: null, error: agentDefinitionError(result.errors) };
     }
-    if (!parsed.name || typeof parsed.name !== 'string' || !parsed.name.trim()) {
-        reply.code(400);
-        return { parsed: null, error: createError("'name' is required", 'invalid_request_error') };
-    }
-    if (!parsed.instructions || typeof parsed.instructions !== 'string' || !parsed.instructions.trim()) {
-        reply.code(400);
-        return { parsed: null, error: createError("'instructions' is required", 'invalid_request_error') };
+    return { parsed: result.parsed, warnings: result.warnings, error: null };
+}
+
+/**
+ * Index the files an agent lists under `knowledge:` so its first chat doesn't
+ * pay for it. Returns a 400 payload when a file doesn't exist or wasn't
+ * uploaded with the agent's parent key or one of its agent keys; indexing errors (e.g. an unreachable
+ * embeddings backend) are only logged and retried at chat time.
+ */
+async function prepareKnowledge(
+    parsed: ParsedAgentFields,
+    parentKey: string,
+    request: FastifyRequest,
+    reply: FastifyReply
+): Promise<ReturnType<typeof createError> | null> {
+    const fileIds = knowledgeFromYaml(parsed.knowledge);
+    if (fileIds.length === 0) return null;
+    try {
+        const { missing } = await indexKnowledgeFiles(fileIds, request.log, parentKey, redactionFromYaml(parsed.redaction));
+        if (missing.length > 0) {
+            reply.code(400);
+            return createError(`No such file: ${missing.join(', ')}`, 'invalid_request_error', 'knowledge');
+        }
+    } catch (err) {
+        request.log.warn({ err, fileIds }, 'Failed to index agent knowledge files');
     }
-    return { parsed, error: null };
+    return null;
 }
 
 /**
@@ -265,8 +341,9 @@ function toAgentView(agent: Agent) {
         : null;
     return {
         agent_id: agent.id,
-        key_hint: formatAgentKeyHint(agent.agent_key),
+        key_hint: formatAgentKeyHint(agent.key_hint),
         created_at: agent.created_at,
+        revision: agentStore.getCurrentRevision(agent),
         yaml: agent.yaml,
         name: parsed.name,
         instructions: parsed.instructions,
@@ -326,7 +403,7 @@ function toAdminAgentView(agent: AdminAgentRow) {
         : null;
     return {
         id: agent.id,
-        key_hint: formatAgentKeyHint(agent.agent_key),
+        key_hint: formatAgentKeyHint(agent.key_hint),
         parent_key_id: agent.parent_key,
         parent_key_name: agent.parent_key_name ?? null,
         parent_key_hint: agent.parent_key_hint ? `ozw_...${agent.parent_key_hint}` : null,
@@ -394,7 +471,7 @@ async function getManagerMe(request: FastifyRequest, reply: FastifyReply) {
         return createError('Missing trusted forwarded identity', 'authentication_error', null, 'missing_trusted_identity');
     }
 
-    const { user, parentKey } = agentStore.ensureManagerUserProvisioned(identity);
+    const { user, parentKey, createdKey } = agentStore.ensureManagerUserProvisioned(identity);
 
     reply.header('Cache-Control', 'no-store');
     return {
@@ -410,7 +487,9 @@ async function getManagerMe(request: FastifyRequest, reply: FastifyReply) {
         is_admin: user.is_admin,
         has_parent_key: true,
         parent_key_id: parentKey.id,
-        parent_key_hint: formatParentKeyHint(parentKey.key),
+        parent_key_hint: formatParentKeyHint(parentKey.key_hint),
+        // Only present on the call that created the key — it can't be shown again
+        ...(createdKey && { parent_key: createdKey }),
         provisioned: true,
     };
 }
@@ -433,7 +512,58 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
         required: ['agent_id']
     };
 
+    const providerModelSelectionSchema = {
+        type: 'object',
+        properties: { provider: { type: 'string' }, model: { type: ['string', 'null'] } },
+        required: ['provider'],
+    };
+
+    const agentBundleSchema = {
+        type: 'object',
+        description: 'Agent bundle from GET /v1/agents/:agent_id/export',
+        properties: {
+            object: { type: 'string', enum: ['agent.bundle'] },
+            version: { type: 'integer' },
+            exported_at: { type: 'string' },
+            source: {
+                type: 'object',
+                properties: { agent_id: { type: 'string' }, revision: { type: 'integer' } },
+            },
+            yaml: { type: 'string', minLength: 1 },
+            model_policy: {
+                type: ['object', 'null'],
+                properties: {
+                    default_model: { ...providerModelSelectionSchema, type: ['object', 'null'] },
+                    allowed_models: { type: 'array', items: providerModelSelectionSchema },
+                },
+            },
+        },
+        required: ['object', 'version', 'yaml'],
+    };
+
+    const cloneBody = {
+        type: ['object', 'null'],
+        properties: { name: { type: 'string', description: 'Name for the copy (default: same as the original)' } },
+    };
+
     type AgentParams = { agent_id: string };
+    type RevisionParams = { agent_id: string; revision: number };
+
+    const revisionParams = {
+        type: 'object',
+        properties: {
+            agent_id: { type: 'string' },
+            revision: { type: 'integer', minimum: 1 },
+        },
+        required: ['agent_id', 'revision'],
+    };
+
+    const revisionDiffQuery = {
+        type: 'object',
+        properties: {
+            from: { type: 'integer', minimum: 1, description: 'Revision to diff against (default: the one before)' },
+        },
+    };
     type AgentBody = string | { yaml: string };
 
     async function listAgentsForCurrentKey(request: FastifyRequest, reply: FastifyReply) {
@@ -468,41 +598,169 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
         }
     }
 
-    async function createAgentForCurrentKey(request: FastifyRequest<{ Body: AgentBody }>, reply: FastifyReply) {
+    /**
+     * Validate YAML and store it as a new agent under the caller's parent key,
+     * with a fresh agent key. Shared by create, clone and import; `details` is
+     * added to the audit event and the response.
+     */
+    async function registerAgent(
+        request: FastifyRequest,
+        reply: FastifyReply,
+        yamlInput: string,
+        options: { action: string; modelPolicy?: AgentBundleModelPolicy | null; details?: Record<string, unknown> },
+    ) {
         const parentKey = request.apiKey!.id;
+        const validation = parseAndValidate(yamlInput, reply);
+        if (validation.error) return validation.error;
+        const modelPolicy = options.modelPolicy ?? null;
+        if (modelPolicy && !defaultAllowedByRestrictions(modelPolicy.default_model, modelPolicy.allowed_models)) {
+            reply.code(400);
+            return createError(
+                'Default model must be included in allowed_models when allowed_models is not empty',
+                'invalid_request_error',
+                'model_policy',
+                'default_model_not_allowed'
+            );
+        }
+        const knowledgeError = await prepareKnowledge(validation.parsed, parentKey, request, reply);
+        if (knowledgeError) return knowledgeError;
+
+        const agentKey = generateAgentKey();
+        const agent = agentStore.createAgent({
+            id: generateId('agent'),
+            agent_key: agentKey,
+            parent_key: parentKey,
+            yaml: yamlInput,
+        }, requestActor(request));
+        if (modelPolicy) {
+            agentStore.setAgentModelPolicy(agent.id, parentKey, modelPolicy.default_model, modelPolicy.allowed_models);
+        }
+        recordAudit(request, {
+            action: options.action,
+            target_type: 'agent',
+            target_id: agent.id,
+            parent_key_id: parentKey,
+            after: { key_hint: formatAgentKeyHint(agentKey), yaml: yamlInput, ...options.details, ...(modelPolicy && { model_policy: modelPolicy }) },
+        });
+        emitWebhookEvent(request.log, parentKey, 'agent.created', {
+            agent_id: agent.id,
+            name: validation.parsed.name,
+            key_hint: formatAgentKeyHint(agentKey),
+            ...options.details,
+        });
 
+        reply.code(201);
+        reply.header('Cache-Control', 'no-store');
+        return {
+            agent_id: agent.id,
+            agent_key: agentKey,
+            key_hint: formatAgentKeyHint(agentKey),
+            created_at: agent.created_at,
+            ...options.details,
+            ...(validation.warnings.length > 0 && { warnings: validation.warnings }),
+        };
+    }
+
+    async function createAgentForCurrentKey(request: FastifyRequest<{ Body: AgentBody }>, reply: FastifyReply) {
         try {
             const yamlInput = extractYamlInput(request.body);
             if (!yamlInput) {
                 reply.code(400);
                 return createError("'yaml' field is required", 'invalid_request_error');
             }
+            return await registerAgent(request, reply, yamlInput, { action: 'agent.create' });
+        } catch (error) {
+            fastify.log.error(error);
+            reply.code(500);
+            return createError('Agent registration failed', 'server_error');
+        }
+    }
 
-            const validation = parseAndValidate(yamlInput, reply);
-            if (validation.error) return validation.error;
+    // Copy an agent (YAML and model policy) under the same parent key with a new key
+    async function cloneAgentForCurrentKey(request: FastifyRequest<{ Params: AgentParams; Body: { name?: string } | undefined }>, reply: FastifyReply) {
+        const parentKey = request.apiKey!.id;
+        const source = agentStore.getOwned(request.params.agent_id, parentKey);
+        if (!source) {
+            reply.code(404);
+            return createError('Agent not found', 'invalid_request_error');
+        }
 
-            const agent = agentStore.createAgent({
-                id: generateId('agent'),
-                agent_key: generateAgentKey(),
-                parent_key: parentKey,
-                yaml: yamlInput,
+        try {
+            const name = request.body?.name?.trim();
+            const yamlInput = name ? renameAgentYaml(source.yaml, name) : source.yaml;
+            return await registerAgent(request, reply, yamlInput, {
+                action: 'agent.clone',
+                modelPolicy: bundleModelPolicy(source),
+                details: { cloned_from: source.id },
             });
+        } catch (error) {
+            fastify.log.error(error);
+            reply.code(500);
+            return createError('Agent clone failed', 'server_error');
+        }
+    }
 
-            reply.code(201);
-            reply.header('Cache-Control', 'no-store');
-            return {
-                agent_id: agent.id,
-                agent_key: agent.agent_key,
-                key_hint: formatAgentKeyHint(agent.agent_key),
-                created_at: agent.created_at,
-            };
+    async function exportAgentForCurrentKey(request: FastifyRequest<{ Params: AgentParams }>, reply: FastifyReply) {
+        const parentKey = request.apiKey!.id;
+        const agent = agentStore.getOwned(request.params.agent_id, parentKey);
+        if (!agent) {
+            reply.code(404);
+            return createError('Agent not found', 'invalid_request_error');
+        }
+        const bundle: AgentBundle = {
+            object: 'agent.bundle',
+            version: AGENT_BUNDLE_VERSION,
+            exported_at: new Date().toISOString(),
+            source: { agent_id: agent.id, revision: agentStore.getCurrentRevision(agent) },
+            yaml: agent.yaml,
+            model_policy: bundleModelPolicy(agent),
+        };
+        reply.header('content-disposition', `attachment; filename="${agent.id}.json"`);
+        return bundle;
+    }
+
+    async function importAgentForCurrentKey(request: FastifyRequest<{ Body: AgentBundle }>, reply: FastifyReply) {
+        const bundle = request.body;
+        if (bundle.version !== AGENT_BUNDLE_VERSION) {
+            reply.code(400);
+            return createError(
+                `Unsupported agent bundle version ${bundle.version} (this server reads version ${AGENT_BUNDLE_VERSION})`,
+                'invalid_request_error',
+                'version',
+                'unsupported_bundle_version'
+            );
+        }
+
+        try {
+            const modelPolicy = bundle.model_policy
+                ? {
+                    default_model: normalizeDefaultModel(bundle.model_policy.default_model),
+                    allowed_models: normalizeRestrictionBody(bundle.model_policy),
+                }
+                : null;
+            return await registerAgent(request, reply, bundle.yaml, {
+                action: 'agent.import',
+                modelPolicy,
+                details: { imported_from: bundle.source?.agent_id ?? null },
+            });
         } catch (error) {
             fastify.log.error(error);
             reply.code(500);
-            return createError('Agent registration failed', 'server_error');
+            return createError('Agent import failed', 'server_error');
         }
     }
 
+    // Dry run: the same checks as create/update, nothing is saved
+    async function validateAgentForCurrentKey(request: FastifyRequest<{ Body: AgentBody }>, reply: FastifyReply) {
+        const yamlInput = extractYamlInput(request.body);
+        if (!yamlInput) {
+            reply.code(400);
+            return createError("'yaml' field is required", 'invalid_request_error');
+        }
+        const { valid, agent, warnings, errors } = validateAgentDefinition(yamlInput);
+        return { object: 'agent.validation', valid, agent, warnings, errors };
+    }
+
     async function getAgentForCurrentKey(request: FastifyRequest<{ Params: AgentParams }>, reply: FastifyReply) {
         const parentKey = request.apiKey!.id;
         const { agent_id } = request.params;
@@ -534,14 +792,30 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
 
             const validation = parseAndValidate(yamlInput, reply);
             if (validation.error) return validation.error;
+            const knowledgeError = await prepareKnowledge(validation.parsed, parentKey, request, reply);
+            if (knowledgeError) return knowledgeError;
 
-            const updated = agentStore.updateAgent(agent_id, parentKey, yamlInput);
-            if (!updated) {
+            const previous = agentStore.getOwned(agent_id, parentKey);
+            const updated = agentStore.updateAgent(agent_id, parentKey, yamlInput, { author: requestActor(request) });
+            if (!previous || !updated) {
                 reply.code(404);
                 return createError('Agent not found', 'invalid_request_error');
             }
+            recordAudit(request, {
+                action: 'agent.update',
+                target_type: 'agent',
+                target_id: agent_id,
+                parent_key_id: parentKey,
+                diff: yamlDiff(previous.yaml, yamlInput),
+            });
+            const view = toAgentView(updated);
+            emitWebhookEvent(request.log, parentKey, 'agent.updated', { agent_id, name: view.name, revision: view.revision, source: 'update' });
 
-            return { ...toAgentView(updated), updated: true };
+            return {
+                ...view,
+                updated: true,
+                ...(validation.warnings.length > 0 && { warnings: validation.warnings }),
+            };
         } catch (error) {
             fastify.log.error(error);
             reply.code(500);
@@ -549,35 +823,163 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
         }
     }
 
-    async function revealAgentKeyForCurrentKey(request: FastifyRequest<{ Params: AgentParams }>, reply: FastifyReply) {
-        const parentKey = request.apiKey!.id;
-        const { agent_id } = request.params;
+    // Revisions keep the YAML of every create, update and rollback, newest first.
+    function revisionSummary(revision: AgentRevision, current: number) {
+        return {
+            object: revision.object,
+            agent_id: revision.agent_id,
+            revision: revision.revision,
+            source: revision.source,
+            restored_from: revision.restored_from,
+            author: revision.author,
+            created_at: revision.created_at,
+            current: revision.revision === current,
+        };
+    }
 
-        const agent = agentStore.getOwned(agent_id, parentKey);
+    function revisionNotFound(reply: FastifyReply, param = 'revision') {
+        reply.code(404);
+        return createError('Revision not found', 'invalid_request_error', param, 'revision_not_found');
+    }
+
+    async function listAgentRevisionsForCurrentKey(request: FastifyRequest<{ Params: AgentParams }>, reply: FastifyReply) {
+        const agent = agentStore.getOwned(request.params.agent_id, request.apiKey!.id);
         if (!agent) {
             reply.code(404);
             return createError('Agent not found', 'invalid_request_error');
         }
+        const revisions = agentStore.listRevisions(agent);
+        return {
+            object: 'list',
+            agent_id: agent.id,
+            current_revision: revisions[0].revision,
+            data: revisions.map(revision => revisionSummary(revision, revisions[0].revision)),
+        };
+    }
 
-        reply.header('Cache-Control', 'no-store');
-        fastify.log.info({ agentId: agent_id, parentKeyId: parentKey }, 'agent_key revealed');
+    async function getAgentRevisionForCurrentKey(request: FastifyRequest<{ Params: RevisionParams }>, reply: FastifyReply) {
+        const agent = agentStore.getOwned(request.params.agent_id, request.apiKey!.id);
+        if (!agent) {
+            reply.code(404);
+            return createError('Agent not found', 'invalid_request_error');
+        }
+        const revision = agentStore.getRevision(agent, request.params.revision);
+        if (!revision) return revisionNotFound(reply);
+        return { ...revision, current: revision.revision === agentStore.getCurrentRevision(agent) };
+    }
+
+    // Diff against `from` (default: the revision before). Revision 1 diffs against an empty document.
+    async function diffAgentRevisionsForCurrentKey(request: FastifyRequest<{ Params: RevisionParams; Querystring: { from?: number } }>, reply: FastifyReply) {
+        const agent = agentStore.getOwned(request.params.agent_id, request.apiKey!.id);
+        if (!agent) {
+            reply.code(404);
+            return createError('Agent not found', 'invalid_request_error');
+        }
+        const to = agentStore.getRevision(agent, request.params.revision);
+        if (!to) return revisionNotFound(reply);
+        const fromNumber = request.query.from ?? to.revision - 1;
+        const from = fromNumber > 0 ? agentStore.getRevision(agent, fromNumber) : null;
+        if (request.query.from !== undefined && !from) return revisionNotFound(reply, 'from');
         return {
+            object: 'agent.revision.diff',
             agent_id: agent.id,
-            agent_key: agent.agent_key,
-            key_hint: formatAgentKeyHint(agent.agent_key),
+            from: from?.revision ?? null,
+            to: to.revision,
+            diff: yamlDiff(from?.yaml ?? '', to.yaml, [from ? `revision ${from.revision}` : '/dev/null', `revision ${to.revision}`]),
         };
     }
 
+    // Rolling back saves the old YAML as a new revision, so history only grows.
+    async function rollbackAgentForCurrentKey(request: FastifyRequest<{ Params: RevisionParams }>, reply: FastifyReply) {
+        const parentKey = request.apiKey!.id;
+        const agent = agentStore.getOwned(request.params.agent_id, parentKey);
+        if (!agent) {
+            reply.code(404);
+            return createError('Agent not found', 'invalid_request_error');
+        }
+        const target = agentStore.getRevision(agent, request.params.revision);
+        if (!target) return revisionNotFound(reply);
+
+        try {
+            // Validation rules may have changed since the revision was saved
+            const validation = parseAndValidate(target.yaml, reply);
+            if (validation.error) return validation.error;
+            const knowledgeError = await prepareKnowledge(validation.parsed, parentKey, request, reply);
+            if (knowledgeError) return knowledgeError;
+
+            const updated = agentStore.updateAgent(agent.id, parentKey, target.yaml, {
+                author: requestActor(request),
+                source: 'rollback',
+                restored_from: target.revision,
+            });
+            if (!updated) {
+                reply.code(404);
+                return createError('Agent not found', 'invalid_request_error');
+            }
+            const view = toAgentView(updated);
+            recordAudit(request, {
+                action: 'agent.rollback',
+                target_type: 'agent',
+                target_id: agent.id,
+                parent_key_id: parentKey,
+                after: { revision: view.revision, restored_from: target.revision },
+                diff: yamlDiff(agent.yaml, target.yaml),
+            });
+            emitWebhookEvent(request.log, parentKey, 'agent.updated', {
+                agent_id: agent.id,
+                name: view.name,
+                revision: view.revision,
+                source: 'rollback',
+                restored_from: target.revision,
+            });
+            return { ...view, restored_from: target.revision };
+        } catch (error) {
+            fastify.log.error(error);
+            reply.code(500);
+            return createError('Agent rollback failed', 'server_error');
+        }
+    }
+
+    async function revealAgentKeyForCurrentKey(request: FastifyRequest<{ Params: AgentParams }>, reply: FastifyReply) {
+        const parentKey = request.apiKey!.id;
+        const { agent_id } = request.params;
+
+        const agent = agentStore.getOwned(agent_id, parentKey);
+        if (!agent) {
+            reply.code(404);
+            return createError('Agent not found', 'invalid_request_error');
+        }
+        // Refused, but still worth a trail: someone tried to read the key
+        recordAudit(request, {
+            action: 'agent_key.reveal',
+            target_type: 'agent',
+            target_id: agent_id,
+            parent_key_id: parentKey,
+            after: { key_hint: formatAgentKeyHint(agent.key_hint), revealed: false },
+        });
+        return keyNotRetrievable(reply, 'Agent');
+    }
+
     async function rotateAgentKeyForCurrentKey(request: FastifyRequest<{ Params: AgentParams }>, reply: FastifyReply) {
         const parentKey = request.apiKey!.id;
         const { agent_id } = request.params;
 
+        const previous = agentStore.getOwned(agent_id, parentKey);
         const newKey = generateAgentKey();
         const updated = agentStore.rotateKey(agent_id, parentKey, newKey);
-        if (!updated) {
+        if (!previous || !updated) {
             reply.code(404);
             return createError('Agent not found', 'invalid_request_error');
         }
+        recordAudit(request, {
+            action: 'agent_key.rotate',
+            target_type: 'agent',
+            target_id: agent_id,
+            parent_key_id: parentKey,
+            before: { key_hint: formatAgentKeyHint(previous.key_hint) },
+            after: { key_hint: formatAgentKeyHint(newKey) },
+        });
+        emitWebhookEvent(request.log, parentKey, 'agent_key.rotated', { agent_id, key_hint: formatAgentKeyHint(newKey) });
 
         reply.header('Cache-Control', 'no-store');
         fastify.log.info({ agentId: agent_id, parentKeyId: parentKey }, 'agent_key rotated');
@@ -594,11 +996,20 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
         const { agent_id } = request.params;
 
         try {
+            const previous = agentStore.getOwned(agent_id, parentKey);
             const deleted = agentStore.deleteAgent(agent_id, parentKey);
-            if (!deleted) {
+            if (!previous || !deleted) {
                 reply.code(404);
                 return createError('Agent not found', 'invalid_request_error');
             }
+            recordAudit(request, {
+                action: 'agent.delete',
+                target_type: 'agent',
+                target_id: agent_id,
+                parent_key_id: parentKey,
+                before: { key_hint: formatAgentKeyHint(previous.key_hint), yaml: previous.yaml },
+            });
+            emitWebhookEvent(request.log, parentKey, 'agent.deleted', { agent_id });
 
             reply.code(200);
             return { id: agent_id, deleted: true };
@@ -622,6 +1033,17 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
         return getModelsList();
     });
 
+    // GET /v1/manager/usage — usage over time for the caller's parent keys and their agents.
+    fastify.get<{ Querystring: UsageQuerystring }>('/v1/manager/usage', {
+        schema: { tags: ['Manager Auth'], summary: 'Get own usage by hour, day or month', querystring: usageQuerystringSchema },
+        preHandler: managerHeaderAuth,
+    }, async (request, reply) => {
+        const parsed = parseUsageQuery(request.query);
+        if (parsed.error !== undefined) return usageQueryError(reply, parsed.error, parsed.param);
+        const buckets = agentStore.getUsageBuckets({ ...parsed.query, user_id: request.managerUser!.id });
+        return sendUsage(reply, parsed.query, parsed.format, buckets);
+    });
+
     // Basic admin console endpoints. Admin status comes from Ozwell DB, not x-groups.
     fastify.get('/v1/manager/admin/summary', {
         schema: { tags: ['Manager Admin'], summary: 'Get admin console summary metrics' },
@@ -630,6 +1052,53 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
         return agentStore.getAdminSummary();
     });
 
+    fastify.get<{ Querystring: UsageQuerystring }>('/v1/manager/admin/usage', {
+        schema: { tags: ['Manager Admin'], summary: 'Get usage for all keys by hour, day or month', querystring: usageQuerystringSchema },
+        preHandler: requireManagerAdmin,
+    }, async (request, reply) => {
+        const parsed = parseUsageQuery(request.query);
+        if (parsed.error !== undefined) return usageQueryError(reply, parsed.error, parsed.param);
+        return sendUsage(reply, parsed.query, parsed.format, agentStore.getUsageBuckets(parsed.query));
+    });
+
+    // GET /v1/manager/admin/audit — append-only trail of manager and admin actions, newest first.
+    fastify.get<{ Querystring: AuditQuerystring }>('/v1/manager/admin/audit', {
+        schema: { tags: ['Manager Admin'], summary: 'List audit events', querystring: auditQuerystringSchema },
+        preHandler: requireManagerAdmin,
+    }, async (request, reply) => {
+        const parsed = parseAuditQuery(request.query);
+        if (parsed.error !== undefined) return auditQueryError(reply, parsed.error, parsed.param);
+        return { object: 'list', ...auditStore.list(parsed.filters) };
+    });
+
+    // DELETE /v1/manager/admin/cache — drop cached chat and embedding replies,
+    // all of them or only those of one parent key and/or agent.
+    fastify.delete<{ Querystring: { parent_key_id?: string; agent_id?: string } }>('/v1/manager/admin/cache', {
+        schema: {
+            tags: ['Manager Admin'],
+            summary: 'Purge the response cache',
+            querystring: {
+                type: 'object',
+                properties: {
+                    parent_key_id: { type: 'string' },
+                    agent_id: { type: 'string' },
+                },
+            },
+        },
+        preHandler: requireManagerAdmin,
+    }, async (request) => {
+        const { parent_key_id, agent_id } = request.query;
+        const deleted = responseCacheStore.purge({ parent_key_id, agent_id });
+        recordAudit(request, {
+            action: 'response_cache.purge',
+            target_type: 'response_cache',
+            target_id: agent_id || parent_key_id || '*',
+            parent_key_id: parent_key_id || null,
+            after: { parent_key_id: parent_key_id || null, agent_id: agent_id || null, deleted },
+        });
+        return { object: 'response_cache.purge', deleted };
+    });
+
     fastify.get('/v1/manager/admin/users', {
         schema: { tags: ['Manager Admin'], summary: 'List manager users' },
         preHandler: requireManagerAdmin,
@@ -684,11 +1153,19 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
         },
         preHandler: requireManagerAdmin,
     }, async (request, reply) => {
+        const previous = agentStore.getManagerUser(request.params.user_id);
         const user = agentStore.promoteManagerUser(request.params.user_id);
-        if (!user) {
+        if (!previous || !user) {
             reply.code(404);
             return createError('User not found', 'invalid_request_error', 'user_id', 'not_found');
         }
+        recordAudit(request, {
+            action: 'user.promote',
+            target_type: 'user',
+            target_id: user.id,
+            before: { is_admin: previous.is_admin, status: previous.status },
+            after: { is_admin: user.is_admin, status: user.status },
+        });
         return user;
     });
 
@@ -705,11 +1182,19 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
         preHandler: requireManagerAdmin,
     }, async (request, reply) => {
         try {
+            const previous = agentStore.getManagerUser(request.params.user_id);
             const user = agentStore.demoteManagerUser(request.managerUser!.id, request.params.user_id);
-            if (!user) {
+            if (!previous || !user) {
                 reply.code(404);
                 return createError('User not found', 'invalid_request_error', 'user_id', 'not_found');
             }
+            recordAudit(request, {
+                action: 'user.demote',
+                target_type: 'user',
+                target_id: user.id,
+                before: { is_admin: previous.is_admin },
+                after: { is_admin: user.is_admin },
+            });
             return user;
         } catch (error) {
             const code = error instanceof Error ? error.message : 'demote_failed';
@@ -734,11 +1219,26 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
         },
         preHandler: requireManagerAdmin,
     }, async (request, reply) => {
+        const previous = agentStore.getParentApiKey(request.params.key_id);
         const key = agentStore.revokeParentApiKey(request.params.key_id, request.body?.reason || 'admin_revoked');
-        if (!key) {
+        if (!previous || !key) {
             reply.code(404);
             return createError('Parent key not found', 'invalid_request_error', 'key_id', 'not_found');
         }
+        recordAudit(request, {
+            action: 'parent_key.revoke',
+            target_type: 'parent_key',
+            target_id: key.id,
+            parent_key_id: key.id,
+            before: { status: previous.status, key_hint: formatParentKeyHint(previous.key_hint) },
+            after: { status: key.status, revoked_reason: key.revoked_reason },
+        });
+        // The key's own endpoints still get this one, so its owner hears about it
+        emitWebhookEvent(request.log, key.id, 'parent_key.revoked', {
+            parent_key_id: key.id,
+            revoked_at: key.revoked_at,
+            revoked_reason: key.revoked_reason,
+        });
         return {
             id: key.id,
             status: key.status,
@@ -796,10 +1296,19 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
         preHandler: requireManagerAdmin,
     }, async (request) => {
         getCachedModelsList();
+        const previous = agentStore.getParentKeyModelRestrictions(request.params.key_id);
         const allowedModels = agentStore.setParentKeyModelRestrictions(
             request.params.key_id,
             normalizeRestrictionBody(request.body),
         );
+        recordAudit(request, {
+            action: 'parent_key.model_restrictions.update',
+            target_type: 'parent_key',
+            target_id: request.params.key_id,
+            parent_key_id: request.params.key_id,
+            before: { allowed_models: previous },
+            after: { allowed_models: allowedModels },
+        });
         return {
             parent_key_id: request.params.key_id,
             allowed_models: allowedModels,
@@ -807,17 +1316,186 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
         };
     });
 
-    // POST /v1/manager/parent-key/reveal — explicit reveal for the user's parent key.
+    // Parent-key quotas. Both fields are replaced on PUT; null (or omitted) means unlimited.
+    const parentKeyLimitsView = (keyId: string) => {
+        const midnight = new Date();
+        midnight.setUTCHours(0, 0, 0, 0);
+        return {
+            parent_key_id: keyId,
+            ...agentStore.getParentKeyLimits(keyId),
+            usage: {
+                requests_last_minute: agentStore.getUsageSince('parent_key_id', keyId, new Date(Date.now() - 60_000).toISOString()).requests,
+                tokens_today: agentStore.getUsageSince('parent_key_id', keyId, midnight.toISOString()).tokens,
+            },
+        };
+    };
+
+    fastify.get<{ Params: { key_id: string } }>('/v1/manager/admin/parent-keys/:key_id/limits', {
+        schema: {
+            tags: ['Manager Admin'],
+            summary: 'Get parent-key rate limits and current usage',
+            params: {
+                type: 'object',
+                properties: { key_id: { type: 'string' } },
+                required: ['key_id'],
+            },
+        },
+        preHandler: requireManagerAdmin,
+    }, async (request) => parentKeyLimitsView(request.params.key_id));
+
+    fastify.put<{ Params: { key_id: string }; Body: { requests_per_minute?: number | null; tokens_per_day?: number | null } }>('/v1/manager/admin/parent-keys/:key_id/limits', {
+        schema: {
+            tags: ['Manager Admin'],
+            summary: 'Update parent-key rate limits',
+            params: {
+                type: 'object',
+                properties: { key_id: { type: 'string' } },
+                required: ['key_id'],
+            },
+            body: {
+                type: 'object',
+                properties: {
+                    requests_per_minute: { type: ['integer', 'null'], minimum: 1 },
+                    tokens_per_day: { type: ['integer', 'null'], minimum: 1 },
+                },
+            },
+        },
+        preHandler: requireManagerAdmin,
+    }, async (request) => {
+        const previous = agentStore.getParentKeyLimits(request.params.key_id);
+        const limits = agentStore.setParentKeyLimits(request.params.key_id, {
+            requests_per_minute: request.body?.requests_per_minute ?? null,
+            tokens_per_day: request.body?.tokens_per_day ?? null,
+        });
+        recordAudit(request, {
+            action: 'parent_key.limits.update',
+            target_type: 'parent_key',
+            target_id: request.params.key_id,
+            parent_key_id: request.params.key_id,
+            before: previous,
+            after: limits,
+        });
+        return parentKeyLimitsView(request.params.key_id);
+    });
+
+    // Parent-key failover chain, tried after the agent's own `fallbacks:`. Replaced on PUT.
+    const parentKeyFallbacksView = (keyId: string) => {
+        getCachedModelsList();
+        const fallbacks = agentStore.getParentKeyFallbacks(keyId);
+        return {
+            parent_key_id: keyId,
+            fallbacks,
+            effective_fallbacks: allowedFailoverSteps(fallbacks, agentStore.listEffectiveProviderModels(keyId)),
+        };
+    };
+
+    fastify.get<{ Params: { key_id: string } }>('/v1/manager/admin/parent-keys/:key_id/fallbacks', {
+        schema: {
+            tags: ['Manager Admin'],
+            summary: 'Get parent-key provider failover chain',
+            params: {
+                type: 'object',
+                properties: { key_id: { type: 'string' } },
+                required: ['key_id'],
+            },
+        },
+        preHandler: requireManagerAdmin,
+    }, async (request) => parentKeyFallbacksView(request.params.key_id));
+
+    fastify.put<{ Params: { key_id: string }; Body: { fallbacks?: Array<{ provider: string; model: string }> } }>('/v1/manager/admin/parent-keys/:key_id/fallbacks', {
+        schema: {
+            tags: ['Manager Admin'],
+            summary: 'Update parent-key provider failover chain',
+            params: {
+                type: 'object',
+                properties: { key_id: { type: 'string' } },
+                required: ['key_id'],
+            },
+            body: {
+                type: 'object',
+                properties: {
+                    fallbacks: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                provider: { type: 'string' },
+                                model: { type: 'string' },
+                            },
+                            required: ['provider', 'model'],
+                        },
+                    },
+                },
+            },
+        },
+        preHandler: requireManagerAdmin,
+    }, async (request, reply) => {
+        const fallbacks = request.body?.fallbacks ?? [];
+        const fallbacksError = validateFallbacks(fallbacks);
+        if (fallbacksError) {
+            reply.code(400);
+            return createError(fallbacksError, 'invalid_request_error', 'fallbacks');
+        }
+        const previous = agentStore.getParentKeyFallbacks(request.params.key_id);
+        const updated = agentStore.setParentKeyFallbacks(request.params.key_id, fallbacksFromYaml(fallbacks));
+        recordAudit(request, {
+            action: 'parent_key.fallbacks.update',
+            target_type: 'parent_key',
+            target_id: request.params.key_id,
+            parent_key_id: request.params.key_id,
+            before: { fallbacks: previous },
+            after: { fallbacks: updated },
+        });
+        return parentKeyFallbacksView(request.params.key_id);
+    });
+
+    // POST /v1/manager/parent-key/reveal — parent keys are stored hashed; kept so
+    // older consoles get a clear answer instead of a 404.
     fastify.post('/v1/manager/parent-key/reveal', {
-        schema: { tags: ['Manager Auth'], summary: 'Reveal active manager parent key' },
+        schema: { tags: ['Manager Auth'], summary: 'Reveal active manager parent key (no longer supported)' },
         preHandler: managerHeaderAuth,
     }, async (request, reply) => {
-        const parentKey = agentStore.getActiveApiKeyForUser(request.managerUser!.id)!;
+        recordAudit(request, {
+            action: 'parent_key.reveal',
+            target_type: 'parent_key',
+            target_id: request.apiKey!.id,
+            parent_key_id: request.apiKey!.id,
+            after: { revealed: false },
+        });
+        return keyNotRetrievable(reply, 'Parent');
+    });
+
+    // POST /v1/manager/parent-key/rotate — new secret for the user's parent key.
+    // Agents stay attached; the old key stops working immediately.
+    fastify.post('/v1/manager/parent-key/rotate', {
+        schema: { tags: ['Manager Auth'], summary: 'Rotate active manager parent key' },
+        preHandler: managerHeaderAuth,
+    }, async (request, reply) => {
+        const previous = agentStore.getParentApiKey(request.apiKey!.id);
+        const rotated = agentStore.rotateParentApiKey(request.apiKey!.id);
+        if (!previous || !rotated) {
+            reply.code(404);
+            return createError('Parent key not found', 'invalid_request_error');
+        }
+        recordAudit(request, {
+            action: 'parent_key.rotate',
+            target_type: 'parent_key',
+            target_id: rotated.parentKey.id,
+            parent_key_id: rotated.parentKey.id,
+            before: { key_hint: formatParentKeyHint(previous.key_hint) },
+            after: { key_hint: formatParentKeyHint(rotated.parentKey.key_hint) },
+        });
+        emitWebhookEvent(request.log, rotated.parentKey.id, 'parent_key.rotated', {
+            parent_key_id: rotated.parentKey.id,
+            key_hint: formatParentKeyHint(rotated.parentKey.key_hint),
+        });
         reply.header('Cache-Control', 'no-store');
+        fastify.log.info({ parentKeyId: rotated.parentKey.id, userId: request.managerUser!.id }, 'parent key rotated');
         return {
-            parent_key_id: parentKey.id,
-            parent_key: parentKey.key,
-            parent_key_hint: formatParentKeyHint(parentKey.key),
+            parent_key_id: rotated.parentKey.id,
+            parent_key: rotated.key,
+            parent_key_hint: formatParentKeyHint(rotated.parentKey.key_hint),
+            rotated_at: Math.floor(Date.now() / 1000),
         };
     });
 
@@ -842,10 +1520,21 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
 
         try {
             const result = agentStore.claimParentApiKey(request.managerUser!.id, parentKey);
+            recordAudit(request, {
+                action: 'parent_key.claim',
+                target_type: 'parent_key',
+                target_id: result.parentKey.id,
+                parent_key_id: result.parentKey.id,
+                after: {
+                    user_id: request.managerUser!.id,
+                    migrated_agents: result.migratedAgents,
+                    revoked_parent_key_id: result.revokedParentKeyId,
+                },
+            });
             reply.header('Cache-Control', 'no-store');
             return {
                 parent_key_id: result.parentKey.id,
-                parent_key_hint: formatParentKeyHint(result.parentKey.key),
+                parent_key_hint: formatParentKeyHint(result.parentKey.key_hint),
                 migrated_agents: result.migratedAgents,
                 revoked_parent_key_id: result.revokedParentKeyId,
             };
@@ -958,6 +1647,23 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
         preHandler: apiKeyAuth
     }, createAgentForCurrentKey);
 
+    // POST /v1/agents/validate (check a definition without saving it)
+    fastify.post<{ Body: string | { yaml: string } }>('/v1/agents/validate', {
+        schema: {
+            headers: authHeaders,
+            tags: ['Agents'],
+            summary: 'Validate an agent definition (dry run)',
+            consumes: ['application/yaml', 'application/json'],
+        },
+        preHandler: apiKeyAuth
+    }, validateAgentForCurrentKey);
+
+    // POST /v1/agents/import (recreate an exported agent under this key)
+    fastify.post<{ Body: AgentBundle }>('/v1/agents/import', {
+        schema: { headers: authHeaders, tags: ['Agents'], summary: 'Import an agent bundle', body: agentBundleSchema },
+        preHandler: apiKeyAuth
+    }, importAgentForCurrentKey);
+
     // GET /v1/agents/me — agent key self-lookup (used by embed loader to discover tools)
     fastify.get('/v1/agents/me', {
         schema: { tags: ['Agents'], summary: 'Get own agent config (agent key auth)' },
@@ -1011,6 +1717,22 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
         preHandler: managerHeaderAuth,
     }, createAgentForCurrentKey);
 
+    // POST /v1/manager/agents/validate (dry run using trusted manager-console auth)
+    fastify.post<{ Body: string | { yaml: string } }>('/v1/manager/agents/validate', {
+        schema: {
+            tags: ['Manager Agents'],
+            summary: 'Validate an agent definition (dry run)',
+            consumes: ['application/yaml', 'application/json'],
+        },
+        preHandler: managerHeaderAuth,
+    }, validateAgentForCurrentKey);
+
+    // POST /v1/manager/agents/import (import using trusted manager-console auth)
+    fastify.post<{ Body: AgentBundle }>('/v1/manager/agents/import', {
+        schema: { tags: ['Manager Agents'], summary: 'Import an agent bundle', body: agentBundleSchema },
+        preHandler: managerHeaderAuth,
+    }, importAgentForCurrentKey);
+
     fastify.get<{ Params: { agent_id: string } }>('/v1/manager/agents/:agent_id/model-policy', {
         schema: { params: agentIdParam, tags: ['Manager Agents'], summary: 'Get agent provider/model policy' },
         preHandler: managerHeaderAuth,
@@ -1055,16 +1777,26 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
                 'default_model_not_allowed'
             );
         }
+        const agent = agentStore.getOwned(request.params.agent_id, parentKey);
+        const previous = agent ? agentStore.getAgentModelPolicy(agent.id, agent.yaml) : null;
         const policy = agentStore.setAgentModelPolicy(
             request.params.agent_id,
             parentKey,
             defaultModel,
             allowedModels,
         );
-        if (!policy) {
+        if (!previous || !policy) {
             reply.code(404);
             return createError('Agent not found', 'invalid_request_error');
         }
+        recordAudit(request, {
+            action: 'agent.model_policy.update',
+            target_type: 'agent',
+            target_id: request.params.agent_id,
+            parent_key_id: parentKey,
+            before: { default_provider: previous.default_provider, default_model: previous.default_model, allowed_models: previous.allowed_models },
+            after: { default_provider: policy.default_provider, default_model: policy.default_model, allowed_models: policy.allowed_models },
+        });
         return {
             agent_id: request.params.agent_id,
             default_model: policy.default_provider && policy.default_model
@@ -1089,9 +1821,9 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
         preHandler: managerHeaderAuth,
     }, updateAgentForCurrentKey);
 
-    // POST /v1/manager/agents/:agent_id/reveal-key (return full agent_key)
+    // POST /v1/manager/agents/:agent_id/reveal-key (410 — keys are only shown at creation or rotation)
     fastify.post<{ Params: { agent_id: string } }>('/v1/manager/agents/:agent_id/reveal-key', {
-        schema: { params: agentIdParam, tags: ['Manager Agents'], summary: 'Reveal manager-authenticated user agent key' },
+        schema: { params: agentIdParam, tags: ['Manager Agents'], summary: 'Reveal manager-authenticated user agent key (no longer supported)' },
         preHandler: managerHeaderAuth,
     }, revealAgentKeyForCurrentKey);
 
@@ -1101,6 +1833,37 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
         preHandler: managerHeaderAuth,
     }, rotateAgentKeyForCurrentKey);
 
+    // GET /v1/manager/agents/:agent_id/revisions (YAML history, newest first)
+    fastify.post<{ Params: AgentParams; Body: { name?: string } | undefined }>('/v1/manager/agents/:agent_id/clone', {
+        schema: { params: agentIdParam, body: cloneBody, tags: ['Manager Agents'], summary: 'Clone manager-authenticated user agent' },
+        preHandler: managerHeaderAuth,
+    }, cloneAgentForCurrentKey);
+
+    fastify.get<{ Params: AgentParams }>('/v1/manager/agents/:agent_id/export', {
+        schema: { params: agentIdParam, tags: ['Manager Agents'], summary: 'Export manager-authenticated user agent as a bundle' },
+        preHandler: managerHeaderAuth,
+    }, exportAgentForCurrentKey);
+
+    fastify.get<{ Params: AgentParams }>('/v1/manager/agents/:agent_id/revisions', {
+        schema: { params: agentIdParam, tags: ['Manager Agents'], summary: 'List agent YAML revisions' },
+        preHandler: managerHeaderAuth,
+    }, listAgentRevisionsForCurrentKey);
+
+    fastify.get<{ Params: RevisionParams }>('/v1/manager/agents/:agent_id/revisions/:revision', {
+        schema: { params: revisionParams, tags: ['Manager Agents'], summary: 'Get an agent YAML revision' },
+        preHandler: managerHeaderAuth,
+    }, getAgentRevisionForCurrentKey);
+
+    fastify.get<{ Params: RevisionParams; Querystring: { from?: number } }>('/v1/manager/agents/:agent_id/revisions/:revision/diff', {
+        schema: { params: revisionParams, querystring: revisionDiffQuery, tags: ['Manager Agents'], summary: 'Diff two agent YAML revisions' },
+        preHandler: managerHeaderAuth,
+    }, diffAgentRevisionsForCurrentKey);
+
+    fastify.post<{ Params: RevisionParams }>('/v1/manager/agents/:agent_id/revisions/:revision/rollback', {
+        schema: { params: revisionParams, tags: ['Manager Agents'], summary: 'Roll an agent back to a YAML revision' },
+        preHandler: managerHeaderAuth,
+    }, rollbackAgentForCurrentKey);
+
     // DELETE /v1/manager/agents/:agent_id (delete manager-authenticated user agent)
     fastify.delete<{ Params: { agent_id: string } }>('/v1/manager/agents/:agent_id', {
         schema: { params: agentIdParam, tags: ['Manager Agents'], summary: 'Delete manager-authenticated user agent' },
@@ -1119,9 +1882,9 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
         preHandler: apiKeyAuth
     }, updateAgentForCurrentKey);
 
-    // POST /v1/agents/:agent_id/reveal-key (return full agent_key — explicit user action)
+    // POST /v1/agents/:agent_id/reveal-key (410 — keys are only shown at creation or rotation)
     fastify.post<{ Params: { agent_id: string } }>('/v1/agents/:agent_id/reveal-key', {
-        schema: { headers: authHeaders, params: agentIdParam, tags: ['Agents'], summary: 'Reveal full agent key (parent key auth required)' },
+        schema: { headers: authHeaders, params: agentIdParam, tags: ['Agents'], summary: 'Reveal full agent key (no longer supported; rotate instead)' },
         preHandler: apiKeyAuth
     }, revealAgentKeyForCurrentKey);
 
@@ -1131,6 +1894,42 @@ const agentsRoute: FastifyPluginAsync = async (fastify) => {
         preHandler: apiKeyAuth
     }, rotateAgentKeyForCurrentKey);
 
+    // POST /v1/agents/:agent_id/clone (copy under the same parent key, new agent key)
+    fastify.post<{ Params: AgentParams; Body: { name?: string } | undefined }>('/v1/agents/:agent_id/clone', {
+        schema: { headers: authHeaders, params: agentIdParam, body: cloneBody, tags: ['Agents'], summary: 'Clone an agent' },
+        preHandler: apiKeyAuth
+    }, cloneAgentForCurrentKey);
+
+    // GET /v1/agents/:agent_id/export (portable bundle: YAML + model policy)
+    fastify.get<{ Params: AgentParams }>('/v1/agents/:agent_id/export', {
+        schema: { headers: authHeaders, params: agentIdParam, tags: ['Agents'], summary: 'Export an agent as a portable bundle' },
+        preHandler: apiKeyAuth
+    }, exportAgentForCurrentKey);
+
+    // GET /v1/agents/:agent_id/revisions (YAML history, newest first)
+    fastify.get<{ Params: AgentParams }>('/v1/agents/:agent_id/revisions', {
+        schema: { headers: authHeaders, params: agentIdParam, tags: ['Agents'], summary: 'List agent YAML revisions' },
+        preHandler: apiKeyAuth
+    }, listAgentRevisionsForCurrentKey);
+
+    // GET /v1/agents/:agent_id/revisions/:revision (one revision, with its YAML)
+    fastify.get<{ Params: RevisionParams }>('/v1/agents/:agent_id/revisions/:revision', {
+        schema: { headers: authHeaders, params: revisionParams, tags: ['Agents'], summary: 'Get an agent YAML revision' },
+        preHandler: apiKeyAuth
+    }, getAgentRevisionForCurrentKey);
+
+    // GET /v1/agents/:agent_id/revisions/:revision/diff?from=N (unified diff)
+    fastify.get<{ Params: RevisionParams; Querystring: { from?: number } }>('/v1/agents/:agent_id/revisions/:revision/diff', {
+        schema: { headers: authHeaders, params: revisionParams, querystring: revisionDiffQuery, tags: ['Agents'], summary: 'Diff two agent YAML revisions' },
+        preHandler: apiKeyAuth
+    }, diffAgentRevisionsForCurrentKey);
+
+    // POST /v1/agents/:agent_id/revisions/:revision/rollback (restore as a new revision)
+    fastify.post<{ Params: RevisionParams }>('/v1/agents/:agent_id/revisions/:revision/rollback', {
+        schema: { headers: authHeaders, params: revisionParams, tags: ['Agents'], summary: 'Roll an agent back to a YAML revision' },
+        preHandler: apiKeyAuth
+    }, rollbackAgentForCurrentKey);
+
     // DELETE /v1/agents/:agent_id (delete agent)
     fastify.delete<{ Params: { agent_id: string } }>('/v1/agents/:agent_id', {
         schema: { headers: authHeaders, params: agentIdParam, tags: ['Agents'], summary: 'Delete an agent' },
@@ -1,11 +1,23 @@
 import { FastifyPluginAsync } from 'fastify';
-import { validateAuth, createError, extractToken, isLLMBackendConfigured } from '../util';
-import { agentStore } from '../storage/agents';
+import { Readable } from 'stream';
+import type { ReadableStream as WebReadableStream } from 'stream/web';
+import { AudioSpeechRequestSchema } from '../../../spec';
+import { createError, isLLMBackendConfigured } from '../util';
+import { createUsageRecorder, resolveChatCaller } from './chat';
+import { enforceRateLimits } from '../util/rate-limits';
+import { synthesizeSpeech } from '../util/speech-synth';
 
 const LLM_BASE_URL = process.env.LLM_BASE_URL || '';
 const LLM_API_KEY = process.env.LLM_API_KEY || '';
 const LLM_PROVIDER = process.env.LLM_PROVIDER || '';
 
+const SPEECH_CONTENT_TYPES: Record<string, string> = {
+  mp3: 'audio/mpeg',
+  opus: 'audio/opus',
+  wav: 'audio/wav',
+  pcm: 'audio/pcm',
+};
+
 const audioRoute: FastifyPluginAsync = async (fastify) => {
   // POST /v1/audio/transcriptions
   fastify.post('/v1/audio/transcriptions', {
@@ -22,17 +34,15 @@ const audioRoute: FastifyPluginAsync = async (fastify) => {
       consumes: ['multipart/form-data'],
     },
   }, async (request, reply) => {
-    // Validate authorization
-    if (!validateAuth(request.headers.authorization)) {
-      reply.code(401);
-      return createError('Invalid API key provided', 'invalid_request_error');
-    }
-
-    // Validate token exists in database
-    const token = extractToken(request.headers.authorization);
-    if (!agentStore.validateKey(token)) {
-      reply.code(401);
-      return createError('API key not found. Verify the key exists in the database.', 'invalid_request_error');
+    // Validate authorization and apply the key's quotas
+    const auth = resolveChatCaller(request, reply);
+    if (auth.error) return auth.error;
+    const { usageContext, agentConfig } = auth.caller;
+    const recordUsage = createUsageRecorder(request, usageContext, '/v1/audio/transcriptions');
+    const limited = enforceRateLimits(reply, usageContext, agentConfig?.limits ?? null);
+    if (limited) {
+      recordUsage(null, 429);
+      return limited;
     }
 
     // Parse all multipart parts in order-independent fashion
@@ -153,6 +163,7 @@ const audioRoute: FastifyPluginAsync = async (fastify) => {
         headers,
         body: upstreamForm,
       });
+      recordUsage(model, upstreamResp.status, undefined, LLM_PROVIDER || null);
 
       if (!upstreamResp.ok) {
         const errBody = await upstreamResp.text();
@@ -174,6 +185,7 @@ const audioRoute: FastifyPluginAsync = async (fastify) => {
     }
 
     // ── Mock fallback (no LLM backend configured) ──
+    recordUsage(model, 200);
     const mockText = 'This is a mock transcription from the reference server.';
 
     if (responseFormat === 'text') {
@@ -234,6 +246,103 @@ const audioRoute: FastifyPluginAsync = async (fastify) => {
 
     return response;
   });
+
+  // POST /v1/audio/speech
+  fastify.post('/v1/audio/speech', {
+    schema: {
+      summary: 'Generate speech from text',
+      description: 'Turns text into audio. JSON body: model (e.g. "tts-1"), input (up to 4096 characters), voice (e.g. "alloy"), instructions, response_format (mp3|wav|opus|pcm, default mp3) and speed (0.25-4). Proxied to LLM_BASE_URL when configured; otherwise a local synthesizer returns WAV (or raw PCM for pcm).',
+      tags: ['Audio'],
+      headers: {
+        type: 'object',
+        properties: {
+          authorization: { type: 'string' },
+        },
+      },
+      // Ranges and required fields are checked against the spec in the handler
+      body: {
+        type: 'object',
+        properties: {
+          model: { type: 'string' },
+          input: { type: 'string' },
+          voice: { type: 'string' },
+          instructions: { type: 'string' },
+          response_format: { type: 'string' },
+          speed: { type: 'number' },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    // Validate authorization and apply the key's quotas
+    const auth = resolveChatCaller(request, reply);
+    if (auth.error) return auth.error;
+    const { usageContext, agentConfig } = auth.caller;
+    const recordUsage = createUsageRecorder(request, usageContext, '/v1/audio/speech');
+    const limited = enforceRateLimits(reply, usageContext, agentConfig?.limits ?? null);
+    if (limited) {
+      recordUsage(null, 429);
+      return limited;
+    }
+
+    const parsed = AudioSpeechRequestSchema.safeParse(request.body ?? {});
+    if (!parsed.success) {
+      const issue = parsed.error.issues[0];
+      const param = issue.path.join('.');
+      reply.code(400);
+      return createError(`Invalid ${param}: ${issue.message}`, 'invalid_request_error', param || null);
+    }
+    const speech = parsed.data;
+    const responseFormat = speech.response_format ?? 'mp3';
+
+    reply.headers({
+      'x-request-id': `req_${Date.now()}`,
+      'openai-version': '2020-10-01',
+    });
+
+    // Forward to real backend if configured; the audio streams through as it arrives
+    if (isLLMBackendConfigured()) {
+      const headers: Record<string, string> = {
+        'Authorization': `Bearer ${LLM_API_KEY}`,
+        'Content-Type': 'application/json',
+      };
+      if (LLM_PROVIDER) headers['x-portkey-provider'] = LLM_PROVIDER;
+
+      let upstreamResp: globalThis.Response;
+      try {
+        upstreamResp = await fetch(`${LLM_BASE_URL}/v1/audio/speech`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(speech),
+        });
+      } catch (err) {
+        request.log.error({ err }, 'Speech provider request failed');
+        recordUsage(speech.model, 502, undefined, LLM_PROVIDER || null);
+        reply.code(502);
+        return createError('Speech provider is unreachable', 'upstream_error');
+      }
+      recordUsage(speech.model, upstreamResp.status, undefined, LLM_PROVIDER || null);
+
+      if (!upstreamResp.ok || !upstreamResp.body) {
+        const errBody = await upstreamResp.text();
+        reply.code(upstreamResp.ok ? 502 : upstreamResp.status);
+        try {
+          return JSON.parse(errBody);
+        } catch {
+          return createError(errBody || 'Speech provider returned no audio', 'upstream_error');
+        }
+      }
+
+      reply.type(upstreamResp.headers.get('content-type') || SPEECH_CONTENT_TYPES[responseFormat]);
+      return reply.send(Readable.fromWeb(upstreamResp.body as WebReadableStream<Uint8Array>));
+    }
+
+    // ── Local synthesizer (no LLM backend configured) ──
+    // It can't encode mp3 or opus, so those get WAV too; Content-Type says which
+    recordUsage(speech.model, 200);
+    const format = responseFormat === 'pcm' ? 'pcm' : 'wav';
+    reply.type(SPEECH_CONTENT_TYPES[format]);
+    return reply.send(synthesizeSpeech(speech.input, { voice: speech.voice, speed: speech.speed, format }));
+  });
 };
 
 export default audioRoute;
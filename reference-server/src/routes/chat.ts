@@ -1,47 +1,40 @@
-import { FastifyPluginAsync, FastifyReply } from 'fastify';
-import { validateAuth, createError, generateId, countTokens, isOllamaAvailable, getOllamaDefaultModel, isAgentKey, extractToken, isLLMBackendConfigured, parsePositiveEnvNumber } from '../util';
-import { agentStore, type AgentModelPolicy, type PageToolsPolicy } from '../storage/agents';
+import { FastifyBaseLogger, FastifyPluginAsync, FastifyReply, FastifyRequest } from 'fastify';
+import type { OutgoingHttpHeaders } from 'http';
+import { validateAuth, createError, generateId, countTokens, contentToText, isOllamaAvailable, getOllamaDefaultModel, isAgentKey, extractToken, isLLMBackendConfigured, parsePositiveEnvNumber, isRecord } from '../util';
+import { agentStore, type AgentModelPolicy, type PageToolsPolicy, type RateLimits } from '../storage/agents';
+import { threadStore, type ThreadMessageInput } from '../storage/threads';
 import * as yaml from 'yaml';
+import type { z } from 'zod';
 import OzwellAI from 'ozwellai';
 import type { ChatCompletionRequest as ClientChatCompletionRequest } from 'ozwellai';
-import type { ChatCompletionRequest, Message } from '../../../spec/index';
-import { generateMockResponse, extractUserMessage, hasToolResult, extractToolResult, contentToText, type ChatMessage as MockChatMessage } from './mock-chat';
+import { ChatCompletionRequestSchema, type ChatCompletionRequest, type Message } from '../../../spec/index';
+import { generateMockResponse, extractUserMessage, hasToolResult, extractToolResult, type ChatMessage as MockChatMessage } from './mock-chat';
 import { getCachedModelsList } from './models';
+import { enforceRateLimits, rateLimitsFromYaml } from '../util/rate-limits';
+import { knowledgeFromYaml, withKnowledge } from '../util/knowledge';
+import { acquireProvider, allowedFailoverSteps, failoverReason, fallbacksFromYaml, recordProviderFailure, recordProviderSuccess, releaseProvider, type FailoverAttempt, type FailoverStep } from '../util/failover';
+import { recordHeartbeat, recordLlmRequest, recordMockResponse, recordModelFallback, recordUpstreamError, trackSseStream } from '../util/metrics';
+import { CACHE_HEADER, cacheSettingsFromYaml, responseCacheFor, type ResponseCacheSettings } from '../util/response-cache';
+import { createRedactor, redactionFromYaml, type RedactionPolicy } from '../util/redaction';
+import { toolCallValidationError, toolSchemaError, toolValidationFromYaml, toolValidationReplies, validateToolCalls, type ToolCallProblem, type ToolValidationPolicy } from '../util/tool-validation';
+import { jsonSchemaError, sampleFromJsonSchema, validateJsonSchema } from '../util/json-schema';
+import { createToolCallParser, parseDeltaToolCalls, parseToolCallMarkup } from '../util/tool-call-parser';
+import { JSON_SCHEMA_MAX_RETRIES, checkStructuredOutput, sampleStructuredOutput, structuredOutputCorrection, structuredOutputFor, type StructuredOutputSpec } from '../util/structured-output';
+import { checkGuardrailInput, checkGuardrailOutput, createOutputGuard, guardrailError, guardrailsFromYaml, refusalAfter, type GuardrailPolicy, type GuardrailViolation } from '../util/guardrails';
+import type { NonNullableMessage, TokenUsage, ToolCall, ToolCallDelta, ToolDef, UsageContext } from '../util/types';
+import { AGENT_TOOL_MAX_ITERATIONS, addUsage, parseAgentWebhookTools, partitionToolCalls, runAgentToolCalls, withAgentWebhookTools, type AgentWebhookTool } from '../util/agent-tools';
 
 // SSE Heartbeat Configuration
 // Send keepalive every 25s to prevent 60s Nginx timeout
 const STREAMING_HEARTBEAT_ENABLED = process.env.STREAMING_HEARTBEAT_ENABLED !== 'false'; // enabled by default
 const STREAMING_HEARTBEAT_MS = parseInt(process.env.STREAMING_HEARTBEAT_MS || '25000', 10);
 
-// Local helper types to support tool definitions in the server
-type ToolFunction = {
-  name: string;
-  description?: string;
-  parameters?: JSONSchemaParameters;
-};
-
-type ToolDef = { type: 'function'; function: ToolFunction };
-type ToolCall = { id: string; type: 'function'; function: { name: string; arguments: string } };
-type TokenUsage = {
-  prompt_tokens?: number;
-  completion_tokens?: number;
-  total_tokens?: number;
-};
 type ChatCompletionRequestWithTools = ChatCompletionRequest & {
   provider?: string;
   tools?: ToolDef[];
   stream_options?: { include_usage?: boolean };
+  thread_id?: string;
 };
-type NonNullableMessage = { role: Message['role']; content: NonNullable<Message['content']>; name?: Message['name']; tool_calls?: ToolCall[]; tool_call_id?: string };
-
-// JSON Schema type for tool function parameters
-type JSONSchemaParameters = {
-  type?: string;
-  properties?: Record<string, unknown>;
-  required?: string[];
-  [key: string]: unknown;
-};
-
 // Raw tool call structure from parsed JSON (before normalization)
 type RawToolCallJSON = {
   id?: string;
@@ -69,21 +62,11 @@ type StreamingChoice = {
 // Chat message with optional tool_calls (for mutation)
 type ChatMessage = {
   role: string;
-  content?: string;
+  content?: string | null;
   tool_calls?: ToolCall[];
 };
 
-type UsageContext = {
-  authType: 'parent' | 'agent';
-  parentKeyId: string | null;
-  agentId: string | null;
-};
-
-function isRecord(value: unknown): value is Record<string, unknown> {
-  return !!value && typeof value === 'object' && !Array.isArray(value);
-}
-
-function isValidMessageContent(content: unknown): boolean {
+export function isValidMessageContent(content: unknown): boolean {
   if (content == null || typeof content === 'string') return true;
   if (!Array.isArray(content)) return false;
 
@@ -101,7 +84,7 @@ function isValidMessageContent(content: unknown): boolean {
 }
 
 // Helper: try to detect tool calls from JSON content and convert to ToolCall[]
-function tryExtractToolCallsFromContent(content: string | undefined, tools?: ToolDef[] | undefined): ToolCall[] | null {
+export function tryExtractToolCallsFromContent(content: string | undefined, tools?: ToolDef[] | undefined): ToolCall[] | null {
   if (!content) return null;
   let text = content.trim();
   // strip markdown code block if present
@@ -147,13 +130,12 @@ function tryExtractToolCallsFromContent(content: string | undefined, tools?: Too
     }
 
     // If parsed is an argument object (e.g., { name: 'Bob' }) and tools provided,
-    // attempt to find a single tool whose required parameters are all present
-    if (typeof parsed === 'object' && tools && Array.isArray(tools) && Object.keys(parsed).length > 0) {
-      const parsedKeys = Object.keys(parsed);
+    // attempt to find a single tool (with required parameters) whose schema it satisfies
+    if (isRecord(parsed) && tools && Array.isArray(tools) && Object.keys(parsed).length > 0) {
       const matches = tools.filter((t) => {
         const req = t.function.parameters?.required;
         if (!req || req.length === 0) return false;
-        return req.every(k => parsedKeys.includes(k));
+        return validateJsonSchema(parsed, t.function.parameters).length === 0;
       });
       if (matches.length === 1) {
         const tool = matches[0];
@@ -173,6 +155,59 @@ function tryExtractToolCallsFromContent(content: string | undefined, tools?: Too
   return null;
 }
 
+// Open a raw SSE response. Headers already set with reply.header() (rate
+// limits, agent revision, cache status) are carried over, since writing to
+// reply.raw bypasses Fastify's own header handling.
+export function writeSseHead(reply: FastifyReply, origin: string | undefined): void {
+  reply.raw.writeHead(200, {
+    ...(reply.getHeaders() as OutgoingHttpHeaders),
+    'content-type': 'text/event-stream',
+    'cache-control': 'no-cache',
+    'connection': 'keep-alive',
+    'access-control-allow-origin': origin || '*',
+    'access-control-allow-credentials': 'true',
+  });
+}
+
+// Start the SSE keepalive on an open event stream. Returns a stop function
+// that is safe to call more than once.
+export function startSseHeartbeat(reply: FastifyReply): () => void {
+  if (!STREAMING_HEARTBEAT_ENABLED) return () => {};
+
+  // Send initial warming event
+  reply.raw.write(': heartbeat\n\n');
+  recordHeartbeat();
+
+  let heartbeatInterval: NodeJS.Timeout | null = setInterval(() => {
+    try {
+      reply.raw.write(': heartbeat\n\n');
+      recordHeartbeat();
+    } catch (e) {
+      // Connection closed, clear interval
+      stop();
+    }
+  }, STREAMING_HEARTBEAT_MS);
+
+  function stop() {
+    if (heartbeatInterval) {
+      clearInterval(heartbeatInterval);
+      heartbeatInterval = null;
+    }
+  }
+  return stop;
+}
+
+// Helper: fold streamed tool_call fragments into complete tool calls (keyed by index)
+export function mergeToolCallDeltas(target: ToolCall[], deltas: ToolCallDelta[]): void {
+  for (const delta of deltas) {
+    const idx = delta.index ?? target.length;
+    const existing = target[idx] ?? (target[idx] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+    if (delta.id) existing.id = delta.id;
+    if (delta.function?.name) existing.function.name += delta.function.name;
+    if (delta.function?.arguments) existing.function.arguments += delta.function.arguments;
+  }
+}
+
 // Cached regex for <think>...</think> extraction (used in hot streaming path)
 const THINK_TAG_REGEX = /<think>([\s\S]*?)<\/think>/g;
 
@@ -212,7 +247,7 @@ const MAX_THINK_BUFFER = 64 * 1024;
 // Normalize a streaming chunk: extract thinking tokens into delta.thinking
 // Handles Ollama/Qwen, DeepSeek, and <think> tags in content.
 // Mutates and returns the chunk for forwarding.
-function normalizeChunkThinking(chunk: Record<string, unknown>, thinkBuffer: { partial: string }): Record<string, unknown> {
+export function normalizeChunkThinking(chunk: Record<string, unknown>, thinkBuffer: { partial: string }): Record<string, unknown> {
   const choices = chunk.choices as Array<Record<string, unknown>> | undefined;
   if (!choices || choices.length === 0) return chunk;
 
@@ -269,7 +304,7 @@ function normalizeChunkThinking(chunk: Record<string, unknown>, thinkBuffer: { p
 }
 
 // Normalize a non-streaming response message: extract thinking from content
-function normalizeMessageThinking(message: Record<string, unknown>): void {
+export function normalizeMessageThinking(message: Record<string, unknown>): void {
   renameReasoningField(message);
 
   // Ollama/Qwen (older): <think> tags in content
@@ -282,8 +317,40 @@ function normalizeMessageThinking(message: Record<string, unknown>): void {
   }
 }
 
+// Normalize every choice of a non-streaming completion in place: extract thinking
+// tokens and convert plain JSON content into tool_calls.
+function normalizeCompletionChoices(response: { choices?: unknown[] } | undefined, tools: ToolDef[] | undefined): void {
+  try {
+    if (!response || !Array.isArray(response.choices)) return;
+    for (const choice of response.choices as Array<{ message?: ChatMessage; finish_reason?: string }>) {
+      const msg = choice.message;
+      if (!msg) continue;
+      // Extract thinking tokens (e.g. <think> tags, reasoning_content)
+      normalizeMessageThinking(msg as Record<string, unknown>);
+
+      // Tool call markup from open-weight models (Hermes, Mistral, Llama)
+      const markup = !msg.tool_calls && typeof msg.content === 'string' && tools?.length ? parseToolCallMarkup(msg.content) : null;
+      if (markup) {
+        msg.content = markup.content || null;
+        msg.tool_calls = markup.calls;
+        choice.finish_reason = 'tool_calls';
+      }
+
+      // Try to convert plain JSON content to tool_calls
+      if (!msg.tool_calls && typeof msg.content === 'string') {
+        const extracted = tryExtractToolCallsFromContent(msg.content, tools);
+        if (extracted && extracted.length > 0) {
+          msg.tool_calls = extracted;
+        }
+      }
+    }
+  } catch (e) {
+    // No-op: parsing fallback should not break the response
+  }
+}
+
 // Detect model-not-found errors from gateway (404, model_not_found, etc.)
-function isModelNotFoundError(error: unknown): boolean {
+export function isModelNotFoundError(error: unknown): boolean {
   if (error instanceof Error) {
     const msg = error.message.toLowerCase();
     return msg.includes('404') || msg.includes('model_not_found') || msg.includes('does not exist');
@@ -291,23 +358,33 @@ function isModelNotFoundError(error: unknown): boolean {
   return false;
 }
 
-function buildFallbackWarning(originalModel: string, fallbackModel: string) {
+// `attempts` lists every step of the failover chain that was tried (or skipped)
+// before `fallback` answered, with the reason it was passed over.
+export function buildFallbackWarning(original: FailoverStep, fallback: FailoverStep, attempts: FailoverAttempt[]) {
+  const modelNotFound = original.provider === fallback.provider && attempts.every(attempt => attempt.reason === 'model_not_found');
   return {
     type: 'model_fallback' as const,
-    message: `Model ${originalModel} not available on this provider — using ${fallbackModel}`,
-    original_model: originalModel,
-    fallback_model: fallbackModel,
+    message: modelNotFound
+      ? `Model ${original.model} not available on this provider — using ${fallback.model}`
+      : `Model ${original.model} on ${original.provider} unavailable (${attempts[0]?.reason}) — using ${fallback.model} on ${fallback.provider}`,
+    original_model: original.model,
+    fallback_model: fallback.model,
+    original_provider: original.provider,
+    fallback_provider: fallback.provider,
+    attempts,
   };
 }
 
+export type FallbackWarning = ReturnType<typeof buildFallbackWarning>;
+
 // Identifier used as the `model` field on every mock response so callers can immediately
 // distinguish a deterministic mock from a real LLM answer. Mock warnings keep the selected
 // model that triggered the mock response.
-const MOCK_MODEL_ID = 'ozwell-mock';
+export const MOCK_MODEL_ID = 'ozwell-mock';
 
 // Marks every mock response so callers (and the chat widget) can always tell a deterministic
 // mock from a real LLM answer. Three reasons cover all paths that emit a mock body.
-function buildMockWarning(reason: 'no_backend' | 'llm_error' | 'mock_agent', model: string) {
+export function buildMockWarning(reason: 'no_backend' | 'llm_error' | 'mock_agent', model: string) {
   const messages = {
     no_backend: `No LLM backend configured or reachable — deterministic mock returned for model ${model}.`,
     llm_error: `LLM backend errored — deterministic mock returned as fallback for model ${model}.`,
@@ -323,16 +400,18 @@ const FALLBACK_MODEL = process.env.DEFAULT_MODEL || 'gpt-4o-mini';
 // Mock responses are OFF by default — keep real LLM errors visible in production.
 // Set ALLOW_MOCK=true to return deterministic mock replies (no LLM configured,
 // LLM errored, or an agent declares type: mock).
-const MOCK_ENABLED = process.env.ALLOW_MOCK === 'true';
+export const MOCK_ENABLED = process.env.ALLOW_MOCK === 'true';
 // No output cap by default. LLM_MAX_TOKENS sets a server-wide ceiling; a client
 // that sends its own max_tokens always overrides this.
 const LLM_MAX_TOKENS = parsePositiveEnvNumber('LLM_MAX_TOKENS');
+// Upstream timeout per attempt; a timed-out call fails over to the next step of the chain
+const LLM_TIMEOUT_MS = parsePositiveEnvNumber('LLM_TIMEOUT_MS') ?? 120000;
 
 function createLlmClient(provider: string | null) {
   return new OzwellAI({
     apiKey: process.env.LLM_API_KEY || '',
     baseURL: process.env.LLM_BASE_URL!,
-    timeout: 120000,
+    timeout: LLM_TIMEOUT_MS,
     defaultHeaders: {
       ...((provider || LLM_PROVIDER) && { 'x-portkey-provider': provider || LLM_PROVIDER }),
     },
@@ -342,8 +421,434 @@ function createLlmClient(provider: string | null) {
 const ollamaClient = new OzwellAI({
   apiKey: 'ollama',
   baseURL: process.env.OLLAMA_BASE_URL || 'http://127.0.0.1:11434',
-  timeout: 120000,
+  timeout: LLM_TIMEOUT_MS,
+});
+
+export type AgentChatConfig = {
+  systemPrompt: string;
+  allowedTools: string[] | null;
+  webhookTools: AgentWebhookTool[];
+  pageTools: PageToolsPolicy;
+  modelPolicy: AgentModelPolicy;
+  limits: RateLimits;
+  // Uploaded file IDs searched for context on every turn (see knowledge.ts)
+  knowledge: string[];
+  // Provider/model pairs to fail over to, before the parent key's (see failover.ts)
+  fallbacks: FailoverStep[];
+  temperature: number | null;
+  type: 'mock' | null;
+  // Response cache settings from `cache:` (see response-cache.ts)
+  cache: ResponseCacheSettings;
+  // Identifiers kept from the provider, from `redaction:` (see redaction.ts)
+  redaction: RedactionPolicy | null;
+  // Input and output checks from `guardrails:` (see guardrails.ts)
+  guardrails: GuardrailPolicy | null;
+  // Handling of tool calls with invalid arguments, from `toolValidation:` (see tool-validation.ts)
+  toolValidation: ToolValidationPolicy;
+};
+
+export type ChatCaller = {
+  usageContext: UsageContext;
+  agentConfig: AgentChatConfig | null;
+};
+
+type ChatError = ReturnType<typeof createError>;
+
+// Pins an agent-key request to a saved YAML revision instead of the live one,
+// so a change can be tried before it is rolled out (or rolled back to).
+export const AGENT_REVISION_HEADER = 'x-ozwell-agent-revision';
+
+// Authenticate a chat-style request and resolve the agent behind an agent key.
+// Shared by /v1/chat/completions and /v1/responses so both apply the same agent config.
+export function resolveChatCaller(request: FastifyRequest, reply: FastifyReply): { caller: ChatCaller; error: null } | { caller: null; error: ChatError } {
+  // Validate authorization — only agent keys (agnt_key-) and parent keys (ozw_) accepted
+  if (!validateAuth(request.headers.authorization)) {
+    reply.code(401);
+    return { caller: null, error: createError('Invalid or missing API key. Use an agent key (agnt_key-...) or parent API key (ozw_...).', 'invalid_request_error') };
+  }
+
+  // Validate token exists in database
+  const token = extractToken(request.headers.authorization);
+  if (!agentStore.validateKey(token)) {
+    reply.code(401);
+    return { caller: null, error: createError('API key not found. Verify the key exists in the database.', 'invalid_request_error') };
+  }
+
+  const pinnedRevision = request.headers[AGENT_REVISION_HEADER];
+  if (!isAgentKey(request.headers.authorization)) {
+    if (pinnedRevision !== undefined) {
+      reply.code(400);
+      return { caller: null, error: createError(`${AGENT_REVISION_HEADER} only applies to agent keys`, 'invalid_request_error', null, 'invalid_agent_revision') };
+    }
+    const parentKey = agentStore.lookupApiKey(token);
+    return {
+      caller: { usageContext: { authType: 'parent', parentKeyId: parentKey?.id ?? null, agentId: null }, agentConfig: null },
+      error: null,
+    };
+  }
+
+  // --- Agent key resolution ---
+  const resolved = agentStore.getByKeyWithActiveParent(token);
+  if (!resolved) {
+    reply.code(401);
+    return { caller: null, error: createError(`Agent key not found: ...${token.slice(-4)}. Verify the key exists and the server has the agent database.`, 'invalid_request_error') };
+  }
+  const { parentKey } = resolved;
+  let { agent } = resolved;
+
+  if (pinnedRevision !== undefined) {
+    const revisionNumber = Number(pinnedRevision);
+    if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+      reply.code(400);
+      return { caller: null, error: createError(`${AGENT_REVISION_HEADER} must be a revision number`, 'invalid_request_error', null, 'invalid_agent_revision') };
+    }
+    const revision = agentStore.getRevision(agent, revisionNumber);
+    if (!revision) {
+      reply.code(404);
+      return { caller: null, error: createError(`Agent revision ${revisionNumber} not found`, 'invalid_request_error', null, 'revision_not_found') };
+    }
+    agent = { ...agent, yaml: revision.yaml };
+    reply.header(AGENT_REVISION_HEADER, String(revision.revision));
+  }
+
+  // Parse the YAML blob once — the source of truth for agent config
+  let parsed: Record<string, unknown> = {};
+  try {
+    const p = yaml.parse(agent.yaml);
+    if (p && typeof p === 'object') parsed = p as Record<string, unknown>;
+  } catch (err) {
+    request.log.warn({ err, agentId: agent.id }, 'Failed to parse agent YAML');
+  }
+
+  // Use agent instructions as the system prompt
+  let systemPrompt = (parsed.instructions as string | undefined) || '';
+
+  // Append behavior metadata (tone, language, rules) as a structured
+  // supplement AFTER the instructions so they don't dilute or compete
+  // with the primary prompt.
+  const behavior = parsed.behavior;
+  if (behavior && typeof behavior === 'object') {
+    const b = behavior as Record<string, unknown>;
+    const extras: string[] = [];
+    if (b.tone) extras.push(`- Respond with a ${b.tone} tone.`);
+    if (b.language && b.language !== 'en') extras.push(`- Respond in ${b.language}.`);
+    if (Array.isArray(b.rules) && b.rules.length > 0) {
+      for (const rule of b.rules) {
+        if (typeof rule === 'string') extras.push(`- ${rule}`);
+      }
+    }
+    if (extras.length > 0) {
+      systemPrompt = systemPrompt.trimEnd() + '\n\n=== ADDITIONAL RULES ===\n' + extras.join('\n');
+    }
+  }
+
+  const tools = parsed.tools;
+  return {
+    caller: {
+      usageContext: { authType: 'agent', parentKeyId: parentKey.id, agentId: agent.id },
+      agentConfig: {
+        systemPrompt,
+        allowedTools: Array.isArray(tools) && tools.length > 0
+          ? (tools as unknown[]).map((t) => typeof t === 'string' ? t : (t as { name: string }).name)
+          : null,
+        webhookTools: parseAgentWebhookTools(tools),
+        pageTools: (parsed.pageTools as PageToolsPolicy) ?? 'all',
+        modelPolicy: agentStore.getAgentModelPolicy(agent.id, agent.yaml),
+        limits: rateLimitsFromYaml(parsed.limits),
+        knowledge: knowledgeFromYaml(parsed.knowledge),
+        fallbacks: fallbacksFromYaml(parsed.fallbacks),
+        temperature: (parsed.temperature as number | undefined) ?? null,
+        type: parsed.type === 'mock' ? 'mock' : null,
+        cache: cacheSettingsFromYaml(parsed.cache),
+        redaction: redactionFromYaml(parsed.redaction),
+        guardrails: guardrailsFromYaml(parsed.guardrails),
+        toolValidation: toolValidationFromYaml(parsed.toolValidation),
+      },
+    },
+    error: null,
+  };
+}
+
+export function createUsageRecorder(request: FastifyRequest, usageContext: UsageContext, route: string) {
+  const startedAt = Date.now();
+  return (model: string | null, statusCode: number, response?: unknown, provider?: string | null) => {
+    recordLlmRequest(route, provider, model, statusCode, Date.now() - startedAt);
+    const usage = response && typeof response === 'object' && 'usage' in response
+      ? (response as { usage?: TokenUsage }).usage
+      : undefined;
+    try {
+      agentStore.recordUsageEvent({
+        parent_key_id: usageContext.parentKeyId,
+        agent_id: usageContext.agentId,
+        auth_type: usageContext.authType,
+        route,
+        provider: provider ?? null,
+        model,
+        status_code: statusCode,
+        prompt_tokens: usage?.prompt_tokens ?? null,
+        completion_tokens: usage?.completion_tokens ?? null,
+        total_tokens: usage?.total_tokens ?? null,
+      });
+    } catch (err) {
+      request.log.warn({ err }, 'Failed to record usage event');
+    }
+  };
+}
+
+export type ChatTarget = {
+  backend: 'llm' | 'ollama' | 'fallback';
+  llmConfigured: boolean;
+  provider: string;
+  model: string;
+  fallbackRetryAllowed: boolean;
+  fallbackRetryModel: string;
+  // Selected provider/model first, then the allowed fallbacks in order
+  chain: FailoverStep[];
+};
+
+// Backend selection + model policy. Returns 400/403 errors for ambiguous or disallowed models.
+export async function resolveChatTarget(
+  request: FastifyRequest,
+  reply: FastifyReply,
+  caller: ChatCaller,
+  requestedProvider: string | undefined,
+  requestedModel: string | undefined,
+): Promise<{ target: ChatTarget; error: null } | { target: null; error: ChatError }> {
+  const { usageContext, agentConfig } = caller;
+
+  // Backend selection priority:
+  // 1. LLM_BASE_URL configured → use it (OpenAI, Portkey Gateway, etc.)
+  // 2. Ollama reachable → use Ollama
+  // 3. Mock/simple generator
+  const llmConfigured = isLLMBackendConfigured();
+  const ollamaAvailable = llmConfigured ? false : await isOllamaAvailable();
+  const backend = llmConfigured ? 'llm' : ollamaAvailable ? 'ollama' : 'fallback';
+
+  // Determine default model based on backend
+  const DEFAULT_MODEL = llmConfigured ? LLM_MODEL : ollamaAvailable ? getOllamaDefaultModel() : FALLBACK_MODEL;
+
+  getCachedModelsList();
+  const effectiveModels = agentConfig && usageContext.parentKeyId && usageContext.agentId
+    ? agentStore.listEffectiveProviderModelsForAgent(usageContext.parentKeyId, usageContext.agentId)
+    : agentStore.listEffectiveProviderModels(usageContext.parentKeyId ?? null);
+  const selectedModel = requestedModel || agentConfig?.modelPolicy.default_model || DEFAULT_MODEL;
+  const selectedProvider = requestedProvider
+    || agentConfig?.modelPolicy.default_provider
+    || (() => {
+      const matches = effectiveModels.filter(item => item.model === selectedModel || item.id === selectedModel);
+      return matches.length === 1 ? matches[0].provider : null;
+    })();
+  if (!selectedProvider) {
+    reply.code(400);
+    return { target: null, error: createError('Provider is required for ambiguous model selection', 'invalid_request_error', 'provider', 'provider_required') };
+  }
+  const allowedModel = effectiveModels.find(item => item.provider === selectedProvider && (item.model === selectedModel || item.id === selectedModel));
+  if (!allowedModel) {
+    reply.code(403);
+    return { target: null, error: createError('Requested provider/model is not allowed for this key or agent', 'invalid_request_error', 'model', 'model_not_allowed') };
+  }
+  const provider = allowedModel.provider;
+  const model = allowedModel.model;
+  const fallbackModel = effectiveModels.find(item => item.provider === provider && (item.model === DEFAULT_MODEL || item.id === DEFAULT_MODEL));
+  // Failover chain: the agent's fallbacks, then the parent key's, limited to what this caller may use
+  const fallbacks = allowedFailoverSteps([
+    ...(agentConfig?.fallbacks ?? []),
+    ...(usageContext.parentKeyId ? agentStore.getParentKeyFallbacks(usageContext.parentKeyId) : []),
+  ], effectiveModels).filter(step => step.provider !== provider || step.model !== model);
+
+  request.log.info({ backend, llmConfigured, ollamaAvailable, provider, model, requestedProvider, requestedModel, agentProvider: agentConfig?.modelPolicy.default_provider, agentModel: agentConfig?.modelPolicy.default_model, agentTemperature: agentConfig?.temperature }, 'Chat request backend selection');
+
+  return {
+    target: {
+      backend,
+      llmConfigured,
+      provider,
+      model,
+      fallbackRetryAllowed: Boolean(fallbackModel),
+      fallbackRetryModel: fallbackModel?.model || DEFAULT_MODEL,
+      chain: [{ provider, model }, ...fallbacks],
+    },
+    error: null,
+  };
+}
+
+export function chatClientFor(target: ChatTarget, provider: string = target.provider) {
+  return target.llmConfigured ? createLlmClient(provider) : ollamaClient;
+}
+
+/**
+ * Call the target's failover chain in order until one step succeeds (see
+ * failover.ts). Steps whose provider breaker is open, or half-open with a probe
+ * already in flight, are skipped. A model-not-found
+ * error on the selected model also tries the backend default model next, as before
+ * fallbacks existed. `attempt` receives, past the first step, the warning to show
+ * if that step answers. `canFailover` reports whether a failed attempt may still
+ * be retried elsewhere (a stream that already sent output can't). Throws the last
+ * error when no step succeeded.
+ */
+export async function runWithFailover<T>(
+  target: ChatTarget,
+  log: FastifyBaseLogger,
+  attempt: (step: FailoverStep, client: ReturnType<typeof chatClientFor>, warning: FallbackWarning | undefined) => Promise<T>,
+  canFailover: () => boolean = () => true,
+): Promise<{ result: T; step: FailoverStep; warning: FallbackWarning | undefined }> {
+  const steps = [...target.chain];
+  const [original] = steps;
+  const attempts: FailoverAttempt[] = [];
+  let lastError: unknown = new Error('Every provider in the failover chain is unavailable (circuit breaker open)');
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    if (!acquireProvider(step.provider)) {
+      attempts.push({ ...step, reason: 'circuit_open' });
+      continue;
+    }
+    const warning = attempts.length > 0 ? buildFallbackWarning(original, step, [...attempts]) : undefined;
+    try {
+      const result = await attempt(step, chatClientFor(target, step.provider), warning);
+      recordProviderSuccess(step.provider);
+      if (warning) recordModelFallback(step.provider, step.model);
+      return { result, step, warning };
+    } catch (error) {
+      lastError = error;
+      releaseProvider(step.provider);
+      let reason: string;
+      if (isModelNotFoundError(error)) {
+        // The provider answered, so this doesn't count against its breaker
+        reason = 'model_not_found';
+        recordUpstreamError(step.provider, reason);
+        const retryModel = target.fallbackRetryModel;
+        if (i === 0 && step.model !== retryModel && target.llmConfigured && target.fallbackRetryAllowed
+          && !steps.some(s => s.provider === step.provider && s.model === retryModel)) {
+          steps.splice(1, 0, { provider: step.provider, model: retryModel });
+        }
+      } else {
+        const failover = failoverReason(error);
+        recordUpstreamError(step.provider, failover ?? 'other');
+        if (!failover) throw error;
+        reason = failover;
+        recordProviderFailure(step.provider, log);
+      }
+      if (!canFailover()) throw error;
+      attempts.push({ ...step, reason });
+      if (i < steps.length - 1) {
+        log.info({ provider: step.provider, model: step.model, reason }, 'Chat provider failed, trying next in failover chain');
+      }
+    }
+  }
+  throw lastError;
+}
+
+const usesReasoningParams = (m: string) => /(^|\/)(o\d|gpt-5)/.test(m);
+
+// gpt-5.x + o-series require `max_completion_tokens`; everything else (gpt-4.x, Ollama) uses `max_tokens`.
+// Classified per call from the model actually being sent — the fallback retry switches models, so a
+// single precomputed object would send the wrong key on retry. `(^|/)` also matches provider-prefixed
+// ids (e.g. `openai/gpt-5`). Regex self-classifies future gpt-5.x/o models.
+export function tokenParamsFor(model: string, maxTokens: number | undefined): Record<string, number> {
+  if (!maxTokens) return {};
+  return usesReasoningParams(model) ? { max_completion_tokens: maxTokens } : { max_tokens: maxTokens };
+}
+
+export function temperatureParamsFor(model: string, temperature: number | undefined): Record<string, number> {
+  return temperature === undefined || usesReasoningParams(model) ? {} : { temperature };
+}
+
+// OpenAI request parameters, checked against the spec. All but temperature and
+// max_tokens (see above) are passed upstream as sent.
+const ChatParamsSchema = ChatCompletionRequestSchema.pick({
+  temperature: true,
+  max_tokens: true,
+  top_p: true,
+  n: true,
+  stop: true,
+  presence_penalty: true,
+  frequency_penalty: true,
+  logit_bias: true,
+  logprobs: true,
+  top_logprobs: true,
+  seed: true,
+  tool_choice: true,
+  parallel_tool_calls: true,
+  reasoning_effort: true,
+  user: true,
 });
+export type ChatParams = z.infer<typeof ChatParamsSchema>;
+
+/** Check a request's parameters; the error names the first bad one. */
+export function checkChatParams(body: Record<string, unknown>): { params: ChatParams; error: null } | { params: null; error: ReturnType<typeof createError> } {
+  const result = ChatParamsSchema.safeParse(body);
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    const param = issue.path.reduce<string>((text, segment) => (typeof segment === 'number' ? `${text}[${segment}]` : text ? `${text}.${segment}` : segment), '');
+    return { params: null, error: createError(`Invalid ${param}: ${issue.message}`, 'invalid_request_error', param || null) };
+  }
+  return { params: result.data, error: null };
+}
+
+// Reasoning models reject sampling controls, and reasoning_effort is theirs alone.
+// Tool parameters only go with tools.
+const SAMPLING_PARAMS = new Set(['top_p', 'presence_penalty', 'frequency_penalty', 'logit_bias', 'logprobs', 'top_logprobs']);
+export function chatParamsFor(model: string, params: ChatParams, withTools: boolean): Record<string, unknown> {
+  const reasoning = usesReasoningParams(model);
+  return Object.fromEntries(Object.entries(params).filter(([key, value]) => {
+    if (value === undefined || key === 'temperature' || key === 'max_tokens') return false;
+    if (key === 'tool_choice' || key === 'parallel_tool_calls') return withTools;
+    if (key === 'reasoning_effort') return reasoning;
+    return !(reasoning && SAMPLING_PARAMS.has(key));
+  }));
+}
+
+// Normalize message content so it matches the ChatCompletionRequest type (non-nullable content)
+// Preserve tool_calls (on assistant messages) and tool_call_id (on tool messages)
+// so Ollama can correctly associate tool results with the calls that produced them
+export function normalizeChatMessages(messages: (Message & { tool_calls?: ToolCall[]; tool_call_id?: string })[]): NonNullableMessage[] {
+  return messages.map((m) => ({
+    role: m.role,
+    content: m.content ?? '',
+    name: m.name,
+    ...(m.tool_calls && { tool_calls: m.tool_calls }),
+    ...(m.tool_call_id && { tool_call_id: m.tool_call_id }),
+  }));
+}
+
+// --- Agent: filter tools ---
+// Tools arriving from the widget use two namespaces:
+//   • bare names       — server-side tools (defined in the agent's tools array)
+//   • postMessage_name — page-provided tools (prefixed by the loader)
+//   • postMessage:name — legacy page tools from cached loaders during deploys
+//
+// allowedTools (from agent.tools) gates bare-name tools.
+// pageTools policy gates prefixed page tools.
+const PM_PREFIXES = ['postMessage_', 'postMessage:'];
+
+export function filterToolsForAgent(tools: ToolDef[] | undefined, agentConfig: AgentChatConfig | null): ToolDef[] | undefined {
+  if (agentConfig === null || !tools) return tools;
+  const allowed = agentConfig.allowedTools;          // null = no server tools defined
+  const pagePolicy = agentConfig.pageTools;          // 'all' | { restricted: [...] } | { blocked: [...] }
+
+  return tools.filter((t) => {
+    if (!t || t.type !== 'function' || !t.function || typeof t.function.name !== 'string') return false;
+    const name = t.function.name;
+
+    const pagePrefix = PM_PREFIXES.find((prefix) => name.startsWith(prefix));
+    if (pagePrefix) {
+      // Page tool — apply pageTools policy
+      const bare = name.slice(pagePrefix.length);
+      if (pagePolicy === 'all') return true;
+      if (typeof pagePolicy === 'object' && 'restricted' in pagePolicy) {
+        return pagePolicy.restricted.includes(bare);
+      }
+      if (typeof pagePolicy === 'object' && 'blocked' in pagePolicy) {
+        return !pagePolicy.blocked.includes(bare);
+      }
+      return true;  // unrecognized policy → allow
+    } else {
+      // Server-side tool — apply allowedTools allowlist
+      if (allowed === null) return true;    // no allowlist → pass all
+      return allowed.includes(name);
+    }
+  });
+}
 
 // Mock dispatch — split into stream / non-stream variants so the call-site
 // contract is enforced by the type system (no more silent `if (stream) return` footgun).
@@ -351,30 +856,71 @@ const ollamaClient = new OzwellAI({
 
 type MockWarning = ReturnType<typeof buildMockWarning>;
 
-function buildMockAssistant(messages: NonNullableMessage[]) {
-  const userMsg = extractUserMessage(messages as MockChatMessage[]);
-  const hasResult = hasToolResult(messages as MockChatMessage[]);
-  const toolResult = hasResult ? extractToolResult(messages as MockChatMessage[]) : null;
-  const assistantMsg = generateMockResponse(userMsg, hasResult, toolResult);
-  const finishReason = assistantMsg.tool_calls?.length ? 'tool_calls' : 'stop';
+// Request parameters the mock honors: a forced or disabled tool_choice (forced calls
+// get sample arguments from the tool's schema), stop sequences, n copies of the
+// choice, and stable tool call ids with a seed.
+export type MockParams = Pick<ChatParams, 'tool_choice' | 'stop' | 'n' | 'seed'> & { tools?: ToolDef[] };
+
+// With a response_format schema the mock answers with a conforming sample instead of text.
+export function buildMockAssistant(messages: NonNullableMessage[], structured: StructuredOutputSpec | null = null, params: MockParams = {}) {
+  let assistantMsg: ReturnType<typeof generateMockResponse>;
+  if (structured) {
+    assistantMsg = { role: 'assistant', content: sampleStructuredOutput(structured) };
+  } else {
+    const userMsg = extractUserMessage(messages as MockChatMessage[]);
+    const hasResult = hasToolResult(messages as MockChatMessage[]);
+    const toolResult = hasResult ? extractToolResult(messages as MockChatMessage[]) : null;
+    assistantMsg = generateMockResponse(userMsg, hasResult, toolResult);
+  }
+
+  const toolChoice = params.tool_choice;
+  if (toolChoice === 'none' && assistantMsg.tool_calls) {
+    // The default answer stands in for a reply that was only a call
+    assistantMsg = { role: 'assistant', content: assistantMsg.content || generateMockResponse('', false, null).content };
+  } else if (toolChoice && toolChoice !== 'none' && toolChoice !== 'auto') {
+    const forced = typeof toolChoice === 'object' ? toolChoice.function.name : null;
+    const calls = assistantMsg.tool_calls ?? [];
+    const satisfied = forced ? calls.length > 0 && calls.every(call => call.function.name === forced) : calls.length > 0;
+    const tool = params.tools?.find(t => (forced ? t.function.name === forced : true));
+    if (!satisfied && tool) {
+      assistantMsg = {
+        role: 'assistant',
+        content: '',
+        tool_calls: [{ id: `call_${Date.now()}`, type: 'function', function: { name: tool.function.name, arguments: JSON.stringify(sampleFromJsonSchema(tool.function.parameters ?? {})) } }],
+      };
+    }
+  }
+
+  const stops = typeof params.stop === 'string' ? [params.stop] : params.stop ?? [];
+  const cut = Math.min(...stops.filter(Boolean).map(stop => assistantMsg.content.indexOf(stop)).filter(at => at !== -1));
+  if (Number.isFinite(cut)) assistantMsg = { ...assistantMsg, content: assistantMsg.content.slice(0, cut) };
+
+  if (params.seed !== undefined && assistantMsg.tool_calls) {
+    assistantMsg = { ...assistantMsg, tool_calls: assistantMsg.tool_calls.map((call, index) => ({ ...call, id: `call_seed${params.seed}_${index}` })) };
+  }
+  const finishReason: string = assistantMsg.tool_calls?.length ? 'tool_calls' : 'stop';
   return { assistantMsg, finishReason };
 }
 
+type MockAssistant = ReturnType<typeof buildMockAssistant>;
+
 function dispatchMockNonStream(
   messages: NonNullableMessage[],
+  { assistantMsg, finishReason }: MockAssistant,
   warning: MockWarning,
+  params: MockParams,
 ) {
-  const { assistantMsg, finishReason } = buildMockAssistant(messages);
+  const n = params.n ?? 1;
   const promptText = messages.map((m) => contentToText(m.content)).join(' ');
   const completionText = assistantMsg.content || JSON.stringify(assistantMsg.tool_calls || []);
   const promptTokens = countTokens(promptText);
-  const completionTokens = countTokens(completionText);
+  const completionTokens = countTokens(completionText) * n;
   return {
     id: generateId('chatcmpl'),
     object: 'chat.completion' as const,
     created: Math.floor(Date.now() / 1000),
     model: MOCK_MODEL_ID,
-    choices: [{ index: 0, message: assistantMsg, finish_reason: finishReason }],
+    choices: Array.from({ length: n }, (_, index) => ({ index, message: assistantMsg, finish_reason: finishReason })),
     usage: {
       prompt_tokens: promptTokens,
       completion_tokens: completionTokens,
@@ -384,51 +930,53 @@ function dispatchMockNonStream(
   };
 }
 
+// Returns the assistant message that was streamed so callers can persist it.
 function dispatchMockStream(
-  messages: NonNullableMessage[],
+  { assistantMsg, finishReason }: MockAssistant,
   reply: FastifyReply,
   origin: string | undefined,
   warning: MockWarning,
-): void {
-  const { assistantMsg, finishReason } = buildMockAssistant(messages);
+  params: MockParams,
+  guardrail: GuardrailViolation | null,
+) {
   const id = generateId('chatcmpl');
   const created = Math.floor(Date.now() / 1000);
 
-  reply.raw.writeHead(200, {
-    'content-type': 'text/event-stream',
-    'cache-control': 'no-cache',
-    'connection': 'keep-alive',
-    'access-control-allow-origin': origin || '*',
-    'access-control-allow-credentials': 'true',
-  });
+  writeSseHead(reply, origin);
+  trackSseStream(reply);
 
   // Emit warning event before chunks so widget can react before content streams in
   reply.raw.write(`event: warning\ndata: ${JSON.stringify(warning)}\n\n`);
+  if (guardrail) reply.raw.write(`event: guardrail\ndata: ${JSON.stringify(guardrail)}\n\n`);
+
+  // With n, each choice streams in turn under its own index
+  for (let index = 0; index < (params.n ?? 1); index++) {
+    const writeChunk = (delta: Record<string, unknown>, finish: string | null = null) => {
+      reply.raw.write(`data: ${JSON.stringify({
+        id, object: 'chat.completion.chunk', created, model: MOCK_MODEL_ID,
+        choices: [{ index, delta, finish_reason: finish }],
+      })}\n\n`);
+    };
 
-  const writeChunk = (delta: Record<string, unknown>, finish: string | null = null) => {
-    reply.raw.write(`data: ${JSON.stringify({
-      id, object: 'chat.completion.chunk', created, model: MOCK_MODEL_ID,
-      choices: [{ index: 0, delta, finish_reason: finish }],
-    })}\n\n`);
-  };
+    writeChunk({ role: 'assistant' });
 
-  writeChunk({ role: 'assistant' });
+    if (assistantMsg.content) {
+      const CHUNK = 3;
+      for (let i = 0; i < assistantMsg.content.length; i += CHUNK) {
+        writeChunk({ content: assistantMsg.content.slice(i, i + CHUNK) });
+      }
+    }
 
-  if (assistantMsg.content) {
-    const CHUNK = 3;
-    for (let i = 0; i < assistantMsg.content.length; i += CHUNK) {
-      writeChunk({ content: assistantMsg.content.slice(i, i + CHUNK) });
+    if (assistantMsg.tool_calls) {
+      const withIndex = assistantMsg.tool_calls.map((tc, idx) => ({ index: idx, ...tc }));
+      writeChunk({ tool_calls: withIndex });
     }
-  }
 
-  if (assistantMsg.tool_calls) {
-    const withIndex = assistantMsg.tool_calls.map((tc, idx) => ({ index: idx, ...tc }));
-    writeChunk({ tool_calls: withIndex });
+    writeChunk({}, finishReason);
   }
-
-  writeChunk({}, finishReason);
   reply.raw.write('data: [DONE]\n\n');
   reply.raw.end();
+  return assistantMsg;
 }
 
 // Single decision point for every mock path (mock_agent, no_backend, llm_error).
@@ -436,6 +984,8 @@ function dispatchMockStream(
 // failures stay visible. All three call sites are reached before any response
 // headers are sent, so a JSON error is always safe here.
 // Returns a value to `return` for the non-stream case; streams end internally.
+// onAssistantMessage receives the mock assistant message whenever one is sent.
+// The agent's output guardrails check the mock answer like a provider's.
 function respondMockOrError(
   reason: Parameters<typeof buildMockWarning>[0],
   model: string,
@@ -443,28 +993,124 @@ function respondMockOrError(
   stream: boolean,
   reply: FastifyReply,
   origin: string | undefined,
+  onAssistantMessage?: (message: ThreadMessageInput) => void,
+  structured: StructuredOutputSpec | null = null,
+  params: MockParams = {},
+  guardrails: GuardrailPolicy | null = null,
 ) {
   const warning = buildMockWarning(reason, model);
-  if (reason === 'mock_agent') {
-    if (stream) {
-      dispatchMockStream(messages, reply, origin, warning);
-      return undefined;
-    }
-    return dispatchMockNonStream(messages, warning);
-  }
-
-  if (!MOCK_ENABLED) {
+  if (reason !== 'mock_agent' && !MOCK_ENABLED) {
     reply.code(503);
     return createError(
       `No LLM response available (${reason}) and mock responses are disabled. Set ALLOW_MOCK=true to return deterministic mock responses.`,
       'server_error',
     );
   }
+
+  recordMockResponse('/v1/chat/completions', reason);
+  let mock = buildMockAssistant(messages, structured, params);
+  const outputViolation = guardrails ? checkGuardrailOutput(guardrails, mock.assistantMsg.content) : null;
+  if (guardrails && outputViolation) {
+    if (outputViolation.action === 'error') {
+      reply.code(400);
+      return guardrailError(outputViolation);
+    }
+    mock = { assistantMsg: { role: 'assistant', content: guardrails.refusal }, finishReason: 'content_filter' };
+  }
   if (stream) {
-    dispatchMockStream(messages, reply, origin, warning);
+    const assistantMsg = dispatchMockStream(mock, reply, origin, warning, params, outputViolation);
+    onAssistantMessage?.(assistantMsg);
     return undefined;
   }
-  return dispatchMockNonStream(messages, warning);
+  const response = dispatchMockNonStream(messages, mock, warning, params);
+  onAssistantMessage?.(response.choices[0].message);
+  return outputViolation ? { ...response, guardrail: outputViolation } : response;
+}
+
+type FinishedCompletion = {
+  id?: string;
+  created?: number;
+  model?: string;
+  choices?: Array<{ message?: unknown; finish_reason?: string | null }>;
+  usage?: TokenUsage;
+  warning?: unknown;
+  guardrail?: unknown;
+  structured_output?: unknown;
+};
+
+// The SSE events a stream of a finished completion would have sent. Used when
+// the whole reply must be checked before any of it goes out (response_format).
+function completionToSse(completion: FinishedCompletion): string {
+  const id = completion.id || generateId('chatcmpl');
+  const created = completion.created ?? Math.floor(Date.now() / 1000);
+  const choices = completion.choices?.length ? completion.choices : [{}];
+  const chunk = (index: number, delta: Record<string, unknown>, finish: string | null, extra: Record<string, unknown> = {}) => `data: ${JSON.stringify({
+    id, object: 'chat.completion.chunk', created, model: completion.model,
+    choices: [{ index, delta, finish_reason: finish }],
+    ...extra,
+  })}\n\n`;
+
+  let events = '';
+  if (completion.warning) events += `event: warning\ndata: ${JSON.stringify(completion.warning)}\n\n`;
+  if (completion.guardrail) events += `event: guardrail\ndata: ${JSON.stringify(completion.guardrail)}\n\n`;
+  choices.forEach((choice, index) => {
+    const message = (choice.message ?? {}) as ChatMessage;
+    events += chunk(index, { role: 'assistant', content: message.content ?? '' }, null);
+    if (message.tool_calls?.length) events += chunk(index, { tool_calls: message.tool_calls.map((tc, i) => ({ index: i, ...tc })) }, null);
+    // Usage and the structured output report go on the last chunk
+    const last = index === choices.length - 1;
+    events += chunk(index, {}, choice.finish_reason ?? 'stop', last ? {
+      ...(completion.usage && { usage: completion.usage }),
+      ...(completion.structured_output !== undefined && { structured_output: completion.structured_output }),
+    } : {});
+  });
+  return events + 'data: [DONE]\n\n';
+}
+
+// Answer a request the agent's input guardrails stopped; nothing was sent upstream.
+// Returns a value to `return` for the non-stream case; streams end internally.
+function respondGuardrailInput(
+  found: GuardrailViolation,
+  policy: GuardrailPolicy,
+  model: string,
+  stream: boolean,
+  reply: FastifyReply,
+  origin: string | undefined,
+  onAssistantMessage?: (message: ThreadMessageInput) => void,
+) {
+  if (found.action === 'error') {
+    reply.code(400);
+    return guardrailError(found);
+  }
+
+  const message = { role: 'assistant' as const, content: policy.refusal };
+  onAssistantMessage?.(message);
+  const id = generateId('chatcmpl');
+  const created = Math.floor(Date.now() / 1000);
+  if (!stream) {
+    return {
+      id,
+      object: 'chat.completion' as const,
+      created,
+      model,
+      choices: [{ index: 0, message, finish_reason: 'content_filter' }],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      guardrail: found,
+    };
+  }
+
+  writeSseHead(reply, origin);
+  trackSseStream(reply);
+  reply.raw.write(`event: guardrail\ndata: ${JSON.stringify(found)}\n\n`);
+  for (const [delta, finish] of [[message, null], [{}, 'content_filter']] as const) {
+    reply.raw.write(`data: ${JSON.stringify({
+      id, object: 'chat.completion.chunk', created, model,
+      choices: [{ index: 0, delta, finish_reason: finish }],
+    })}\n\n`);
+  }
+  reply.raw.write('data: [DONE]\n\n');
+  reply.raw.end();
+  return undefined;
 }
 
 const chatRoute: FastifyPluginAsync = async (fastify) => {
@@ -530,8 +1176,26 @@ const chatRoute: FastifyPluginAsync = async (fastify) => {
             },
           },
           stream: { type: 'boolean' },
+          thread_id: { type: 'string' },
           max_tokens: { type: 'number' },
           temperature: { type: 'number' },
+          // The remaining OpenAI parameters are declared so removeAdditional:true
+          // keeps them; checkChatParams validates them against the spec. `stop`
+          // and `tool_choice` take more than one type, so like `content` above
+          // they are left unconstrained to avoid AJV type coercion.
+          top_p: { type: 'number' },
+          n: { type: 'number' },
+          stop: {},
+          presence_penalty: { type: 'number' },
+          frequency_penalty: { type: 'number' },
+          logit_bias: { type: 'object', additionalProperties: true },
+          logprobs: { type: 'boolean' },
+          top_logprobs: { type: 'number' },
+          seed: { type: 'number' },
+          tool_choice: {},
+          parallel_tool_calls: { type: 'boolean' },
+          reasoning_effort: { type: 'string' },
+          user: { type: 'string' },
           // Allow nested fields (e.g. json_schema) to survive AJV's
           // removeAdditional:true — otherwise only `type` would pass through
           // and the json_schema payload would be silently stripped.
@@ -541,23 +1205,18 @@ const chatRoute: FastifyPluginAsync = async (fastify) => {
       }
     },
   }, async (request, reply) => {
-    // Validate authorization — only agent keys (agnt_key-) and parent keys (ozw_) accepted
-    if (!validateAuth(request.headers.authorization)) {
-      reply.code(401);
-      return createError('Invalid or missing API key. Use an agent key (agnt_key-...) or parent API key (ozw_...).', 'invalid_request_error');
-    }
+    const auth = resolveChatCaller(request, reply);
+    if (auth.error) return auth.error;
+    const { usageContext, agentConfig } = auth.caller;
+    const body = request.body as ChatCompletionRequestWithTools;
+    const recordUsage = createUsageRecorder(request, usageContext, '/v1/chat/completions');
 
-    // Validate token exists in database
-    const token = extractToken(request.headers.authorization);
-    if (!agentStore.validateKey(token)) {
-      reply.code(401);
-      return createError('API key not found. Verify the key exists in the database.', 'invalid_request_error');
+    const limited = enforceRateLimits(reply, usageContext, agentConfig?.limits ?? null);
+    if (limited) {
+      recordUsage(null, 429);
+      return limited;
     }
 
-    const body = request.body as ChatCompletionRequestWithTools;
-    const tokenIsAgentKey = isAgentKey(request.headers.authorization);
-    let usageContext: UsageContext | null = null;
-
     const invalidMessageIndex = (body.messages as Message[]).findIndex((m) => !isValidMessageContent(m.content));
     if (invalidMessageIndex !== -1) {
       reply.code(400);
@@ -568,222 +1227,236 @@ const chatRoute: FastifyPluginAsync = async (fastify) => {
       );
     }
 
-    // --- Agent key resolution ---
-    let agentConfig: { systemPrompt: string; allowedTools: string[] | null; pageTools: PageToolsPolicy; modelPolicy: AgentModelPolicy; temperature: number | null; type: 'mock' | null } | null = null;
+    const checkedParams = checkChatParams(body as unknown as Record<string, unknown>);
+    if (checkedParams.error) {
+      reply.code(400);
+      return checkedParams.error;
+    }
+    const chatParams = checkedParams.params;
 
-    if (tokenIsAgentKey) {
-      const agentKey = extractToken(request.headers.authorization);
-      const resolved = agentStore.getByKeyWithActiveParent(agentKey);
-      if (!resolved) {
-        reply.code(401);
-        return createError(`Agent key not found: ...${agentKey.slice(-4)}. Verify the key exists and the server has the agent database.`, 'invalid_request_error');
-      }
-      const { agent, parentKey } = resolved;
-      usageContext = { authType: 'agent', parentKeyId: parentKey.id, agentId: agent.id };
+    const structured = structuredOutputFor(body.response_format);
+    // Schemas the server can't check with are refused up front (see json-schema.ts)
+    const schemaProblem = structured && jsonSchemaError(structured.schema);
+    if (schemaProblem) {
+      reply.code(400);
+      return createError(`Invalid response_format schema: ${schemaProblem}`, 'invalid_request_error', 'response_format');
+    }
+    const toolsError = toolSchemaError(body.tools);
+    if (toolsError) {
+      reply.code(400);
+      return toolsError;
+    }
 
-      // Parse the YAML blob once — the source of truth for agent config
-      let parsed: Record<string, unknown> = {};
-      try {
-        const p = yaml.parse(agent.yaml);
-        if (p && typeof p === 'object') parsed = p as Record<string, unknown>;
-      } catch (err) {
-        request.log.warn({ err, agentId: agent.id }, 'Failed to parse agent YAML');
+    const webhookTools = agentConfig?.webhookTools ?? [];
+    const filteredTools = withAgentWebhookTools(filterToolsForAgent(body.tools, agentConfig), webhookTools);
+    // A forced tool must be one the model is offered
+    const toolChoice = chatParams.tool_choice;
+    if (toolChoice && toolChoice !== 'none' && toolChoice !== 'auto') {
+      const forced = typeof toolChoice === 'object' ? toolChoice.function.name : null;
+      if (!filteredTools?.length || (forced && !filteredTools.some(t => t.function.name === forced))) {
+        reply.code(400);
+        return createError(
+          forced ? `tool_choice names '${forced}', which is not one of the available tools` : `tool_choice '${toolChoice}' needs tools`,
+          'invalid_request_error',
+          'tool_choice',
+        );
       }
-
-      // Use agent instructions as the system prompt
-      let systemPrompt = (parsed.instructions as string | undefined) || '';
-
-      // Append behavior metadata (tone, language, rules) as a structured
-      // supplement AFTER the instructions so they don't dilute or compete
-      // with the primary prompt.
-      const behavior = parsed.behavior;
-      if (behavior && typeof behavior === 'object') {
-        const b = behavior as Record<string, unknown>;
-        const extras: string[] = [];
-        if (b.tone) extras.push(`- Respond with a ${b.tone} tone.`);
-        if (b.language && b.language !== 'en') extras.push(`- Respond in ${b.language}.`);
-        if (Array.isArray(b.rules) && b.rules.length > 0) {
-          for (const rule of b.rules) {
-            if (typeof rule === 'string') extras.push(`- ${rule}`);
-          }
-        }
-        if (extras.length > 0) {
-          systemPrompt = systemPrompt.trimEnd() + '\n\n=== ADDITIONAL RULES ===\n' + extras.join('\n');
-        }
+    }
+    const mockParams: MockParams = { ...chatParams, tools: filteredTools };
+
+    // --- Thread resolution ---
+    // With thread_id, stored history is prepended to this request's messages and the
+    // turn (request messages + assistant reply) is appended once a reply is sent.
+    const threadId = body.thread_id;
+    const requestMessages = body.messages as Message[];
+    let conversation = requestMessages;
+    if (threadId) {
+      const thread = usageContext.parentKeyId
+        ? threadStore.getOwned(threadId, { parent_key_id: usageContext.parentKeyId, agent_id: usageContext.agentId })
+        : null;
+      if (!thread) {
+        reply.code(404);
+        return createError(`No thread found with id '${threadId}'`, 'invalid_request_error', 'thread_id', 'thread_not_found');
       }
-
-      const tools = parsed.tools;
-      agentConfig = {
-        systemPrompt,
-        allowedTools: Array.isArray(tools) && tools.length > 0
-          ? (tools as unknown[]).map((t) => typeof t === 'string' ? t : (t as { name: string }).name)
-          : null,
-        pageTools: (parsed.pageTools as PageToolsPolicy) ?? 'all',
-        modelPolicy: agentStore.getAgentModelPolicy(agent.id, agent.yaml),
-        temperature: (parsed.temperature as number | undefined) ?? null,
-        type: parsed.type === 'mock' ? 'mock' : null,
-      };
-    } else {
-      const parentKey = agentStore.lookupApiKey(token);
-      usageContext = { authType: 'parent', parentKeyId: parentKey?.id ?? null, agentId: null };
+      conversation = [
+        ...(threadStore.listMessages(thread.id) as unknown as Message[]),
+        ...requestMessages,
+      ];
     }
 
-    const recordUsage = (model: string | null, statusCode: number, response?: unknown, provider?: string | null) => {
-      if (!usageContext) return;
-      const usage = response && typeof response === 'object' && 'usage' in response
-        ? (response as { usage?: TokenUsage }).usage
-        : undefined;
+    const appendThreadTurn = (assistantMessage: ThreadMessageInput, toolTurns: ThreadMessageInput[] = []) => {
+      if (!threadId) return;
       try {
-        agentStore.recordUsageEvent({
-          parent_key_id: usageContext.parentKeyId,
-          agent_id: usageContext.agentId,
-          auth_type: usageContext.authType,
-          route: '/v1/chat/completions',
-          provider: provider ?? null,
-          model,
-          status_code: statusCode,
-          prompt_tokens: usage?.prompt_tokens ?? null,
-          completion_tokens: usage?.completion_tokens ?? null,
-          total_tokens: usage?.total_tokens ?? null,
-        });
+        threadStore.appendMessages(threadId, [...(requestMessages as ThreadMessageInput[]), ...toolTurns, assistantMessage]);
       } catch (err) {
-        request.log.warn({ err }, 'Failed to record usage event');
+        request.log.warn({ err, threadId }, 'Failed to append thread messages');
       }
     };
 
-    // Early exit for mock-type agents — skip backend probing entirely (no LLM ever called).
-    if (agentConfig?.type === 'mock') {
-      const { messages: rawMessages, stream = false } = body as ChatCompletionRequestWithTools;
-      const mockMessages: NonNullableMessage[] = (rawMessages as Message[]).map((m) => ({
+    const { provider: requestedProvider, model: requestedModel, stream = false, max_tokens, temperature: requestedTemperature = 0.7, response_format } = body;
+    // Mock-type agents skip backend probing entirely (no LLM is ever called)
+    const mockModel = agentConfig?.type === 'mock' ? agentConfig.modelPolicy.default_model || 'mock' : null;
+    let target: ChatTarget | null = null;
+    if (!mockModel) {
+      const resolvedTarget = await resolveChatTarget(request, reply, auth.caller, requestedProvider, requestedModel);
+      if (resolvedTarget.error) return resolvedTarget.error;
+      target = resolvedTarget.target;
+    }
+
+    // --- Agent: guardrails (see guardrails.ts) ---
+    // Input checks cover this request's user messages, before knowledge
+    // retrieval, the cache or any provider, for mock agents too
+    const guardrails = agentConfig?.guardrails ?? null;
+    const inputViolation = guardrails ? checkGuardrailInput(guardrails, requestMessages) : null;
+    if (guardrails && inputViolation) {
+      const model = target?.model ?? mockModel!;
+      const response = respondGuardrailInput(inputViolation, guardrails, model, stream, reply, request.headers.origin, appendThreadTurn);
+      recordUsage(model, reply.statusCode, undefined, target?.provider);
+      return response;
+    }
+
+    // --- Agent: redaction (see redaction.ts) ---
+    // Only what is sent upstream carries placeholders, the knowledge query
+    // included; replies are restored as they arrive, so tool rounds, threads
+    // and the cache see real values.
+    const redactor = agentConfig?.redaction ? createRedactor(agentConfig.redaction) : null;
+    const upstreamMessages = (messages: NonNullableMessage[]) => redactor ? redactor.messages(messages) : messages;
+    redactor?.learn(conversation);
+
+    // --- Agent: retrieve knowledge for the latest user message ---
+    const systemPrompt = agentConfig
+      ? await withKnowledge(agentConfig.systemPrompt, agentConfig.knowledge, extractUserMessage(conversation as MockChatMessage[]), request.log, redactor, usageContext.parentKeyId ?? undefined)
+      : '';
+
+    if (mockModel) {
+      const mockMessages: NonNullableMessage[] = conversation.map((m) => ({
         role: m.role,
         content: m.content ?? '',
         name: m.name,
       }));
-      if (agentConfig.systemPrompt) {
-        mockMessages.unshift({ role: 'system', content: agentConfig.systemPrompt });
+      if (systemPrompt) {
+        mockMessages.unshift({ role: 'system', content: systemPrompt });
       }
-      const mockModel = agentConfig.modelPolicy.default_model || 'mock';
-      const response = respondMockOrError('mock_agent', mockModel, mockMessages, stream, reply, request.headers.origin);
+      const response = respondMockOrError('mock_agent', mockModel, mockMessages, stream, reply, request.headers.origin, appendThreadTurn, structured, mockParams, guardrails);
       recordUsage(mockModel, reply.statusCode, response);
       return response;
     }
 
-    // Backend selection priority:
-    // 1. LLM_BASE_URL configured → use it (OpenAI, Portkey Gateway, etc.)
-    // 2. Ollama reachable → use Ollama
-    // 3. Mock/simple generator
-    const llmConfigured = isLLMBackendConfigured();
-    const ollamaAvailable = llmConfigured ? false : await isOllamaAvailable();
-    const backend = llmConfigured ? 'llm' : ollamaAvailable ? 'ollama' : 'fallback';
-
-    // Determine default model based on backend
-    const DEFAULT_MODEL = llmConfigured ? LLM_MODEL : ollamaAvailable ? getOllamaDefaultModel() : FALLBACK_MODEL;
-
-    const { provider: requestedProvider, model: requestedModel, messages, tools, stream = false, max_tokens, temperature: requestedTemperature = 0.7, response_format } = body as ChatCompletionRequestWithTools;
-    getCachedModelsList();
-    const effectiveModels = agentConfig && usageContext?.parentKeyId && usageContext.agentId
-      ? agentStore.listEffectiveProviderModelsForAgent(usageContext.parentKeyId, usageContext.agentId)
-      : agentStore.listEffectiveProviderModels(usageContext?.parentKeyId ?? null);
-    const selectedModel = requestedModel || agentConfig?.modelPolicy.default_model || DEFAULT_MODEL;
-    const selectedProvider = requestedProvider
-      || agentConfig?.modelPolicy.default_provider
-      || (() => {
-        const matches = effectiveModels.filter(item => item.model === selectedModel || item.id === selectedModel);
-        return matches.length === 1 ? matches[0].provider : null;
-      })();
-    if (!selectedProvider) {
-      reply.code(400);
-      return createError('Provider is required for ambiguous model selection', 'invalid_request_error', 'provider', 'provider_required');
-    }
-    const allowedModel = effectiveModels.find(item => item.provider === selectedProvider && (item.model === selectedModel || item.id === selectedModel));
-    if (!allowedModel) {
-      reply.code(403);
-      return createError('Requested provider/model is not allowed for this key or agent', 'invalid_request_error', 'model', 'model_not_allowed');
-    }
-    const provider = allowedModel.provider;
-    const model = allowedModel.model;
-    const fallbackModel = effectiveModels.find(item => item.provider === provider && (item.model === DEFAULT_MODEL || item.id === DEFAULT_MODEL));
-    const fallbackRetryAllowed = Boolean(fallbackModel);
-    const fallbackRetryModel = fallbackModel?.model || DEFAULT_MODEL;
+    const chatTarget = target!;
+    const { backend, provider, model } = chatTarget;
     // Agent-configured temperature takes precedence over client request
     const temperature = agentConfig?.temperature ?? requestedTemperature;
     // Client-sent max_tokens wins; otherwise apply the server ceiling (if any); else no cap.
     const effectiveMaxTokens = max_tokens ?? LLM_MAX_TOKENS;
-    const usesReasoningParams = (m: string) => /(^|\/)(o\d|gpt-5)/.test(m);
-    // gpt-5.x + o-series require `max_completion_tokens`; everything else (gpt-4.x, Ollama) uses `max_tokens`.
-    // Classified per call from the model actually being sent — the fallback retry switches models, so a
-    // single precomputed object would send the wrong key on retry. `(^|/)` also matches provider-prefixed
-    // ids (e.g. `openai/gpt-5`). Regex self-classifies future gpt-5.x/o models.
-    const tokenParamFor = (m: string): Record<string, number> =>
-      !effectiveMaxTokens ? {}
-        : usesReasoningParams(m)
-          ? { max_completion_tokens: effectiveMaxTokens }
-          : { max_tokens: effectiveMaxTokens };
-    const temperatureParamFor = (m: string): Record<string, number> =>
-      temperature === undefined || usesReasoningParams(m) ? {} : { temperature };
-
-    request.log.info({ backend, llmConfigured, ollamaAvailable, provider, model, requestedProvider, requestedModel, agentProvider: agentConfig?.modelPolicy.default_provider, agentModel: agentConfig?.modelPolicy.default_model, agentTemperature: agentConfig?.temperature }, 'Chat request backend selection');
-
-    // Normalize message content so it matches the ChatCompletionRequest type (non-nullable content)
-    // Preserve tool_calls (on assistant messages) and tool_call_id (on tool messages)
-    // so Ollama can correctly associate tool results with the calls that produced them
-    const normalizedMessages: NonNullableMessage[] = (messages as (Message & { tool_calls?: ToolCall[]; tool_call_id?: string })[]).map((m) => ({
-      role: m.role,
-      content: m.content ?? '',
-      name: m.name,
-      ...(m.tool_calls && { tool_calls: m.tool_calls }),
-      ...(m.tool_call_id && { tool_call_id: m.tool_call_id }),
-    }));
+    const tokenParamFor = (m: string) => tokenParamsFor(m, effectiveMaxTokens);
+    const temperatureParamFor = (m: string) => temperatureParamsFor(m, temperature);
+    const chatParamFor = (m: string) => chatParamsFor(m, chatParams, !!filteredTools?.length);
+
+    const normalizedMessages = normalizeChatMessages(conversation as (Message & { tool_calls?: ToolCall[]; tool_call_id?: string })[]);
 
     // --- Agent: inject system prompt ---
-    if (agentConfig?.systemPrompt) {
+    if (systemPrompt) {
       normalizedMessages.unshift({
         role: 'system',
-        content: agentConfig.systemPrompt,
+        content: systemPrompt,
       });
     }
 
-    // --- Agent: filter tools ---
-    // Tools arriving from the widget use two namespaces:
-    //   • bare names       — server-side tools (defined in the agent's tools array)
-    //   • postMessage_name — page-provided tools (prefixed by the loader)
-    //   • postMessage:name — legacy page tools from cached loaders during deploys
-    //
-    // allowedTools (from agent.tools) gates bare-name tools.
-    // pageTools policy gates prefixed page tools.
-    const PM_PREFIXES = ['postMessage_', 'postMessage:'];
-    let filteredTools = tools;
-    if (agentConfig !== null && tools) {
-      const allowed = agentConfig.allowedTools;          // null = no server tools defined
-      const pagePolicy = agentConfig.pageTools;          // 'all' | { restricted: [...] } | { blocked: [...] }
-
-      filteredTools = tools.filter((t) => {
-        if (!t || t.type !== 'function' || !t.function || typeof t.function.name !== 'string') return false;
-        const name = t.function.name;
-
-        const pagePrefix = PM_PREFIXES.find((prefix) => name.startsWith(prefix));
-        if (pagePrefix) {
-          // Page tool — apply pageTools policy
-          const bare = name.slice(pagePrefix.length);
-          if (pagePolicy === 'all') return true;
-          if (typeof pagePolicy === 'object' && 'restricted' in pagePolicy) {
-            return pagePolicy.restricted.includes(bare);
-          }
-          if (typeof pagePolicy === 'object' && 'blocked' in pagePolicy) {
-            return !pagePolicy.blocked.includes(bare);
-          }
-          return true;  // unrecognized policy → allow
+    const toolValidation = agentConfig?.toolValidation ?? toolValidationFromYaml(null);
+
+
+    // --- Response cache: only temperature 0 is deterministic enough to replay ---
+    const cacheSettings = agentConfig?.cache ?? cacheSettingsFromYaml(null);
+    const cache = cacheSettings.enabled && temperature === 0 && !threadId
+      ? responseCacheFor(request, usageContext, cacheSettings, '/v1/chat/completions', {
+        provider,
+        model,
+        messages: normalizedMessages,
+        tools: filteredTools ?? null,
+        temperature,
+        max_tokens: effectiveMaxTokens ?? null,
+        response_format: response_format ?? null,
+        ...chatParamFor(model),
+        stream,
+      })
+      : null;
+    const cached = cache?.lookup();
+    if (cached) {
+      // No provider was called, so the hit is recorded without tokens
+      recordUsage(cached.model, 200, undefined, provider);
+      reply.header(CACHE_HEADER, 'hit');
+      if (stream) {
+        writeSseHead(reply, request.headers.origin);
+        reply.raw.end(cached.body);
+        return;
+      }
+      return JSON.parse(cached.body);
+    }
+    if (cache) reply.header(CACHE_HEADER, 'miss');
+
+    // --- Agent: webhook tool rounds (non-streaming) ---
+    // While the model calls only the agent's webhook tools, run them, append the
+    // results and ask again, up to AGENT_TOOL_MAX_ITERATIONS rounds. Webhook calls
+    // are never handed to the client: in a turn that also calls client tools they
+    // are dropped, and the model can repeat them on the next request. Tool calls
+    // are checked first (see tool-validation.ts); a turn with bad arguments is
+    // answered with the problems and asked again, or ends the rounds with
+    // `invalid` set, per the agent's toolValidation policy.
+    type Completion = { choices?: Array<{ message?: unknown; finish_reason?: string | null }>; usage?: TokenUsage };
+    const restoreCompletion = (response: Completion) => {
+      if (!redactor) return;
+      for (const choice of response.choices ?? []) {
+        if (isRecord(choice.message)) redactor.restoreMessage(choice.message);
+      }
+    };
+    const runWebhookToolRounds = async <T extends Completion>(first: T, complete: (messages: NonNullableMessage[]) => Promise<T>) => {
+      const toolTurns: NonNullableMessage[] = [];
+      let response = first;
+      let usage = first.usage;
+      let invalid: ToolCallProblem[] = [];
+      for (let round = 0, retries = 0; ; round++) {
+        const choice = response.choices?.[0];
+        const message = choice?.message as ChatMessage | undefined;
+        invalid = validateToolCalls(message?.tool_calls, filteredTools);
+        if (message?.tool_calls && invalid.length > 0) {
+          if (toolValidation.on_error === 'error' || retries >= toolValidation.max_retries) break;
+          retries++;
+          request.log.info({ retries, calls: invalid.map(p => p.name) }, 'Re-prompting after invalid tool call arguments');
+          toolTurns.push(
+            { role: 'assistant', content: message.content ?? '', tool_calls: message.tool_calls },
+            ...toolValidationReplies(message.tool_calls, invalid),
+          );
         } else {
-          // Server-side tool — apply allowedTools allowlist
-          if (allowed === null) return true;    // no allowlist → pass all
-          return allowed.includes(name);
+          const calls = partitionToolCalls(message?.tool_calls, webhookTools);
+          if (!choice || !message || calls.server.length === 0) break;
+          if (calls.client.length > 0 || round >= AGENT_TOOL_MAX_ITERATIONS) {
+            if (calls.client.length > 0) {
+              message.tool_calls = calls.client;
+            } else {
+              request.log.warn({ rounds: round }, 'Agent tool iteration limit reached');
+              delete message.tool_calls;
+              choice.finish_reason = 'stop';
+            }
+            break;
+          }
+          toolTurns.push(
+            { role: 'assistant', content: message.content ?? '', tool_calls: calls.server },
+            ...await runAgentToolCalls(calls.server, webhookTools, request.log),
+          );
         }
-      });
-    }
+        response = await complete([...normalizedMessages, ...toolTurns]);
+        normalizeCompletionChoices(response, filteredTools);
+        restoreCompletion(response);
+        usage = addUsage(usage, response.usage);
+      }
+      // Report usage summed across every round
+      if (usage) response.usage = usage;
+      return { response, toolTurns, invalid };
+    };
 
     // No backend reachable — deterministic mock (if enabled) so client gets a valid response.
     if (backend === 'fallback') {
-      const response = respondMockOrError('no_backend', model, normalizedMessages, stream, reply, request.headers.origin);
+      const response = respondMockOrError('no_backend', model, normalizedMessages, stream, reply, request.headers.origin, appendThreadTurn, structured, mockParams, guardrails);
       recordUsage(model, reply.statusCode, response, provider);
       return response;
     }
@@ -791,13 +1464,10 @@ const chatRoute: FastifyPluginAsync = async (fastify) => {
     // Use a real LLM backend
     {
       try {
-        // Select pre-constructed client based on backend
-        const client = llmConfigured ? createLlmClient(provider) : ollamaClient;
-
         // Build request options once — gateway handles provider-specific quirks
         const requestOptions: ChatCompletionRequestWithTools = {
           model,
-          messages: normalizedMessages as unknown as ChatCompletionRequest['messages'],
+          messages: upstreamMessages(normalizedMessages) as unknown as ChatCompletionRequest['messages'],
           ...(response_format && { response_format }),
         };
 
@@ -808,42 +1478,58 @@ const chatRoute: FastifyPluginAsync = async (fastify) => {
 
         // (Parsing helper is defined at module scope)
 
-        // Handle streaming vs non-streaming
-        if (stream) {
+        // Handle streaming vs non-streaming. Replies with a response_format schema
+        // are checked before they are sent, so they are streamed once complete.
+        if (stream && !structured) {
           // Set up SSE streaming with CORS headers
-          reply.raw.writeHead(200, {
-            'content-type': 'text/event-stream',
-            'cache-control': 'no-cache',
-            'connection': 'keep-alive',
-            'access-control-allow-origin': request.headers.origin || '*',
-            'access-control-allow-credentials': 'true',
-          });
+          writeSseHead(reply, request.headers.origin);
+          trackSseStream(reply);
+
+          // Events written to the client, kept for the response cache (heartbeats aren't)
+          const sentEvents: string[] = [];
+          const writeSse = (text: string) => {
+            reply.raw.write(text);
+            if (cache) sentEvents.push(text);
+          };
+          // Model of a reply worth caching: no failover and no server-run tool rounds
+          let cacheableModel: string | null = null;
 
           // Start SSE heartbeat to prevent proxy timeout during slow model loading
-          let heartbeatInterval: NodeJS.Timeout | null = null;
-          if (STREAMING_HEARTBEAT_ENABLED) {
-            // Send initial warming event
-            reply.raw.write(': heartbeat\n\n');
-
-            heartbeatInterval = setInterval(() => {
-              try {
-                reply.raw.write(': heartbeat\n\n');
-              } catch (e) {
-                // Connection closed, clear interval
-                if (heartbeatInterval) {
-                  clearInterval(heartbeatInterval);
-                  heartbeatInterval = null;
-                }
-              }
-            }, STREAMING_HEARTBEAT_MS);
-          }
-
-          try {
+          const stopHeartbeat = startSseHeartbeat(reply);
+
+          // Set once any upstream chunk arrives; from then on a failure can't fail over
+          let upstreamStarted = false;
+
+          // Output guardrails cut the stream off at the chunk that trips a rule
+          const outputGuard = guardrails?.output ? createOutputGuard(guardrails) : null;
+          let blocked = null as { found: GuardrailViolation; id: string; model: string } | null;
+          // Set when a turn's tool calls fail their schemas and the agent's policy gives up
+          let invalidToolCalls = null as ToolCallProblem[] | null;
+
+          // Forward one upstream stream to the client and return the assembled assistant turn.
+          // Tool call deltas are held back until the calls are complete and checked against
+          // their schemas; client calls then go out in one chunk. Calls for agent webhook tools
+          // are never sent (the server runs those), nor is the finish chunk when the server is
+          // about to run them or re-prompt, and continue. While a bad call could still be
+          // re-prompted (holdBack), the turn's chunks wait until its calls are checked, so a
+          // rejected attempt's text never reaches the client. A fallback warning, if any, is
+          // sent just before the first chunk.
+          const pipeTurn = async (
+            client: ReturnType<typeof chatClientFor>,
+            turnModel: string,
+            messages: NonNullableMessage[],
+            canContinue: boolean,
+            holdBack: boolean,
+            warning?: FallbackWarning,
+          ) => {
             const requestForClient = {
               ...requestOptions,
-              ...tokenParamFor(model),
-              ...temperatureParamFor(model),
-              ...(filteredTools && filteredTools.length > 0 && { tools: requestOptions.tools }),
+              model: turnModel,
+              messages: upstreamMessages(messages) as unknown as ChatCompletionRequest['messages'],
+              ...tokenParamFor(turnModel),
+              ...temperatureParamFor(turnModel),
+              ...chatParamFor(turnModel),
+              ...(filteredTools && filteredTools.length > 0 && { tools: filteredTools }),
               stream: true as const,
               stream_options: { include_usage: true },
             };
@@ -853,17 +1539,92 @@ const chatRoute: FastifyPluginAsync = async (fastify) => {
             const buffers: Record<string, string> = {};
             // Buffer for partial <think> tags that span multiple chunks
             const thinkBuffer = { partial: '' };
-            let latestUsage: TokenUsage | undefined;
+            // Full assistant turn across all chunks, persisted to the thread (if any)
+            const turn: { content: string; tool_calls: ToolCall[]; usage?: TokenUsage; invalid: ToolCallProblem[] } = { content: '', tool_calls: [], invalid: [] };
+            const restorer = redactor?.streamRestorer();
+            const markupParser = filteredTools?.length ? createToolCallParser() : null;
+            let markupCalls = 0;
+            // Set once the held-back tool calls have been checked
+            let toolCallsChecked = false;
+            // Set once upstream sends a finish reason; until then the parsers may hold text back
+            let finished = false;
+            let lastId = '';
+            // Chunks held back until the turn's tool calls are checked, and their text
+            let holding = holdBack;
+            const held: string[] = [];
+            let heldText = '';
+            const send = (event: string) => {
+              if (holding) held.push(event);
+              else writeSse(event);
+            };
+            const release = () => {
+              holding = false;
+              for (const event of held.splice(0)) writeSse(event);
+            };
+            // A rejected turn's text is dropped, and the output guard forgets it
+            const drop = () => {
+              holding = false;
+              held.length = 0;
+              outputGuard?.unsend(heldText.length);
+            };
+
+            const writeToolCalls = (id: string, calls: ToolCall[]) => {
+              if (calls.length === 0) return;
+              const toolChunk = {
+                id,
+                object: 'chat.completion.chunk',
+                created: Math.floor(Date.now() / 1000),
+                model: turnModel,
+                choices: [{
+                  index: 0,
+                  delta: {
+                    tool_calls: calls.map((tc: ToolCall, idx: number) => ({
+                      index: idx,
+                      id: tc.id || `call_${Date.now()}_${idx}`,
+                      type: tc.type || 'function',
+                      function: { name: tc.function.name, arguments: tc.function.arguments },
+                    })),
+                  },
+                  finish_reason: null,
+                }],
+              };
+              writeSse(`data: ${JSON.stringify(toolChunk)}\n\n`);
+            };
 
             for await (const chunk of streamResponse) {
-              latestUsage = (chunk as unknown as { usage?: TokenUsage }).usage || latestUsage;
+              upstreamStarted = true;
+              if (warning) {
+                writeSse(`event: warning\ndata: ${JSON.stringify(warning)}\n\n`);
+                warning = undefined;
+              }
+              turn.usage = (chunk as unknown as { usage?: TokenUsage }).usage || turn.usage;
               try {
                 const id = chunk.id as string;
+                lastId = id || lastId;
 
                 // Normalize thinking tokens before forwarding
                 const normalized = normalizeChunkThinking(chunk as unknown as Record<string, unknown>, thinkBuffer);
                 const choice = (normalized.choices as Array<Record<string, unknown>>)?.[0];
                 const delta = choice?.delta as Record<string, unknown> | undefined;
+                let finishReason = (choice as StreamingChoice)?.finish_reason || (delta as StreamingChoice)?.finish_reason;
+                if (finishReason) finished = true;
+                // Tool call markup in the text becomes tool_calls deltas (see tool-call-parser.ts)
+                if (markupParser && delta) {
+                  markupCalls += parseDeltaToolCalls(markupParser, delta, !!finishReason).length;
+                  if (markupCalls > 0 && finishReason === 'stop') {
+                    finishReason = 'tool_calls';
+                    (choice as StreamingChoice).finish_reason = finishReason;
+                  }
+                  if (!finishReason && Object.keys(delta).length === 0) continue;
+                }
+                if (restorer && delta) restorer.delta(delta, !!finishReason);
+                if (outputGuard && typeof delta?.content === 'string') {
+                  const found = outputGuard.push(delta.content);
+                  if (found) {
+                    blocked = { found, id, model: turnModel };
+                    break;
+                  }
+                }
 
                 // Initialize buffer
                 if (!buffers[id]) buffers[id] = '';
@@ -871,95 +1632,187 @@ const chatRoute: FastifyPluginAsync = async (fastify) => {
                 // Accumulate content deltas for parsing when the stream finishes
                 if (delta?.content) {
                   buffers[id] += delta.content as string;
+                  turn.content += delta.content as string;
+                  if (holding) heldText += delta.content as string;
+                }
+                if (delta && Array.isArray(delta.tool_calls)) {
+                  for (const toolDelta of delta.tool_calls as ToolCallDelta[]) {
+                    const index = toolDelta.index ?? turn.tool_calls.length;
+                    mergeToolCallDeltas(turn.tool_calls, [{ ...toolDelta, index }]);
+                  }
+                  delete delta.tool_calls;
+                  if (!finishReason && Object.keys(delta).length === 0) continue;
+                }
+
+                if (finishReason && turn.tool_calls.length > 0 && !toolCallsChecked) {
+                  toolCallsChecked = true;
+                  turn.invalid = validateToolCalls(turn.tool_calls, filteredTools);
+                  // streamTurns re-prompts or reports the error
+                  if (turn.invalid.length > 0) {
+                    drop();
+                    continue;
+                  }
+                  release();
+                  const calls = partitionToolCalls(turn.tool_calls, webhookTools);
+                  if (calls.server.length > 0 && calls.client.length === 0) {
+                    if (canContinue) continue;
+                    // Out of tool rounds: the client has nothing to call, so end the turn
+                    (choice as StreamingChoice).finish_reason = 'stop';
+                  }
+                  writeToolCalls(id, calls.client);
                 }
 
+                if (finishReason) release();
                 // Forward normalized chunk (thinking extracted into delta.thinking)
-                reply.raw.write(`data: ${JSON.stringify(normalized)}\n\n`);
+                send(`data: ${JSON.stringify(normalized)}\n\n`);
 
                 // If model finished this message, attempt to parse as tool call and emit tool_calls
-                const finishReason = (choice as StreamingChoice)?.finish_reason || (delta as StreamingChoice)?.finish_reason;
                 if (finishReason === 'stop') {
                   const content = buffers[id] || '';
-                  const extracted = tryExtractToolCallsFromContent(content, requestOptions.tools as ToolDef[] | undefined);
-                  if (extracted && extracted.length > 0) {
-                    const toolCallsWithIndex = extracted.map((tc: ToolCall, idx: number) => ({
-                      index: idx,
-                      id: tc.id || `call_${Date.now()}_${idx}`,
-                      type: tc.type,
-                      function: {
-                        name: tc.function.name,
-                        arguments: tc.function.arguments,
-                      }
-                    }));
-
-                    const toolChunk = {
-                      id,
-                      object: 'chat.completion.chunk',
-                      created: Math.floor(Date.now() / 1000),
-                      model,
-                      choices: [{ index: 0, delta: { tool_calls: toolCallsWithIndex }, finish_reason: null }]
-                    };
-                    reply.raw.write(`data: ${JSON.stringify(toolChunk)}\n\n`);
+                  const extracted = tryExtractToolCallsFromContent(content, filteredTools);
+                  // The text has already gone out as content, so a call that fails its
+                  // schema is left as just that rather than re-prompted
+                  const problems = validateToolCalls(extracted ?? undefined, filteredTools);
+                  if (problems.length > 0) {
+                    request.log.info({ calls: problems.map(p => p.name) }, 'Ignoring tool call in content with invalid arguments');
+                  } else if (extracted && extracted.length > 0) {
+                    writeToolCalls(id, partitionToolCalls(extracted, webhookTools).client);
+                    turn.tool_calls = extracted;
                   }
                   // cleanup buffer
                   delete buffers[id];
                 }
               } catch (err) {
                 // If anything goes wrong, still forward the chunk to the client
-                reply.raw.write(`data: ${JSON.stringify(chunk)}\n\n`);
+                send(`data: ${JSON.stringify(chunk)}\n\n`);
+              }
+            }
+            // A stream that ended without a finish chunk: pass on what the markup parser
+            // and the restorer still hold, then check and send the calls
+            if (!finished && !blocked) {
+              const delta: Record<string, unknown> = {};
+              if (markupParser) parseDeltaToolCalls(markupParser, delta, true);
+              if (restorer) restorer.delta(delta, true);
+              const found = outputGuard && typeof delta.content === 'string' ? outputGuard.push(delta.content) : null;
+              if (found) {
+                blocked = { found, id: lastId, model: turnModel };
+              } else {
+                if (typeof delta.content === 'string') {
+                  turn.content += delta.content;
+                  if (holding) heldText += delta.content;
+                }
+                if (Array.isArray(delta.tool_calls)) {
+                  for (const toolDelta of delta.tool_calls as ToolCallDelta[]) {
+                    mergeToolCallDeltas(turn.tool_calls, [{ ...toolDelta, index: toolDelta.index ?? turn.tool_calls.length }]);
+                  }
+                  delete delta.tool_calls;
+                }
+                if (Object.keys(delta).length > 0) {
+                  send(`data: ${JSON.stringify({
+                    id: lastId,
+                    object: 'chat.completion.chunk',
+                    created: Math.floor(Date.now() / 1000),
+                    model: turnModel,
+                    choices: [{ index: 0, delta, finish_reason: null }],
+                  })}\n\n`);
+                }
+              }
+            }
+            if (turn.tool_calls.length > 0 && !toolCallsChecked && !blocked) {
+              turn.invalid = validateToolCalls(turn.tool_calls, filteredTools);
+              if (turn.invalid.length > 0) {
+                drop();
+              } else {
+                release();
+                writeToolCalls(lastId, partitionToolCalls(turn.tool_calls, webhookTools).client);
               }
             }
+            // Text let through before a guardrail stopped the turn, or a turn without calls
+            release();
+            return turn;
+          };
 
-            reply.raw.write('data: [DONE]\n\n');
-            reply.raw.end();
-            recordUsage(model, 200, latestUsage ? { usage: latestUsage } : undefined, provider);
+          // Stream model turns until one needs no agent webhook tools, then record the exchange.
+          const streamTurns = async (step: FailoverStep, client: ReturnType<typeof chatClientFor>, warning: FallbackWarning | undefined) => {
+            const turnModel = step.model;
+            const toolTurns: NonNullableMessage[] = [];
+            let usage: TokenUsage | undefined;
+            let retries = 0;
+            for (let round = 0; ; round++) {
+              const canContinue = round < AGENT_TOOL_MAX_ITERATIONS;
+              const canReprompt = !!filteredTools?.length && toolValidation.on_error === 'reprompt' && retries < toolValidation.max_retries;
+              const turn = await pipeTurn(client, turnModel, [...normalizedMessages, ...toolTurns], canContinue, canReprompt, round === 0 ? warning : undefined);
+              usage = addUsage(usage, turn.usage);
+              if (guardrails && blocked) {
+                recordUsage(turnModel, 200, usage ? { usage } : undefined, step.provider);
+                const content = guardrails.action === 'refuse' ? outputGuard!.sent + refusalAfter(guardrails, outputGuard!.sent) : outputGuard!.sent;
+                appendThreadTurn({ role: 'assistant', content: content || null }, toolTurns as ThreadMessageInput[]);
+                return;
+              }
+              if (turn.invalid.length > 0) {
+                if (toolValidation.on_error === 'error' || retries >= toolValidation.max_retries) {
+                  recordUsage(turnModel, 502, usage ? { usage } : undefined, step.provider);
+                  invalidToolCalls = turn.invalid;
+                  return;
+                }
+                retries++;
+                request.log.info({ retries, calls: turn.invalid.map(p => p.name) }, 'Re-prompting after invalid tool call arguments');
+                toolTurns.push(
+                  { role: 'assistant', content: turn.content, tool_calls: turn.tool_calls },
+                  ...toolValidationReplies(turn.tool_calls, turn.invalid),
+                );
+                continue;
+              }
+              const calls = partitionToolCalls(turn.tool_calls, webhookTools);
+              if (calls.server.length === 0 || calls.client.length > 0 || !canContinue) {
+                if (calls.server.length > 0 && !canContinue) {
+                  request.log.warn({ rounds: round }, 'Agent tool iteration limit reached');
+                }
+                recordUsage(turnModel, 200, usage ? { usage } : undefined, step.provider);
+                if (!warning && toolTurns.length === 0) cacheableModel = turnModel;
+                appendThreadTurn({ role: 'assistant', content: turn.content || null, tool_calls: calls.client }, toolTurns as ThreadMessageInput[]);
+                return;
+              }
+              toolTurns.push(
+                { role: 'assistant', content: turn.content, tool_calls: calls.server },
+                ...await runAgentToolCalls(calls.server, webhookTools, request.log),
+              );
+            }
+          };
 
-            // Clear heartbeat interval
-            if (heartbeatInterval) {
-              clearInterval(heartbeatInterval);
-              heartbeatInterval = null;
+          try {
+            // Fail over along the chain until a provider starts streaming
+            await runWithFailover(chatTarget, request.log, streamTurns, () => !upstreamStarted);
+
+            if (guardrails && blocked) {
+              const { found, id, model: blockedModel } = blocked;
+              writeSse(`event: guardrail\ndata: ${JSON.stringify(found)}\n\n`);
+              if (found.action === 'error') {
+                writeSse(`data: ${JSON.stringify(guardrailError(found))}\n\n`);
+              } else {
+                const created = Math.floor(Date.now() / 1000);
+                const chunk = (delta: Record<string, unknown>, finish: string | null) => ({
+                  id, object: 'chat.completion.chunk', created, model: blockedModel,
+                  choices: [{ index: 0, delta, finish_reason: finish }],
+                });
+                writeSse(`data: ${JSON.stringify(chunk({ content: refusalAfter(guardrails, outputGuard!.sent) }, null))}\n\n`);
+                writeSse(`data: ${JSON.stringify(chunk({}, 'content_filter'))}\n\n`);
+              }
+            }
+            if (invalidToolCalls) {
+              writeSse(`data: ${JSON.stringify(toolCallValidationError(invalidToolCalls))}\n\n`);
             }
+            writeSse('data: [DONE]\n\n');
+            reply.raw.end();
+            stopHeartbeat();
+            if (cache && cacheableModel) cache.store(sentEvents.join(''), cacheableModel);
 
             return;
           } catch (streamError: unknown) {
             const errToLog = streamError instanceof Error ? streamError : new Error(String(streamError));
             request.log.error({ err: errToLog, backend }, 'LLM streaming failed after headers sent');
 
-            // Clear heartbeat interval
-            if (heartbeatInterval) {
-              clearInterval(heartbeatInterval);
-              heartbeatInterval = null;
-            }
-
-            // Model not found → retry with fallback model
-            if (isModelNotFoundError(streamError) && model !== fallbackRetryModel && llmConfigured && fallbackRetryAllowed) {
-              request.log.info({ originalModel: model, fallbackModel: fallbackRetryModel }, 'Model not found, retrying with fallback');
-              const warning = buildFallbackWarning(model, fallbackRetryModel);
-              reply.raw.write(`event: warning\ndata: ${JSON.stringify(warning)}\n\n`);
-
-              try {
-                const retryRequest = {
-                  ...requestOptions,
-                  model: fallbackRetryModel,
-                  ...tokenParamFor(fallbackRetryModel),
-                  ...temperatureParamFor(fallbackRetryModel),
-                  ...(filteredTools && filteredTools.length > 0 && { tools: filteredTools }),
-                  stream: true as const,
-                  stream_options: { include_usage: true },
-                };
-                const retryStream = client.createChatCompletionStream(retryRequest as unknown as ClientChatCompletionRequest);
-                const retryThinkBuffer = { partial: '' };
-                let retryLatestUsage: TokenUsage | undefined;
-                for await (const chunk of retryStream) {
-                  retryLatestUsage = (chunk as unknown as { usage?: TokenUsage }).usage || retryLatestUsage;
-                  const normalized = normalizeChunkThinking(chunk as unknown as Record<string, unknown>, retryThinkBuffer);
-                  reply.raw.write(`data: ${JSON.stringify(normalized)}\n\n`);
-                }
-                recordUsage(fallbackRetryModel, 200, retryLatestUsage ? { usage: retryLatestUsage } : undefined, provider);
-              } catch (retryError) {
-                request.log.error({ err: retryError }, 'Fallback model also failed');
-              }
-            }
+            stopHeartbeat();
 
             // Headers already sent, just end the stream
             reply.raw.write('data: [DONE]\n\n');
@@ -967,38 +1820,123 @@ const chatRoute: FastifyPluginAsync = async (fastify) => {
             return;
           }
         } else {
-          const requestForClientNonStream = {
+          const requestForClientNonStream = (turnModel: string) => ({
             ...requestOptions,
-            ...tokenParamFor(model),
-            ...temperatureParamFor(model),
+            model: turnModel,
+            ...tokenParamFor(turnModel),
+            ...temperatureParamFor(turnModel),
+            ...chatParamFor(turnModel),
             ...(filteredTools && filteredTools.length > 0 && { tools: requestOptions.tools }),
             stream: false as const,
-          };
-          const response = await client.createChatCompletion(requestForClientNonStream as unknown as ClientChatCompletionRequest);
+          });
+          const { result: first, step, warning } = await runWithFailover(chatTarget, request.log, async (step, client) => ({
+            client,
+            response: await client.createChatCompletion(requestForClientNonStream(step.model) as unknown as ClientChatCompletionRequest),
+          }));
           // Normalize thinking tokens and extract tool calls from non-streaming response
-          try {
-            if (response && Array.isArray(response.choices)) {
-              for (const choice of response.choices) {
-                const msg = choice.message as ChatMessage;
-                if (msg) {
-                  // Extract thinking tokens (e.g. <think> tags, reasoning_content)
-                  normalizeMessageThinking(msg as Record<string, unknown>);
-
-                  // Try to convert plain JSON content to tool_calls
-                  if (!msg.tool_calls && typeof msg.content === 'string') {
-                    const extracted = tryExtractToolCallsFromContent(msg.content, requestOptions.tools as ToolDef[] | undefined);
-                    if (extracted && extracted.length > 0) {
-                      msg.tool_calls = extracted;
-                    }
-                  }
+          normalizeCompletionChoices(first.response, filteredTools);
+          restoreCompletion(first.response);
+          const completeWith = (messages: NonNullableMessage[], n?: number) =>
+            first.client.createChatCompletion({ ...requestForClientNonStream(step.model), ...(n && { n }), messages: upstreamMessages(messages) } as unknown as ClientChatCompletionRequest);
+          const rounds = await runWebhookToolRounds(first.response, completeWith);
+          const { toolTurns, response } = rounds;
+          if (rounds.invalid.length > 0) {
+            recordUsage(step.model, 502, response, step.provider);
+            reply.code(502);
+            return toolCallValidationError(rounds.invalid);
+          }
+
+          // --- Structured output: check the reply, repair it or ask again (see structured-output.ts) ---
+          let structuredOutput: { repaired: boolean; retries: number } | undefined;
+          if (structured) {
+            // Each failed choice is asked again on its own, with its own corrections so far
+            const corrections = new Map<number, NonNullableMessage[]>();
+            let repaired = false;
+            for (let retries = 0; ; retries++) {
+              // Every choice is checked; one that calls tools isn't the structured answer yet
+              const failed: Array<{ index: number; content: string; errors: string[] }> = [];
+              let answered = false;
+              (response?.choices ?? []).forEach((choice, index) => {
+                const answer = choice.message as ChatMessage | undefined;
+                if (!answer || answer.tool_calls?.length) return;
+                answered = true;
+                const result = checkStructuredOutput(structured, contentToText(answer.content));
+                if (result.valid) {
+                  answer.content = result.content;
+                  repaired ||= result.repaired;
+                } else {
+                  failed.push({ index, content: contentToText(answer.content), errors: result.errors });
                 }
+              });
+              if (failed.length === 0) {
+                if (answered) structuredOutput = { repaired, retries };
+                break;
+              }
+              if (retries >= JSON_SCHEMA_MAX_RETRIES) {
+                recordUsage(step.model, 502, response, step.provider);
+                reply.code(502);
+                return createError(
+                  `Model output did not match response_format "${structured.name}" after ${retries} ${retries === 1 ? 'retry' : 'retries'}: ${failed[0].errors.slice(0, 5).join('; ')}`,
+                  'upstream_error',
+                  'response_format',
+                  'json_schema_validation_failed',
+                );
               }
+              for (const { index, content, errors } of failed) {
+                const thread: NonNullableMessage[] = [
+                  ...(corrections.get(index) ?? []),
+                  { role: 'assistant', content },
+                  { role: 'user', content: structuredOutputCorrection(structured, errors) },
+                ];
+                corrections.set(index, thread);
+                const retried = await completeWith([...normalizedMessages, ...toolTurns, ...thread], 1);
+                normalizeCompletionChoices(retried, filteredTools);
+                restoreCompletion(retried);
+                // The new answer takes the place of the one that failed
+                const choice = retried.choices?.[0];
+                if (choice) response.choices[index] = { ...choice, index };
+                const usage = addUsage(response.usage, retried.usage);
+                if (usage) (response as { usage?: TokenUsage }).usage = usage;
+              }
+            }
+          }
+
+          // Output guardrails check every choice's answer; a blocked reply is never cached
+          let outputViolation: GuardrailViolation | null = null;
+          for (const choice of guardrails ? response?.choices ?? [] : []) {
+            const answer = choice.message as ChatMessage | undefined;
+            const found = answer ? checkGuardrailOutput(guardrails!, contentToText(answer.content)) : null;
+            if (!found) continue;
+            if (found.action === 'error') {
+              recordUsage(step.model, 400, response, step.provider);
+              reply.code(400);
+              return guardrailError(found);
             }
-          } catch (e) {
-            // No-op: parsing fallback should not break the response
+            answer!.content = guardrails!.refusal;
+            delete answer!.tool_calls;
+            choice.finish_reason = 'content_filter';
+            outputViolation ??= found;
+          }
+          const message = response?.choices?.[0]?.message as ChatMessage | undefined;
+          recordUsage(step.model, 200, response, step.provider);
+          if (message) appendThreadTurn(message as ThreadMessageInput, toolTurns as ThreadMessageInput[]);
+          const completion = {
+            ...response,
+            ...(warning && { warning }),
+            ...(outputViolation && { guardrail: outputViolation }),
+            ...(structuredOutput && { structured_output: structuredOutput }),
+          };
+          const cacheable = cache && !warning && !outputViolation && toolTurns.length === 0;
+          if (stream) {
+            const events = completionToSse(completion);
+            writeSseHead(reply, request.headers.origin);
+            trackSseStream(reply);
+            reply.raw.end(events);
+            if (cacheable) cache.store(events, step.model);
+            return;
           }
-          recordUsage(model, 200, response, provider);
-          return response;
+          if (cacheable) cache.store(JSON.stringify(completion), step.model);
+          return completion;
         }
       } catch (error: unknown) {
         const errToLog = error instanceof Error ? error : new Error(String(error));
@@ -1007,50 +1945,12 @@ const chatRoute: FastifyPluginAsync = async (fastify) => {
         if (reply.raw.headersSent) {
           return;
         }
-
-        // Model not found → retry with fallback model
-        if (isModelNotFoundError(error) && model !== fallbackRetryModel && llmConfigured && fallbackRetryAllowed) {
-          request.log.info({ originalModel: model, fallbackModel: fallbackRetryModel }, 'Model not found, retrying with fallback');
-          try {
-            const retryRequest = {
-              model: fallbackRetryModel,
-              messages: normalizedMessages as unknown as ChatCompletionRequest['messages'],
-              ...tokenParamFor(fallbackRetryModel),
-              ...temperatureParamFor(fallbackRetryModel),
-              ...(response_format && { response_format }),
-              ...(filteredTools && filteredTools.length > 0 && { tools: filteredTools as ToolDef[] }),
-              stream: false as const,
-            };
-            const retryResponse = await createLlmClient(provider).createChatCompletion(retryRequest as unknown as ClientChatCompletionRequest);
-            if (retryResponse && Array.isArray(retryResponse.choices)) {
-              for (const choice of retryResponse.choices) {
-                const msg = choice.message as ChatMessage;
-                if (msg) {
-                  normalizeMessageThinking(msg as Record<string, unknown>);
-                  if (!msg.tool_calls && typeof msg.content === 'string') {
-                    const extracted = tryExtractToolCallsFromContent(msg.content, filteredTools as ToolDef[] | undefined);
-                    if (extracted && extracted.length > 0) {
-                      msg.tool_calls = extracted;
-                    }
-                  }
-                }
-              }
-            }
-            recordUsage(fallbackRetryModel, 200, retryResponse, provider);
-            return {
-              ...retryResponse,
-              warning: buildFallbackWarning(model, fallbackRetryModel),
-            };
-          } catch (retryError) {
-            request.log.error({ err: retryError }, 'Fallback model also failed');
-          }
-        }
       }
     }
 
     // LLM error final fallback: deterministic mock (if enabled), else a real 503.
     // Reached only from the non-stream path — streaming failures end the stream above.
-    const response = respondMockOrError('llm_error', model, normalizedMessages, stream, reply, request.headers.origin);
+    const response = respondMockOrError('llm_error', model, normalizedMessages, stream, reply, request.headers.origin, appendThreadTurn, structured, mockParams, guardrails);
     recordUsage(model, reply.statusCode, response, provider);
     return response;
   });
@@ -1,14 +1,13 @@
 import { FastifyPluginAsync } from 'fastify';
-import { validateAuth, createError, generateEmbedding, countTokens, isLLMBackendConfigured, isOllamaAvailable } from '../util';
+import { createError, generateEmbedding, countTokens, isLLMBackendConfigured, isOllamaAvailable } from '../util';
+import { createUsageRecorder, resolveChatCaller } from './chat';
+import { enforceRateLimits } from '../util/rate-limits';
+import { recordMockResponse } from '../util/metrics';
+import { CACHE_HEADER, cacheSettingsFromYaml, responseCacheFor } from '../util/response-cache';
+import { fetchLLMEmbeddings, fetchOllamaEmbeddings } from '../util/embedding-backends';
 
 // Hoist static env reads (these never change at runtime)
-const LLM_BASE_URL = process.env.LLM_BASE_URL || '';
-const LLM_API_KEY = process.env.LLM_API_KEY || '';
 const LLM_PROVIDER = process.env.LLM_PROVIDER || '';
-const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || 'http://127.0.0.1:11434';
-// Embedding model to use when routing to Ollama. Requested OpenAI model names
-// (e.g. text-embedding-3-small) don't exist in Ollama, so map to a real one.
-const OLLAMA_EMBED_MODEL = process.env.OLLAMA_EMBED_MODEL || 'nomic-embed-text';
 // Mock embeddings are OFF by default so a real backend failure surfaces as a 503
 // instead of returning semantically meaningless vectors. Set ALLOW_MOCK=true to
 // return deterministic mock embeddings when no backend is configured or reachable.
@@ -34,50 +33,6 @@ function buildMockWarning(model: string) {
 
 type EmbeddingItem = { object: 'embedding'; embedding: number[]; index: number };
 
-/**
- * Forward the request to an OpenAI-compatible embeddings backend
- * (OpenAI, Portkey Gateway, etc.).
- */
-async function fetchLLMEmbeddings(body: {
-  model: string;
-  input: string[];
-  dimensions?: number;
-  encoding_format?: string;
-}): Promise<Response> {
-  const headers: Record<string, string> = {
-    'Authorization': `Bearer ${LLM_API_KEY}`,
-    'Content-Type': 'application/json',
-  };
-  if (LLM_PROVIDER) headers['x-portkey-provider'] = LLM_PROVIDER;
-
-  return fetch(`${LLM_BASE_URL}/v1/embeddings`, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(body),
-  });
-}
-
-/**
- * Fetch embeddings from a local/remote Ollama instance via its native /api/embed
- * endpoint (supports batch string arrays). Returns one vector per input.
- */
-async function fetchOllamaEmbeddings(inputs: string[]): Promise<number[][]> {
-  const resp = await fetch(`${OLLAMA_BASE_URL}/api/embed`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ model: OLLAMA_EMBED_MODEL, input: inputs }),
-  });
-  if (!resp.ok) {
-    const errText = await resp.text();
-    throw new Error(`Ollama embeddings failed (${resp.status}): ${errText}`);
-  }
-  const data = (await resp.json()) as { embeddings?: number[][] };
-  if (!Array.isArray(data.embeddings) || data.embeddings.length !== inputs.length) {
-    throw new Error('Ollama returned an unexpected embeddings payload');
-  }
-  return data.embeddings;
-}
-
 const embeddingsRoute: FastifyPluginAsync = async (fastify) => {
   // POST /v1/embeddings
   fastify.post('/v1/embeddings', {
@@ -110,10 +65,15 @@ const embeddingsRoute: FastifyPluginAsync = async (fastify) => {
       }
     },
   }, async (request, reply) => {
-    // Validate authorization
-    if (!validateAuth(request.headers.authorization)) {
-      reply.code(401);
-      return createError('Invalid API key provided', 'invalid_request_error');
+    // Validate authorization and apply the key's quotas
+    const auth = resolveChatCaller(request, reply);
+    if (auth.error) return auth.error;
+    const { usageContext, agentConfig } = auth.caller;
+    const recordUsage = createUsageRecorder(request, usageContext, '/v1/embeddings');
+    const limited = enforceRateLimits(reply, usageContext, agentConfig?.limits ?? null);
+    if (limited) {
+      recordUsage(null, 429);
+      return limited;
     }
 
     const body = request.body as {
@@ -145,6 +105,27 @@ const embeddingsRoute: FastifyPluginAsync = async (fastify) => {
     const llmConfigured = isLLMBackendConfigured();
     const ollamaAvailable = llmConfigured ? false : await isOllamaAvailable();
 
+    // Embeddings are deterministic, so any request to a real backend can be cached
+    // (see response-cache.ts). Mock vectors are cheap and never stored.
+    const cacheSettings = agentConfig?.cache ?? cacheSettingsFromYaml(null);
+    const backend = llmConfigured ? LLM_PROVIDER || 'llm' : ollamaAvailable ? 'ollama' : null;
+    const cache = cacheSettings.enabled && backend
+      ? responseCacheFor(request, usageContext, cacheSettings, '/v1/embeddings', {
+        backend,
+        model,
+        input: inputs,
+        dimensions: dimensions ?? null,
+        encoding_format: encoding_format ?? null,
+      })
+      : null;
+    const cached = cache?.lookup();
+    if (cached) {
+      recordUsage(cached.model, 200, undefined, llmConfigured ? LLM_PROVIDER || null : 'ollama');
+      reply.header(CACHE_HEADER, 'hit');
+      return JSON.parse(cached.body);
+    }
+    if (cache) reply.header(CACHE_HEADER, 'miss');
+
     // ── 1. OpenAI-compatible backend (proxy request through) ──
     if (llmConfigured) {
       try {
@@ -158,6 +139,7 @@ const embeddingsRoute: FastifyPluginAsync = async (fastify) => {
         if (!upstream.ok) {
           const errBody = await upstream.text();
           reply.code(upstream.status);
+          recordUsage(model, upstream.status, undefined, LLM_PROVIDER || null);
           try {
             return JSON.parse(errBody);
           } catch {
@@ -166,10 +148,14 @@ const embeddingsRoute: FastifyPluginAsync = async (fastify) => {
         }
 
         // Upstream is OpenAI-compatible; return its body verbatim.
-        return await upstream.json();
+        const result = await upstream.json();
+        recordUsage(model, 200, result, LLM_PROVIDER || null);
+        cache?.store(JSON.stringify(result), model);
+        return result;
       } catch (err) {
         request.log.error({ err }, 'LLM embeddings backend request failed');
         reply.code(502);
+        recordUsage(model, 502, undefined, LLM_PROVIDER || null);
         return createError(
           `Embeddings backend request failed: ${err instanceof Error ? err.message : 'unknown error'}`,
           'upstream_error',
@@ -187,7 +173,7 @@ const embeddingsRoute: FastifyPluginAsync = async (fastify) => {
           index,
         }));
         const totalTokens = inputs.reduce((sum, text) => sum + countTokens(text), 0);
-        return {
+        const result = {
           object: 'list' as const,
           data,
           model,
@@ -196,9 +182,13 @@ const embeddingsRoute: FastifyPluginAsync = async (fastify) => {
             total_tokens: totalTokens,
           },
         };
+        recordUsage(model, 200, result, 'ollama');
+        cache?.store(JSON.stringify(result), model);
+        return result;
       } catch (err) {
         request.log.error({ err }, 'Ollama embeddings backend request failed');
         reply.code(502);
+        recordUsage(model, 502, undefined, 'ollama');
         return createError(
           `Embeddings backend request failed: ${err instanceof Error ? err.message : 'unknown error'}`,
           'upstream_error',
@@ -213,20 +203,21 @@ const embeddingsRoute: FastifyPluginAsync = async (fastify) => {
 
     if (!MOCK_ENABLED) {
       reply.code(503);
+      recordUsage(model, 503);
       return createError(
         'No embeddings backend configured or reachable and mock responses are disabled. Set LLM_BASE_URL (or run Ollama), or set ALLOW_MOCK=true to return deterministic mock embeddings.',
         'server_error',
       );
     }
 
+    recordMockResponse('/v1/embeddings', 'no_backend');
     const data: EmbeddingItem[] = inputs.map((text, index) => ({
       object: 'embedding',
       embedding: generateEmbedding(text, actualDimensions),
       index,
     }));
     const totalTokens = inputs.reduce((sum, text) => sum + countTokens(text), 0);
-
-    return {
+    const result = {
       object: 'list' as const,
       data,
       model,
@@ -236,6 +227,8 @@ const embeddingsRoute: FastifyPluginAsync = async (fastify) => {
       },
       warning: buildMockWarning(model),
     };
+    recordUsage(model, 200, result);
+    return result;
   });
 };
 
@@ -1,30 +1,35 @@
-import { FastifyPluginAsync } from 'fastify';
-import { validateAuth, createError, generateId } from '../util';
-import * as fs from 'fs/promises';
-import * as path from 'path';
-
-const filesRoute: FastifyPluginAsync = async (fastify) => {
-  const dataDir = path.join(process.cwd(), 'data', 'files');
-  const indexFile = path.join(dataDir, 'index.json');
-
-  // Ensure data directory exists
-  await fs.mkdir(dataDir, { recursive: true });
-
-  // Load or initialize file index
-  async function loadFileIndex(): Promise<any[]> {
-    try {
-      const data = await fs.readFile(indexFile, 'utf-8');
-      return JSON.parse(data);
-    } catch {
-      return [];
-    }
+import { FastifyPluginAsync, FastifyRequest, FastifyReply } from 'fastify';
+import { validateAuth, createError, generateId, extractToken } from '../util';
+import { agentStore } from '../storage/agents';
+import { fileStore, readFileContent, type FileOwner } from '../storage/files';
+import { knowledgeStore } from '../storage/knowledge';
+import { vectorStoreStore } from '../storage/vector-stores';
+import { resolveKeyOwner } from './threads';
+
+declare module 'fastify' {
+  interface FastifyRequest {
+    fileOwner?: FileOwner;
   }
-
-  // Save file index
-  async function saveFileIndex(files: any[]): Promise<void> {
-    await fs.writeFile(indexFile, JSON.stringify(files, null, 2));
+}
+
+// Every route is scoped to the calling key: files belong to the agent key or
+// parent key that uploaded them, and other keys get a 404.
+async function fileAuth(request: FastifyRequest, reply: FastifyReply): Promise<void> {
+  if (!validateAuth(request.headers.authorization)) {
+    reply.code(401).send(createError('Invalid API key provided', 'invalid_request_error'));
+    return;
+  }
+  const owner = agentStore.validateKey(extractToken(request.headers.authorization))
+    ? resolveKeyOwner(request.headers.authorization)
+    : null;
+  if (!owner) {
+    reply.code(401).send(createError('API key not found. Verify the key exists in the database.', 'invalid_request_error'));
+    return;
   }
+  request.fileOwner = owner;
+}
 
+const filesRoute: FastifyPluginAsync = async (fastify) => {
   // POST /v1/files (upload)
   fastify.post('/v1/files', {
     schema: {
@@ -36,13 +41,8 @@ const filesRoute: FastifyPluginAsync = async (fastify) => {
       },
       consumes: ['multipart/form-data']
     },
+    preHandler: fileAuth,
   }, async (request, reply) => {
-    // Validate authorization
-    if (!validateAuth(request.headers.authorization)) {
-      reply.code(401);
-      return createError('Invalid API key provided', 'invalid_request_error');
-    }
-
     try {
       const data = await request.file();
       if (!data) {
@@ -54,25 +54,9 @@ const filesRoute: FastifyPluginAsync = async (fastify) => {
       const filename = data.filename || 'unnamed';
       const purpose = (data.fields as any)?.purpose?.value || 'assistants';
       
-      // Save file content
-      const filePath = path.join(dataDir, fileId);
+      // Save file content and record it for the calling key
       const buffer = await data.toBuffer();
-      await fs.writeFile(filePath, buffer);
-
-      // Create file object
-      const fileObject = {
-        id: fileId,
-        object: 'file' as const,
-        bytes: buffer.length,
-        created_at: Math.floor(Date.now() / 1000),
-        filename,
-        purpose,
-      };
-
-      // Update index
-      const files = await loadFileIndex();
-      files.push(fileObject);
-      await saveFileIndex(files);
+      const fileObject = await fileStore.createFile(request.fileOwner!, fileId, filename, purpose, buffer);
 
       // Add OpenAI-compatible headers
       reply.headers({
@@ -96,16 +80,18 @@ const filesRoute: FastifyPluginAsync = async (fastify) => {
         properties: {
           authorization: { type: 'string' }
         }
+      },
+      querystring: {
+        type: 'object',
+        properties: {
+          purpose: { type: 'string' }
+        }
       }
     },
+    preHandler: fileAuth,
   }, async (request, reply) => {
-    // Validate authorization
-    if (!validateAuth(request.headers.authorization)) {
-      reply.code(401);
-      return createError('Invalid API key provided', 'invalid_request_error');
-    }
-
-    const files = await loadFileIndex();
+    const { purpose } = request.query as { purpose?: string };
+    const files = fileStore.listOwned(request.fileOwner!, purpose);
 
     // Add OpenAI-compatible headers
     reply.headers({
@@ -137,16 +123,10 @@ const filesRoute: FastifyPluginAsync = async (fastify) => {
         required: ['file_id']
       }
     },
+    preHandler: fileAuth,
   }, async (request, reply) => {
-    // Validate authorization
-    if (!validateAuth(request.headers.authorization)) {
-      reply.code(401);
-      return createError('Invalid API key provided', 'invalid_request_error');
-    }
-
     const { file_id } = request.params as { file_id: string };
-    const files = await loadFileIndex();
-    const file = files.find(f => f.id === file_id);
+    const file = fileStore.getOwned(file_id, request.fileOwner!);
 
     if (!file) {
       reply.code(404);
@@ -180,16 +160,10 @@ const filesRoute: FastifyPluginAsync = async (fastify) => {
         required: ['file_id']
       }
     },
+    preHandler: fileAuth,
   }, async (request, reply) => {
-    // Validate authorization
-    if (!validateAuth(request.headers.authorization)) {
-      reply.code(401);
-      return createError('Invalid API key provided', 'invalid_request_error');
-    }
-
     const { file_id } = request.params as { file_id: string };
-    const files = await loadFileIndex();
-    const file = files.find(f => f.id === file_id);
+    const file = fileStore.getOwned(file_id, request.fileOwner!);
 
     if (!file) {
       reply.code(404);
@@ -197,8 +171,7 @@ const filesRoute: FastifyPluginAsync = async (fastify) => {
     }
 
     try {
-      const filePath = path.join(dataDir, file_id);
-      const fileContent = await fs.readFile(filePath);
+      const fileContent = await readFileContent(file_id);
       
       reply.headers({
         'content-disposition': `attachment; filename="${file.filename}"`,
@@ -230,30 +203,19 @@ const filesRoute: FastifyPluginAsync = async (fastify) => {
         required: ['file_id']
       }
     },
+    preHandler: fileAuth,
   }, async (request, reply) => {
-    // Validate authorization
-    if (!validateAuth(request.headers.authorization)) {
-      reply.code(401);
-      return createError('Invalid API key provided', 'invalid_request_error');
-    }
-
     const { file_id } = request.params as { file_id: string };
-    const files = await loadFileIndex();
-    const fileIndex = files.findIndex(f => f.id === file_id);
-
-    if (fileIndex === -1) {
-      reply.code(404);
-      return createError('File not found', 'invalid_request_error');
-    }
 
     try {
-      // Remove file content
-      const filePath = path.join(dataDir, file_id);
-      await fs.unlink(filePath);
+      if (!await fileStore.deleteOwned(file_id, request.fileOwner!)) {
+        reply.code(404);
+        return createError('File not found', 'invalid_request_error');
+      }
 
-      // Remove from index
-      files.splice(fileIndex, 1);
-      await saveFileIndex(files);
+      // Also drop it from the knowledge index and the vector stores that search it
+      knowledgeStore.deleteFile(file_id);
+      vectorStoreStore.removeFileEverywhere(file_id);
 
       // Add OpenAI-compatible headers
       reply.headers({
@@ -0,0 +1,35 @@
+import * as crypto from 'crypto';
+import { FastifyPluginAsync, FastifyRequest } from 'fastify';
+import { createError } from '../util';
+import { renderMetrics } from '../util/metrics';
+
+// --- Prometheus metrics ---
+// GET /metrics serves the counters from util/metrics.ts in the Prometheus
+// text format (version 0.0.4). Values live in memory, per server process, and
+// start from zero on restart; usage_events in SQLite remains the durable record.
+//
+// Set METRICS_TOKEN to require `Authorization: Bearer <token>` on /metrics.
+// Without it the endpoint is open, which is fine behind a proxy that doesn't
+// route /metrics publicly.
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+function hasMetricsToken(request: FastifyRequest): boolean {
+  const header = request.headers.authorization || '';
+  const presented = Buffer.from(header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '');
+  const expected = Buffer.from(METRICS_TOKEN);
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+const metricsRoute: FastifyPluginAsync = async (fastify) => {
+  fastify.get('/metrics', async (request, reply) => {
+    if (METRICS_TOKEN && !hasMetricsToken(request)) {
+      reply.code(401);
+      return createError('Invalid or missing metrics token', 'authentication_error');
+    }
+    reply.header('content-type', 'text/plain; version=0.0.4; charset=utf-8');
+    return renderMetrics();
+  });
+};
+
+export default metricsRoute;
@@ -1,3 +1,5 @@
+import { contentToText } from '../util';
+
 // Pure helpers for deterministic mock chat responses.
 // Used by the chat route to bypass the LLM for `type: mock` agents
 // and as a final fallback when no LLM backend is reachable.
@@ -19,27 +21,6 @@ export interface ChatMessage {
   content: MessageContent;
 }
 
-// Flatten a message's content into a plain string. Strings pass through; arrays
-// of content parts are reduced to their concatenated `text` fields. This keeps
-// downstream string operations (e.g. toLowerCase, JSON.parse) safe when callers
-// send multimodal content arrays.
-export function contentToText(content: unknown): string {
-  if (typeof content === 'string') return content;
-  if (Array.isArray(content)) {
-    return content
-      .map((part) => {
-        if (typeof part === 'string') return part;
-        if (part && typeof part === 'object' && typeof (part as ContentPart).text === 'string') {
-          return (part as ContentPart).text as string;
-        }
-        return '';
-      })
-      .filter(Boolean)
-      .join(' ');
-  }
-  return '';
-}
-
 export interface ToolCall {
   id: string;
   type: 'function';
@@ -0,0 +1,116 @@
+import { FastifyPluginAsync } from 'fastify';
+import { createError, generateId, isLLMBackendConfigured } from '../util';
+import { createUsageRecorder, resolveChatCaller } from './chat';
+import { enforceRateLimits } from '../util/rate-limits';
+import { classifyText } from '../util/moderation-rules';
+
+// --- Moderation ---
+// POST /v1/moderations classifies text with the local rule-based classifier
+// in util/moderation-rules.ts. MODERATION_BACKEND=llm proxies the endpoint to
+// the OpenAI-compatible backend at LLM_BASE_URL instead. Agent guardrails
+// (guardrails.ts) always use the local rules, so they can check streamed
+// output chunk by chunk.
+
+const LLM_BASE_URL = process.env.LLM_BASE_URL || '';
+const LLM_API_KEY = process.env.LLM_API_KEY || '';
+const LLM_PROVIDER = process.env.LLM_PROVIDER || '';
+const MODERATION_BACKEND = process.env.MODERATION_BACKEND === 'llm' ? 'llm' : 'local';
+export const LOCAL_MODERATION_MODEL = 'ozwell-moderation-local';
+
+const moderationRoute: FastifyPluginAsync = async (fastify) => {
+  // POST /v1/moderations
+  fastify.post('/v1/moderations', {
+    schema: {
+      summary: 'Create moderation',
+      description: 'Classifies text against moderation categories. Uses the local rule-based classifier, or the OpenAI-compatible backend when MODERATION_BACKEND=llm.',
+      tags: ['Moderations'],
+      headers: {
+        type: 'object',
+        properties: {
+          authorization: { type: 'string' }
+        }
+      },
+      body: {
+        type: 'object',
+        properties: {
+          input: {
+            anyOf: [
+              { type: 'string' },
+              { type: 'array', items: { type: 'string' } },
+            ],
+          },
+          model: { type: 'string' },
+        },
+        required: ['input']
+      }
+    },
+  }, async (request, reply) => {
+    const auth = resolveChatCaller(request, reply);
+    if (auth.error) return auth.error;
+    const { usageContext, agentConfig } = auth.caller;
+    const recordUsage = createUsageRecorder(request, usageContext, '/v1/moderations');
+    const limited = enforceRateLimits(reply, usageContext, agentConfig?.limits ?? null);
+    if (limited) {
+      recordUsage(null, 429);
+      return limited;
+    }
+
+    const { input, model } = request.body as { input: string | string[]; model?: string };
+    const inputs = Array.isArray(input) ? input : [input];
+    if (inputs.length === 0) {
+      reply.code(400);
+      return createError('Input must not be empty', 'invalid_request_error', 'input');
+    }
+
+    if (MODERATION_BACKEND === 'llm') {
+      const upstreamModel = model || 'omni-moderation-latest';
+      if (!isLLMBackendConfigured()) {
+        reply.code(503);
+        recordUsage(upstreamModel, 503);
+        return createError('MODERATION_BACKEND=llm needs LLM_BASE_URL to be set.', 'server_error');
+      }
+      try {
+        const headers: Record<string, string> = {
+          'Authorization': `Bearer ${LLM_API_KEY}`,
+          'Content-Type': 'application/json',
+        };
+        if (LLM_PROVIDER) headers['x-portkey-provider'] = LLM_PROVIDER;
+        const upstream = await fetch(`${LLM_BASE_URL}/v1/moderations`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ input, model: upstreamModel }),
+        });
+        if (!upstream.ok) {
+          const errBody = await upstream.text();
+          reply.code(upstream.status);
+          recordUsage(upstreamModel, upstream.status, undefined, LLM_PROVIDER || null);
+          try {
+            return JSON.parse(errBody);
+          } catch {
+            return createError(errBody, 'upstream_error');
+          }
+        }
+        const result = await upstream.json();
+        recordUsage(upstreamModel, 200, undefined, LLM_PROVIDER || null);
+        return result;
+      } catch (err) {
+        request.log.error({ err }, 'LLM moderation backend request failed');
+        reply.code(502);
+        recordUsage(upstreamModel, 502, undefined, LLM_PROVIDER || null);
+        return createError(
+          `Moderation backend request failed: ${err instanceof Error ? err.message : 'unknown error'}`,
+          'upstream_error',
+        );
+      }
+    }
+
+    recordUsage(LOCAL_MODERATION_MODEL, 200, undefined, 'local');
+    return {
+      id: generateId('modr'),
+      model: LOCAL_MODERATION_MODEL,
+      results: inputs.map(text => classifyText(text)),
+    };
+  });
+};
+
+export default moderationRoute;
@@ -1,12 +1,352 @@
-import { FastifyPluginAsync } from 'fastify';
-import { validateAuth, createError, SimpleTextGenerator, generateId, countTokens, parsePositiveEnvNumber } from '../util';
+import { FastifyPluginAsync, FastifyReply } from 'fastify';
+import { createError, generateId, countTokens, contentToText, parsePositiveEnvNumber, isRecord } from '../util';
+import type { ChatCompletionRequest as ClientChatCompletionRequest, ChatCompletionChunk } from 'ozwellai';
+import type { Message } from '../../../spec/index';
+import { responseStore, type ResponseOwner } from '../storage/responses';
+import { withKnowledge } from '../util/knowledge';
+import { createRedactor } from '../util/redaction';
+import { checkGuardrailInput, checkGuardrailOutput, createOutputGuard, guardrailError, refusalAfter, type GuardrailViolation } from '../util/guardrails';
+import { enforceRateLimits } from '../util/rate-limits';
+import { toolCallValidationError, toolSchemaError, toolValidationFromYaml, toolValidationReplies, validateToolCalls, type ToolCallProblem } from '../util/tool-validation';
+import { addUsage } from '../util/agent-tools';
+import { createToolCallParser, parseDeltaToolCalls, parseToolCallMarkup } from '../util/tool-call-parser';
+import { recordMockResponse, trackSseStream } from '../util/metrics';
+import {
+  resolveChatCaller,
+  createUsageRecorder,
+  resolveChatTarget,
+  chatClientFor,
+  runWithFailover,
+  tokenParamsFor,
+  temperatureParamsFor,
+  normalizeChatMessages,
+  filterToolsForAgent,
+  isValidMessageContent,
+  normalizeMessageThinking,
+  normalizeChunkThinking,
+  tryExtractToolCallsFromContent,
+  mergeToolCallDeltas,
+  buildMockWarning,
+  buildMockAssistant,
+  startSseHeartbeat,
+  writeSseHead,
+  MOCK_MODEL_ID,
+  MOCK_ENABLED,
+  type ChatTarget,
+  type FallbackWarning,
+} from './chat';
+import type { NonNullableMessage, TokenUsage, ToolCall, ToolCallDelta, ToolDef } from '../util/types';
 
 const LLM_MAX_TOKENS = parsePositiveEnvNumber('LLM_MAX_TOKENS');
 
+// ── Request types (OpenAI Responses API subset) ─────────────────────
+
+type ResponseInputContentPart = {
+  type: 'input_text' | 'output_text' | 'input_image' | 'input_file';
+  text?: string;
+  image_url?: string;
+  detail?: string;
+  file_data?: string;
+  filename?: string;
+};
+
+type ResponseInputItem = {
+  type?: 'message' | 'function_call' | 'function_call_output';
+  role?: 'user' | 'assistant' | 'system' | 'developer';
+  content?: string | ResponseInputContentPart[];
+  call_id?: string;
+  name?: string;
+  arguments?: string;
+  output?: unknown;
+};
+
+// Responses-style function tools are flat ({ type, name, parameters }); chat-style
+// ({ type, function: {...} }) is accepted too so existing tool lists can be reused.
+type ResponseTool = {
+  type: string;
+  name?: string;
+  description?: string;
+  parameters?: Record<string, unknown>;
+  function?: ToolDef['function'];
+};
+
+type ResponseRequestBody = {
+  provider?: string;
+  model?: string;
+  input: string | ResponseInputItem[];
+  instructions?: string;
+  previous_response_id?: string;
+  tools?: ResponseTool[];
+  stream?: boolean;
+  store?: boolean;
+  max_output_tokens?: number;
+  max_tokens?: number;
+  temperature?: number;
+  metadata?: Record<string, string>;
+};
+
+type ChatLikeMessage = {
+  role: Message['role'];
+  content: Message['content'];
+  tool_calls?: ToolCall[];
+  tool_call_id?: string;
+};
+
+type OutputItem =
+  | { type: 'message'; id: string; status: 'completed'; role: 'assistant'; content: Array<{ type: 'output_text'; text: string; annotations: unknown[] }> }
+  | { type: 'function_call'; id: string; call_id: string; name: string; arguments: string; status: 'completed' };
+
+type ResponseWarning = ReturnType<typeof buildMockWarning> | FallbackWarning;
+
+// ── Input conversion ────────────────────────────────────────────────
+
+function toChatContentPart(part: ResponseInputContentPart): Record<string, unknown> | null {
+  if ((part.type === 'input_text' || part.type === 'output_text') && typeof part.text === 'string') {
+    return { type: 'text', text: part.text };
+  }
+  if (part.type === 'input_image' && typeof part.image_url === 'string') {
+    return { type: 'image_url', image_url: { url: part.image_url, ...(part.detail && { detail: part.detail }) } };
+  }
+  if (part.type === 'input_file' && typeof part.file_data === 'string') {
+    return { type: 'file', file: { file_data: part.file_data, ...(part.filename && { filename: part.filename }) } };
+  }
+  return null;
+}
+
+/**
+ * Convert Responses `input` (a string or an item array) into chat messages.
+ * function_call items attach to the preceding assistant message so the
+ * upstream sees the same shape a chat client would have sent.
+ * Returns the offending `input[...]` param on malformed items.
+ */
+function inputToMessages(input: unknown): { messages: ChatLikeMessage[]; error: null } | { messages: null; error: string } {
+  if (typeof input === 'string') return { messages: [{ role: 'user', content: input }], error: null };
+  if (!Array.isArray(input)) return { messages: null, error: 'input' };
+
+  const messages: ChatLikeMessage[] = [];
+  for (const [index, raw] of input.entries()) {
+    if (!isRecord(raw)) return { messages: null, error: `input[${index}]` };
+    const item = raw as ResponseInputItem;
+    const type = item.type ?? 'message';
+
+    if (type === 'function_call') {
+      if (typeof item.call_id !== 'string' || typeof item.name !== 'string') return { messages: null, error: `input[${index}]` };
+      const call: ToolCall = { id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments ?? '{}' } };
+      const last = messages[messages.length - 1];
+      if (last?.role === 'assistant') {
+        last.tool_calls = [...(last.tool_calls ?? []), call];
+      } else {
+        messages.push({ role: 'assistant', content: null, tool_calls: [call] });
+      }
+      continue;
+    }
+
+    if (type === 'function_call_output') {
+      if (typeof item.call_id !== 'string') return { messages: null, error: `input[${index}].call_id` };
+      messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output ?? ''),
+      });
+      continue;
+    }
+
+    if (type !== 'message') return { messages: null, error: `input[${index}].type` };
+
+    const role = item.role === 'developer' ? 'system' : item.role;
+    if (role !== 'user' && role !== 'assistant' && role !== 'system') {
+      return { messages: null, error: `input[${index}].role` };
+    }
+
+    let content: Message['content'];
+    if (typeof item.content === 'string') {
+      content = item.content;
+    } else if (Array.isArray(item.content)) {
+      const parts = item.content.map(toChatContentPart);
+      if (parts.some(part => part === null)) return { messages: null, error: `input[${index}].content` };
+      // Assistant turns go upstream as plain text — some backends reject part arrays there.
+      content = role === 'assistant'
+        ? parts.map(part => (part as { text?: string }).text ?? '').join('')
+        : parts as Message['content'];
+    } else {
+      return { messages: null, error: `input[${index}].content` };
+    }
+    if (!isValidMessageContent(content)) return { messages: null, error: `input[${index}].content` };
+    messages.push({ role, content });
+  }
+  return { messages, error: null };
+}
+
+function toChatTools(tools: ResponseTool[] | undefined): ToolDef[] | undefined {
+  if (!tools) return undefined;
+  return tools
+    .filter(tool => tool && tool.type === 'function')
+    .map(tool => tool.function
+      ? { type: 'function' as const, function: tool.function }
+      : { type: 'function' as const, function: { name: tool.name ?? '', description: tool.description, parameters: tool.parameters } });
+}
+
+// ── Output construction ─────────────────────────────────────────────
+
+function toOutputItems(content: string | null | undefined, toolCalls: ToolCall[] | undefined, messageId = generateId('msg')): OutputItem[] {
+  const output: OutputItem[] = [];
+  if (content) {
+    output.push({
+      type: 'message',
+      id: messageId,
+      status: 'completed',
+      role: 'assistant',
+      content: [{ type: 'output_text', text: content, annotations: [] }],
+    });
+  }
+  for (const call of toolCalls ?? []) {
+    output.push({
+      type: 'function_call',
+      id: generateId('fc'),
+      call_id: call.id,
+      name: call.function.name,
+      arguments: call.function.arguments,
+      status: 'completed',
+    });
+  }
+  return output;
+}
+
+function toResponseUsage(usage: TokenUsage | undefined) {
+  if (!usage) return null;
+  const input = usage.prompt_tokens ?? 0;
+  const output = usage.completion_tokens ?? 0;
+  return { input_tokens: input, output_tokens: output, total_tokens: usage.total_tokens ?? input + output };
+}
+
+type ResponseFields = {
+  id: string;
+  created_at: number;
+  model: string;
+  instructions: string | null;
+  previous_response_id: string | null;
+  metadata: Record<string, string>;
+};
+
+function buildResponse(
+  fields: ResponseFields,
+  status: 'in_progress' | 'completed' | 'failed',
+  output: OutputItem[],
+  usage: TokenUsage | undefined,
+  warning?: ResponseWarning,
+) {
+  return {
+    ...fields,
+    object: 'response' as const,
+    status,
+    output,
+    output_text: output
+      .flatMap(item => item.type === 'message' ? item.content.map(part => part.text) : [])
+      .join(''),
+    usage: toResponseUsage(usage),
+    ...(warning && { warning }),
+  };
+}
+
+// ── Streaming ───────────────────────────────────────────────────────
+
+/**
+ * Emits the OpenAI Responses streaming event set over SSE. Text streams into a
+ * single message item; function calls are emitted as complete items when the
+ * upstream stream finishes.
+ */
+function createResponseEventStream(reply: FastifyReply, origin: string | undefined, fields: ResponseFields) {
+  let sequenceNumber = 0;
+  const messageId = generateId('msg');
+  let text = '';
+  let messageStarted = false;
+
+  const send = (type: string, payload: Record<string, unknown>) => {
+    reply.raw.write(`event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: sequenceNumber++, ...payload })}\n\n`);
+  };
+
+  return {
+    start(warning?: ResponseWarning) {
+      writeSseHead(reply, origin);
+      trackSseStream(reply);
+      if (warning) reply.raw.write(`event: warning\ndata: ${JSON.stringify(warning)}\n\n`);
+      const response = buildResponse(fields, 'in_progress', [], undefined);
+      send('response.created', { response });
+      send('response.in_progress', { response });
+    },
+
+    textDelta(delta: string) {
+      if (!delta) return;
+      if (!messageStarted) {
+        messageStarted = true;
+        send('response.output_item.added', {
+          output_index: 0,
+          item: { type: 'message', id: messageId, status: 'in_progress', role: 'assistant', content: [] },
+        });
+        send('response.content_part.added', {
+          item_id: messageId,
+          output_index: 0,
+          content_index: 0,
+          part: { type: 'output_text', text: '', annotations: [] },
+        });
+      }
+      text += delta;
+      send('response.output_text.delta', { item_id: messageId, output_index: 0, content_index: 0, delta });
+    },
+
+    complete(toolCalls: ToolCall[], usage: TokenUsage | undefined, warning?: ResponseWarning) {
+      const output = toOutputItems(text, toolCalls, messageId);
+      output.forEach((item, outputIndex) => {
+        if (item.type === 'message') {
+          const part = item.content[0];
+          send('response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text: part.text });
+          send('response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part });
+        } else {
+          send('response.output_item.added', { output_index: outputIndex, item: { ...item, status: 'in_progress', arguments: '' } });
+          send('response.function_call_arguments.delta', { item_id: item.id, output_index: outputIndex, delta: item.arguments });
+          send('response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: item.arguments });
+        }
+        send('response.output_item.done', { output_index: outputIndex, item });
+      });
+      const response = buildResponse(fields, 'completed', output, usage, warning);
+      send('response.completed', { response });
+      reply.raw.end();
+      return response;
+    },
+
+    guardrail(found: GuardrailViolation) {
+      reply.raw.write(`event: guardrail\ndata: ${JSON.stringify(found)}\n\n`);
+    },
+
+    fail(message: string, code = 'server_error') {
+      const response = {
+        ...buildResponse(fields, 'failed', [], undefined),
+        error: { code, message },
+      };
+      send('response.failed', { response });
+      reply.raw.end();
+    },
+
+    get outputText() {
+      return text;
+    },
+  };
+}
+
+// Open an upstream stream and pull the first chunk so connection and
+// model-not-found errors surface before any response headers are written.
+async function openChatStream(client: ReturnType<typeof chatClientFor>, request: Record<string, unknown>) {
+  const iterator = client.createChatCompletionStream(request as unknown as ClientChatCompletionRequest)[Symbol.asyncIterator]();
+  const first = await iterator.next();
+  return { iterator, first };
+}
+
 const responsesRoute: FastifyPluginAsync = async (fastify) => {
   // POST /v1/responses
   fastify.post('/v1/responses', {
     schema: {
+      tags: ['Responses'],
+      summary: 'Create a model response',
       headers: {
         type: 'object',
         properties: {
@@ -16,109 +356,434 @@ const responsesRoute: FastifyPluginAsync = async (fastify) => {
       body: {
         type: 'object',
         properties: {
+          provider: { type: 'string' },
           model: { type: 'string' },
-          input: { type: 'string' },
+          // String or item array — unconstrained for the same ajv coerceTypes
+          // reason as chat messages; inputToMessages validates at runtime.
+          input: {},
+          instructions: { type: 'string' },
+          previous_response_id: { type: 'string' },
+          tools: { type: 'array', items: { type: 'object', additionalProperties: true } },
           stream: { type: 'boolean' },
+          store: { type: 'boolean' },
+          max_output_tokens: { type: 'number' },
           max_tokens: { type: 'number' },
-          temperature: { type: 'number' }
+          temperature: { type: 'number' },
+          metadata: { type: 'object', additionalProperties: { type: 'string' } },
         },
-        required: ['model', 'input']
+        required: ['input']
       }
     },
   }, async (request, reply) => {
-    // Validate authorization
-    if (!validateAuth(request.headers.authorization)) {
-      reply.code(401);
-      return createError('Invalid API key provided', 'invalid_request_error');
-    }
+    const auth = resolveChatCaller(request, reply);
+    if (auth.error) return auth.error;
+    const { usageContext, agentConfig } = auth.caller;
+    const body = request.body as ResponseRequestBody;
+    const recordUsage = createUsageRecorder(request, usageContext, '/v1/responses');
 
-    const body = request.body as any;
-    const { model, input, stream = false, max_tokens, temperature = 0.7 } = body;
-    const effectiveMaxTokens = max_tokens ?? LLM_MAX_TOKENS;
+    const limited = enforceRateLimits(reply, usageContext, agentConfig?.limits ?? null);
+    if (limited) {
+      recordUsage(null, 429);
+      return limited;
+    }
+    const { stream = false, store = true, instructions, previous_response_id: previousResponseId } = body;
 
-    // Validate model
-    const supportedModels = ['gpt-4o', 'gpt-4o-mini'];
-    if (!supportedModels.includes(model)) {
+    const converted = inputToMessages(body.input);
+    if (converted.error !== null) {
+      reply.code(400);
+      return createError(`Invalid ${converted.error}`, 'invalid_request_error', converted.error);
+    }
+    const toolsError = toolSchemaError(toChatTools(body.tools));
+    if (toolsError) {
       reply.code(400);
-      return createError(`Model '${model}' not found`, 'invalid_request_error', 'model');
+      return toolsError;
     }
 
-    const requestId = generateId('resp');
-    const created = Math.floor(Date.now() / 1000);
+    const owner: ResponseOwner | null = usageContext.parentKeyId
+      ? { parent_key_id: usageContext.parentKeyId, agent_id: usageContext.agentId }
+      : null;
+
+    // previous_response_id chaining: replay the stored conversation (not its instructions)
+    let history: ChatLikeMessage[] = [];
+    if (previousResponseId) {
+      const previous = owner ? responseStore.getOwned(previousResponseId, owner) : null;
+      if (!previous) {
+        reply.code(404);
+        return createError(`No response found with id '${previousResponseId}'`, 'invalid_request_error', 'previous_response_id', 'response_not_found');
+      }
+      history = previous.messages as ChatLikeMessage[];
+    }
+    const conversation = [...history, ...converted.messages];
 
-    // Add OpenAI-compatible headers
-    reply.headers({
-      'x-request-id': `req_${Date.now()}`,
-      'openai-processing-ms': '120',
-      'openai-version': '2020-10-01',
+    const fields = (model: string): ResponseFields => ({
+      id: generateId('resp'),
+      created_at: Math.floor(Date.now() / 1000),
+      model,
+      instructions: instructions ?? null,
+      previous_response_id: previousResponseId ?? null,
+      metadata: body.metadata ?? {},
     });
 
-    if (stream) {
-      // Streaming response with semantic events
-      reply.type('text/event-stream');
-      reply.headers({
-        'cache-control': 'no-cache',
-        'connection': 'keep-alive',
-      });
+    const persist = (response: ReturnType<typeof buildResponse>, assistant: { content: string | null; tool_calls?: ToolCall[] }) => {
+      if (!store || !owner) return;
+      try {
+        responseStore.saveResponse(owner, {
+          response,
+          messages: [
+            ...conversation,
+            { role: 'assistant', content: assistant.content, ...(assistant.tool_calls?.length && { tool_calls: assistant.tool_calls }) },
+          ],
+        });
+      } catch (err) {
+        request.log.warn({ err, responseId: response.id }, 'Failed to store response');
+      }
+    };
+
+    // Mock-type agents never call an LLM, so there is no backend to resolve
+    const mockModel = agentConfig?.type === 'mock' ? agentConfig.modelPolicy.default_model || 'mock' : null;
+    let chatTarget: ChatTarget | null = null;
+    if (!mockModel) {
+      const resolvedTarget = await resolveChatTarget(request, reply, auth.caller, body.provider, body.model);
+      if (resolvedTarget.error) return resolvedTarget.error;
+      chatTarget = resolvedTarget.target;
+    }
+
+    // Agent guardrails (see guardrails.ts): input checks cover this request's user
+    // messages, before knowledge retrieval or any provider, for mock agents too
+    const guardrails = agentConfig?.guardrails ?? null;
+    const inputViolation = guardrails ? checkGuardrailInput(guardrails, converted.messages) : null;
+    if (guardrails && inputViolation) {
+      const model = chatTarget?.model ?? mockModel!;
+      if (inputViolation.action === 'error') {
+        reply.code(400);
+        recordUsage(model, 400, undefined, chatTarget?.provider);
+        return guardrailError(inputViolation);
+      }
+      let response;
+      if (stream) {
+        const events = createResponseEventStream(reply, request.headers.origin, fields(model));
+        events.start();
+        events.guardrail(inputViolation);
+        events.textDelta(guardrails.refusal);
+        response = events.complete([], undefined);
+      } else {
+        response = buildResponse(fields(model), 'completed', toOutputItems(guardrails.refusal, []), undefined);
+      }
+      recordUsage(model, 200, undefined, chatTarget?.provider);
+      persist(response, { content: guardrails.refusal });
+      return stream ? undefined : { ...response, guardrail: inputViolation };
+    }
+
+    // Placeholders go upstream, the knowledge query included; the reply is
+    // restored before it is stored or sent (see redaction.ts)
+    const redactor = agentConfig?.redaction ? createRedactor(agentConfig.redaction) : null;
+    const upstreamMessages = (list: NonNullableMessage[]) => redactor ? redactor.messages(list) : list;
+    redactor?.learn(conversation);
+
+    const latestUserText = contentToText([...conversation].reverse().find(m => m.role === 'user')?.content);
+    const systemPrompt = agentConfig
+      ? await withKnowledge(agentConfig.systemPrompt, agentConfig.knowledge, latestUserText, request.log, redactor, usageContext.parentKeyId ?? undefined)
+      : '';
+    const systemMessages: NonNullableMessage[] = [
+      ...(systemPrompt ? [{ role: 'system' as const, content: systemPrompt }] : []),
+      ...(instructions ? [{ role: 'system' as const, content: instructions }] : []),
+    ];
+    const messages = [...systemMessages, ...normalizeChatMessages(conversation as Parameters<typeof normalizeChatMessages>[0])];
+
+    // Deterministic mock for mock agents, or (with ALLOW_MOCK) when no LLM answered.
+    // Mirrors chat.ts respondMockOrError: a real 503 when mocks are disabled, and
+    // output guardrails check the mock answer like a provider's.
+    const respondMock = (reason: Parameters<typeof buildMockWarning>[0], model: string) => {
+      if (reason !== 'mock_agent' && !MOCK_ENABLED) {
+        reply.code(503);
+        recordUsage(model, 503);
+        return createError(
+          `No LLM response available (${reason}) and mock responses are disabled. Set ALLOW_MOCK=true to return deterministic mock responses.`,
+          'server_error',
+        );
+      }
+      recordMockResponse('/v1/responses', reason);
+      const warning = buildMockWarning(reason, model);
+      let { assistantMsg } = buildMockAssistant(messages);
+      const outputViolation = guardrails ? checkGuardrailOutput(guardrails, assistantMsg.content) : null;
+      if (guardrails && outputViolation) {
+        if (outputViolation.action === 'error') {
+          reply.code(400);
+          recordUsage(model, 400);
+          return guardrailError(outputViolation);
+        }
+        assistantMsg = { role: 'assistant', content: guardrails.refusal };
+      }
+      const promptTokens = countTokens(messages.map((m) => contentToText(m.content)).join(' '));
+      const completionTokens = countTokens(assistantMsg.content || JSON.stringify(assistantMsg.tool_calls || []));
+      const usage = { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+      const toolCalls = (assistantMsg.tool_calls ?? []) as ToolCall[];
+      let response;
+      if (stream) {
+        const events = createResponseEventStream(reply, request.headers.origin, fields(MOCK_MODEL_ID));
+        events.start(warning);
+        if (outputViolation) events.guardrail(outputViolation);
+        events.textDelta(assistantMsg.content ?? '');
+        response = events.complete(toolCalls, usage, warning);
+      } else {
+        response = buildResponse(fields(MOCK_MODEL_ID), 'completed', toOutputItems(assistantMsg.content, toolCalls), usage, warning);
+      }
+      recordUsage(model, 200, { usage });
+      persist(response, { content: assistantMsg.content ?? null, tool_calls: toolCalls });
+      if (stream) return undefined;
+      return outputViolation ? { ...response, guardrail: outputViolation } : response;
+    };
+
+    if (mockModel) return respondMock('mock_agent', mockModel);
+    const target = chatTarget!;
+    if (target.backend === 'fallback') return respondMock('no_backend', target.model);
+
+    const tools = filterToolsForAgent(toChatTools(body.tools), agentConfig);
+    // Agent-configured temperature takes precedence over client request
+    const temperature = agentConfig?.temperature ?? body.temperature ?? 0.7;
+    const maxTokens = body.max_output_tokens ?? body.max_tokens ?? LLM_MAX_TOKENS;
+    // Tool calls are checked against their schemas (see tool-validation.ts); a re-prompt
+    // adds the rejected turn and the problems after the conversation
+    const toolValidation = agentConfig?.toolValidation ?? toolValidationFromYaml(null);
+    const retryTurns: NonNullableMessage[] = [];
+    const rejectTurn = (content: string, calls: ToolCall[], problems: ToolCallProblem[]) => {
+      request.log.info({ calls: problems.map(p => p.name) }, 'Re-prompting after invalid tool call arguments');
+      retryTurns.push({ role: 'assistant', content, tool_calls: calls }, ...toolValidationReplies(calls, problems));
+    };
+    const requestFor = (model: string, streaming: boolean) => ({
+      model,
+      messages: upstreamMessages([...messages, ...retryTurns]),
+      ...tokenParamsFor(model, maxTokens),
+      ...temperatureParamsFor(model, temperature),
+      ...(tools && tools.length > 0 && { tools }),
+      stream: streaming,
+      ...(streaming && { stream_options: { include_usage: true } }),
+    });
+    if (!stream) {
+      let model = target.model;
+      let provider = target.provider;
+      let warning: ResponseWarning | undefined;
+      let completion;
+      let client;
+      try {
+        const answered = await runWithFailover(target, request.log, async (step, stepClient) => ({
+          client: stepClient,
+          completion: await stepClient.createChatCompletion(requestFor(step.model, false) as unknown as ClientChatCompletionRequest),
+        }));
+        ({ result: { client, completion }, warning } = answered);
+        ({ model, provider } = answered.step);
+      } catch (error) {
+        request.log.error({ err: error, backend: target.backend }, 'LLM request failed for /v1/responses');
+        return respondMock('llm_error', model);
+      }
+
+      let usage: TokenUsage | undefined;
+      let content: string | null;
+      let toolCalls: ToolCall[];
+      let outputViolation: GuardrailViolation | null;
+      let invalid: ToolCallProblem[];
+      for (let retries = 0; ; retries++) {
+        const message = (completion.choices?.[0]?.message ?? {}) as unknown as Record<string, unknown> & { content?: string | null; tool_calls?: ToolCall[] };
+        normalizeMessageThinking(message);
+        // Tool call markup from open-weight models (see tool-call-parser.ts)
+        const markup = !message.tool_calls?.length && typeof message.content === 'string' && tools?.length ? parseToolCallMarkup(message.content) : null;
+        if (markup) {
+          message.content = markup.content || null;
+          message.tool_calls = markup.calls;
+        }
+        redactor?.restoreMessage(message);
+        usage = addUsage(usage, (completion as unknown as { usage?: TokenUsage }).usage);
+        outputViolation = guardrails ? checkGuardrailOutput(guardrails, typeof message.content === 'string' ? message.content : null) : null;
+        if (outputViolation?.action === 'error') {
+          reply.code(400);
+          recordUsage(model, 400, { usage }, provider);
+          return guardrailError(outputViolation);
+        }
+        content = guardrails && outputViolation ? guardrails.refusal : typeof message.content === 'string' ? message.content : null;
+        toolCalls = outputViolation
+          ? []
+          : message.tool_calls?.length
+            ? message.tool_calls
+            : tryExtractToolCallsFromContent(content ?? undefined, tools) ?? [];
+        invalid = validateToolCalls(toolCalls, tools);
+        if (invalid.length === 0 || toolValidation.on_error === 'error' || retries >= toolValidation.max_retries) break;
+        rejectTurn(content ?? '', toolCalls, invalid);
+        try {
+          completion = await client.createChatCompletion(requestFor(model, false) as unknown as ClientChatCompletionRequest);
+        } catch (error) {
+          request.log.error({ err: error, backend: target.backend }, 'LLM request failed for /v1/responses');
+          return respondMock('llm_error', model);
+        }
+      }
+      if (invalid.length > 0) {
+        reply.code(502);
+        recordUsage(model, 502, { usage }, provider);
+        return toolCallValidationError(invalid);
+      }
+      const response = buildResponse(fields(completion.model || model), 'completed', toOutputItems(content, toolCalls), usage, warning);
+      recordUsage(model, 200, { usage }, provider);
+      persist(response, { content, tool_calls: toolCalls });
+      return outputViolation ? { ...response, guardrail: outputViolation } : response;
+    }
 
-      // Send start event
-      reply.raw.write(`event: start\ndata: ${JSON.stringify({ id: requestId, model, created })}\n\n`);
-
-      // Send content events
-      const generator = SimpleTextGenerator.generateStream(input, effectiveMaxTokens);
-      let fullOutput = '';
-      
-      for (const token of generator) {
-        fullOutput += token;
-        const contentEvent = {
-          id: requestId,
-          type: 'content',
-          content: token,
+    // Streaming: resolve the upstream (with failover) before writing headers.
+    let model = target.model;
+    let provider = target.provider;
+    let warning: ResponseWarning | undefined;
+    let opened;
+    let client;
+    try {
+      const answered = await runWithFailover(target, request.log, async (step, stepClient) => ({
+        client: stepClient,
+        opened: await openChatStream(stepClient, requestFor(step.model, true)),
+      }));
+      ({ result: { client, opened }, warning } = answered);
+      ({ model, provider } = answered.step);
+    } catch (error) {
+      request.log.error({ err: error, backend: target.backend }, 'LLM stream failed for /v1/responses');
+      return respondMock('llm_error', model);
+    }
+
+    const events = createResponseEventStream(reply, request.headers.origin, fields(model));
+    events.start(warning);
+    const stopHeartbeat = startSseHeartbeat(reply);
+    const thinkBuffer = { partial: '' };
+    const restorer = redactor?.streamRestorer();
+    // Output guardrails cut the stream off at the chunk that trips a rule
+    const outputGuard = guardrails?.output ? createOutputGuard(guardrails) : null;
+    let blocked = null as GuardrailViolation | null;
+    let toolCalls: ToolCall[] = [];
+    let finalToolCalls: ToolCall[] = [];
+    let invalid: ToolCallProblem[] = [];
+    let usage: TokenUsage | undefined;
+    try {
+      // One pass per attempt: a turn whose tool calls fail their schemas may be asked again.
+      // While it still may be, the turn's text waits until its calls are checked, so a
+      // rejected attempt's text is never sent or kept.
+      for (let retries = 0; ; retries++) {
+        const holding = !!tools?.length && toolValidation.on_error === 'reprompt' && retries < toolValidation.max_retries;
+        let turnText = '';
+        let turnUsage: TokenUsage | undefined;
+        const markupParser = tools?.length ? createToolCallParser() : null;
+        let finished = false;
+        // Pass one delta on; false when the output guardrail stops the reply
+        const forward = (delta: Record<string, unknown>, finish: boolean) => {
+          if (markupParser) parseDeltaToolCalls(markupParser, delta, finish);
+          if (restorer) restorer.delta(delta, finish);
+          if (outputGuard && typeof delta.content === 'string') {
+            blocked = outputGuard.push(delta.content);
+            if (blocked) return false;
+          }
+          if (typeof delta.content === 'string') {
+            turnText += delta.content;
+            if (!holding) events.textDelta(delta.content);
+          }
+          if (Array.isArray(delta.tool_calls)) mergeToolCallDeltas(toolCalls, delta.tool_calls as ToolCallDelta[]);
+          return true;
         };
-        reply.raw.write(`event: content\ndata: ${JSON.stringify(contentEvent)}\n\n`);
-        
-        // Add small delay to simulate streaming
-        await new Promise(resolve => setTimeout(resolve, 50));
+        for (let step = opened.first; !step.done; step = await opened.iterator.next()) {
+          const chunk = step.value as ChatCompletionChunk & { usage?: TokenUsage };
+          turnUsage = chunk.usage || turnUsage;
+          const normalized = normalizeChunkThinking(chunk as unknown as Record<string, unknown>, thinkBuffer);
+          const choice = (normalized.choices as Array<Record<string, unknown>> | undefined)?.[0];
+          const delta = choice?.delta as Record<string, unknown> | undefined;
+          if (choice?.finish_reason) finished = true;
+          if (delta && !forward(delta, !!choice?.finish_reason)) {
+            await opened.iterator.return?.();
+            break;
+          }
+        }
+        // A stream that ended without a finish chunk still gets what the parsers held back
+        if (!finished && !blocked) forward({}, true);
+        usage = addUsage(usage, turnUsage);
+        if (blocked) {
+          if (holding) events.textDelta(turnText);
+          break;
+        }
+        finalToolCalls = toolCalls.length
+          ? toolCalls
+          : tryExtractToolCallsFromContent(turnText, tools) ?? [];
+        invalid = validateToolCalls(finalToolCalls, tools);
+        if (invalid.length === 0) {
+          if (holding) events.textDelta(turnText);
+          break;
+        }
+        if (!holding) break;
+        rejectTurn(turnText, finalToolCalls, invalid);
+        outputGuard?.unsend(turnText.length);
+        toolCalls = [];
+        opened = await openChatStream(client, requestFor(model, true));
       }
+    } catch (error) {
+      stopHeartbeat();
+      request.log.error({ err: error, backend: target.backend }, 'LLM streaming failed after headers sent');
+      recordUsage(model, 502, undefined, provider);
+      events.fail(error instanceof Error ? error.message : String(error));
+      return;
+    }
+    stopHeartbeat();
 
-      // Send completion event
-      const inputTokens = countTokens(input);
-      const outputTokens = countTokens(fullOutput);
-      const completionEvent = {
-        id: requestId,
-        object: 'response',
-        created,
-        model,
-        output: fullOutput,
-        usage: {
-          input_tokens: inputTokens,
-          output_tokens: outputTokens,
-          total_tokens: inputTokens + outputTokens,
-        },
-      };
-      reply.raw.write(`event: completion\ndata: ${JSON.stringify(completionEvent)}\n\n`);
-      reply.raw.write(`event: done\ndata: [DONE]\n\n`);
-      reply.raw.end();
+    if (guardrails && outputGuard && blocked) {
+      events.guardrail(blocked);
+      recordUsage(model, 200, usage ? { usage } : undefined, provider);
+      if (blocked.action === 'error') {
+        events.fail(guardrailError(blocked).error.message, 'guardrail_violation');
+        return;
+      }
+      events.textDelta(refusalAfter(guardrails, outputGuard.sent));
+      const response = events.complete([], usage, warning);
+      persist(response, { content: events.outputText });
       return;
     }
 
-    // Non-streaming response
-    const output = SimpleTextGenerator.generate(input, effectiveMaxTokens, temperature);
-    const inputTokens = countTokens(input);
-    const outputTokens = countTokens(output);
+    if (invalid.length > 0) {
+      recordUsage(model, 502, usage ? { usage } : undefined, provider);
+      events.fail(toolCallValidationError(invalid).error.message, 'tool_call_validation_error');
+      return;
+    }
+    const response = events.complete(finalToolCalls, usage, warning);
+    recordUsage(model, 200, usage ? { usage } : undefined, provider);
+    persist(response, { content: events.outputText || null, tool_calls: finalToolCalls });
+  });
 
-    return {
-      id: requestId,
-      object: 'response' as const,
-      created,
-      model,
-      output,
-      usage: {
-        input_tokens: inputTokens,
-        output_tokens: outputTokens,
-        total_tokens: inputTokens + outputTokens,
-      },
-    };
+  // GET /v1/responses/:response_id
+  fastify.get<{ Params: { response_id: string } }>('/v1/responses/:response_id', {
+    schema: {
+      tags: ['Responses'],
+      summary: 'Retrieve a stored response',
+    },
+  }, async (request, reply) => {
+    const auth = resolveChatCaller(request, reply);
+    if (auth.error) return auth.error;
+    const { usageContext } = auth.caller;
+    const stored = usageContext.parentKeyId
+      ? responseStore.getOwned(request.params.response_id, { parent_key_id: usageContext.parentKeyId, agent_id: usageContext.agentId })
+      : null;
+    if (!stored) {
+      reply.code(404);
+      return createError(`No response found with id '${request.params.response_id}'`, 'invalid_request_error', 'response_id', 'response_not_found');
+    }
+    return stored.response;
+  });
+
+  // DELETE /v1/responses/:response_id
+  fastify.delete<{ Params: { response_id: string } }>('/v1/responses/:response_id', {
+    schema: {
+      tags: ['Responses'],
+      summary: 'Delete a stored response',
+    },
+  }, async (request, reply) => {
+    const auth = resolveChatCaller(request, reply);
+    if (auth.error) return auth.error;
+    const { usageContext } = auth.caller;
+    const deleted = usageContext.parentKeyId
+      ? responseStore.deleteResponse(request.params.response_id, { parent_key_id: usageContext.parentKeyId, agent_id: usageContext.agentId })
+      : false;
+    if (!deleted) {
+      reply.code(404);
+      return createError(`No response found with id '${request.params.response_id}'`, 'invalid_request_error', 'response_id', 'response_not_found');
+    }
+    return { id: request.params.response_id, object: 'response.deleted', deleted: true };
   });
 };
 
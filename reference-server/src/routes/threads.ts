@@ -0,0 +1,188 @@
+import { FastifyPluginAsync, FastifyRequest, FastifyReply } from 'fastify';
+import { validateAuth, createError, extractToken, isAgentKey } from '../util';
+import { agentStore } from '../storage/agents';
+import { threadStore, type ThreadOwner, type ThreadMessageInput } from '../storage/threads';
+
+declare module 'fastify' {
+  interface FastifyRequest {
+    threadOwner?: ThreadOwner;
+  }
+}
+
+const messageSchema = {
+  type: 'object',
+  additionalProperties: true,
+  properties: {
+    role: { type: 'string', enum: ['system', 'user', 'assistant', 'tool'] },
+    // Unconstrained for the same ajv coerceTypes reason as chat.ts messages.
+    content: {},
+    name: { type: 'string' },
+    tool_calls: { type: 'array' },
+    tool_call_id: { type: 'string' },
+  },
+  required: ['role'],
+};
+
+const metadataSchema = {
+  type: 'object',
+  additionalProperties: { type: 'string' },
+};
+
+/**
+ * Resolve the owner for a bearer token: an agent key owns its own threads
+ * (and vector stores and files), a parent key owns those it created directly.
+ * Returns null when the token is not an active key.
+ */
+export function resolveKeyOwner(authorization: string | undefined): ThreadOwner | null {
+  if (!validateAuth(authorization)) return null;
+  const token = extractToken(authorization);
+  if (isAgentKey(authorization)) {
+    const resolved = agentStore.getByKeyWithActiveParent(token);
+    return resolved ? { parent_key_id: resolved.parentKey.id, agent_id: resolved.agent.id } : null;
+  }
+  const parentKey = agentStore.lookupApiKey(token);
+  return parentKey ? { parent_key_id: parentKey.id, agent_id: null } : null;
+}
+
+async function threadAuth(request: FastifyRequest, reply: FastifyReply): Promise<void> {
+  const owner = resolveKeyOwner(request.headers.authorization);
+  if (!owner) {
+    reply.code(401).send(createError('Invalid or missing API key. Use an agent key (agnt_key-...) or parent API key (ozw_...).', 'invalid_request_error'));
+    return;
+  }
+  request.threadOwner = owner;
+}
+
+function toMessageInput(message: ThreadMessageInput): ThreadMessageInput {
+  return {
+    role: message.role,
+    content: message.content ?? null,
+    ...(message.name && { name: message.name }),
+    ...(message.tool_calls && { tool_calls: message.tool_calls }),
+    ...(message.tool_call_id && { tool_call_id: message.tool_call_id }),
+  };
+}
+
+function threadNotFound(reply: FastifyReply, threadId: string) {
+  reply.code(404);
+  return createError(`No thread found with id '${threadId}'`, 'invalid_request_error', 'thread_id', 'thread_not_found');
+}
+
+const threadsRoute: FastifyPluginAsync = async (fastify) => {
+  // POST /v1/threads
+  fastify.post<{ Body: { messages?: ThreadMessageInput[]; metadata?: Record<string, string> } }>('/v1/threads', {
+    schema: {
+      tags: ['Threads'],
+      summary: 'Create a conversation thread',
+      body: {
+        type: 'object',
+        properties: {
+          messages: { type: 'array', items: messageSchema },
+          metadata: metadataSchema,
+        },
+      },
+    },
+    preHandler: threadAuth,
+  }, async (request) => {
+    const { messages = [], metadata = {} } = request.body || {};
+    return threadStore.createThread(request.threadOwner!, metadata, messages.map(toMessageInput));
+  });
+
+  // GET /v1/threads
+  fastify.get('/v1/threads', {
+    schema: {
+      tags: ['Threads'],
+      summary: 'List threads owned by the calling key',
+    },
+    preHandler: threadAuth,
+  }, async (request) => {
+    return {
+      object: 'list',
+      data: threadStore.listOwned(request.threadOwner!),
+    };
+  });
+
+  // GET /v1/threads/:thread_id
+  fastify.get<{ Params: { thread_id: string } }>('/v1/threads/:thread_id', {
+    schema: {
+      tags: ['Threads'],
+      summary: 'Retrieve a thread',
+    },
+    preHandler: threadAuth,
+  }, async (request, reply) => {
+    const thread = threadStore.getOwned(request.params.thread_id, request.threadOwner!);
+    if (!thread) return threadNotFound(reply, request.params.thread_id);
+    return thread;
+  });
+
+  // POST /v1/threads/:thread_id
+  fastify.post<{ Params: { thread_id: string }; Body: { metadata: Record<string, string> } }>('/v1/threads/:thread_id', {
+    schema: {
+      tags: ['Threads'],
+      summary: 'Update thread metadata',
+      body: {
+        type: 'object',
+        properties: {
+          metadata: metadataSchema,
+        },
+        required: ['metadata'],
+      },
+    },
+    preHandler: threadAuth,
+  }, async (request, reply) => {
+    const thread = threadStore.updateMetadata(request.params.thread_id, request.threadOwner!, request.body.metadata);
+    if (!thread) return threadNotFound(reply, request.params.thread_id);
+    return thread;
+  });
+
+  // DELETE /v1/threads/:thread_id
+  fastify.delete<{ Params: { thread_id: string } }>('/v1/threads/:thread_id', {
+    schema: {
+      tags: ['Threads'],
+      summary: 'Delete a thread and its messages',
+    },
+    preHandler: threadAuth,
+  }, async (request, reply) => {
+    if (!threadStore.deleteThread(request.params.thread_id, request.threadOwner!)) {
+      return threadNotFound(reply, request.params.thread_id);
+    }
+    return {
+      id: request.params.thread_id,
+      object: 'thread.deleted',
+      deleted: true,
+    };
+  });
+
+  // GET /v1/threads/:thread_id/messages
+  fastify.get<{ Params: { thread_id: string } }>('/v1/threads/:thread_id/messages', {
+    schema: {
+      tags: ['Threads'],
+      summary: 'List messages in a thread',
+    },
+    preHandler: threadAuth,
+  }, async (request, reply) => {
+    const thread = threadStore.getOwned(request.params.thread_id, request.threadOwner!);
+    if (!thread) return threadNotFound(reply, request.params.thread_id);
+    return {
+      object: 'list',
+      data: threadStore.listMessages(thread.id),
+    };
+  });
+
+  // POST /v1/threads/:thread_id/messages
+  fastify.post<{ Params: { thread_id: string }; Body: ThreadMessageInput }>('/v1/threads/:thread_id/messages', {
+    schema: {
+      tags: ['Threads'],
+      summary: 'Append a message to a thread',
+      body: messageSchema,
+    },
+    preHandler: threadAuth,
+  }, async (request, reply) => {
+    const thread = threadStore.getOwned(request.params.thread_id, request.threadOwner!);
+    if (!thread) return threadNotFound(reply, request.params.thread_id);
+    const [message] = threadStore.appendMessages(thread.id, [toMessageInput(request.body)]);
+    return message;
+  });
+};
+
+export default threadsRoute;
@@ -0,0 +1,331 @@
+import { FastifyPluginAsync, FastifyBaseLogger, FastifyRequest, FastifyReply } from 'fastify';
+import { createError } from '../util';
+import { fileStore } from '../storage/files';
+import { knowledgeStore } from '../storage/knowledge';
+import { vectorStoreStore, type VectorStoreFileStatus, type VectorStoreListOptions, type VectorStoreOwner } from '../storage/vector-stores';
+import { indexKnowledgeFiles, retrieveKnowledge } from '../util/knowledge';
+import { resolveKeyOwner } from './threads';
+
+// --- Vector stores (OpenAI-compatible) ---
+// Files attached to a store are chunked and embedded in the background through
+// the same knowledge index agents use, so clients poll the file's `status`
+// until it leaves `in_progress`. Search embeds the query the same way and ranks
+// chunks by cosine similarity. Only files uploaded with the store's own key can
+// be attached. Attribute filters and ranking options are not supported.
+
+declare module 'fastify' {
+  interface FastifyRequest {
+    vectorStoreOwner?: VectorStoreOwner;
+  }
+}
+
+const DEFAULT_MAX_NUM_RESULTS = 10;
+const MAX_NUM_RESULTS = 50;
+
+const metadataSchema = {
+  type: 'object',
+  additionalProperties: { type: 'string' },
+};
+
+const listQuerySchema = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+    order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+    after: { type: 'string' },
+  },
+};
+
+type ListQuery = { limit: number; order: 'asc' | 'desc'; after?: string };
+type StoreParams = { vector_store_id: string };
+type StoreFileParams = { vector_store_id: string; file_id: string };
+
+async function vectorStoreAuth(request: FastifyRequest, reply: FastifyReply): Promise<void> {
+  // Same ownership rule as threads: the agent key or parent key that created the store
+  const owner = resolveKeyOwner(request.headers.authorization);
+  if (!owner) {
+    reply.code(401).send(createError('Invalid or missing API key. Use an agent key (agnt_key-...) or parent API key (ozw_...).', 'invalid_request_error'));
+    return;
+  }
+  request.vectorStoreOwner = owner;
+}
+
+function vectorStoreNotFound(reply: FastifyReply, vectorStoreId: string) {
+  reply.code(404);
+  return createError(`No vector store found with id '${vectorStoreId}'`, 'invalid_request_error', 'vector_store_id', 'vector_store_not_found');
+}
+
+function listOptions(query: ListQuery): VectorStoreListOptions {
+  return { limit: query.limit, order: query.order, after: query.after };
+}
+
+/**
+ * Chunk and embed one file for a store, then record the outcome. Runs after the
+ * request that attached the file has returned.
+ */
+async function ingestFile(vectorStoreId: string, fileId: string, log: FastifyBaseLogger): Promise<void> {
+  try {
+    const { files } = await indexKnowledgeFiles([fileId], log);
+    const indexed = knowledgeStore.getFile(fileId);
+    if (files.length === 0 || !indexed) {
+      vectorStoreStore.setFileStatus(vectorStoreId, fileId, 'failed', 0, { code: 'invalid_file', message: `File '${fileId}' no longer exists` });
+    } else if (indexed.chunk_count === 0) {
+      vectorStoreStore.setFileStatus(vectorStoreId, fileId, 'failed', 0, { code: 'unsupported_file', message: 'File has no text content to index' });
+    } else {
+      vectorStoreStore.setFileStatus(vectorStoreId, fileId, 'completed', files[0].bytes);
+    }
+  } catch (err) {
+    log.warn({ err, vectorStoreId, fileId }, 'Vector store file ingestion failed');
+    vectorStoreStore.setFileStatus(vectorStoreId, fileId, 'failed', 0, {
+      code: 'server_error',
+      message: err instanceof Error ? err.message : 'Ingestion failed',
+    });
+  }
+}
+
+const vectorStoresRoute: FastifyPluginAsync = async (fastify) => {
+  // POST /v1/vector_stores
+  fastify.post<{ Body: { name?: string; file_ids?: string[]; metadata?: Record<string, string> } }>('/v1/vector_stores', {
+    schema: {
+      tags: ['Vector Stores'],
+      summary: 'Create a vector store',
+      body: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          file_ids: { type: 'array', items: { type: 'string' } },
+          metadata: metadataSchema,
+        },
+      },
+    },
+    preHandler: vectorStoreAuth,
+  }, async (request, reply) => {
+    const { name, file_ids: fileIds = [], metadata = {} } = request.body || {};
+    for (const fileId of fileIds) {
+      if (!fileStore.getOwned(fileId, request.vectorStoreOwner!)) {
+        reply.code(404);
+        return createError(`No such File object: ${fileId}`, 'invalid_request_error', 'file_ids');
+      }
+    }
+    const store = vectorStoreStore.createVectorStore(request.vectorStoreOwner!, name ?? null, metadata);
+    for (const fileId of new Set(fileIds)) {
+      vectorStoreStore.addFile(store.id, fileId);
+      void ingestFile(store.id, fileId, request.log);
+    }
+    return vectorStoreStore.getOwned(store.id, request.vectorStoreOwner!);
+  });
+
+  // GET /v1/vector_stores
+  fastify.get<{ Querystring: ListQuery }>('/v1/vector_stores', {
+    schema: {
+      tags: ['Vector Stores'],
+      summary: 'List vector stores owned by the calling key',
+      querystring: listQuerySchema,
+    },
+    preHandler: vectorStoreAuth,
+  }, async (request) => {
+    return {
+      object: 'list',
+      ...vectorStoreStore.listOwned(request.vectorStoreOwner!, listOptions(request.query)),
+    };
+  });
+
+  // GET /v1/vector_stores/:vector_store_id
+  fastify.get<{ Params: StoreParams }>('/v1/vector_stores/:vector_store_id', {
+    schema: {
+      tags: ['Vector Stores'],
+      summary: 'Retrieve a vector store',
+    },
+    preHandler: vectorStoreAuth,
+  }, async (request, reply) => {
+    const store = vectorStoreStore.getOwned(request.params.vector_store_id, request.vectorStoreOwner!);
+    if (!store) return vectorStoreNotFound(reply, request.params.vector_store_id);
+    return store;
+  });
+
+  // POST /v1/vector_stores/:vector_store_id
+  fastify.post<{ Params: StoreParams; Body: { name?: string | null; metadata?: Record<string, string> } }>('/v1/vector_stores/:vector_store_id', {
+    schema: {
+      tags: ['Vector Stores'],
+      summary: 'Modify a vector store',
+      body: {
+        type: 'object',
+        properties: {
+          name: { type: ['string', 'null'] },
+          metadata: metadataSchema,
+        },
+      },
+    },
+    preHandler: vectorStoreAuth,
+  }, async (request, reply) => {
+    const store = vectorStoreStore.updateVectorStore(request.params.vector_store_id, request.vectorStoreOwner!, request.body || {});
+    if (!store) return vectorStoreNotFound(reply, request.params.vector_store_id);
+    return store;
+  });
+
+  // DELETE /v1/vector_stores/:vector_store_id
+  fastify.delete<{ Params: StoreParams }>('/v1/vector_stores/:vector_store_id', {
+    schema: {
+      tags: ['Vector Stores'],
+      summary: 'Delete a vector store (uploaded files are kept)',
+    },
+    preHandler: vectorStoreAuth,
+  }, async (request, reply) => {
+    if (!vectorStoreStore.deleteVectorStore(request.params.vector_store_id, request.vectorStoreOwner!)) {
+      return vectorStoreNotFound(reply, request.params.vector_store_id);
+    }
+    return {
+      id: request.params.vector_store_id,
+      object: 'vector_store.deleted',
+      deleted: true,
+    };
+  });
+
+  // POST /v1/vector_stores/:vector_store_id/files
+  fastify.post<{ Params: StoreParams; Body: { file_id: string } }>('/v1/vector_stores/:vector_store_id/files', {
+    schema: {
+      tags: ['Vector Stores'],
+      summary: 'Attach an uploaded file to a vector store',
+      body: {
+        type: 'object',
+        properties: {
+          file_id: { type: 'string' },
+        },
+        required: ['file_id'],
+      },
+    },
+    preHandler: vectorStoreAuth,
+  }, async (request, reply) => {
+    const store = vectorStoreStore.getOwned(request.params.vector_store_id, request.vectorStoreOwner!);
+    if (!store) return vectorStoreNotFound(reply, request.params.vector_store_id);
+    const { file_id: fileId } = request.body;
+    if (!fileStore.getOwned(fileId, request.vectorStoreOwner!)) {
+      reply.code(404);
+      return createError(`No such File object: ${fileId}`, 'invalid_request_error', 'file_id');
+    }
+    const file = vectorStoreStore.addFile(store.id, fileId);
+    void ingestFile(store.id, fileId, request.log);
+    return file;
+  });
+
+  // GET /v1/vector_stores/:vector_store_id/files
+  fastify.get<{ Params: StoreParams; Querystring: ListQuery & { filter?: VectorStoreFileStatus } }>('/v1/vector_stores/:vector_store_id/files', {
+    schema: {
+      tags: ['Vector Stores'],
+      summary: 'List files in a vector store',
+      querystring: {
+        ...listQuerySchema,
+        properties: {
+          ...listQuerySchema.properties,
+          filter: { type: 'string', enum: ['in_progress', 'completed', 'failed', 'cancelled'] },
+        },
+      },
+    },
+    preHandler: vectorStoreAuth,
+  }, async (request, reply) => {
+    const store = vectorStoreStore.getOwned(request.params.vector_store_id, request.vectorStoreOwner!);
+    if (!store) return vectorStoreNotFound(reply, request.params.vector_store_id);
+    return {
+      object: 'list',
+      ...vectorStoreStore.listFiles(store.id, { ...listOptions(request.query), status: request.query.filter }),
+    };
+  });
+
+  // GET /v1/vector_stores/:vector_store_id/files/:file_id
+  fastify.get<{ Params: StoreFileParams }>('/v1/vector_stores/:vector_store_id/files/:file_id', {
+    schema: {
+      tags: ['Vector Stores'],
+      summary: 'Retrieve a vector store file (poll its ingestion status)',
+    },
+    preHandler: vectorStoreAuth,
+  }, async (request, reply) => {
+    const store = vectorStoreStore.getOwned(request.params.vector_store_id, request.vectorStoreOwner!);
+    if (!store) return vectorStoreNotFound(reply, request.params.vector_store_id);
+    const file = vectorStoreStore.getFile(store.id, request.params.file_id);
+    if (!file) {
+      reply.code(404);
+      return createError(`No file '${request.params.file_id}' in vector store '${store.id}'`, 'invalid_request_error', 'file_id');
+    }
+    return file;
+  });
+
+  // DELETE /v1/vector_stores/:vector_store_id/files/:file_id
+  fastify.delete<{ Params: StoreFileParams }>('/v1/vector_stores/:vector_store_id/files/:file_id', {
+    schema: {
+      tags: ['Vector Stores'],
+      summary: 'Remove a file from a vector store (the upload is kept)',
+    },
+    preHandler: vectorStoreAuth,
+  }, async (request, reply) => {
+    const store = vectorStoreStore.getOwned(request.params.vector_store_id, request.vectorStoreOwner!);
+    if (!store) return vectorStoreNotFound(reply, request.params.vector_store_id);
+    if (!vectorStoreStore.removeFile(store.id, request.params.file_id)) {
+      reply.code(404);
+      return createError(`No file '${request.params.file_id}' in vector store '${store.id}'`, 'invalid_request_error', 'file_id');
+    }
+    return {
+      id: request.params.file_id,
+      object: 'vector_store.file.deleted',
+      deleted: true,
+    };
+  });
+
+  // POST /v1/vector_stores/:vector_store_id/search
+  fastify.post<{ Params: StoreParams; Body: { query: string | string[]; max_num_results?: number } }>('/v1/vector_stores/:vector_store_id/search', {
+    schema: {
+      tags: ['Vector Stores'],
+      summary: 'Search a vector store for chunks relevant to a query',
+      body: {
+        type: 'object',
+        properties: {
+          query: {
+            anyOf: [
+              { type: 'string' },
+              { type: 'array', items: { type: 'string' } },
+            ],
+          },
+          max_num_results: { type: 'integer', minimum: 1, maximum: MAX_NUM_RESULTS },
+        },
+        required: ['query'],
+      },
+    },
+    preHandler: vectorStoreAuth,
+  }, async (request, reply) => {
+    const store = vectorStoreStore.getOwned(request.params.vector_store_id, request.vectorStoreOwner!);
+    if (!store) return vectorStoreNotFound(reply, request.params.vector_store_id);
+
+    const { query, max_num_results: maxNumResults = DEFAULT_MAX_NUM_RESULTS } = request.body;
+    const queryText = Array.isArray(query) ? query.join('\n') : query;
+    if (!queryText.trim()) {
+      reply.code(400);
+      return createError('Query must not be empty', 'invalid_request_error', 'query');
+    }
+
+    vectorStoreStore.touch(store.id);
+    try {
+      const matches = await retrieveKnowledge(vectorStoreStore.listCompletedFileIds(store.id), queryText, request.log, maxNumResults, null, request.vectorStoreOwner!.parent_key_id);
+      return {
+        object: 'vector_store.search_results.page',
+        search_query: query,
+        data: matches.map(match => ({
+          file_id: match.file_id,
+          filename: match.filename,
+          score: match.score,
+          attributes: {},
+          content: [{ type: 'text', text: match.text }],
+        })),
+        has_more: false,
+        next_page: null,
+      };
+    } catch (err) {
+      request.log.error({ err, vectorStoreId: store.id }, 'Vector store search failed');
+      reply.code(503);
+      return createError(
+        `Vector store search failed: ${err instanceof Error ? err.message : 'unknown error'}`,
+        'server_error',
+      );
+    }
+  });
+};
+
+export default vectorStoresRoute;
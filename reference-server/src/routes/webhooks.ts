@@ -0,0 +1,272 @@
+import { FastifyPluginAsync, FastifyReply, FastifyRequest } from 'fastify';
+import { createError, generateId } from '../util';
+import { webhookStore, type WebhookDeliveryStatus, type WebhookEndpointInput } from '../storage/webhooks';
+import { apiKeyAuth, managerHeaderAuth } from './agents';
+import { recordAudit } from '../util/audit';
+import { queueWebhookEvent, redeliverWebhook, WEBHOOK_EVENT_TYPES, WEBHOOK_TEST_EVENT } from '../util/webhook-events';
+
+// --- Webhook endpoints ---
+// Parent-key owners register URLs to receive platform events (see
+// ./webhook-events for the payload, signature and retries). The same routes
+// exist for parent keys (/v1/webhooks) and the manager console
+// (/v1/manager/webhooks); endpoints belong to the parent key either way.
+//
+// The signing secret is returned once, on create and on rotate-secret. Every
+// delivery is kept in a log that can be listed and redelivered.
+
+const MAX_WEBHOOKS_PER_KEY = 20;
+
+type WebhookParams = { webhook_id: string };
+type DeliveryParams = { webhook_id: string; delivery_id: string };
+type WebhookBody = { url?: string; events?: string[]; description?: string | null; enabled?: boolean };
+type DeliveryQuery = { limit: number; status?: WebhookDeliveryStatus; after?: string };
+
+const webhookIdParam = {
+  type: 'object',
+  properties: { webhook_id: { type: 'string' } },
+  required: ['webhook_id'],
+};
+
+const deliveryIdParam = {
+  type: 'object',
+  properties: { webhook_id: { type: 'string' }, delivery_id: { type: 'string' } },
+  required: ['webhook_id', 'delivery_id'],
+};
+
+const webhookBody = {
+  type: 'object',
+  properties: {
+    url: { type: 'string', description: 'http(s) URL that receives POSTed events' },
+    events: {
+      type: 'array',
+      items: { type: 'string' },
+      description: `Event types to receive, or ["*"] for all: ${WEBHOOK_EVENT_TYPES.join(', ')}`,
+    },
+    description: { type: ['string', 'null'] },
+    enabled: { type: 'boolean' },
+  },
+};
+
+const deliveryQuery = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+    status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+    after: { type: 'string' },
+  },
+};
+
+/** Check a create (all fields) or update (only what is sent) body. */
+function parseWebhookBody(body: WebhookBody | undefined, partial: boolean): { input: Partial<WebhookEndpointInput> } | { error: string; param: string } {
+  const input: Partial<WebhookEndpointInput> = {};
+  const { url, events, description, enabled } = body ?? {};
+  if (url !== undefined || !partial) {
+    if (typeof url !== 'string' || !/^https?:\/\/\S+$/i.test(url.trim())) return { error: 'url must be an http(s) URL', param: 'url' };
+    input.url = url.trim();
+  }
+  if (events !== undefined) {
+    if (events.length === 0) return { error: 'events must list at least one event type', param: 'events' };
+    const unknown = events.find(type => type !== '*' && !(WEBHOOK_EVENT_TYPES as readonly string[]).includes(type));
+    if (unknown) return { error: `Unknown event type '${unknown}'. Use one of: *, ${WEBHOOK_EVENT_TYPES.join(', ')}`, param: 'events' };
+    input.events = [...new Set(events)];
+  } else if (!partial) {
+    input.events = ['*'];
+  }
+  if (description !== undefined) input.description = description;
+  if (enabled !== undefined) input.enabled = enabled;
+  return { input };
+}
+
+function webhookNotFound(reply: FastifyReply) {
+  reply.code(404);
+  return createError('Webhook not found', 'invalid_request_error', 'webhook_id', 'not_found');
+}
+
+const webhooksRoute: FastifyPluginAsync = async (fastify) => {
+  async function createWebhookForCurrentKey(request: FastifyRequest<{ Body: WebhookBody }>, reply: FastifyReply) {
+    const parentKey = request.apiKey!.id;
+    const parsed = parseWebhookBody(request.body, false);
+    if ('error' in parsed) {
+      reply.code(400);
+      return createError(parsed.error, 'invalid_request_error', parsed.param);
+    }
+    if (webhookStore.listEndpoints(parentKey).length >= MAX_WEBHOOKS_PER_KEY) {
+      reply.code(400);
+      return createError(`A parent key can register at most ${MAX_WEBHOOKS_PER_KEY} webhooks`, 'invalid_request_error', null, 'too_many_webhooks');
+    }
+
+    const { endpoint, secret } = webhookStore.createEndpoint(parentKey, parsed.input as WebhookEndpointInput);
+    recordAudit(request, {
+      action: 'webhook.create',
+      target_type: 'webhook',
+      target_id: endpoint.id,
+      parent_key_id: parentKey,
+      after: { url: endpoint.url, events: endpoint.events, enabled: endpoint.enabled },
+    });
+    reply.code(201);
+    reply.header('Cache-Control', 'no-store');
+    return { ...endpoint, secret };
+  }
+
+  async function listWebhooksForCurrentKey(request: FastifyRequest) {
+    return { object: 'list', data: webhookStore.listEndpoints(request.apiKey!.id) };
+  }
+
+  async function getWebhookForCurrentKey(request: FastifyRequest<{ Params: WebhookParams }>, reply: FastifyReply) {
+    return webhookStore.getEndpoint(request.params.webhook_id, request.apiKey!.id) ?? webhookNotFound(reply);
+  }
+
+  async function updateWebhookForCurrentKey(request: FastifyRequest<{ Params: WebhookParams; Body: WebhookBody }>, reply: FastifyReply) {
+    const parentKey = request.apiKey!.id;
+    const parsed = parseWebhookBody(request.body, true);
+    if ('error' in parsed) {
+      reply.code(400);
+      return createError(parsed.error, 'invalid_request_error', parsed.param);
+    }
+    const previous = webhookStore.getEndpoint(request.params.webhook_id, parentKey);
+    const updated = webhookStore.updateEndpoint(request.params.webhook_id, parentKey, parsed.input);
+    if (!previous || !updated) return webhookNotFound(reply);
+    recordAudit(request, {
+      action: 'webhook.update',
+      target_type: 'webhook',
+      target_id: updated.id,
+      parent_key_id: parentKey,
+      before: { url: previous.url, events: previous.events, enabled: previous.enabled },
+      after: { url: updated.url, events: updated.events, enabled: updated.enabled },
+    });
+    return updated;
+  }
+
+  async function deleteWebhookForCurrentKey(request: FastifyRequest<{ Params: WebhookParams }>, reply: FastifyReply) {
+    const parentKey = request.apiKey!.id;
+    const previous = webhookStore.getEndpoint(request.params.webhook_id, parentKey);
+    if (!previous || !webhookStore.deleteEndpoint(previous.id, parentKey)) return webhookNotFound(reply);
+    recordAudit(request, {
+      action: 'webhook.delete',
+      target_type: 'webhook',
+      target_id: previous.id,
+      parent_key_id: parentKey,
+      before: { url: previous.url, events: previous.events, enabled: previous.enabled },
+    });
+    return { id: previous.id, deleted: true };
+  }
+
+  async function rotateWebhookSecretForCurrentKey(request: FastifyRequest<{ Params: WebhookParams }>, reply: FastifyReply) {
+    const parentKey = request.apiKey!.id;
+    const rotated = webhookStore.rotateSecret(request.params.webhook_id, parentKey);
+    if (!rotated) return webhookNotFound(reply);
+    recordAudit(request, {
+      action: 'webhook.secret.rotate',
+      target_type: 'webhook',
+      target_id: rotated.endpoint.id,
+      parent_key_id: parentKey,
+      after: { secret_hint: rotated.endpoint.secret_hint },
+    });
+    reply.header('Cache-Control', 'no-store');
+    return { ...rotated.endpoint, secret: rotated.secret };
+  }
+
+  async function testWebhookForCurrentKey(request: FastifyRequest<{ Params: WebhookParams }>, reply: FastifyReply) {
+    const endpoint = webhookStore.getEndpoint(request.params.webhook_id, request.apiKey!.id);
+    if (!endpoint) return webhookNotFound(reply);
+    const delivery = queueWebhookEvent(endpoint, {
+      id: generateId('evt'),
+      object: 'event',
+      type: WEBHOOK_TEST_EVENT,
+      created_at: Math.floor(Date.now() / 1000),
+      parent_key_id: endpoint.parent_key_id,
+      data: { webhook_id: endpoint.id },
+    }, request.log);
+    reply.code(202);
+    return delivery;
+  }
+
+  async function listDeliveriesForCurrentKey(request: FastifyRequest<{ Params: WebhookParams; Querystring: DeliveryQuery }>, reply: FastifyReply) {
+    const endpoint = webhookStore.getEndpoint(request.params.webhook_id, request.apiKey!.id);
+    if (!endpoint) return webhookNotFound(reply);
+    return { object: 'list', ...webhookStore.listDeliveries(endpoint.id, request.query) };
+  }
+
+  async function getDeliveryForCurrentKey(request: FastifyRequest<{ Params: DeliveryParams }>, reply: FastifyReply) {
+    const endpoint = webhookStore.getEndpoint(request.params.webhook_id, request.apiKey!.id);
+    if (!endpoint) return webhookNotFound(reply);
+    const delivery = webhookStore.getDelivery(request.params.delivery_id, endpoint.id);
+    if (!delivery) {
+      reply.code(404);
+      return createError('Delivery not found', 'invalid_request_error', 'delivery_id', 'not_found');
+    }
+    return delivery;
+  }
+
+  async function redeliverForCurrentKey(request: FastifyRequest<{ Params: DeliveryParams }>, reply: FastifyReply) {
+    const endpoint = webhookStore.getEndpoint(request.params.webhook_id, request.apiKey!.id);
+    if (!endpoint) return webhookNotFound(reply);
+    const delivery = webhookStore.getDelivery(request.params.delivery_id, endpoint.id);
+    if (!delivery) {
+      reply.code(404);
+      return createError('Delivery not found', 'invalid_request_error', 'delivery_id', 'not_found');
+    }
+    reply.code(202);
+    return redeliverWebhook(endpoint, delivery, request.log);
+  }
+
+  // Parent-key routes, then the same handlers under /v1/manager with trusted
+  // manager-console auth.
+  const surfaces = [
+    { prefix: '/v1/webhooks', preHandler: apiKeyAuth, tag: 'Webhooks' },
+    { prefix: '/v1/manager/webhooks', preHandler: managerHeaderAuth, tag: 'Manager Webhooks' },
+  ];
+  for (const { prefix, preHandler, tag } of surfaces) {
+    fastify.get(prefix, {
+      schema: { tags: [tag], summary: 'List webhook endpoints' },
+      preHandler,
+    }, listWebhooksForCurrentKey);
+
+    fastify.post<{ Body: WebhookBody }>(prefix, {
+      schema: { tags: [tag], summary: 'Register a webhook endpoint', body: webhookBody },
+      preHandler,
+    }, createWebhookForCurrentKey);
+
+    fastify.get<{ Params: WebhookParams }>(`${prefix}/:webhook_id`, {
+      schema: { tags: [tag], summary: 'Get a webhook endpoint', params: webhookIdParam },
+      preHandler,
+    }, getWebhookForCurrentKey);
+
+    fastify.put<{ Params: WebhookParams; Body: WebhookBody }>(`${prefix}/:webhook_id`, {
+      schema: { tags: [tag], summary: 'Update a webhook endpoint', params: webhookIdParam, body: webhookBody },
+      preHandler,
+    }, updateWebhookForCurrentKey);
+
+    fastify.delete<{ Params: WebhookParams }>(`${prefix}/:webhook_id`, {
+      schema: { tags: [tag], summary: 'Delete a webhook endpoint and its delivery log', params: webhookIdParam },
+      preHandler,
+    }, deleteWebhookForCurrentKey);
+
+    fastify.post<{ Params: WebhookParams }>(`${prefix}/:webhook_id/rotate-secret`, {
+      schema: { tags: [tag], summary: 'Replace the signing secret of a webhook endpoint', params: webhookIdParam },
+      preHandler,
+    }, rotateWebhookSecretForCurrentKey);
+
+    fastify.post<{ Params: WebhookParams }>(`${prefix}/:webhook_id/test`, {
+      schema: { tags: [tag], summary: 'Send a webhook.test event to a webhook endpoint', params: webhookIdParam },
+      preHandler,
+    }, testWebhookForCurrentKey);
+
+    fastify.get<{ Params: WebhookParams; Querystring: DeliveryQuery }>(`${prefix}/:webhook_id/deliveries`, {
+      schema: { tags: [tag], summary: 'List deliveries to a webhook endpoint', params: webhookIdParam, querystring: deliveryQuery },
+      preHandler,
+    }, listDeliveriesForCurrentKey);
+
+    fastify.get<{ Params: DeliveryParams }>(`${prefix}/:webhook_id/deliveries/:delivery_id`, {
+      schema: { tags: [tag], summary: 'Get a delivery with its payload', params: deliveryIdParam },
+      preHandler,
+    }, getDeliveryForCurrentKey);
+
+    fastify.post<{ Params: DeliveryParams }>(`${prefix}/:webhook_id/deliveries/:delivery_id/redeliver`, {
+      schema: { tags: [tag], summary: 'Send a delivery again', params: deliveryIdParam },
+      preHandler,
+    }, redeliverForCurrentKey);
+  }
+};
+
+export default webhooksRoute;
@@ -12,15 +12,23 @@ import modelsRoute, { refreshProviderModels } from './routes/models';
 import chatRoute from './routes/chat';
 import responsesRoute from './routes/responses';
 import embeddingsRoute from './routes/embeddings';
+import moderationRoute from './routes/moderation';
 import filesRoute from './routes/files';
 import agentsRoute from './routes/agents';
 import audioRoute from './routes/audio';
+import threadsRoute from './routes/threads';
+import vectorStoresRoute from './routes/vector-stores';
+import webhooksRoute from './routes/webhooks';
+import { deliverDueWebhooks } from './util/webhook-events';
+import metricsRoute from './routes/metrics';
+import { observeHttpRequest, recordModelRegistryRefresh } from './util/metrics';
 import { getDatabase, initializeAuthTables, seedDemoData, seedMockAgent } from './storage/agents';
 // Import schemas for OpenAPI generation
 import * as schemas from '../../spec';
 
 const DEFAULT_BODY_LIMIT_MB = 50;
 const DEFAULT_MODEL_DISCOVERY_REFRESH_MS = 10 * 60 * 1000;
+const DEFAULT_WEBHOOK_DISPATCH_INTERVAL_MS = 5000;
 
 function getBodyLimitBytes(): number {
   const raw = parseInt(process.env.BODY_LIMIT_MB || `${DEFAULT_BODY_LIMIT_MB}`, 10);
@@ -45,8 +53,10 @@ function scheduleModelDiscoveryRefresh(server: FastifyInstance) {
   const refresh = async () => {
     try {
       const models = await refreshProviderModels();
+      recordModelRegistryRefresh('success', models.length);
       server.log.info({ model_count: models.length }, 'Provider model registry refreshed');
     } catch (err) {
+      recordModelRegistryRefresh('failure');
       server.log.warn({ err }, 'Provider model registry refresh failed');
     }
   };
@@ -63,6 +73,20 @@ function scheduleModelDiscoveryRefresh(server: FastifyInstance) {
   });
 }
 
+// Deliveries are attempted as soon as an event is queued; this picks up retries
+// that come due and anything left pending by a restart.
+function scheduleWebhookDeliveries(server: FastifyInstance) {
+  const raw = parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_MS || `${DEFAULT_WEBHOOK_DISPATCH_INTERVAL_MS}`, 10);
+  const intervalMs = Number.isFinite(raw) && raw > 0 ? raw : DEFAULT_WEBHOOK_DISPATCH_INTERVAL_MS;
+  const interval = setInterval(() => { void deliverDueWebhooks(server.log); }, intervalMs);
+  interval.unref?.();
+
+  server.addHook('onClose', (_instance, done) => {
+    clearInterval(interval);
+    done();
+  });
+}
+
 async function buildServer() {
   const rootDir = path.resolve(process.cwd());
 
@@ -133,8 +157,19 @@ async function buildServer() {
           EmbeddingResponse: schemas.EmbeddingResponseSchema,
           FileObject: schemas.FileObjectSchema,
           FileListResponse: schemas.FileListResponseSchema,
+          Thread: schemas.ThreadSchema,
+          ThreadMessage: schemas.ThreadMessageSchema,
+          ThreadListResponse: schemas.ThreadListResponseSchema,
+          ThreadMessageListResponse: schemas.ThreadMessageListResponseSchema,
+          VectorStore: schemas.VectorStoreSchema,
+          VectorStoreFile: schemas.VectorStoreFileSchema,
+          VectorStoreListResponse: schemas.VectorStoreListResponseSchema,
+          VectorStoreFileListResponse: schemas.VectorStoreFileListResponseSchema,
+          VectorStoreSearchRequest: schemas.VectorStoreSearchRequestSchema,
+          VectorStoreSearchResponse: schemas.VectorStoreSearchResponseSchema,
           AudioTranscriptionRequest: schemas.AudioTranscriptionRequestSchema,
           AudioTranscriptionResponse: schemas.AudioTranscriptionResponseSchema,
+          AudioSpeechRequest: schemas.AudioSpeechRequestSchema,
         },
       },
       security: [
@@ -181,14 +216,24 @@ async function buildServer() {
     }
   });
 
+  // Request counts and latency for /metrics
+  fastify.addHook('onResponse', async (request, reply) => {
+    observeHttpRequest(request, reply);
+  });
+
   // Register API routes
   await fastify.register(modelsRoute);
   await fastify.register(chatRoute);
   await fastify.register(responsesRoute);
   await fastify.register(embeddingsRoute);
+  await fastify.register(moderationRoute);
   await fastify.register(filesRoute);
   await fastify.register(agentsRoute);  // Agent registration CRUD
   await fastify.register(audioRoute);   // Audio transcription
+  await fastify.register(threadsRoute); // Server-side conversation threads
+  await fastify.register(vectorStoresRoute); // OpenAI-compatible vector stores
+  await fastify.register(webhooksRoute); // Outbound webhooks for platform events
+  await fastify.register(metricsRoute); // Prometheus metrics
 
   // Serve public assets (documentation, misc)
   await fastify.register(fastifyStatic, {
@@ -267,6 +312,7 @@ if (require.main === module) {
       }
 
       scheduleModelDiscoveryRefresh(server);
+      scheduleWebhookDeliveries(server);
       await server.listen({ port, host });
       console.log(`🚀 OzwellAI Reference Server running at http://${displayHost}:${port}`);
       console.log(`📖 API Documentation available at http://${displayHost}:${port}/docs`);
@@ -1,11 +1,11 @@
 import Database from 'better-sqlite3';
 import path from 'path';
 import * as yaml from 'yaml';
-import { generateId, getKeyHint, KEY_PREFIX } from '../util';
+import { generateId, generateKeySecret, getKeyHint, getKeyLookupPrefix, hashKey, verifyKey, KEY_PREFIX } from '../util';
 
 interface DbAgentRow {
     id: string;
-    agent_key: string;
+    key_hint: string;
     parent_key: string;
     yaml: string;
     created_at: number;
@@ -30,7 +30,9 @@ interface DbAgentWithParentRow extends DbAgentRow {
     api_key_name: string;
 }
 
-const DB_PATH = process.env.DB_PATH
+const AGENT_FIELDS = 'id, key_hint, parent_key, yaml, created_at';
+
+export const DB_PATH = process.env.DB_PATH
     ?? path.join(process.cwd(), 'data', 'ozwell.db');
 
 // Demo parent API key
@@ -61,16 +63,79 @@ function ensureColumn(db: Database.Database, table: string, column: string, defi
     db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
 }
 
-export function initializeAuthTables(db: Database.Database): void {
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS api_keys (
+// Parent and agent keys are never stored in clear: key_prefix is the indexed
+// lookup prefix, key_hash the salted digest and key_hint the last 4 chars for display.
+const API_KEYS_COLUMNS = `
         id TEXT PRIMARY KEY,
         name TEXT NOT NULL,
-        key TEXT NOT NULL UNIQUE,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL,
         key_hint TEXT NOT NULL,
-        created_at TEXT DEFAULT (datetime('now'))
+        created_at TEXT DEFAULT (datetime('now'))`;
+
+const AGENTS_COLUMNS = `
+        id TEXT PRIMARY KEY,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL,
+        key_hint TEXT NOT NULL,
+        parent_key TEXT NOT NULL,
+        yaml TEXT NOT NULL,
+        created_at INTEGER NOT NULL`;
+
+const KEY_COLUMNS = ['key_prefix', 'key_hash', 'key_hint'];
+
+/** The stored form of a key: lookup prefix, salted hash and display hint */
+function keyColumns(key: string) {
+    return { key_prefix: getKeyLookupPrefix(key), key_hash: hashKey(key), key_hint: getKeyHint(key) };
+}
+
+/** Of the rows sharing a key's lookup prefix, the one whose hash matches (hash stripped) */
+function matchKey<T>(rows: unknown[], key: string): T | undefined {
+    const match = (rows as Array<T & { key_hash?: string }>).find(row => verifyKey(key, row.key_hash ?? ''));
+    if (!match) return undefined;
+    const row = { ...match };
+    delete row.key_hash;
+    return row;
+}
+
+/**
+ * Rebuild a table that still keeps keys in clear (`plaintextColumn`) into the
+ * hashed layout, keeping every other column. VACUUM afterwards so freed pages
+ * don't leave the old keys readable in the database file.
+ */
+function migratePlaintextKeys(db: Database.Database, table: string, plaintextColumn: string, columnsSql: string): void {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all() as { name: string; type: string; dflt_value: string | null }[];
+    if (!columns.some(c => c.name === plaintextColumn)) return;
+
+    const rebuilt = `${table}_hashed`;
+    const kept = columns.map(c => c.name).filter(name => name !== plaintextColumn && !KEY_COLUMNS.includes(name));
+    const names = [...kept, ...KEY_COLUMNS];
+    const rows = db.prepare(`SELECT * FROM ${table}`).all() as Record<string, unknown>[];
+
+    db.transaction(() => {
+        db.exec(`DROP TABLE IF EXISTS ${rebuilt}; CREATE TABLE ${rebuilt} (${columnsSql})`);
+        for (const column of columns) {
+            if (!kept.includes(column.name)) continue;
+            ensureColumn(db, rebuilt, column.name, column.dflt_value === null ? column.type : `${column.type} DEFAULT ${column.dflt_value}`);
+        }
+        const insert = db.prepare(`INSERT INTO ${rebuilt} (${names.join(', ')}) VALUES (${names.map(n => `@${n}`).join(', ')})`);
+        for (const row of rows) {
+            const key = String(row[plaintextColumn]);
+            const values: Record<string, unknown> = { ...keyColumns(key) };
+            if (typeof row.key_hint === 'string') values.key_hint = row.key_hint;
+            for (const name of kept) values[name] = row[name];
+            insert.run(values);
+        }
+        db.exec(`DROP TABLE ${table}; ALTER TABLE ${rebuilt} RENAME TO ${table}`);
+    })();
+    db.exec('VACUUM');
+    console.log(`[auth] Hashed ${rows.length} stored key(s) in ${table}`);
+}
+
+export function initializeAuthTables(db: Database.Database): void {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS api_keys (${API_KEYS_COLUMNS}
       );
-      CREATE INDEX IF NOT EXISTS idx_api_keys_key ON api_keys(key);
 
       CREATE TABLE IF NOT EXISTS users (
         id TEXT PRIMARY KEY,
@@ -113,7 +178,11 @@ export function initializeAuthTables(db: Database.Database): void {
     ensureColumn(db, 'api_keys', 'revoked_reason', 'TEXT');
     ensureColumn(db, 'api_keys', 'replaced_by_key_id', 'TEXT');
     ensureColumn(db, 'usage_events', 'provider', 'TEXT');
-    db.exec('CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id)');
+    migratePlaintextKeys(db, 'api_keys', 'key', API_KEYS_COLUMNS);
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_api_keys_key_prefix ON api_keys(key_prefix);
+      CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+    `);
     console.log('[auth] Auth tables initialized');
 }
 
@@ -125,13 +194,10 @@ export function seedDemoData(db: Database.Database): void {
         return;
     }
 
-    const now = new Date().toISOString();
-    const keyHint = getKeyHint(DEMO_API_KEY);
-
     db.prepare(`
-      INSERT INTO api_keys (id, name, key, key_hint, created_at)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(demoKeyId, 'Demo Key', DEMO_API_KEY, keyHint, now);
+      INSERT INTO api_keys (id, name, key_prefix, key_hash, key_hint, created_at)
+      VALUES (@id, @name, @key_prefix, @key_hash, @key_hint, @created_at)
+    `).run({ id: demoKeyId, name: 'Demo Key', ...keyColumns(DEMO_API_KEY), created_at: new Date().toISOString() });
 
     console.log('[auth] Demo API key seeded');
 }
@@ -171,12 +237,68 @@ export type PageToolsPolicy =
 
 export interface Agent {
     id: string;
-    agent_key: string;
+    key_hint: string;
     parent_key: string;
     yaml: string;
     created_at: number;
 }
 
+/** Who saved an agent revision: a manager-console user or a parent key calling the API. */
+export interface AgentRevisionAuthor {
+    type: 'user' | 'parent_key';
+    id: string;
+    label: string | null;
+}
+
+/**
+ * One saved version of an agent's YAML. Revisions are numbered from 1 per
+ * agent and never change; the highest number is the live YAML. `initial`
+ * marks agents created before revisions were kept.
+ */
+export interface AgentRevision {
+    object: 'agent.revision';
+    agent_id: string;
+    revision: number;
+    yaml: string;
+    source: 'initial' | 'create' | 'update' | 'rollback';
+    restored_from: number | null;
+    author: AgentRevisionAuthor | null;
+    created_at: number;
+}
+
+export interface AgentRevisionOptions {
+    author?: AgentRevisionAuthor | null;
+    source?: 'update' | 'rollback';
+    restored_from?: number | null;
+}
+
+interface DbAgentRevisionRow {
+    agent_id: string;
+    revision: number;
+    yaml: string;
+    source: AgentRevision['source'];
+    restored_from: number | null;
+    author_type: AgentRevisionAuthor['type'] | null;
+    author_id: string | null;
+    author_label: string | null;
+    created_at: number;
+}
+
+function toAgentRevision(row: DbAgentRevisionRow): AgentRevision {
+    return {
+        object: 'agent.revision',
+        agent_id: row.agent_id,
+        revision: row.revision,
+        yaml: row.yaml,
+        source: row.source,
+        restored_from: row.restored_from,
+        author: row.author_type && row.author_id
+            ? { type: row.author_type, id: row.author_id, label: row.author_label }
+            : null,
+        created_at: row.created_at,
+    };
+}
+
 export interface ManagerIdentity {
     external_user_id: string;
     username?: string;
@@ -203,7 +325,6 @@ export interface ManagerUser {
 export interface ParentApiKey {
     id: string;
     name: string;
-    key: string;
     key_hint: string;
     user_id: string | null;
     status: string;
@@ -232,6 +353,23 @@ export interface UsageEventInput {
     total_tokens?: number | null;
 }
 
+/**
+ * Request and token quotas for a parent key (stored in parent_key_limits) or an
+ * agent (the `limits:` block of its YAML). null means unlimited.
+ */
+export interface RateLimits {
+    requests_per_minute: number | null;
+    tokens_per_day: number | null;
+}
+
+/** Requests and tokens recorded for one key or agent since a point in time. */
+export interface UsageWindow {
+    requests: number;
+    tokens: number;
+    /** created_at of the oldest counted request, or null when there were none */
+    oldest_at: string | null;
+}
+
 export interface ProviderModelRecord {
     id: string;
     provider: string;
@@ -282,6 +420,51 @@ export interface AdminSummary {
     };
 }
 
+export type UsageInterval = 'hour' | 'day' | 'month';
+export type UsageGroupBy = 'agent' | 'parent_key' | 'model' | 'provider' | 'route' | 'status_code';
+
+export interface UsageQuery {
+    interval: UsageInterval;
+    group_by: UsageGroupBy[];
+    /** Inclusive lower bound, ISO timestamp */
+    start: string | null;
+    /** Exclusive upper bound, ISO timestamp */
+    end: string | null;
+    /** Only events of parent keys owned by this manager user (and their agents) */
+    user_id?: string | null;
+}
+
+export interface UsageBucket {
+    bucket: string;
+    agent_id?: string | null;
+    parent_key_id?: string | null;
+    model?: string | null;
+    provider?: string | null;
+    route?: string;
+    status_code?: number;
+    request_count: number;
+    error_count: number;
+    prompt_tokens: number;
+    completion_tokens: number;
+    total_tokens: number;
+}
+
+// Bucket start times in the same ISO format recordUsageEvent writes
+const USAGE_BUCKET_FORMATS: Record<UsageInterval, string> = {
+    hour: '%Y-%m-%dT%H:00:00Z',
+    day: '%Y-%m-%dT00:00:00Z',
+    month: '%Y-%m-01T00:00:00Z',
+};
+
+const USAGE_GROUP_COLUMNS: Record<UsageGroupBy, string> = {
+    agent: 'agent_id',
+    parent_key: 'parent_key_id',
+    model: 'model',
+    provider: 'provider',
+    route: 'route',
+    status_code: 'status_code',
+};
+
 function toManagerUser(row: DbManagerUserRow): ManagerUser {
     return {
         ...row,
@@ -324,29 +507,28 @@ export class AgentStore {
     private stmtUpsertProviderModel: Database.Statement;
     // Lazy-prepared: api_keys table is created after import by initializeAuthTables()
     private _stmtLookupApiKey: Database.Statement | null = null;
-    private _stmtValidateKey: Database.Statement | null = null;
 
     constructor() {
         this.db = getDatabase();
         this.initTable();
 
         this.stmtInsert = this.db.prepare(`
-          INSERT INTO agents (id, agent_key, parent_key, yaml, created_at)
-          VALUES (@id, @agent_key, @parent_key, @yaml, @created_at)
+          INSERT INTO agents (id, key_prefix, key_hash, key_hint, parent_key, yaml, created_at)
+          VALUES (@id, @key_prefix, @key_hash, @key_hint, @parent_key, @yaml, @created_at)
         `);
-        this.stmtGetByKey = this.db.prepare('SELECT * FROM agents WHERE agent_key = ?');
-        this.stmtGetById = this.db.prepare('SELECT * FROM agents WHERE id = ?');
-        this.stmtListByParent = this.db.prepare('SELECT * FROM agents WHERE parent_key = ?');
+        this.stmtGetByKey = this.db.prepare(`SELECT ${AGENT_FIELDS}, key_hash FROM agents WHERE key_prefix = ?`);
+        this.stmtGetById = this.db.prepare(`SELECT ${AGENT_FIELDS} FROM agents WHERE id = ?`);
+        this.stmtListByParent = this.db.prepare(`SELECT ${AGENT_FIELDS} FROM agents WHERE parent_key = ?`);
         this.stmtUpdate = this.db.prepare(`
           UPDATE agents SET yaml = @yaml
           WHERE id = @id AND parent_key = @parent_key
         `);
         this.stmtRotateKey = this.db.prepare(`
-          UPDATE agents SET agent_key = @new_key
+          UPDATE agents SET key_prefix = @key_prefix, key_hash = @key_hash, key_hint = @key_hint
           WHERE id = @id AND parent_key = @parent_key
         `);
         this.stmtDeleteOwned = this.db.prepare('DELETE FROM agents WHERE id = ? AND parent_key = ?');
-        this.stmtGetOwned = this.db.prepare('SELECT * FROM agents WHERE id = ? AND parent_key = ?');
+        this.stmtGetOwned = this.db.prepare(`SELECT ${AGENT_FIELDS} FROM agents WHERE id = ? AND parent_key = ?`);
         this.stmtUpsertProviderModel = this.db.prepare(`
           INSERT INTO provider_models (provider, model, id, label, source, enabled, last_discovered_at, created_at)
           VALUES (@provider, @model, @id, @label, @source, @enabled, @last_discovered_at, @created_at)
@@ -363,15 +545,8 @@ export class AgentStore {
     private initTable() {
         initializeAuthTables(this.db);
         this.db.exec(`
-      CREATE TABLE IF NOT EXISTS agents (
-        id TEXT PRIMARY KEY,
-        agent_key TEXT UNIQUE NOT NULL,
-        parent_key TEXT NOT NULL,
-        yaml TEXT NOT NULL,
-        created_at INTEGER NOT NULL
+      CREATE TABLE IF NOT EXISTS agents (${AGENTS_COLUMNS}
       );
-      CREATE INDEX IF NOT EXISTS idx_agents_agent_key ON agents(agent_key);
-      CREATE INDEX IF NOT EXISTS idx_agents_parent_key ON agents(parent_key);
 
       CREATE TABLE IF NOT EXISTS provider_models (
         provider TEXT NOT NULL,
@@ -395,6 +570,22 @@ export class AgentStore {
       );
       CREATE INDEX IF NOT EXISTS idx_parent_key_model_restrictions_parent_key ON parent_key_model_restrictions(parent_key_id);
 
+      CREATE TABLE IF NOT EXISTS parent_key_limits (
+        parent_key_id TEXT PRIMARY KEY,
+        requests_per_minute INTEGER,
+        tokens_per_day INTEGER,
+        updated_at TEXT DEFAULT (datetime('now'))
+      );
+
+      CREATE TABLE IF NOT EXISTS parent_key_fallbacks (
+        parent_key_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        provider TEXT NOT NULL,
+        model TEXT NOT NULL,
+        created_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (parent_key_id, position)
+      );
+
       CREATE TABLE IF NOT EXISTS agent_model_settings (
         agent_id TEXT PRIMARY KEY,
         default_provider TEXT,
@@ -432,42 +623,49 @@ export class AgentStore {
         created_at TEXT DEFAULT (datetime('now'))
       );
       CREATE INDEX IF NOT EXISTS idx_notification_events_parent_key_id ON notification_events(parent_key_id);
+
+      CREATE TABLE IF NOT EXISTS agent_revisions (
+        agent_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        yaml TEXT NOT NULL,
+        source TEXT NOT NULL,
+        restored_from INTEGER,
+        author_type TEXT,
+        author_id TEXT,
+        author_label TEXT,
+        created_at INTEGER NOT NULL,
+        PRIMARY KEY (agent_id, revision)
+      );
+      CREATE TRIGGER IF NOT EXISTS agent_revisions_no_update
+      BEFORE UPDATE ON agent_revisions
+      BEGIN
+        SELECT RAISE(ABORT, 'agent revisions are immutable');
+      END;
+    `);
+        migratePlaintextKeys(this.db, 'agents', 'agent_key', AGENTS_COLUMNS);
+        this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_agents_key_prefix ON agents(key_prefix);
+      CREATE INDEX IF NOT EXISTS idx_agents_parent_key ON agents(parent_key);
     `);
     }
 
-    /** Check if a token is a valid parent or agent key (single query) */
+    /** Check if a token is a valid parent or agent key */
     validateKey(token: string): boolean {
-        if (!this._stmtValidateKey) {
-            this._stmtValidateKey = this.db.prepare(`
-              SELECT 1 FROM api_keys
-              WHERE key = ?
-                AND COALESCE(status, 'active') = 'active'
-                AND revoked_at IS NULL
-              UNION ALL
-              SELECT 1
-              FROM agents a
-              JOIN api_keys k ON k.id = a.parent_key
-              WHERE a.agent_key = ?
-                AND COALESCE(k.status, 'active') = 'active'
-                AND k.revoked_at IS NULL
-              LIMIT 1
-            `);
-        }
-        return !!this._stmtValidateKey.get(token, token);
+        return !!this.lookupApiKey(token) || !!this.getByKeyWithActiveParent(token);
     }
 
     /** Look up a parent API key — returns { id, name } or undefined */
     lookupApiKey(key: string): { id: string; name: string } | undefined {
         if (!this._stmtLookupApiKey) {
             this._stmtLookupApiKey = this.db.prepare(`
-              SELECT id, name
+              SELECT id, name, key_hash
               FROM api_keys
-              WHERE key = ?
+              WHERE key_prefix = ?
                 AND COALESCE(status, 'active') = 'active'
                 AND revoked_at IS NULL
             `);
         }
-        return this._stmtLookupApiKey.get(key) as { id: string; name: string } | undefined;
+        return matchKey<{ id: string; name: string }>(this._stmtLookupApiKey.all(getKeyLookupPrefix(key)), key);
     }
 
     upsertManagerUser(identity: ManagerIdentity): ManagerUser {
@@ -524,9 +722,22 @@ export class AgentStore {
         return row ? toManagerUser(row) : null;
     }
 
+    getManagerUser(userId: string): ManagerUser | null {
+        const row = this.db.prepare('SELECT * FROM users WHERE id = ?').get(userId) as DbManagerUserRow | undefined;
+        return row ? toManagerUser(row) : null;
+    }
+
+    getParentApiKey(keyId: string): ParentApiKey | undefined {
+        return this.db.prepare(`
+          SELECT id, name, key_hint, user_id, COALESCE(status, 'active') AS status, source, revoked_at, revoked_reason, replaced_by_key_id
+          FROM api_keys
+          WHERE id = ?
+        `).get(keyId) as ParentApiKey | undefined;
+    }
+
     getActiveApiKeyForUser(userId: string): ParentApiKey | undefined {
         return this.db.prepare(`
-          SELECT id, name, key, key_hint, user_id, COALESCE(status, 'active') AS status, source, revoked_at
+          SELECT id, name, key_hint, user_id, COALESCE(status, 'active') AS status, source, revoked_at
           FROM api_keys
           WHERE user_id = ?
             AND COALESCE(status, 'active') = 'active'
@@ -536,29 +747,56 @@ export class AgentStore {
         `).get(userId) as ParentApiKey | undefined;
     }
 
-    createParentApiKeyForUser(user: ManagerUser): ParentApiKey {
-        const key = `${KEY_PREFIX}${generateId()}`;
+    /** Create a parent key for a user. The plaintext key is only returned here. */
+    createParentApiKeyForUser(user: ManagerUser): { parentKey: ParentApiKey; key: string } {
+        const key = generateKeySecret(KEY_PREFIX);
+        const stored = keyColumns(key);
         const parentKey: ParentApiKey = {
             id: generateId('api-key'),
             name: `${user.username || user.email || user.external_user_id} Manager Key`,
-            key,
-            key_hint: getKeyHint(key),
+            key_hint: stored.key_hint,
             user_id: user.id,
             status: 'active',
             source: 'auto',
             revoked_at: null,
         };
         this.db.prepare(`
-          INSERT INTO api_keys (id, name, key, key_hint, user_id, status, source, created_at)
-          VALUES (@id, @name, @key, @key_hint, @user_id, @status, @source, @created_at)
+          INSERT INTO api_keys (id, name, key_prefix, key_hash, key_hint, user_id, status, source, created_at)
+          VALUES (@id, @name, @key_prefix, @key_hash, @key_hint, @user_id, @status, @source, @created_at)
         `).run({
             ...parentKey,
+            ...stored,
             created_at: new Date().toISOString(),
         });
-        return parentKey;
+        return { parentKey, key };
+    }
+
+    /**
+     * Replace the secret of an active parent key, keeping its id, owner and
+     * agents. The new plaintext key is only returned here.
+     */
+    rotateParentApiKey(keyId: string): { parentKey: ParentApiKey; key: string } | null {
+        const key = generateKeySecret(KEY_PREFIX);
+        const result = this.db.prepare(`
+          UPDATE api_keys
+          SET key_prefix = @key_prefix, key_hash = @key_hash, key_hint = @key_hint
+          WHERE id = @id
+            AND COALESCE(status, 'active') = 'active'
+            AND revoked_at IS NULL
+        `).run({ id: keyId, ...keyColumns(key) });
+        if (result.changes === 0) return null;
+        const parentKey = this.db.prepare(`
+          SELECT id, name, key_hint, user_id, COALESCE(status, 'active') AS status, source, revoked_at
+          FROM api_keys WHERE id = ?
+        `).get(keyId) as ParentApiKey;
+        return { parentKey, key };
     }
 
-    ensureManagerUserProvisioned(identity: ManagerIdentity): { user: ManagerUser; parentKey: ParentApiKey } {
+    /**
+     * Make sure a manager user and their parent key exist. `createdKey` holds
+     * the plaintext parent key when this call created it, and is null otherwise.
+     */
+    ensureManagerUserProvisioned(identity: ManagerIdentity): { user: ManagerUser; parentKey: ParentApiKey; createdKey: string | null } {
         const provision = this.db.transaction((managerIdentity: ManagerIdentity) => {
             let user = this.upsertManagerUser(managerIdentity);
             const bootstrapAdmin = adminExternalUserIds().has(user.external_user_id)
@@ -569,21 +807,21 @@ export class AgentStore {
                 user = this.getManagerUserByExternalId(user.external_user_id)!;
             }
 
-            let parentKey = this.getActiveApiKeyForUser(user.id);
-            if (!parentKey) {
-                parentKey = this.createParentApiKeyForUser(user);
-            }
-            return { user, parentKey };
+            const parentKey = this.getActiveApiKeyForUser(user.id);
+            if (parentKey) return { user, parentKey, createdKey: null };
+            const created = this.createParentApiKeyForUser(user);
+            return { user, parentKey: created.parentKey, createdKey: created.key };
         });
         return provision(identity);
     }
 
     getApiKeyByKey(key: string): ParentApiKey | undefined {
-        return this.db.prepare(`
-          SELECT id, name, key, key_hint, user_id, COALESCE(status, 'active') AS status, source, revoked_at
+        const rows = this.db.prepare(`
+          SELECT id, name, key_hint, key_hash, user_id, COALESCE(status, 'active') AS status, source, revoked_at
           FROM api_keys
-          WHERE key = ?
-        `).get(key) as ParentApiKey | undefined;
+          WHERE key_prefix = ?
+        `).all(getKeyLookupPrefix(key));
+        return matchKey<ParentApiKey>(rows, key);
     }
 
     claimParentApiKey(userId: string, parentKey: string): ClaimParentKeyResult {
@@ -640,7 +878,7 @@ export class AgentStore {
             });
 
             const claimed = this.db.prepare(`
-              SELECT id, name, key, key_hint, user_id, COALESCE(status, 'active') AS status, source, revoked_at
+              SELECT id, name, key_hint, user_id, COALESCE(status, 'active') AS status, source, revoked_at
               FROM api_keys WHERE id = ?
             `).get(target.id) as ParentApiKey;
 
@@ -651,21 +889,22 @@ export class AgentStore {
     }
 
     getByKeyWithActiveParent(agentKey: string): { agent: Agent; parentKey: { id: string; name: string } } | null {
-        const row = this.db.prepare(`
+        const rows = this.db.prepare(`
           SELECT
-            a.id, a.agent_key, a.parent_key, a.yaml, a.created_at,
+            a.id, a.key_hint, a.key_hash, a.parent_key, a.yaml, a.created_at,
             k.id AS api_key_id, k.name AS api_key_name
           FROM agents a
           JOIN api_keys k ON k.id = a.parent_key
-          WHERE a.agent_key = ?
+          WHERE a.key_prefix = ?
             AND COALESCE(k.status, 'active') = 'active'
             AND k.revoked_at IS NULL
-        `).get(agentKey) as DbAgentWithParentRow | undefined;
+        `).all(getKeyLookupPrefix(agentKey));
+        const row = matchKey<DbAgentWithParentRow>(rows, agentKey);
         if (!row) return null;
         return {
             agent: {
                 id: row.id,
-                agent_key: row.agent_key,
+                key_hint: row.key_hint,
                 parent_key: row.parent_key,
                 yaml: row.yaml,
                 created_at: row.created_at,
@@ -780,6 +1019,69 @@ export class AgentStore {
         return this.getParentKeyModelRestrictions(parentKeyId);
     }
 
+    getParentKeyLimits(parentKeyId: string): RateLimits {
+        const row = this.db.prepare(`
+          SELECT requests_per_minute, tokens_per_day
+          FROM parent_key_limits
+          WHERE parent_key_id = ?
+        `).get(parentKeyId) as RateLimits | undefined;
+        return row ?? { requests_per_minute: null, tokens_per_day: null };
+    }
+
+    setParentKeyLimits(parentKeyId: string, limits: RateLimits): RateLimits {
+        this.db.prepare(`
+          INSERT INTO parent_key_limits (parent_key_id, requests_per_minute, tokens_per_day, updated_at)
+          VALUES (@parent_key_id, @requests_per_minute, @tokens_per_day, @updated_at)
+          ON CONFLICT(parent_key_id) DO UPDATE SET
+            requests_per_minute = excluded.requests_per_minute,
+            tokens_per_day = excluded.tokens_per_day,
+            updated_at = excluded.updated_at
+        `).run({
+            parent_key_id: parentKeyId,
+            requests_per_minute: limits.requests_per_minute,
+            tokens_per_day: limits.tokens_per_day,
+            updated_at: new Date().toISOString(),
+        });
+        return this.getParentKeyLimits(parentKeyId);
+    }
+
+    /** Ordered provider/model pairs to fail over to for this parent key (see util/failover.ts) */
+    getParentKeyFallbacks(parentKeyId: string): Array<{ provider: string; model: string }> {
+        return this.db.prepare(`
+          SELECT provider, model
+          FROM parent_key_fallbacks
+          WHERE parent_key_id = ?
+          ORDER BY position ASC
+        `).all(parentKeyId) as Array<{ provider: string; model: string }>;
+    }
+
+    setParentKeyFallbacks(parentKeyId: string, fallbacks: Array<{ provider: string; model: string }>): Array<{ provider: string; model: string }> {
+        const save = this.db.transaction(() => {
+            this.db.prepare('DELETE FROM parent_key_fallbacks WHERE parent_key_id = ?').run(parentKeyId);
+            const insert = this.db.prepare(`
+              INSERT INTO parent_key_fallbacks (parent_key_id, position, provider, model, created_at)
+              VALUES (?, ?, ?, ?, ?)
+            `);
+            const created_at = new Date().toISOString();
+            fallbacks.forEach((item, position) => insert.run(parentKeyId, position, item.provider, item.model, created_at));
+        });
+        save();
+        return this.getParentKeyFallbacks(parentKeyId);
+    }
+
+    /**
+     * Count usage for a parent key (all of its agents included) or a single agent
+     * since an ISO timestamp. Rate-limited (429) calls don't count against quotas.
+     */
+    getUsageSince(scope: 'parent_key_id' | 'agent_id', id: string, since: string): UsageWindow {
+        const column = scope === 'agent_id' ? 'agent_id' : 'parent_key_id';
+        return this.db.prepare(`
+          SELECT COUNT(*) AS requests, COALESCE(SUM(total_tokens), 0) AS tokens, MIN(created_at) AS oldest_at
+          FROM usage_events
+          WHERE ${column} = ? AND created_at >= ? AND status_code <> 429
+        `).get(id, since) as UsageWindow;
+    }
+
     getAgentModelPolicy(agentId: string, fallbackYaml?: string | null): AgentModelPolicy {
         const setting = this.db.prepare(`
           SELECT default_provider, default_model, updated_at
@@ -950,6 +1252,32 @@ export class AgentStore {
         };
     }
 
+    /** Aggregate usage_events into time buckets, optionally split by group_by columns. */
+    getUsageBuckets(query: UsageQuery): UsageBucket[] {
+        const groupColumns = query.group_by.map(group => USAGE_GROUP_COLUMNS[group]);
+        const selectGroups = groupColumns.map(column => `, ${column}`).join('');
+        return this.db.prepare(`
+          SELECT
+            strftime(@bucket_format, created_at) AS bucket${selectGroups},
+            COUNT(*) AS request_count,
+            COUNT(CASE WHEN status_code >= 400 THEN 1 END) AS error_count,
+            COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+            COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+            COALESCE(SUM(total_tokens), 0) AS total_tokens
+          FROM usage_events
+          WHERE (@start IS NULL OR created_at >= @start)
+            AND (@end IS NULL OR created_at < @end)
+            AND (@user_id IS NULL OR parent_key_id IN (SELECT id FROM api_keys WHERE user_id = @user_id))
+          GROUP BY ${['bucket', ...groupColumns].join(', ')}
+          ORDER BY ${['bucket', ...groupColumns].join(', ')}
+        `).all({
+            bucket_format: USAGE_BUCKET_FORMATS[query.interval],
+            start: query.start,
+            end: query.end,
+            user_id: query.user_id ?? null,
+        }) as UsageBucket[];
+    }
+
     getAgentMetrics(agentId: string) {
         return this.db.prepare(`
           SELECT
@@ -1042,7 +1370,7 @@ export class AgentStore {
     listAdminAgents() {
         return this.db.prepare(`
           SELECT
-            a.id, a.agent_key, a.parent_key, a.yaml, a.created_at,
+            a.id, a.key_hint, a.parent_key, a.yaml, a.created_at,
             k.user_id, k.name AS parent_key_name, k.key_hint AS parent_key_hint,
             u.external_user_id, u.username, u.email,
             COUNT(e.id) AS request_count,
@@ -1088,7 +1416,7 @@ export class AgentStore {
     revokeParentApiKey(keyId: string, reason = 'admin_revoked'): ParentApiKey | null {
         const revoke = this.db.transaction(() => {
             const existing = this.db.prepare(`
-              SELECT id, name, key, key_hint, user_id, COALESCE(status, 'active') AS status, source, revoked_at, revoked_reason, replaced_by_key_id
+              SELECT id, name, key_hint, user_id, COALESCE(status, 'active') AS status, source, revoked_at, revoked_reason, replaced_by_key_id
               FROM api_keys
               WHERE id = ?
             `).get(keyId) as ParentApiKey | undefined;
@@ -1106,7 +1434,7 @@ export class AgentStore {
                 revoked_reason: reason,
             });
             return this.db.prepare(`
-              SELECT id, name, key, key_hint, user_id, COALESCE(status, 'active') AS status, source, revoked_at, revoked_reason, replaced_by_key_id
+              SELECT id, name, key_hint, user_id, COALESCE(status, 'active') AS status, source, revoked_at, revoked_reason, replaced_by_key_id
               FROM api_keys
               WHERE id = ?
             `).get(keyId) as ParentApiKey;
@@ -1221,16 +1549,22 @@ export class AgentStore {
         });
     }
 
-    createAgent(params: { id: string; agent_key: string; parent_key: string; yaml: string }): Agent {
+    /** Store a new agent as revision 1. Only the hash of `agent_key` is kept. */
+    createAgent(params: { id: string; agent_key: string; parent_key: string; yaml: string }, author: AgentRevisionAuthor | null = null): Agent {
         const created_at = Math.floor(Date.now() / 1000);
-        this.stmtInsert.run({ ...params, created_at });
+        const { agent_key, ...fields } = params;
+        const stored = keyColumns(agent_key);
+        const create = this.db.transaction(() => {
+            this.stmtInsert.run({ ...fields, ...stored, created_at });
+            this.insertRevision(params.id, 1, params.yaml, { source: 'create', author }, created_at);
+        });
+        create();
         this.migrateAgentModelPolicyFromYaml(params.id, params.yaml);
-        return { ...params, created_at };
+        return { ...fields, key_hint: stored.key_hint, created_at };
     }
 
     getByKey(agentKey: string): Agent | null {
-        const row = this.stmtGetByKey.get(agentKey) as DbAgentRow | undefined;
-        return row ?? null;
+        return matchKey<DbAgentRow>(this.stmtGetByKey.all(getKeyLookupPrefix(agentKey)), agentKey) ?? null;
     }
 
     getById(agentId: string): Agent | null {
@@ -1248,26 +1582,96 @@ export class AgentStore {
         return this.stmtListByParent.all(parentKey) as DbAgentRow[];
     }
 
-    /** Replace the YAML blob of an owned agent. Returns updated row or null. */
-    updateAgent(agentId: string, parentKey: string, yaml: string): Agent | null {
-        const existing = this.getOwned(agentId, parentKey);
-        if (!existing) return null;
-        this.stmtUpdate.run({ id: agentId, parent_key: parentKey, yaml });
-        return { ...existing, yaml };
+    /**
+     * Replace the YAML blob of an owned agent, saving it as the next revision.
+     * Returns updated row or null.
+     */
+    updateAgent(agentId: string, parentKey: string, yaml: string, options: AgentRevisionOptions = {}): Agent | null {
+        const update = this.db.transaction(() => {
+            const existing = this.getOwned(agentId, parentKey);
+            if (!existing) return null;
+            const current = this.ensureInitialRevision(existing);
+            this.stmtUpdate.run({ id: agentId, parent_key: parentKey, yaml });
+            this.insertRevision(agentId, current + 1, yaml, { source: 'update', ...options }, Math.floor(Date.now() / 1000));
+            return { ...existing, yaml };
+        });
+        return update();
+    }
+
+    /** Revision number of the live YAML. */
+    getCurrentRevision(agent: Agent): number {
+        return this.ensureInitialRevision(agent);
+    }
+
+    /** Revisions of an agent, newest first. */
+    listRevisions(agent: Agent): AgentRevision[] {
+        this.ensureInitialRevision(agent);
+        const rows = this.db.prepare(`
+          SELECT * FROM agent_revisions WHERE agent_id = ? ORDER BY revision DESC
+        `).all(agent.id) as DbAgentRevisionRow[];
+        return rows.map(toAgentRevision);
+    }
+
+    getRevision(agent: Agent, revision: number): AgentRevision | null {
+        this.ensureInitialRevision(agent);
+        const row = this.db.prepare(`
+          SELECT * FROM agent_revisions WHERE agent_id = ? AND revision = ?
+        `).get(agent.id, revision) as DbAgentRevisionRow | undefined;
+        return row ? toAgentRevision(row) : null;
+    }
+
+    // Agents created before revisions were kept get their live YAML saved as
+    // revision 1 the first time their history is touched.
+    private ensureInitialRevision(agent: Agent): number {
+        const latest = (this.db.prepare(`
+          SELECT MAX(revision) AS revision FROM agent_revisions WHERE agent_id = ?
+        `).get(agent.id) as { revision: number | null }).revision;
+        if (latest !== null) return latest;
+        this.insertRevision(agent.id, 1, agent.yaml, { source: 'initial' }, agent.created_at);
+        return 1;
+    }
+
+    private insertRevision(
+        agentId: string,
+        revision: number,
+        yaml: string,
+        options: Omit<AgentRevisionOptions, 'source'> & { source: AgentRevision['source'] },
+        createdAt: number,
+    ) {
+        this.db.prepare(`
+          INSERT INTO agent_revisions (agent_id, revision, yaml, source, restored_from, author_type, author_id, author_label, created_at)
+          VALUES (@agent_id, @revision, @yaml, @source, @restored_from, @author_type, @author_id, @author_label, @created_at)
+        `).run({
+            agent_id: agentId,
+            revision,
+            yaml,
+            source: options.source,
+            restored_from: options.restored_from ?? null,
+            author_type: options.author?.type ?? null,
+            author_id: options.author?.id ?? null,
+            author_label: options.author?.label ?? null,
+            created_at: createdAt,
+        });
     }
 
-    /** Replace the agent_key of an owned agent. Returns updated row or null. */
+    /** Replace the agent key of an owned agent. Returns updated row or null. */
     rotateKey(agentId: string, parentKey: string, newKey: string): Agent | null {
         const existing = this.getOwned(agentId, parentKey);
         if (!existing) return null;
-        this.stmtRotateKey.run({ id: agentId, parent_key: parentKey, new_key: newKey });
-        return { ...existing, agent_key: newKey };
+        const stored = keyColumns(newKey);
+        this.stmtRotateKey.run({ id: agentId, parent_key: parentKey, ...stored });
+        return { ...existing, key_hint: stored.key_hint };
     }
 
     /** Delete agent only if owned by parentKey. Returns true if deleted. */
     deleteAgent(agentId: string, parentKey: string): boolean {
-        const result = this.stmtDeleteOwned.run(agentId, parentKey);
-        return result.changes > 0;
+        const remove = this.db.transaction(() => {
+            const result = this.stmtDeleteOwned.run(agentId, parentKey);
+            if (result.changes === 0) return false;
+            this.db.prepare('DELETE FROM agent_revisions WHERE agent_id = ?').run(agentId);
+            return true;
+        });
+        return remove();
     }
 }
 
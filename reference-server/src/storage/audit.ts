@@ -0,0 +1,228 @@
+import Database from 'better-sqlite3';
+import { generateId } from '../util';
+import { getDatabase } from './agents';
+
+interface DbAuditEventRow {
+    id: string;
+    created_at: string;
+    action: string;
+    actor_type: string;
+    actor_id: string;
+    actor_label: string | null;
+    target_type: string;
+    target_id: string;
+    parent_key_id: string | null;
+    before: string | null;
+    after: string | null;
+    diff: string | null;
+    ip: string | null;
+    user_agent: string | null;
+    request_id: string | null;
+    method: string | null;
+    url: string | null;
+}
+
+// ── Audit model ─────────────────────────────────────────────────────
+
+/**
+ * Who performed an action: a manager-console user (trusted forwarded
+ * identity) or a parent key calling the API directly.
+ */
+export interface AuditActor {
+    type: 'user' | 'parent_key';
+    id: string;
+    label: string | null;
+}
+
+export interface AuditRequestInfo {
+    ip: string | null;
+    user_agent: string | null;
+    request_id: string | null;
+    method: string | null;
+    url: string | null;
+}
+
+export interface AuditEventInput {
+    action: string;
+    actor: AuditActor;
+    target_type: string;
+    target_id: string;
+    parent_key_id?: string | null;
+    before?: unknown;
+    after?: unknown;
+    diff?: string | null;
+    request: AuditRequestInfo;
+}
+
+export interface AuditEvent {
+    id: string;
+    object: 'audit_event';
+    created_at: string;
+    action: string;
+    actor: AuditActor;
+    target: { type: string; id: string };
+    parent_key_id: string | null;
+    before: unknown;
+    after: unknown;
+    diff: string | null;
+    request: AuditRequestInfo;
+}
+
+export interface AuditListFilters {
+    action?: string;
+    actor_id?: string;
+    target_type?: string;
+    target_id?: string;
+    parent_key_id?: string;
+    since?: string;
+    until?: string;
+    limit: number;
+    after?: string;
+}
+
+function toAuditEvent(row: DbAuditEventRow): AuditEvent {
+    return {
+        id: row.id,
+        object: 'audit_event',
+        created_at: row.created_at,
+        action: row.action,
+        actor: { type: row.actor_type as AuditActor['type'], id: row.actor_id, label: row.actor_label },
+        target: { type: row.target_type, id: row.target_id },
+        parent_key_id: row.parent_key_id,
+        before: row.before === null ? null : JSON.parse(row.before),
+        after: row.after === null ? null : JSON.parse(row.after),
+        diff: row.diff,
+        request: {
+            ip: row.ip,
+            user_agent: row.user_agent,
+            request_id: row.request_id,
+            method: row.method,
+            url: row.url,
+        },
+    };
+}
+
+/**
+ * Append-only record of manager and admin actions. Triggers reject UPDATE and
+ * DELETE so rows can't be rewritten through the application database handle.
+ */
+export class AuditStore {
+    private db: Database.Database;
+
+    constructor() {
+        this.db = getDatabase();
+        this.initTable();
+    }
+
+    private initTable() {
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        action TEXT NOT NULL,
+        actor_type TEXT NOT NULL,
+        actor_id TEXT NOT NULL,
+        actor_label TEXT,
+        target_type TEXT NOT NULL,
+        target_id TEXT NOT NULL,
+        parent_key_id TEXT,
+        before TEXT,
+        after TEXT,
+        diff TEXT,
+        ip TEXT,
+        user_agent TEXT,
+        request_id TEXT,
+        method TEXT,
+        url TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events(created_at);
+      CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action, created_at);
+      CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_audit_events_target ON audit_events(target_type, target_id, created_at);
+
+      CREATE TRIGGER IF NOT EXISTS audit_events_no_update
+      BEFORE UPDATE ON audit_events
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_events is append-only');
+      END;
+      CREATE TRIGGER IF NOT EXISTS audit_events_no_delete
+      BEFORE DELETE ON audit_events
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_events is append-only');
+      END;
+    `);
+    }
+
+    record(input: AuditEventInput): AuditEvent {
+        const row: DbAuditEventRow = {
+            id: generateId('audit'),
+            created_at: new Date().toISOString(),
+            action: input.action,
+            actor_type: input.actor.type,
+            actor_id: input.actor.id,
+            actor_label: input.actor.label,
+            target_type: input.target_type,
+            target_id: input.target_id,
+            parent_key_id: input.parent_key_id ?? null,
+            before: input.before === undefined ? null : JSON.stringify(input.before),
+            after: input.after === undefined ? null : JSON.stringify(input.after),
+            diff: input.diff ?? null,
+            ...input.request,
+        };
+        this.db.prepare(`
+          INSERT INTO audit_events (
+            id, created_at, action, actor_type, actor_id, actor_label, target_type, target_id, parent_key_id,
+            before, after, diff, ip, user_agent, request_id, method, url
+          ) VALUES (
+            @id, @created_at, @action, @actor_type, @actor_id, @actor_label, @target_type, @target_id, @parent_key_id,
+            @before, @after, @diff, @ip, @user_agent, @request_id, @method, @url
+          )
+        `).run(row);
+        return toAuditEvent(row);
+    }
+
+    /**
+     * Newest first. `after` is the id of the last event of the previous page;
+     * `since` is inclusive and `until` exclusive.
+     */
+    list(filters: AuditListFilters): { data: AuditEvent[]; first_id: string | null; last_id: string | null; has_more: boolean } {
+        const clauses: string[] = [];
+        const params: Record<string, string | number> = { limit: filters.limit + 1 };
+        const equal = ['action', 'actor_id', 'target_type', 'target_id', 'parent_key_id'] as const;
+        for (const column of equal) {
+            const value = filters[column];
+            if (value) {
+                clauses.push(`${column} = @${column}`);
+                params[column] = value;
+            }
+        }
+        if (filters.since) {
+            clauses.push('created_at >= @since');
+            params.since = filters.since;
+        }
+        if (filters.until) {
+            clauses.push('created_at < @until');
+            params.until = filters.until;
+        }
+        if (filters.after) {
+            clauses.push('rowid < COALESCE((SELECT rowid FROM audit_events WHERE id = @after), 0)');
+            params.after = filters.after;
+        }
+        const rows = this.db.prepare(`
+          SELECT * FROM audit_events
+          ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+          ORDER BY rowid DESC
+          LIMIT @limit
+        `).all(params) as DbAuditEventRow[];
+        const page = rows.slice(0, filters.limit).map(toAuditEvent);
+        return {
+            data: page,
+            first_id: page[0]?.id ?? null,
+            last_id: page[page.length - 1]?.id ?? null,
+            has_more: rows.length > filters.limit,
+        };
+    }
+}
+
+// Singleton instance
+export const auditStore = new AuditStore();
@@ -0,0 +1,186 @@
+import Database from 'better-sqlite3';
+import * as fs from 'fs';
+import * as path from 'path';
+import { getDatabase } from './agents';
+import type { ThreadOwner } from './threads';
+
+interface DbFileRow {
+    id: string;
+    parent_key_id: string | null;
+    agent_id: string | null;
+    bytes: number;
+    created_at: number;
+    filename: string;
+    purpose: string;
+}
+
+// ── Uploaded files ──────────────────────────────────────────────────
+// Content lives under $DATA_DIR/files/<file_id> (default ./data); metadata and
+// ownership live in the `files` table. Files have the same owner rule as
+// threads: the agent key or the parent key that uploaded them.
+
+export const FILES_DIR = path.join(process.env.DATA_DIR || path.join(process.cwd(), 'data'), 'files');
+// Metadata used to be kept in this JSON file; it is imported once, then ignored
+const LEGACY_INDEX_FILE = path.join(FILES_DIR, 'index.json');
+
+export type FileOwner = ThreadOwner;
+
+export interface StoredFile {
+    id: string;
+    object: 'file';
+    bytes: number;
+    created_at: number;
+    filename: string;
+    purpose: string;
+}
+
+function toStoredFile(row: DbFileRow): StoredFile {
+    return {
+        id: row.id,
+        object: 'file',
+        bytes: row.bytes,
+        created_at: row.created_at,
+        filename: row.filename,
+        purpose: row.purpose,
+    };
+}
+
+export function filePath(fileId: string): string {
+    return path.join(FILES_DIR, fileId);
+}
+
+export async function readFileContent(fileId: string): Promise<Buffer> {
+    return fs.promises.readFile(filePath(fileId));
+}
+
+export class FileStore {
+    private db: Database.Database;
+
+    constructor() {
+        this.db = getDatabase();
+        fs.mkdirSync(FILES_DIR, { recursive: true });
+        this.initTable();
+        this.importLegacyIndex();
+    }
+
+    private initTable() {
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS files (
+        id TEXT PRIMARY KEY,
+        parent_key_id TEXT,
+        agent_id TEXT,
+        bytes INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        filename TEXT NOT NULL,
+        purpose TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_files_owner ON files(parent_key_id, agent_id);
+    `);
+    }
+
+    /**
+     * Bring entries from the old index.json into the table. They predate
+     * ownership, so they're imported without an owner and no key can see them
+     * until an operator assigns one (UPDATE files SET parent_key_id = ...).
+     */
+    private importLegacyIndex() {
+        let legacy: unknown;
+        try {
+            legacy = JSON.parse(fs.readFileSync(LEGACY_INDEX_FILE, 'utf-8'));
+        } catch {
+            return;
+        }
+        if (!Array.isArray(legacy)) return;
+
+        const insert = this.db.prepare(`
+          INSERT OR IGNORE INTO files (id, parent_key_id, agent_id, bytes, created_at, filename, purpose)
+          VALUES (@id, NULL, NULL, @bytes, @created_at, @filename, @purpose)
+        `);
+        const importAll = this.db.transaction((files: Partial<StoredFile>[]) => {
+            let imported = 0;
+            for (const file of files) {
+                if (typeof file?.id !== 'string' || !fs.existsSync(filePath(file.id))) continue;
+                imported += insert.run({
+                    id: file.id,
+                    bytes: file.bytes ?? 0,
+                    created_at: file.created_at ?? 0,
+                    filename: file.filename ?? 'unnamed',
+                    purpose: file.purpose ?? 'assistants',
+                }).changes;
+            }
+            return imported;
+        });
+        const imported = importAll(legacy);
+        if (imported > 0) {
+            console.warn(`[files] Imported ${imported} file(s) from ${LEGACY_INDEX_FILE} without an owner; set parent_key_id in the files table to make them visible.`);
+        }
+    }
+
+    /** Write an upload's content and record it for its owner. */
+    async createFile(owner: FileOwner, fileId: string, filename: string, purpose: string, content: Buffer): Promise<StoredFile> {
+        await fs.promises.writeFile(filePath(fileId), content);
+        const row: DbFileRow = {
+            id: fileId,
+            parent_key_id: owner.parent_key_id,
+            agent_id: owner.agent_id,
+            bytes: content.length,
+            created_at: Math.floor(Date.now() / 1000),
+            filename,
+            purpose,
+        };
+        try {
+            this.db.prepare(`
+              INSERT INTO files (id, parent_key_id, agent_id, bytes, created_at, filename, purpose)
+              VALUES (@id, @parent_key_id, @agent_id, @bytes, @created_at, @filename, @purpose)
+            `).run(row);
+        } catch (err) {
+            await fs.promises.rm(filePath(fileId), { force: true });
+            throw err;
+        }
+        return toStoredFile(row);
+    }
+
+    /** Get a file by id regardless of owner. Callers must have checked access. */
+    getFile(fileId: string): StoredFile | null {
+        const row = this.db.prepare('SELECT * FROM files WHERE id = ?').get(fileId) as DbFileRow | undefined;
+        return row ? toStoredFile(row) : null;
+    }
+
+    /** Get a file only if it belongs to owner */
+    getOwned(fileId: string, owner: FileOwner): StoredFile | null {
+        const row = this.db.prepare(`
+          SELECT * FROM files
+          WHERE id = ? AND parent_key_id = ? AND agent_id IS ?
+        `).get(fileId, owner.parent_key_id, owner.agent_id) as DbFileRow | undefined;
+        return row ? toStoredFile(row) : null;
+    }
+
+    /** Get a file uploaded with a parent key or with any of its agents' keys */
+    getForParentKey(fileId: string, parentKeyId: string): StoredFile | null {
+        const row = this.db.prepare('SELECT * FROM files WHERE id = ? AND parent_key_id = ?').get(fileId, parentKeyId) as DbFileRow | undefined;
+        return row ? toStoredFile(row) : null;
+    }
+
+    listOwned(owner: FileOwner, purpose?: string): StoredFile[] {
+        const rows = this.db.prepare(`
+          SELECT * FROM files
+          WHERE parent_key_id = @parent_key_id AND agent_id IS @agent_id AND (@purpose IS NULL OR purpose = @purpose)
+          ORDER BY created_at ASC, rowid ASC
+        `).all({ parent_key_id: owner.parent_key_id, agent_id: owner.agent_id, purpose: purpose ?? null }) as DbFileRow[];
+        return rows.map(toStoredFile);
+    }
+
+    /** Delete an owned file and its content. Returns true if deleted. */
+    async deleteOwned(fileId: string, owner: FileOwner): Promise<boolean> {
+        const result = this.db.prepare(`
+          DELETE FROM files
+          WHERE id = ? AND parent_key_id = ? AND agent_id IS ?
+        `).run(fileId, owner.parent_key_id, owner.agent_id);
+        if (result.changes === 0) return false;
+        await fs.promises.rm(filePath(fileId), { force: true });
+        return true;
+    }
+}
+
+// Singleton instance
+export const fileStore = new FileStore();
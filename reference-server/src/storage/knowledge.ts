@@ -0,0 +1,167 @@
+import Database from 'better-sqlite3';
+import path from 'path';
+import { DB_PATH } from './agents';
+
+// ── Knowledge index ─────────────────────────────────────────────────
+// Chunks of the files agents list under `knowledge:` and their embeddings.
+// Kept in its own SQLite file next to the main database so it can be deleted
+// and rebuilt at any time without touching keys or agents.
+
+const KNOWLEDGE_DB_PATH = process.env.KNOWLEDGE_DB_PATH
+    ?? path.join(path.dirname(DB_PATH), 'knowledge.db');
+
+interface DbKnowledgeFileRow {
+    file_id: string;
+    embedder: string;
+    bytes: number;
+    chunk_count: number;
+    indexed_at: number;
+}
+
+interface DbKnowledgeChunkRow {
+    file_id: string;
+    chunk_index: number;
+    text: string;
+    embedding: Buffer;
+}
+
+/** An indexed file: which embedder produced its vectors, and the file size it was built from. */
+export interface KnowledgeFile {
+    file_id: string;
+    embedder: string;
+    bytes: number;
+    chunk_count: number;
+    indexed_at: number;
+}
+
+export interface KnowledgeChunkInput {
+    text: string;
+    embedding: number[];
+}
+
+export interface KnowledgeMatch {
+    file_id: string;
+    chunk_index: number;
+    text: string;
+    score: number;
+}
+
+function cosineSimilarity(a: Float32Array, b: Float32Array): number {
+    if (a.length !== b.length) return -1;
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function toVector(blob: Buffer): Float32Array {
+    // Copy first: the blob's offset in its backing buffer isn't always 4-byte aligned
+    return new Float32Array(new Uint8Array(blob).buffer);
+}
+
+export class KnowledgeStore {
+    private db: Database.Database;
+
+    constructor() {
+        this.db = new Database(KNOWLEDGE_DB_PATH);
+        this.initTable();
+    }
+
+    private initTable() {
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS knowledge_files (
+        file_id TEXT PRIMARY KEY,
+        embedder TEXT NOT NULL,
+        bytes INTEGER NOT NULL,
+        chunk_count INTEGER NOT NULL,
+        indexed_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS knowledge_chunks (
+        file_id TEXT NOT NULL,
+        chunk_index INTEGER NOT NULL,
+        text TEXT NOT NULL,
+        embedding BLOB NOT NULL,
+        PRIMARY KEY (file_id, chunk_index)
+      );
+    `);
+    }
+
+    getFile(fileId: string): KnowledgeFile | null {
+        const row = this.db.prepare('SELECT * FROM knowledge_files WHERE file_id = ?').get(fileId) as DbKnowledgeFileRow | undefined;
+        return row ?? null;
+    }
+
+    /** Replace everything indexed for a file with a fresh set of chunks. */
+    replaceFile(fileId: string, embedder: string, bytes: number, chunks: KnowledgeChunkInput[]): KnowledgeFile {
+        const file: KnowledgeFile = {
+            file_id: fileId,
+            embedder,
+            bytes,
+            chunk_count: chunks.length,
+            indexed_at: Math.floor(Date.now() / 1000),
+        };
+        const replace = this.db.transaction(() => {
+            this.db.prepare('DELETE FROM knowledge_chunks WHERE file_id = ?').run(fileId);
+            const insert = this.db.prepare(`
+              INSERT INTO knowledge_chunks (file_id, chunk_index, text, embedding)
+              VALUES (?, ?, ?, ?)
+            `);
+            chunks.forEach((chunk, index) => {
+                insert.run(fileId, index, chunk.text, Buffer.from(new Float32Array(chunk.embedding).buffer));
+            });
+            this.db.prepare(`
+              INSERT INTO knowledge_files (file_id, embedder, bytes, chunk_count, indexed_at)
+              VALUES (@file_id, @embedder, @bytes, @chunk_count, @indexed_at)
+              ON CONFLICT(file_id) DO UPDATE SET
+                embedder = excluded.embedder,
+                bytes = excluded.bytes,
+                chunk_count = excluded.chunk_count,
+                indexed_at = excluded.indexed_at
+            `).run(file);
+        });
+        replace();
+        return file;
+    }
+
+    deleteFile(fileId: string): void {
+        const remove = this.db.transaction(() => {
+            this.db.prepare('DELETE FROM knowledge_chunks WHERE file_id = ?').run(fileId);
+            this.db.prepare('DELETE FROM knowledge_files WHERE file_id = ?').run(fileId);
+        });
+        remove();
+    }
+
+    /**
+     * Rank the chunks of the given files against a query vector (cosine
+     * similarity, brute force) and return the best `topK`. Ties keep file and
+     * chunk order so results are deterministic.
+     */
+    search(fileIds: string[], query: number[], topK: number): KnowledgeMatch[] {
+        if (fileIds.length === 0 || topK <= 0) return [];
+        const rows = this.db.prepare(`
+          SELECT file_id, chunk_index, text, embedding
+          FROM knowledge_chunks
+          WHERE file_id IN (${fileIds.map(() => '?').join(', ')})
+          ORDER BY file_id, chunk_index
+        `).all(...fileIds) as DbKnowledgeChunkRow[];
+        const queryVector = new Float32Array(query);
+        return rows
+            .map(row => ({
+                file_id: row.file_id,
+                chunk_index: row.chunk_index,
+                text: row.text,
+                score: cosineSimilarity(queryVector, toVector(row.embedding)),
+            }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+    }
+}
+
+// Singleton instance
+export const knowledgeStore = new KnowledgeStore();
@@ -0,0 +1,104 @@
+import Database from 'better-sqlite3';
+import { getDatabase } from './agents';
+
+interface DbResponseCacheRow {
+    key: string;
+    route: string;
+    parent_key_id: string | null;
+    agent_id: string | null;
+    model: string | null;
+    stream: number;
+    body: string;
+    created_at: number;
+    expires_at: number;
+    hits: number;
+}
+
+export interface ResponseCacheEntry {
+    key: string;
+    route: string;
+    parent_key_id: string | null;
+    agent_id: string | null;
+    model: string | null;
+    /** True when `body` is the SSE text of a streamed reply rather than a JSON response */
+    stream: boolean;
+    body: string;
+    /** Unix seconds */
+    created_at: number;
+    expires_at: number;
+}
+
+export interface ResponseCachePurgeFilters {
+    parent_key_id?: string;
+    agent_id?: string;
+}
+
+/**
+ * Stored replies to deterministic chat and embedding requests, keyed by a hash
+ * of the normalized request. Expired rows are skipped on read and dropped on
+ * the next write.
+ */
+export class ResponseCacheStore {
+    private db: Database.Database;
+
+    constructor() {
+        this.db = getDatabase();
+        this.initTable();
+    }
+
+    private initTable() {
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS response_cache (
+        key TEXT PRIMARY KEY,
+        route TEXT NOT NULL,
+        parent_key_id TEXT,
+        agent_id TEXT,
+        model TEXT,
+        stream INTEGER NOT NULL DEFAULT 0,
+        body TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE INDEX IF NOT EXISTS idx_response_cache_expires_at ON response_cache(expires_at);
+      CREATE INDEX IF NOT EXISTS idx_response_cache_parent_key_id ON response_cache(parent_key_id);
+      CREATE INDEX IF NOT EXISTS idx_response_cache_agent_id ON response_cache(agent_id);
+    `);
+    }
+
+    /** The live entry for `key`, counting the hit; null when missing or expired. */
+    get(key: string): ResponseCacheEntry | null {
+        const now = Math.floor(Date.now() / 1000);
+        const row = this.db.prepare('SELECT * FROM response_cache WHERE key = ? AND expires_at > ?').get(key, now) as DbResponseCacheRow | undefined;
+        if (!row) return null;
+        this.db.prepare('UPDATE response_cache SET hits = hits + 1 WHERE key = ?').run(key);
+        return { ...row, stream: row.stream === 1 };
+    }
+
+    set(entry: Omit<ResponseCacheEntry, 'created_at' | 'expires_at'>, ttlSeconds: number): void {
+        const now = Math.floor(Date.now() / 1000);
+        this.db.prepare('DELETE FROM response_cache WHERE expires_at <= ?').run(now);
+        this.db.prepare(`
+          INSERT OR REPLACE INTO response_cache (key, route, parent_key_id, agent_id, model, stream, body, created_at, expires_at, hits)
+          VALUES (@key, @route, @parent_key_id, @agent_id, @model, @stream, @body, @created_at, @expires_at, 0)
+        `).run({ ...entry, stream: entry.stream ? 1 : 0, created_at: now, expires_at: now + ttlSeconds });
+    }
+
+    /** Delete entries (all of them without filters). Returns how many were removed. */
+    purge(filters: ResponseCachePurgeFilters = {}): number {
+        const clauses: string[] = [];
+        const params: Record<string, string> = {};
+        if (filters.parent_key_id) {
+            clauses.push('parent_key_id = @parent_key_id');
+            params.parent_key_id = filters.parent_key_id;
+        }
+        if (filters.agent_id) {
+            clauses.push('agent_id = @agent_id');
+            params.agent_id = filters.agent_id;
+        }
+        return this.db.prepare(`DELETE FROM response_cache ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}`).run(params).changes;
+    }
+}
+
+// Singleton instance
+export const responseCacheStore = new ResponseCacheStore();
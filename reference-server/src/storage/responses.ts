@@ -0,0 +1,93 @@
+import Database from 'better-sqlite3';
+import { getDatabase } from './agents';
+
+interface DbResponseRow {
+    id: string;
+    parent_key_id: string;
+    agent_id: string | null;
+    model: string;
+    response: string;
+    messages: string;
+    created_at: number;
+}
+
+/** Same ownership rule as threads: the agent key, or the parent key itself (agent_id null). */
+export interface ResponseOwner {
+    parent_key_id: string;
+    agent_id: string | null;
+}
+
+export interface StoredResponse {
+    /** The response object exactly as returned to the client */
+    response: Record<string, unknown>;
+    /**
+     * Chat-format conversation through this response (input + assistant output),
+     * without system prompts — `instructions` are not carried across
+     * previous_response_id chains, matching OpenAI.
+     */
+    messages: Record<string, unknown>[];
+}
+
+export class ResponseStore {
+    private db: Database.Database;
+
+    constructor() {
+        this.db = getDatabase();
+        this.initTable();
+    }
+
+    private initTable() {
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS responses (
+        id TEXT PRIMARY KEY,
+        parent_key_id TEXT NOT NULL,
+        agent_id TEXT,
+        model TEXT NOT NULL,
+        response TEXT NOT NULL,
+        messages TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_responses_owner ON responses(parent_key_id, agent_id);
+    `);
+    }
+
+    saveResponse(owner: ResponseOwner, stored: StoredResponse): void {
+        this.db.prepare(`
+          INSERT INTO responses (id, parent_key_id, agent_id, model, response, messages, created_at)
+          VALUES (@id, @parent_key_id, @agent_id, @model, @response, @messages, @created_at)
+        `).run({
+            id: stored.response.id,
+            parent_key_id: owner.parent_key_id,
+            agent_id: owner.agent_id,
+            model: stored.response.model,
+            response: JSON.stringify(stored.response),
+            messages: JSON.stringify(stored.messages),
+            created_at: stored.response.created_at,
+        });
+    }
+
+    /** Get a stored response only if it belongs to owner */
+    getOwned(responseId: string, owner: ResponseOwner): StoredResponse | null {
+        const row = this.db.prepare(`
+          SELECT * FROM responses
+          WHERE id = ? AND parent_key_id = ? AND agent_id IS ?
+        `).get(responseId, owner.parent_key_id, owner.agent_id) as DbResponseRow | undefined;
+        if (!row) return null;
+        return {
+            response: JSON.parse(row.response) as Record<string, unknown>,
+            messages: JSON.parse(row.messages) as Record<string, unknown>[],
+        };
+    }
+
+    /** Delete an owned response. Returns true if deleted. */
+    deleteResponse(responseId: string, owner: ResponseOwner): boolean {
+        const result = this.db.prepare(`
+          DELETE FROM responses
+          WHERE id = ? AND parent_key_id = ? AND agent_id IS ?
+        `).run(responseId, owner.parent_key_id, owner.agent_id);
+        return result.changes > 0;
+    }
+}
+
+// Singleton instance
+export const responseStore = new ResponseStore();
@@ -0,0 +1,237 @@
+import Database from 'better-sqlite3';
+import { generateId } from '../util';
+import { getDatabase } from './agents';
+
+interface DbThreadRow {
+    id: string;
+    parent_key_id: string;
+    agent_id: string | null;
+    metadata: string | null;
+    created_at: number;
+    updated_at: number;
+}
+
+interface DbThreadMessageRow {
+    id: string;
+    thread_id: string;
+    role: string;
+    content: string | null;
+    name: string | null;
+    tool_calls: string | null;
+    tool_call_id: string | null;
+    created_at: number;
+}
+
+// ── Thread model ────────────────────────────────────────────────────
+
+/**
+ * A thread belongs to exactly one caller: the agent key that created it, or
+ * the parent key itself (agent_id null). Parent keys cannot read agent threads
+ * so widget conversations stay private to the agent that owns them.
+ */
+export interface ThreadOwner {
+    parent_key_id: string;
+    agent_id: string | null;
+}
+
+export interface Thread {
+    id: string;
+    object: 'thread';
+    created_at: number;
+    updated_at: number;
+    metadata: Record<string, string>;
+}
+
+export interface ThreadMessageInput {
+    role: string;
+    content?: unknown;
+    name?: string;
+    tool_calls?: unknown[];
+    tool_call_id?: string;
+}
+
+export interface ThreadMessage {
+    id: string;
+    object: 'thread.message';
+    thread_id: string;
+    role: string;
+    content: unknown;
+    name?: string;
+    tool_calls?: unknown[];
+    tool_call_id?: string;
+    created_at: number;
+}
+
+function toThread(row: DbThreadRow): Thread {
+    return {
+        id: row.id,
+        object: 'thread',
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+        metadata: row.metadata ? JSON.parse(row.metadata) as Record<string, string> : {},
+    };
+}
+
+function toThreadMessage(row: DbThreadMessageRow): ThreadMessage {
+    return {
+        id: row.id,
+        object: 'thread.message',
+        thread_id: row.thread_id,
+        role: row.role,
+        content: row.content === null ? null : JSON.parse(row.content),
+        ...(row.name && { name: row.name }),
+        ...(row.tool_calls && { tool_calls: JSON.parse(row.tool_calls) as unknown[] }),
+        ...(row.tool_call_id && { tool_call_id: row.tool_call_id }),
+        created_at: row.created_at,
+    };
+}
+
+export class ThreadStore {
+    private db: Database.Database;
+
+    constructor() {
+        this.db = getDatabase();
+        this.initTable();
+    }
+
+    private initTable() {
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS threads (
+        id TEXT PRIMARY KEY,
+        parent_key_id TEXT NOT NULL,
+        agent_id TEXT,
+        metadata TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_threads_owner ON threads(parent_key_id, agent_id);
+
+      CREATE TABLE IF NOT EXISTS thread_messages (
+        id TEXT PRIMARY KEY,
+        thread_id TEXT NOT NULL,
+        role TEXT NOT NULL,
+        content TEXT,
+        name TEXT,
+        tool_calls TEXT,
+        tool_call_id TEXT,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_thread_messages_thread_id ON thread_messages(thread_id);
+    `);
+    }
+
+    createThread(owner: ThreadOwner, metadata: Record<string, string> = {}, messages: ThreadMessageInput[] = []): Thread {
+        const now = Math.floor(Date.now() / 1000);
+        const id = generateId('thread');
+        const create = this.db.transaction(() => {
+            this.db.prepare(`
+              INSERT INTO threads (id, parent_key_id, agent_id, metadata, created_at, updated_at)
+              VALUES (@id, @parent_key_id, @agent_id, @metadata, @created_at, @updated_at)
+            `).run({
+                id,
+                parent_key_id: owner.parent_key_id,
+                agent_id: owner.agent_id,
+                metadata: JSON.stringify(metadata),
+                created_at: now,
+                updated_at: now,
+            });
+            this.insertMessages(id, messages, now);
+        });
+        create();
+        return { id, object: 'thread', created_at: now, updated_at: now, metadata };
+    }
+
+    /** Get a thread only if it belongs to owner */
+    getOwned(threadId: string, owner: ThreadOwner): Thread | null {
+        const row = this.db.prepare(`
+          SELECT * FROM threads
+          WHERE id = ? AND parent_key_id = ? AND agent_id IS ?
+        `).get(threadId, owner.parent_key_id, owner.agent_id) as DbThreadRow | undefined;
+        return row ? toThread(row) : null;
+    }
+
+    listOwned(owner: ThreadOwner): Thread[] {
+        const rows = this.db.prepare(`
+          SELECT * FROM threads
+          WHERE parent_key_id = ? AND agent_id IS ?
+          ORDER BY updated_at DESC, rowid DESC
+        `).all(owner.parent_key_id, owner.agent_id) as DbThreadRow[];
+        return rows.map(toThread);
+    }
+
+    /** Replace the metadata of an owned thread. Returns updated thread or null. */
+    updateMetadata(threadId: string, owner: ThreadOwner, metadata: Record<string, string>): Thread | null {
+        const result = this.db.prepare(`
+          UPDATE threads SET metadata = @metadata, updated_at = @updated_at
+          WHERE id = @id AND parent_key_id = @parent_key_id AND agent_id IS @agent_id
+        `).run({
+            id: threadId,
+            parent_key_id: owner.parent_key_id,
+            agent_id: owner.agent_id,
+            metadata: JSON.stringify(metadata),
+            updated_at: Math.floor(Date.now() / 1000),
+        });
+        if (result.changes === 0) return null;
+        return this.getOwned(threadId, owner);
+    }
+
+    /** Delete an owned thread and its messages. Returns true if deleted. */
+    deleteThread(threadId: string, owner: ThreadOwner): boolean {
+        const remove = this.db.transaction(() => {
+            const result = this.db.prepare(`
+              DELETE FROM threads
+              WHERE id = ? AND parent_key_id = ? AND agent_id IS ?
+            `).run(threadId, owner.parent_key_id, owner.agent_id);
+            if (result.changes === 0) return false;
+            this.db.prepare('DELETE FROM thread_messages WHERE thread_id = ?').run(threadId);
+            return true;
+        });
+        return remove();
+    }
+
+    /** Messages in insertion order. Caller must have checked ownership. */
+    listMessages(threadId: string): ThreadMessage[] {
+        const rows = this.db.prepare(`
+          SELECT * FROM thread_messages
+          WHERE thread_id = ?
+          ORDER BY rowid ASC
+        `).all(threadId) as DbThreadMessageRow[];
+        return rows.map(toThreadMessage);
+    }
+
+    /** Append messages to a thread and bump its updated_at. Caller must have checked ownership. */
+    appendMessages(threadId: string, messages: ThreadMessageInput[]): ThreadMessage[] {
+        const now = Math.floor(Date.now() / 1000);
+        const append = this.db.transaction(() => {
+            const ids = this.insertMessages(threadId, messages, now);
+            this.db.prepare('UPDATE threads SET updated_at = ? WHERE id = ?').run(now, threadId);
+            return ids;
+        });
+        const ids = new Set(append());
+        return this.listMessages(threadId).filter(message => ids.has(message.id));
+    }
+
+    private insertMessages(threadId: string, messages: ThreadMessageInput[], createdAt: number): string[] {
+        const insert = this.db.prepare(`
+          INSERT INTO thread_messages (id, thread_id, role, content, name, tool_calls, tool_call_id, created_at)
+          VALUES (@id, @thread_id, @role, @content, @name, @tool_calls, @tool_call_id, @created_at)
+        `);
+        return messages.map((message) => {
+            const id = generateId('msg');
+            insert.run({
+                id,
+                thread_id: threadId,
+                role: message.role,
+                content: message.content === undefined || message.content === null ? null : JSON.stringify(message.content),
+                name: message.name ?? null,
+                tool_calls: message.tool_calls?.length ? JSON.stringify(message.tool_calls) : null,
+                tool_call_id: message.tool_call_id ?? null,
+                created_at: createdAt,
+            });
+            return id;
+        });
+    }
+}
+
+// Singleton instance
+export const threadStore = new ThreadStore();
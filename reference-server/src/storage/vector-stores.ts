@@ -0,0 +1,307 @@
+import Database from 'better-sqlite3';
+import { generateId } from '../util';
+import { getDatabase } from './agents';
+import type { ThreadOwner } from './threads';
+
+interface DbVectorStoreRow {
+    id: string;
+    parent_key_id: string;
+    agent_id: string | null;
+    name: string | null;
+    metadata: string | null;
+    created_at: number;
+    last_active_at: number;
+}
+
+interface DbVectorStoreFileRow {
+    vector_store_id: string;
+    file_id: string;
+    status: VectorStoreFileStatus;
+    last_error: string | null;
+    usage_bytes: number;
+    created_at: number;
+}
+
+// ── Vector store model ──────────────────────────────────────────────
+// OpenAI-compatible vector stores. A store is a named set of uploaded files;
+// their chunks and embeddings live in the knowledge index (storage/knowledge.ts),
+// shared with agent `knowledge:` files, so a file is only embedded once.
+// Stores have the same owner rule as threads: the agent key or the parent key
+// that created them.
+
+export type VectorStoreOwner = ThreadOwner;
+
+export type VectorStoreFileStatus = 'in_progress' | 'completed' | 'cancelled' | 'failed';
+
+export interface VectorStoreFileError {
+    code: 'server_error' | 'unsupported_file' | 'invalid_file';
+    message: string;
+}
+
+export interface VectorStoreFileCounts {
+    in_progress: number;
+    completed: number;
+    failed: number;
+    cancelled: number;
+    total: number;
+}
+
+export interface VectorStore {
+    id: string;
+    object: 'vector_store';
+    created_at: number;
+    name: string | null;
+    usage_bytes: number;
+    file_counts: VectorStoreFileCounts;
+    status: 'in_progress' | 'completed';
+    expires_after: null;
+    expires_at: null;
+    last_active_at: number;
+    metadata: Record<string, string>;
+}
+
+export interface VectorStoreFile {
+    id: string;
+    object: 'vector_store.file';
+    usage_bytes: number;
+    created_at: number;
+    vector_store_id: string;
+    status: VectorStoreFileStatus;
+    last_error: VectorStoreFileError | null;
+}
+
+export interface VectorStoreListOptions {
+    limit: number;
+    order: 'asc' | 'desc';
+    after?: string;
+}
+
+function toVectorStoreFile(row: DbVectorStoreFileRow): VectorStoreFile {
+    return {
+        id: row.file_id,
+        object: 'vector_store.file',
+        usage_bytes: row.usage_bytes,
+        created_at: row.created_at,
+        vector_store_id: row.vector_store_id,
+        status: row.status,
+        last_error: row.last_error ? JSON.parse(row.last_error) as VectorStoreFileError : null,
+    };
+}
+
+/**
+ * Apply OpenAI cursor pagination (`after` is the id of the last item of the
+ * previous page) to rows already sorted in the requested order.
+ */
+function paginate<T extends { id: string }>(items: T[], options: VectorStoreListOptions) {
+    const start = options.after ? items.findIndex(item => item.id === options.after) + 1 : 0;
+    const page = items.slice(start, start + options.limit);
+    return {
+        data: page,
+        first_id: page[0]?.id ?? null,
+        last_id: page[page.length - 1]?.id ?? null,
+        has_more: start + options.limit < items.length,
+    };
+}
+
+export class VectorStoreStore {
+    private db: Database.Database;
+
+    constructor() {
+        this.db = getDatabase();
+        this.initTable();
+    }
+
+    private initTable() {
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS vector_stores (
+        id TEXT PRIMARY KEY,
+        parent_key_id TEXT NOT NULL,
+        agent_id TEXT,
+        name TEXT,
+        metadata TEXT,
+        created_at INTEGER NOT NULL,
+        last_active_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_vector_stores_owner ON vector_stores(parent_key_id, agent_id);
+
+      CREATE TABLE IF NOT EXISTS vector_store_files (
+        vector_store_id TEXT NOT NULL,
+        file_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        last_error TEXT,
+        usage_bytes INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        PRIMARY KEY (vector_store_id, file_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_vector_store_files_file_id ON vector_store_files(file_id);
+    `);
+
+        // Ingestion runs in the server process; anything still in progress at
+        // startup was cut off by a restart.
+        this.db.prepare(`
+          UPDATE vector_store_files SET status = 'failed', last_error = ?
+          WHERE status = 'in_progress'
+        `).run(JSON.stringify({ code: 'server_error', message: 'Ingestion was interrupted by a server restart' }));
+    }
+
+    private toVectorStore(row: DbVectorStoreRow): VectorStore {
+        const counts = this.db.prepare(`
+          SELECT status, COUNT(*) AS count, COALESCE(SUM(usage_bytes), 0) AS bytes
+          FROM vector_store_files WHERE vector_store_id = ?
+          GROUP BY status
+        `).all(row.id) as Array<{ status: VectorStoreFileStatus; count: number; bytes: number }>;
+        const fileCounts: VectorStoreFileCounts = { in_progress: 0, completed: 0, failed: 0, cancelled: 0, total: 0 };
+        let usageBytes = 0;
+        for (const { status, count, bytes } of counts) {
+            fileCounts[status] = count;
+            fileCounts.total += count;
+            if (status === 'completed') usageBytes += bytes;
+        }
+        return {
+            id: row.id,
+            object: 'vector_store',
+            created_at: row.created_at,
+            name: row.name,
+            usage_bytes: usageBytes,
+            file_counts: fileCounts,
+            status: fileCounts.in_progress > 0 ? 'in_progress' : 'completed',
+            expires_after: null,
+            expires_at: null,
+            last_active_at: row.last_active_at,
+            metadata: row.metadata ? JSON.parse(row.metadata) as Record<string, string> : {},
+        };
+    }
+
+    createVectorStore(owner: VectorStoreOwner, name: string | null, metadata: Record<string, string> = {}): VectorStore {
+        const now = Math.floor(Date.now() / 1000);
+        const id = generateId('vs');
+        this.db.prepare(`
+          INSERT INTO vector_stores (id, parent_key_id, agent_id, name, metadata, created_at, last_active_at)
+          VALUES (@id, @parent_key_id, @agent_id, @name, @metadata, @created_at, @last_active_at)
+        `).run({
+            id,
+            parent_key_id: owner.parent_key_id,
+            agent_id: owner.agent_id,
+            name,
+            metadata: JSON.stringify(metadata),
+            created_at: now,
+            last_active_at: now,
+        });
+        return this.getOwned(id, owner)!;
+    }
+
+    /** Get a vector store only if it belongs to owner */
+    getOwned(vectorStoreId: string, owner: VectorStoreOwner): VectorStore | null {
+        const row = this.db.prepare(`
+          SELECT * FROM vector_stores
+          WHERE id = ? AND parent_key_id = ? AND agent_id IS ?
+        `).get(vectorStoreId, owner.parent_key_id, owner.agent_id) as DbVectorStoreRow | undefined;
+        return row ? this.toVectorStore(row) : null;
+    }
+
+    listOwned(owner: VectorStoreOwner, options: VectorStoreListOptions) {
+        const rows = this.db.prepare(`
+          SELECT * FROM vector_stores
+          WHERE parent_key_id = ? AND agent_id IS ?
+          ORDER BY created_at ${options.order === 'asc' ? 'ASC' : 'DESC'}, rowid ${options.order === 'asc' ? 'ASC' : 'DESC'}
+        `).all(owner.parent_key_id, owner.agent_id) as DbVectorStoreRow[];
+        const page = paginate(rows, options);
+        return { ...page, data: page.data.map(row => this.toVectorStore(row)) };
+    }
+
+    /** Update name and/or metadata of an owned store. Returns the updated store or null. */
+    updateVectorStore(vectorStoreId: string, owner: VectorStoreOwner, changes: { name?: string | null; metadata?: Record<string, string> }): VectorStore | null {
+        const existing = this.getOwned(vectorStoreId, owner);
+        if (!existing) return null;
+        this.db.prepare(`
+          UPDATE vector_stores SET name = @name, metadata = @metadata
+          WHERE id = @id
+        `).run({
+            id: vectorStoreId,
+            name: changes.name !== undefined ? changes.name : existing.name,
+            metadata: JSON.stringify(changes.metadata ?? existing.metadata),
+        });
+        return this.getOwned(vectorStoreId, owner);
+    }
+
+    /** Delete an owned store and its file links (uploaded files are kept). Returns true if deleted. */
+    deleteVectorStore(vectorStoreId: string, owner: VectorStoreOwner): boolean {
+        const remove = this.db.transaction(() => {
+            const result = this.db.prepare(`
+              DELETE FROM vector_stores
+              WHERE id = ? AND parent_key_id = ? AND agent_id IS ?
+            `).run(vectorStoreId, owner.parent_key_id, owner.agent_id);
+            if (result.changes === 0) return false;
+            this.db.prepare('DELETE FROM vector_store_files WHERE vector_store_id = ?').run(vectorStoreId);
+            return true;
+        });
+        return remove();
+    }
+
+    /** Mark the store as used now (OpenAI's last_active_at). Caller must have checked ownership. */
+    touch(vectorStoreId: string): void {
+        this.db.prepare('UPDATE vector_stores SET last_active_at = ? WHERE id = ?').run(Math.floor(Date.now() / 1000), vectorStoreId);
+    }
+
+    /** Add (or re-add) a file as in_progress. Caller must have checked ownership. */
+    addFile(vectorStoreId: string, fileId: string): VectorStoreFile {
+        this.db.prepare(`
+          INSERT INTO vector_store_files (vector_store_id, file_id, status, last_error, usage_bytes, created_at)
+          VALUES (?, ?, 'in_progress', NULL, 0, ?)
+          ON CONFLICT(vector_store_id, file_id) DO UPDATE SET
+            status = 'in_progress',
+            last_error = NULL
+        `).run(vectorStoreId, fileId, Math.floor(Date.now() / 1000));
+        return this.getFile(vectorStoreId, fileId)!;
+    }
+
+    /** Record the outcome of ingesting a file. No-op if the file was removed meanwhile. */
+    setFileStatus(vectorStoreId: string, fileId: string, status: VectorStoreFileStatus, usageBytes: number, error: VectorStoreFileError | null = null): void {
+        this.db.prepare(`
+          UPDATE vector_store_files SET status = ?, usage_bytes = ?, last_error = ?
+          WHERE vector_store_id = ? AND file_id = ?
+        `).run(status, usageBytes, error ? JSON.stringify(error) : null, vectorStoreId, fileId);
+    }
+
+    getFile(vectorStoreId: string, fileId: string): VectorStoreFile | null {
+        const row = this.db.prepare(`
+          SELECT * FROM vector_store_files WHERE vector_store_id = ? AND file_id = ?
+        `).get(vectorStoreId, fileId) as DbVectorStoreFileRow | undefined;
+        return row ? toVectorStoreFile(row) : null;
+    }
+
+    listFiles(vectorStoreId: string, options: VectorStoreListOptions & { status?: VectorStoreFileStatus }) {
+        const rows = this.db.prepare(`
+          SELECT * FROM vector_store_files
+          WHERE vector_store_id = @vector_store_id AND (@status IS NULL OR status = @status)
+          ORDER BY created_at ${options.order === 'asc' ? 'ASC' : 'DESC'}, rowid ${options.order === 'asc' ? 'ASC' : 'DESC'}
+        `).all({ vector_store_id: vectorStoreId, status: options.status ?? null }) as DbVectorStoreFileRow[];
+        return paginate(rows.map(toVectorStoreFile), options);
+    }
+
+    /** IDs of the files in a store that finished ingesting. */
+    listCompletedFileIds(vectorStoreId: string): string[] {
+        const rows = this.db.prepare(`
+          SELECT file_id FROM vector_store_files
+          WHERE vector_store_id = ? AND status = 'completed'
+          ORDER BY rowid ASC
+        `).all(vectorStoreId) as Array<{ file_id: string }>;
+        return rows.map(row => row.file_id);
+    }
+
+    /** Remove a file from one store. Returns true if it was there. */
+    removeFile(vectorStoreId: string, fileId: string): boolean {
+        const result = this.db.prepare(`
+          DELETE FROM vector_store_files WHERE vector_store_id = ? AND file_id = ?
+        `).run(vectorStoreId, fileId);
+        return result.changes > 0;
+    }
+
+    /** Remove a deleted upload from every store that references it. */
+    removeFileEverywhere(fileId: string): void {
+        this.db.prepare('DELETE FROM vector_store_files WHERE file_id = ?').run(fileId);
+    }
+}
+
+// Singleton instance
+export const vectorStoreStore = new VectorStoreStore();
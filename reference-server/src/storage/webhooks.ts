@@ -0,0 +1,383 @@
+import Database from 'better-sqlite3';
+import crypto from 'crypto';
+import { generateId } from '../util';
+import { getDatabase } from './agents';
+
+interface DbWebhookEndpointRow {
+    id: string;
+    parent_key_id: string;
+    url: string;
+    events: string;
+    secret: string;
+    description: string | null;
+    enabled: number;
+    created_at: number;
+    updated_at: number;
+}
+
+interface DbWebhookDeliveryRow {
+    id: string;
+    endpoint_id: string;
+    parent_key_id: string;
+    event_id: string;
+    event_type: string;
+    payload: string;
+    status: string;
+    attempts: number;
+    next_attempt_at: number | null;
+    last_status_code: number | null;
+    last_error: string | null;
+    last_attempt_at: number | null;
+    redelivery_of: string | null;
+    created_at: number;
+}
+
+// ── Webhook model ───────────────────────────────────────────────────
+
+export interface WebhookEndpoint {
+    id: string;
+    object: 'webhook_endpoint';
+    parent_key_id: string;
+    url: string;
+    /** Event types to deliver; ['*'] for all of them */
+    events: string[];
+    description: string | null;
+    enabled: boolean;
+    secret_hint: string;
+    created_at: number;
+    updated_at: number;
+}
+
+export type WebhookDeliveryStatus = 'pending' | 'succeeded' | 'failed';
+
+export interface WebhookDelivery {
+    id: string;
+    object: 'webhook_delivery';
+    endpoint_id: string;
+    event_id: string;
+    event_type: string;
+    status: WebhookDeliveryStatus;
+    attempts: number;
+    /** When the next attempt is due while pending, otherwise null */
+    next_attempt_at: number | null;
+    last_status_code: number | null;
+    last_error: string | null;
+    last_attempt_at: number | null;
+    /** The delivery this one re-sends, for manual redeliveries */
+    redelivery_of: string | null;
+    created_at: number;
+    /** The signed request body; left out of delivery lists */
+    payload?: unknown;
+}
+
+/** A due delivery with what the dispatcher needs to send it. */
+export interface PendingWebhookDelivery {
+    id: string;
+    endpoint_id: string;
+    url: string;
+    secret: string;
+    event_id: string;
+    event_type: string;
+    body: string;
+    attempts: number;
+}
+
+export interface WebhookEndpointInput {
+    url: string;
+    events: string[];
+    description?: string | null;
+    enabled?: boolean;
+}
+
+export interface WebhookDeliveryListOptions {
+    limit: number;
+    status?: WebhookDeliveryStatus;
+    /** Id of the last delivery of the previous page */
+    after?: string;
+}
+
+const SECRET_PREFIX = 'whsec_';
+
+function generateSecret(): string {
+    return `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function secretHint(secret: string): string {
+    return `${SECRET_PREFIX}...${secret.slice(-4)}`;
+}
+
+function toEndpoint(row: DbWebhookEndpointRow): WebhookEndpoint {
+    return {
+        id: row.id,
+        object: 'webhook_endpoint',
+        parent_key_id: row.parent_key_id,
+        url: row.url,
+        events: JSON.parse(row.events) as string[],
+        description: row.description,
+        enabled: row.enabled === 1,
+        secret_hint: secretHint(row.secret),
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+    };
+}
+
+// Attempt times are kept in ms so short retry delays work; the API shows seconds like everywhere else
+function toSeconds(ms: number | null): number | null {
+    return ms === null ? null : Math.floor(ms / 1000);
+}
+
+function toDelivery(row: DbWebhookDeliveryRow, withPayload = false): WebhookDelivery {
+    return {
+        id: row.id,
+        object: 'webhook_delivery',
+        endpoint_id: row.endpoint_id,
+        event_id: row.event_id,
+        event_type: row.event_type,
+        status: row.status as WebhookDeliveryStatus,
+        attempts: row.attempts,
+        next_attempt_at: toSeconds(row.next_attempt_at),
+        last_status_code: row.last_status_code,
+        last_error: row.last_error,
+        last_attempt_at: toSeconds(row.last_attempt_at),
+        redelivery_of: row.redelivery_of,
+        created_at: row.created_at,
+        ...(withPayload && { payload: JSON.parse(row.payload) as unknown }),
+    };
+}
+
+/**
+ * Webhook endpoints registered by parent keys, and the log of every delivery
+ * made to them. Secrets are kept in plaintext because each delivery is signed
+ * with them; API responses only ever show a hint.
+ */
+export class WebhookStore {
+    private db: Database.Database;
+
+    constructor() {
+        this.db = getDatabase();
+        this.initTable();
+    }
+
+    private initTable() {
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_endpoints (
+        id TEXT PRIMARY KEY,
+        parent_key_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        description TEXT,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_parent_key_id ON webhook_endpoints(parent_key_id);
+
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        endpoint_id TEXT NOT NULL,
+        parent_key_id TEXT NOT NULL,
+        event_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER,
+        last_status_code INTEGER,
+        last_error TEXT,
+        last_attempt_at INTEGER,
+        redelivery_of TEXT,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+    `);
+    }
+
+    createEndpoint(parentKeyId: string, input: WebhookEndpointInput): { endpoint: WebhookEndpoint; secret: string } {
+        const now = Math.floor(Date.now() / 1000);
+        const row: DbWebhookEndpointRow = {
+            id: generateId('webhook'),
+            parent_key_id: parentKeyId,
+            url: input.url,
+            events: JSON.stringify(input.events),
+            secret: generateSecret(),
+            description: input.description ?? null,
+            enabled: input.enabled === false ? 0 : 1,
+            created_at: now,
+            updated_at: now,
+        };
+        this.db.prepare(`
+          INSERT INTO webhook_endpoints (id, parent_key_id, url, events, secret, description, enabled, created_at, updated_at)
+          VALUES (@id, @parent_key_id, @url, @events, @secret, @description, @enabled, @created_at, @updated_at)
+        `).run(row);
+        return { endpoint: toEndpoint(row), secret: row.secret };
+    }
+
+    listEndpoints(parentKeyId: string): WebhookEndpoint[] {
+        const rows = this.db.prepare(`
+          SELECT * FROM webhook_endpoints WHERE parent_key_id = ? ORDER BY created_at DESC, rowid DESC
+        `).all(parentKeyId) as DbWebhookEndpointRow[];
+        return rows.map(toEndpoint);
+    }
+
+    getEndpoint(id: string, parentKeyId: string): WebhookEndpoint | null {
+        const row = this.getEndpointRow(id, parentKeyId);
+        return row ? toEndpoint(row) : null;
+    }
+
+    updateEndpoint(id: string, parentKeyId: string, input: Partial<WebhookEndpointInput>): WebhookEndpoint | null {
+        const row = this.getEndpointRow(id, parentKeyId);
+        if (!row) return null;
+        const updated: DbWebhookEndpointRow = {
+            ...row,
+            url: input.url ?? row.url,
+            events: input.events ? JSON.stringify(input.events) : row.events,
+            description: input.description !== undefined ? input.description : row.description,
+            enabled: input.enabled === undefined ? row.enabled : input.enabled ? 1 : 0,
+            updated_at: Math.floor(Date.now() / 1000),
+        };
+        this.db.prepare(`
+          UPDATE webhook_endpoints
+          SET url = @url, events = @events, description = @description, enabled = @enabled, updated_at = @updated_at
+          WHERE id = @id
+        `).run(updated);
+        return toEndpoint(updated);
+    }
+
+    /** New signing secret; the old one stops being used for new attempts straight away. */
+    rotateSecret(id: string, parentKeyId: string): { endpoint: WebhookEndpoint; secret: string } | null {
+        const row = this.getEndpointRow(id, parentKeyId);
+        if (!row) return null;
+        const updated = { ...row, secret: generateSecret(), updated_at: Math.floor(Date.now() / 1000) };
+        this.db.prepare('UPDATE webhook_endpoints SET secret = @secret, updated_at = @updated_at WHERE id = @id').run(updated);
+        return { endpoint: toEndpoint(updated), secret: updated.secret };
+    }
+
+    /** Delete an endpoint along with its delivery log. */
+    deleteEndpoint(id: string, parentKeyId: string): boolean {
+        const remove = this.db.transaction(() => {
+            const result = this.db.prepare('DELETE FROM webhook_endpoints WHERE id = ? AND parent_key_id = ?').run(id, parentKeyId);
+            if (result.changes === 0) return false;
+            this.db.prepare('DELETE FROM webhook_deliveries WHERE endpoint_id = ?').run(id);
+            return true;
+        });
+        return remove();
+    }
+
+    /**
+     * Enabled endpoints subscribed to `eventType`: those of one parent key, or
+     * of every parent key when `parentKeyId` is null (platform-wide events).
+     */
+    listSubscribedEndpoints(parentKeyId: string | null, eventType: string): WebhookEndpoint[] {
+        const rows = (parentKeyId
+            ? this.db.prepare('SELECT * FROM webhook_endpoints WHERE enabled = 1 AND parent_key_id = ?').all(parentKeyId)
+            : this.db.prepare('SELECT * FROM webhook_endpoints WHERE enabled = 1').all()) as DbWebhookEndpointRow[];
+        return rows.map(toEndpoint).filter(endpoint => endpoint.events.includes('*') || endpoint.events.includes(eventType));
+    }
+
+    /** Queue a delivery of `payload` to an endpoint, due now. */
+    enqueueDelivery(endpoint: WebhookEndpoint, event: { id: string; type: string }, payload: unknown, redeliveryOf: string | null = null): WebhookDelivery {
+        const now = Date.now();
+        const row: DbWebhookDeliveryRow = {
+            id: generateId('whdel'),
+            endpoint_id: endpoint.id,
+            parent_key_id: endpoint.parent_key_id,
+            event_id: event.id,
+            event_type: event.type,
+            payload: JSON.stringify(payload),
+            status: 'pending',
+            attempts: 0,
+            next_attempt_at: now,
+            last_status_code: null,
+            last_error: null,
+            last_attempt_at: null,
+            redelivery_of: redeliveryOf,
+            created_at: Math.floor(now / 1000),
+        };
+        this.db.prepare(`
+          INSERT INTO webhook_deliveries (
+            id, endpoint_id, parent_key_id, event_id, event_type, payload, status, attempts,
+            next_attempt_at, last_status_code, last_error, last_attempt_at, redelivery_of, created_at
+          ) VALUES (
+            @id, @endpoint_id, @parent_key_id, @event_id, @event_type, @payload, @status, @attempts,
+            @next_attempt_at, @last_status_code, @last_error, @last_attempt_at, @redelivery_of, @created_at
+          )
+        `).run(row);
+        return toDelivery(row);
+    }
+
+    /** Pending deliveries whose next attempt is due, oldest first, with their endpoint's URL and secret. */
+    listDueDeliveries(now: number, limit: number): PendingWebhookDelivery[] {
+        return this.db.prepare(`
+          SELECT d.id, d.endpoint_id, e.url, e.secret, d.event_id, d.event_type, d.payload AS body, d.attempts
+          FROM webhook_deliveries d
+          JOIN webhook_endpoints e ON e.id = d.endpoint_id
+          WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+          ORDER BY d.next_attempt_at, d.rowid
+          LIMIT ?
+        `).all(now, limit) as PendingWebhookDelivery[];
+    }
+
+    /** Record one attempt. `nextAttemptAt` keeps the delivery pending; null settles it. */
+    recordAttempt(id: string, result: { succeeded: boolean; statusCode: number | null; error: string | null; nextAttemptAt: number | null }): void {
+        const status: WebhookDeliveryStatus = result.succeeded ? 'succeeded' : result.nextAttemptAt === null ? 'failed' : 'pending';
+        this.db.prepare(`
+          UPDATE webhook_deliveries
+          SET status = @status,
+              attempts = attempts + 1,
+              next_attempt_at = @next_attempt_at,
+              last_status_code = @last_status_code,
+              last_error = @last_error,
+              last_attempt_at = @last_attempt_at
+          WHERE id = @id
+        `).run({
+            id,
+            status,
+            next_attempt_at: result.succeeded ? null : result.nextAttemptAt,
+            last_status_code: result.statusCode,
+            last_error: result.error,
+            last_attempt_at: Date.now(),
+        });
+    }
+
+    /** Newest first. */
+    listDeliveries(endpointId: string, options: WebhookDeliveryListOptions): { data: WebhookDelivery[]; first_id: string | null; last_id: string | null; has_more: boolean } {
+        const clauses = ['endpoint_id = @endpoint_id'];
+        const params: Record<string, string | number> = { endpoint_id: endpointId, limit: options.limit + 1 };
+        if (options.status) {
+            clauses.push('status = @status');
+            params.status = options.status;
+        }
+        if (options.after) {
+            clauses.push('rowid < COALESCE((SELECT rowid FROM webhook_deliveries WHERE id = @after), 0)');
+            params.after = options.after;
+        }
+        const rows = this.db.prepare(`
+          SELECT * FROM webhook_deliveries
+          WHERE ${clauses.join(' AND ')}
+          ORDER BY rowid DESC
+          LIMIT @limit
+        `).all(params) as DbWebhookDeliveryRow[];
+        const page = rows.slice(0, options.limit).map(row => toDelivery(row));
+        return {
+            data: page,
+            first_id: page[0]?.id ?? null,
+            last_id: page[page.length - 1]?.id ?? null,
+            has_more: rows.length > options.limit,
+        };
+    }
+
+    getDelivery(id: string, endpointId: string): WebhookDelivery | null {
+        const row = this.db.prepare('SELECT * FROM webhook_deliveries WHERE id = ? AND endpoint_id = ?').get(id, endpointId) as DbWebhookDeliveryRow | undefined;
+        return row ? toDelivery(row, true) : null;
+    }
+
+    private getEndpointRow(id: string, parentKeyId: string): DbWebhookEndpointRow | null {
+        const row = this.db.prepare('SELECT * FROM webhook_endpoints WHERE id = ? AND parent_key_id = ?').get(id, parentKeyId) as DbWebhookEndpointRow | undefined;
+        return row ?? null;
+    }
+}
+
+// Singleton instance
+export const webhookStore = new WebhookStore();
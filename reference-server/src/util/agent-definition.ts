@@ -0,0 +1,272 @@
+import * as yaml from 'yaml';
+import { z } from 'zod';
+import { AgentDefinitionSchema, type AgentDefinition, type AgentToolDefinition } from '../../../spec';
+import { createError } from './index';
+import type { RateLimits } from '../storage/agents';
+import { fallbacksFromYaml, type FailoverStep } from './failover';
+import { jsonSchemaError } from './json-schema';
+import { knowledgeFromYaml } from './knowledge';
+import { rateLimitsFromYaml } from './rate-limits';
+
+// --- Agent definition validation ---
+// Agent YAML is checked against AgentDefinitionSchema from spec/ (editors can
+// use spec/agent-definition.schema.json for the same checks). Each problem
+// names the field path and the line and column of the YAML node:
+//
+//   temperature must be a number (line 3, column 14)
+//   tools[0].webhook.url must be an http(s) URL (line 7, column 12)
+//
+// Unknown keys don't fail validation. They are reported as warnings, with the
+// closest known key when it looks like a typo (pagetools → pageTools).
+
+export type AgentDefinitionProblem = {
+  message: string;
+  /** Field path, e.g. tools[0].webhook.url; empty for the whole document */
+  path: string;
+  /** Error param: the top-level key, or tools[i] for a tool entry */
+  param: string | null;
+  line: number | null;
+  column: number | null;
+};
+
+export type NormalizedAgentDefinition = Omit<AgentDefinition, 'tools' | 'pageTools' | 'limits' | 'knowledge' | 'fallbacks'> & {
+  tools: AgentToolDefinition[];
+  pageTools: NonNullable<AgentDefinition['pageTools']>;
+  limits: RateLimits;
+  knowledge: string[];
+  fallbacks: FailoverStep[];
+};
+
+export type AgentDefinitionResult =
+  | { valid: true; parsed: Record<string, unknown>; agent: NormalizedAgentDefinition; warnings: AgentDefinitionProblem[]; errors: [] }
+  | { valid: false; parsed: null; agent: null; warnings: AgentDefinitionProblem[]; errors: AgentDefinitionProblem[] };
+
+type PathSegment = string | number;
+
+const TYPE_NAMES: Record<string, string> = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object',
+};
+
+const UNSUPPORTED_KEY = 'is not supported';
+
+// Messages follow the field path, so they read "temperature must be a number".
+// Messages set in the schema itself (refinements, custom union messages) win.
+const errorMap: z.ZodErrorMap = (issue, ctx) => {
+  if (ctx.defaultError !== z.defaultErrorMap(issue, { ...ctx, defaultError: '' }).message) return { message: ctx.defaultError };
+  switch (issue.code) {
+    case z.ZodIssueCode.invalid_type:
+      if (issue.received === 'undefined') return { message: 'is required' };
+      return { message: `must be ${TYPE_NAMES[issue.expected] ?? issue.expected}` };
+    case z.ZodIssueCode.too_small:
+      if (issue.type === 'array') return { message: `must list at least ${issue.minimum} entries` };
+      if (issue.type === 'string') return { message: 'must not be empty' };
+      return { message: `must be ${issue.inclusive ? 'at least' : 'greater than'} ${issue.minimum}` };
+    case z.ZodIssueCode.too_big:
+      if (issue.type === 'array') return { message: `can list at most ${issue.maximum} entries` };
+      return { message: `must be ${issue.inclusive ? 'at most' : 'less than'} ${issue.maximum}` };
+    case z.ZodIssueCode.invalid_enum_value:
+      return { message: `must be one of ${issue.options.join(', ')}` };
+    case z.ZodIssueCode.invalid_literal:
+      return { message: `must be ${JSON.stringify(issue.expected)}` };
+    case z.ZodIssueCode.unrecognized_keys:
+      return { message: UNSUPPORTED_KEY };
+    default:
+      return { message: ctx.defaultError };
+  }
+};
+
+function formatPath(path: PathSegment[]): string {
+  return path.reduce<string>((text, segment) => (
+    typeof segment === 'number' ? `${text}[${segment}]` : text ? `${text}.${segment}` : segment
+  ), '');
+}
+
+function paramFor(path: PathSegment[]): string | null {
+  if (path.length === 0) return null;
+  if (path[0] === 'tools' && typeof path[1] === 'number') return `tools[${path[1]}]`;
+  return String(path[0]);
+}
+
+/**
+ * Line and column (1-based) of the node at `path`, or of the deepest ancestor
+ * that exists when the path doesn't (a missing required key points at its
+ * parent). With `key`, points at the mapping key rather than its value.
+ */
+function locate(doc: yaml.Document, lineCounter: yaml.LineCounter, path: PathSegment[], key = false) {
+  let node: unknown = doc.contents;
+  let target: unknown = node;
+  for (const segment of path) {
+    let next: unknown;
+    let keyNode: unknown;
+    if (yaml.isMap(node)) {
+      const pair = node.items.find(item => yaml.isScalar(item.key) && item.key.value === segment);
+      next = pair?.value;
+      keyNode = pair?.key;
+    } else if (yaml.isSeq(node) && typeof segment === 'number') {
+      next = node.items[segment];
+    }
+    if (next === undefined && keyNode === undefined) break;
+    node = next;
+    target = key && keyNode ? keyNode : next ?? keyNode;
+  }
+  const range = (target as { range?: [number, number, number] } | null)?.range;
+  if (!range) return { line: 1, column: 1 };
+  const { line, col } = lineCounter.linePos(range[0]);
+  return { line, column: col };
+}
+
+/**
+ * Flatten zod issues into one problem per field. For a union that failed, the
+ * branch whose shape matched (its problems are all below the union's own path)
+ * explains it best; when none matched, the union's own message stands.
+ */
+function flattenIssues(issues: z.ZodIssue[]): Array<{ path: PathSegment[]; message: string }> {
+  return issues.flatMap(issue => {
+    if (issue.code === z.ZodIssueCode.invalid_union) {
+      const depth = issue.path.length;
+      const matched = issue.unionErrors
+        .filter(error => error.issues.every(inner => inner.path.length > depth))
+        .sort((a, b) => a.issues.length - b.issues.length)[0];
+      if (matched) return flattenIssues(matched.issues);
+    }
+    if (issue.code === z.ZodIssueCode.unrecognized_keys) {
+      const hint = issue.message === UNSUPPORTED_KEY ? '' : ` (${issue.message})`;
+      return issue.keys.map(key => ({ path: [...issue.path, key], message: `${UNSUPPORTED_KEY}${hint}` }));
+    }
+    return [{ path: issue.path, message: issue.message }];
+  });
+}
+
+function editDistance(a: string, b: string): number {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function suggestKey(key: string, known: string[]): string | null {
+  const lower = key.toLowerCase();
+  const sameCase = known.find(candidate => candidate.toLowerCase() === lower);
+  if (sameCase) return sameCase;
+  let best: string | null = null;
+  let bestDistance = 3;
+  for (const candidate of known) {
+    const distance = editDistance(lower, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/** Keys the schema doesn't know (and strips), with a close match where there is one. */
+function unknownKeys(schema: z.ZodTypeAny, value: unknown, path: PathSegment[]): Array<{ path: PathSegment[]; suggestion: string | null }> {
+  if (schema instanceof z.ZodOptional || schema instanceof z.ZodNullable) return unknownKeys(schema.unwrap(), value, path);
+  if (schema instanceof z.ZodEffects) return unknownKeys(schema.innerType(), value, path);
+  if (schema instanceof z.ZodArray) {
+    return Array.isArray(value) ? value.flatMap((item, index) => unknownKeys(schema.element, item, [...path, index])) : [];
+  }
+  if (schema instanceof z.ZodUnion) {
+    const option = (schema.options as z.ZodTypeAny[]).find(candidate => candidate.safeParse(value).success);
+    return option ? unknownKeys(option, value, path) : [];
+  }
+  // Strict objects (limits, pageTools) already fail on unknown keys
+  if (schema instanceof z.ZodObject && schema._def.unknownKeys !== 'strict' && value && typeof value === 'object') {
+    const shape = schema.shape as Record<string, z.ZodTypeAny>;
+    const known = Object.keys(shape);
+    return Object.entries(value).flatMap(([key, child]) => (
+      Object.prototype.hasOwnProperty.call(shape, key)
+        ? unknownKeys(shape[key], child, [...path, key])
+        : [{ path: [...path, key], suggestion: suggestKey(key, known) }]
+    ));
+  }
+  return [];
+}
+
+function normalize(agent: AgentDefinition): NormalizedAgentDefinition {
+  let { provider, model } = agent;
+  if (!provider && model?.includes('/')) {
+    const [prefix, ...modelParts] = model.split('/');
+    provider = prefix;
+    model = modelParts.join('/');
+  }
+  return {
+    ...agent,
+    provider,
+    model,
+    tools: (agent.tools ?? []).map(tool => (typeof tool === 'string' ? { name: tool } : tool)),
+    pageTools: agent.pageTools ?? 'all',
+    limits: rateLimitsFromYaml(agent.limits),
+    knowledge: knowledgeFromYaml(agent.knowledge),
+    fallbacks: fallbacksFromYaml(agent.fallbacks),
+  };
+}
+
+/**
+ * Parse and check an agent YAML document. Collects every problem rather than
+ * stopping at the first, sorted by position in the document.
+ */
+export function validateAgentDefinition(yamlInput: string): AgentDefinitionResult {
+  const lineCounter = new yaml.LineCounter();
+  const doc = yaml.parseDocument(yamlInput, { lineCounter });
+  const problem = (path: PathSegment[], message: string, key = false): AgentDefinitionProblem => ({
+    message: path.length ? `${formatPath(path)} ${message}` : message,
+    path: formatPath(path),
+    param: paramFor(path),
+    ...locate(doc, lineCounter, path, key),
+  });
+
+  if (doc.errors.length > 0) {
+    const errors = doc.errors.map(error => ({
+      message: `Invalid YAML: ${error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')}`,
+      path: '',
+      param: null,
+      line: error.linePos?.[0].line ?? null,
+      column: error.linePos?.[0].col ?? null,
+    }));
+    return { valid: false, parsed: null, agent: null, warnings: [], errors };
+  }
+
+  const parsed: unknown = doc.toJS();
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { valid: false, parsed: null, agent: null, warnings: [], errors: [problem([], 'Invalid YAML: the agent definition must be a mapping of keys to values')] };
+  }
+
+  const warnings = unknownKeys(AgentDefinitionSchema, parsed, []).map(({ path, suggestion }) => (
+    problem(path, `is not a known key and is ignored${suggestion ? ` (did you mean ${formatPath([...path.slice(0, -1), suggestion])}?)` : ''}`, true)
+  ));
+
+  const result = AgentDefinitionSchema.safeParse(parsed, { errorMap });
+  if (!result.success) {
+    const errors = flattenIssues(result.error.issues)
+      .map(({ path, message }) => problem(path, message))
+      .sort((a, b) => (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0));
+    return { valid: false, parsed: null, agent: null, warnings, errors };
+  }
+  // Tool parameters must be schemas the server can check calls with (see json-schema.ts)
+  const schemaErrors = (result.data.tools ?? []).flatMap((tool, index) => {
+    const schemaProblem = typeof tool === 'object' && tool.parameters ? jsonSchemaError(tool.parameters) : null;
+    return schemaProblem ? [problem(['tools', index, 'parameters'], `is not a usable JSON schema: ${schemaProblem}`)] : [];
+  });
+  if (schemaErrors.length > 0) return { valid: false, parsed: null, agent: null, warnings, errors: schemaErrors };
+  return { valid: true, parsed: parsed as Record<string, unknown>, agent: normalize(result.data), warnings, errors: [] };
+}
+
+/** 400 payload for an invalid agent definition: the first problem, plus all of them under `details`. */
+export function agentDefinitionError(errors: AgentDefinitionProblem[]) {
+  const [first] = errors;
+  const at = first.line ? ` (line ${first.line}, column ${first.column})` : '';
+  const { error } = createError(`${first.message}${at}`, 'invalid_request_error', first.param, 'invalid_agent_definition');
+  return { error: { ...error, line: first.line, column: first.column, details: errors } };
+}
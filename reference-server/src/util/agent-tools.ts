@@ -0,0 +1,212 @@
+import type { FastifyBaseLogger } from 'fastify';
+import { parsePositiveEnvNumber, isRecord } from './index';
+import type { NonNullableMessage, TokenUsage, ToolCall, ToolDef } from './types';
+import { jsonSchemaError } from './json-schema';
+
+// --- Server-executed agent tools ---
+// Agent YAML `tools:` entries are either bare names (an allowlist for tools the
+// client sends) or full definitions with a `webhook`, which the server calls
+// itself when the model asks for them:
+//
+//   tools:
+//     - get_form_data
+//     - name: lookup_patient
+//       description: Look up a patient by MRN
+//       parameters: { type: object, properties: { mrn: { type: string } }, required: [mrn] }
+//       webhook:
+//         url: https://ehr.example.com/patients/{{mrn}}
+//         method: GET
+//         headers: { X-Clinic: '{{clinic}}' }
+//
+// `{{name}}` placeholders are filled from the tool call arguments (URL-encoded in
+// the url). GET/DELETE send the remaining arguments as query parameters; other
+// methods send all arguments as a JSON body.
+
+export const AGENT_TOOL_MAX_ITERATIONS = parsePositiveEnvNumber('AGENT_TOOL_MAX_ITERATIONS') ?? 5;
+const AGENT_TOOL_TIMEOUT_MS = parsePositiveEnvNumber('AGENT_TOOL_TIMEOUT_MS') ?? 10000;
+// Webhook bodies are fed back to the model, so cap what one call can add to the context
+const MAX_TOOL_RESULT_CHARS = 16 * 1024;
+
+const WEBHOOK_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] as const;
+type WebhookMethod = typeof WEBHOOK_METHODS[number];
+const TEMPLATE_REGEX = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+export type AgentWebhookTool = {
+  name: string;
+  description?: string;
+  parameters: Record<string, unknown>;
+  webhook: {
+    url: string;
+    method: WebhookMethod;
+    headers: Record<string, string>;
+    timeout_ms: number;
+  };
+};
+
+/**
+ * Check one agent YAML `tools:` entry. Returns an error message naming the
+ * offending field, or null when the entry is usable.
+ */
+export function validateAgentToolEntry(entry: unknown, index: number): string | null {
+  const at = `tools[${index}]`;
+  if (typeof entry === 'string') return entry.trim() ? null : `${at} must not be empty`;
+  if (!isRecord(entry)) return `${at} must be a tool name or a tool definition`;
+  if (typeof entry.name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(entry.name)) {
+    return `${at}.name must be 1-64 letters, digits, underscores or dashes`;
+  }
+  if (entry.webhook === undefined) return null;
+  if (entry.parameters !== undefined) {
+    if (!isRecord(entry.parameters)) return `${at}.parameters must be a JSON schema object`;
+    const problem = jsonSchemaError(entry.parameters);
+    if (problem) return `${at}.parameters is not a usable JSON schema: ${problem}`;
+  }
+
+  const webhook = entry.webhook;
+  if (!isRecord(webhook)) return `${at}.webhook must be an object`;
+  if (typeof webhook.url !== 'string' || !/^https?:\/\//i.test(webhook.url)) return `${at}.webhook.url must be an http(s) URL`;
+  if (webhook.method !== undefined && !WEBHOOK_METHODS.includes(String(webhook.method).toUpperCase() as WebhookMethod)) {
+    return `${at}.webhook.method must be one of ${WEBHOOK_METHODS.join(', ')}`;
+  }
+  if (webhook.headers !== undefined && (!isRecord(webhook.headers) || Object.values(webhook.headers).some(v => typeof v !== 'string'))) {
+    return `${at}.webhook.headers must map header names to strings`;
+  }
+  if (webhook.timeout_ms !== undefined && (typeof webhook.timeout_ms !== 'number' || webhook.timeout_ms <= 0)) {
+    return `${at}.webhook.timeout_ms must be a positive number`;
+  }
+  return null;
+}
+
+/** Pick the webhook tool definitions out of a parsed agent YAML `tools:` value. */
+export function parseAgentWebhookTools(tools: unknown): AgentWebhookTool[] {
+  if (!Array.isArray(tools)) return [];
+  return tools.flatMap((entry, index) => {
+    if (!isRecord(entry) || entry.webhook === undefined || validateAgentToolEntry(entry, index)) return [];
+    const webhook = entry.webhook as Record<string, unknown>;
+    return [{
+      name: entry.name as string,
+      ...(typeof entry.description === 'string' && { description: entry.description }),
+      parameters: (entry.parameters as Record<string, unknown> | undefined) ?? { type: 'object', properties: {} },
+      webhook: {
+        url: webhook.url as string,
+        method: String(webhook.method ?? 'POST').toUpperCase() as WebhookMethod,
+        headers: (webhook.headers as Record<string, string> | undefined) ?? {},
+        timeout_ms: (webhook.timeout_ms as number | undefined) ?? AGENT_TOOL_TIMEOUT_MS,
+      },
+    }];
+  });
+}
+
+/**
+ * Advertise an agent's webhook tools to the model alongside the client's tools.
+ * A client tool with the same name as a webhook tool is dropped — the agent
+ * definition wins.
+ */
+export function withAgentWebhookTools(tools: ToolDef[] | undefined, webhookTools: AgentWebhookTool[]): ToolDef[] | undefined {
+  if (webhookTools.length === 0) return tools;
+  const names = new Set(webhookTools.map(t => t.name));
+  return [
+    ...(tools ?? []).filter(t => !names.has(t.function.name)),
+    ...webhookTools.map((t): ToolDef => ({
+      type: 'function',
+      function: { name: t.name, ...(t.description && { description: t.description }), parameters: t.parameters },
+    })),
+  ];
+}
+
+/** Split a model's tool calls into those the server runs and those the client runs. */
+export function partitionToolCalls(calls: ToolCall[] | undefined, webhookTools: AgentWebhookTool[]) {
+  const names = new Set(webhookTools.map(t => t.name));
+  const server: ToolCall[] = [];
+  const client: ToolCall[] = [];
+  for (const call of calls ?? []) (names.has(call.function.name) ? server : client).push(call);
+  return { server, client };
+}
+
+function fillTemplate(template: string, args: Record<string, unknown>, used: Set<string>, encode: (s: string) => string) {
+  return template.replace(TEMPLATE_REGEX, (_, key: string) => {
+    used.add(key);
+    const value = args[key];
+    if (value === undefined || value === null) return '';
+    return encode(typeof value === 'string' ? value : JSON.stringify(value));
+  });
+}
+
+// Read at most `limit` characters of a response body, then drop the rest
+// without downloading it.
+async function readCappedText(res: Response, limit: number): Promise<string> {
+  if (!res.body) return '';
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      text += decoder.decode(value, { stream: !done });
+      if (done || text.length >= limit) break;
+    }
+  } finally {
+    reader.cancel().catch(() => { /* already closed */ });
+  }
+  return text.slice(0, limit);
+}
+
+async function callWebhook(tool: AgentWebhookTool, args: Record<string, unknown>): Promise<string> {
+  const { method, timeout_ms } = tool.webhook;
+  const used = new Set<string>();
+  const url = new URL(fillTemplate(tool.webhook.url, args, used, encodeURIComponent));
+  const headers: Record<string, string> = {};
+  for (const [name, value] of Object.entries(tool.webhook.headers)) {
+    headers[name] = fillTemplate(value, args, used, s => s);
+  }
+
+  let body: string | undefined;
+  if (method === 'GET' || method === 'DELETE') {
+    for (const [key, value] of Object.entries(args)) {
+      if (used.has(key) || value === undefined || value === null) continue;
+      url.searchParams.set(key, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+  } else {
+    body = JSON.stringify(args);
+    headers['content-type'] ??= 'application/json';
+  }
+
+  const res = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(timeout_ms) });
+  const text = await readCappedText(res, MAX_TOOL_RESULT_CHARS);
+  if (!res.ok) return JSON.stringify({ error: `Webhook returned HTTP ${res.status}`, body: text });
+  return text;
+}
+
+/**
+ * Run server-side tool calls and return the `tool` messages to append to the
+ * conversation. Failures become error results the model can see and react to;
+ * they never fail the chat request.
+ */
+export async function runAgentToolCalls(calls: ToolCall[], webhookTools: AgentWebhookTool[], log: FastifyBaseLogger): Promise<NonNullableMessage[]> {
+  return Promise.all(calls.map(async (call): Promise<NonNullableMessage> => {
+    const tool = webhookTools.find(t => t.name === call.function.name)!;
+    let content: string;
+    try {
+      const args = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+      if (!isRecord(args)) throw new SyntaxError('Tool arguments must be a JSON object');
+      content = await callWebhook(tool, args);
+    } catch (err) {
+      log.warn({ err, tool: tool.name }, 'Agent tool call failed');
+      const reason = err instanceof SyntaxError ? `Invalid arguments: ${err.message}`
+        : err instanceof Error && err.name === 'TimeoutError' ? `Webhook timed out after ${tool.webhook.timeout_ms}ms`
+          : 'Webhook request failed';
+      content = JSON.stringify({ error: reason });
+    }
+    return { role: 'tool', tool_call_id: call.id, content };
+  }));
+}
+
+/** Add one model turn's token usage to a running total. */
+export function addUsage(total: TokenUsage | undefined, usage: TokenUsage | undefined): TokenUsage | undefined {
+  if (!usage) return total;
+  if (!total) return { ...usage };
+  return {
+    prompt_tokens: (total.prompt_tokens ?? 0) + (usage.prompt_tokens ?? 0),
+    completion_tokens: (total.completion_tokens ?? 0) + (usage.completion_tokens ?? 0),
+    total_tokens: (total.total_tokens ?? 0) + (usage.total_tokens ?? 0),
+  };
+}
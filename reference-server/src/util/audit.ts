@@ -0,0 +1,176 @@
+import type { FastifyReply, FastifyRequest } from 'fastify';
+import { createError } from './index';
+import { auditStore, type AuditActor, type AuditListFilters } from '../storage/audit';
+
+// --- Audit log ---
+// Manager and admin actions (role changes, parent-key revoke/rotate and
+// policy changes, agent create/update/delete, agent key reveal/rotate) append
+// a row to audit_events. Admins read it through
+//
+//   GET /v1/manager/admin/audit?action=agent_key.rotate&target_id=agent-...&since=2026-01-01
+//
+// Rows hold key hints, never key secrets. A failure to write an audit row is
+// logged and does not fail the action itself.
+
+const DIFF_CONTEXT = 3;
+
+export type AuditTarget = {
+  action: string;
+  target_type: 'user' | 'parent_key' | 'agent' | 'webhook' | 'response_cache';
+  target_id: string;
+  parent_key_id?: string | null;
+  before?: unknown;
+  after?: unknown;
+  diff?: string | null;
+};
+
+/** The manager user or parent key behind an authenticated request. */
+export function requestActor(request: FastifyRequest): AuditActor | null {
+  const user = request.managerUser;
+  if (user) return { type: 'user', id: user.id, label: user.email || user.username || user.external_user_id };
+  const apiKey = request.apiKey;
+  if (apiKey) return { type: 'parent_key', id: apiKey.id, label: apiKey.name };
+  return null;
+}
+
+function headerValue(request: FastifyRequest, name: string): string | null {
+  const value = request.headers[name];
+  return (Array.isArray(value) ? value[0] : value) ?? null;
+}
+
+/** Append one audit event for an authenticated manager or parent-key request. */
+export function recordAudit(request: FastifyRequest, target: AuditTarget): void {
+  const actor = requestActor(request);
+  if (!actor) return;
+  try {
+    auditStore.record({
+      ...target,
+      actor,
+      request: {
+        ip: request.ip ?? null,
+        user_agent: headerValue(request, 'user-agent'),
+        request_id: String(request.id),
+        method: request.method,
+        url: request.url,
+      },
+    });
+  } catch (error) {
+    request.log.error({ err: error, action: target.action }, 'failed to record audit event');
+  }
+}
+
+/**
+ * Line diff of two YAML documents in unified format (three lines of context),
+ * or null when they are identical.
+ */
+export function yamlDiff(before: string, after: string, labels: [string, string] = ['before', 'after']): string | null {
+  const toLines = (text: string) => (text ? text.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n') : []);
+  const a = toLines(before);
+  const b = toLines(after);
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array<number>(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  type Op = { kind: ' ' | '-' | '+'; line: string; aLine: number; bLine: number };
+  const ops: Op[] = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ kind: ' ', line: a[i], aLine: i++, bLine: j++ });
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ kind: '-', line: a[i], aLine: i++, bLine: j });
+    } else {
+      ops.push({ kind: '+', line: b[j], aLine: i, bLine: j++ });
+    }
+  }
+
+  const changed = ops.map((op, index) => (op.kind === ' ' ? -1 : index)).filter(index => index >= 0);
+  if (changed.length === 0) return null;
+
+  const lines = [`--- ${labels[0]}`, `+++ ${labels[1]}`];
+  let index = 0;
+  while (index < changed.length) {
+    const start = Math.max(0, changed[index] - DIFF_CONTEXT);
+    let end = changed[index];
+    // Merge changes whose context windows touch into one hunk
+    while (index + 1 < changed.length && changed[index + 1] - end <= DIFF_CONTEXT * 2) end = changed[++index];
+    end = Math.min(ops.length - 1, end + DIFF_CONTEXT);
+    index++;
+
+    const hunk = ops.slice(start, end + 1);
+    const aCount = hunk.filter(op => op.kind !== '+').length;
+    const bCount = hunk.filter(op => op.kind !== '-').length;
+    const aStart = aCount ? hunk[0].aLine + 1 : hunk[0].aLine;
+    const bStart = bCount ? hunk[0].bLine + 1 : hunk[0].bLine;
+    lines.push(`@@ -${aStart},${aCount} +${bStart},${bCount} @@`, ...hunk.map(op => `${op.kind}${op.line}`));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export type AuditQuerystring = {
+  action?: string;
+  actor_id?: string;
+  target_type?: string;
+  target_id?: string;
+  parent_key_id?: string;
+  since?: string;
+  until?: string;
+  limit?: number;
+  after?: string;
+};
+
+export const auditQuerystringSchema = {
+  type: 'object',
+  properties: {
+    action: { type: 'string', description: 'Exact action, e.g. agent_key.rotate' },
+    actor_id: { type: 'string', description: 'Manager user id or parent key id' },
+    target_type: { type: 'string', description: 'user, parent_key, agent, webhook or response_cache' },
+    target_id: { type: 'string' },
+    parent_key_id: { type: 'string', description: 'Parent key that owns the target' },
+    since: { type: 'string', description: 'Inclusive start (date or ISO timestamp, UTC)' },
+    until: { type: 'string', description: 'Exclusive end (date or ISO timestamp, UTC)' },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+    after: { type: 'string', description: 'Id of the last event of the previous page' },
+  },
+};
+
+function parseTimestamp(value: string | undefined): string | null | undefined {
+  if (!value) return null;
+  const time = new Date(value);
+  return Number.isNaN(time.getTime()) ? undefined : time.toISOString();
+}
+
+/** Read the audit querystring into store filters, or an error message and its param. */
+export function parseAuditQuery(querystring: AuditQuerystring):
+  { filters: AuditListFilters; error?: never } | { error: string; param: string } {
+  const since = parseTimestamp(querystring.since);
+  if (since === undefined) return { error: "'since' must be a date or ISO timestamp", param: 'since' };
+  const until = parseTimestamp(querystring.until);
+  if (until === undefined) return { error: "'until' must be a date or ISO timestamp", param: 'until' };
+  if (since && until && since >= until) return { error: "'since' must be before 'until'", param: 'since' };
+
+  return {
+    filters: {
+      action: querystring.action,
+      actor_id: querystring.actor_id,
+      target_type: querystring.target_type,
+      target_id: querystring.target_id,
+      parent_key_id: querystring.parent_key_id,
+      since: since ?? undefined,
+      until: until ?? undefined,
+      limit: querystring.limit ?? 20,
+      after: querystring.after,
+    },
+  };
+}
+
+export function auditQueryError(reply: FastifyReply, error: string, param: string) {
+  reply.code(400);
+  return createError(error, 'invalid_request_error', param, 'invalid_audit_query');
+}
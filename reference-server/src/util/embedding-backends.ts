@@ -0,0 +1,56 @@
+// --- Embedding backends ---
+// Raw calls to the embeddings backends, shared by /v1/embeddings and agent
+// knowledge retrieval. Choosing a backend, and mock fallbacks, is up to callers.
+
+// Hoist static env reads (these never change at runtime)
+const LLM_BASE_URL = process.env.LLM_BASE_URL || '';
+const LLM_API_KEY = process.env.LLM_API_KEY || '';
+const LLM_PROVIDER = process.env.LLM_PROVIDER || '';
+const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || 'http://127.0.0.1:11434';
+// Embedding model to use when routing to Ollama. Requested OpenAI model names
+// (e.g. text-embedding-3-small) don't exist in Ollama, so map to a real one.
+export const OLLAMA_EMBED_MODEL = process.env.OLLAMA_EMBED_MODEL || 'nomic-embed-text';
+
+/**
+ * Forward the request to an OpenAI-compatible embeddings backend
+ * (OpenAI, Portkey Gateway, etc.).
+ */
+export async function fetchLLMEmbeddings(body: {
+  model: string;
+  input: string[];
+  dimensions?: number;
+  encoding_format?: string;
+}): Promise<Response> {
+  const headers: Record<string, string> = {
+    'Authorization': `Bearer ${LLM_API_KEY}`,
+    'Content-Type': 'application/json',
+  };
+  if (LLM_PROVIDER) headers['x-portkey-provider'] = LLM_PROVIDER;
+
+  return fetch(`${LLM_BASE_URL}/v1/embeddings`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+  });
+}
+
+/**
+ * Fetch embeddings from a local/remote Ollama instance via its native /api/embed
+ * endpoint (supports batch string arrays). Returns one vector per input.
+ */
+export async function fetchOllamaEmbeddings(inputs: string[]): Promise<number[][]> {
+  const resp = await fetch(`${OLLAMA_BASE_URL}/api/embed`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model: OLLAMA_EMBED_MODEL, input: inputs }),
+  });
+  if (!resp.ok) {
+    const errText = await resp.text();
+    throw new Error(`Ollama embeddings failed (${resp.status}): ${errText}`);
+  }
+  const data = (await resp.json()) as { embeddings?: number[][] };
+  if (!Array.isArray(data.embeddings) || data.embeddings.length !== inputs.length) {
+    throw new Error('Ollama returned an unexpected embeddings payload');
+  }
+  return data.embeddings;
+}
@@ -0,0 +1,160 @@
+import type { FastifyBaseLogger } from 'fastify';
+import { parsePositiveEnvNumber } from './index';
+import type { ProviderModelRecord } from '../storage/agents';
+import { emitWebhookEvent } from './webhook-events';
+
+// --- Failover chains and per-provider circuit breakers ---
+// A chat request normally goes to one provider/model. Agents and parent keys can
+// list fallbacks to try, in order, when that call fails:
+//
+//   fallbacks:
+//     - provider: anthropic
+//       model: claude-sonnet-4-5
+//     - openai/gpt-4o-mini
+//
+// Agent YAML sets `fallbacks:`; parent keys set theirs via
+// /v1/manager/admin/parent-keys/:key_id/fallbacks. The agent's chain is tried
+// first, then the parent key's. Entries the key or agent may not use (model
+// restrictions) are left out when the chain is built.
+//
+// Failover happens on timeouts, network errors, 5xx responses and 429 rate
+// limits. Other errors (bad request, auth) would fail the same way everywhere,
+// so they end the chain. Each of those failures counts against the provider's
+// circuit breaker: after FAILOVER_BREAKER_THRESHOLD in a row the provider is
+// skipped for FAILOVER_BREAKER_COOLDOWN_MS. After that the breaker is half-open:
+// one request at a time is let through to probe the provider while the others
+// keep skipping it, until a probe succeeds (closed) or fails (open again).
+// Breaker state lives in memory, per server process. Opening a
+// breaker sends a provider.failing webhook event to every subscribed endpoint.
+
+const FAILOVER_BREAKER_THRESHOLD = parsePositiveEnvNumber('FAILOVER_BREAKER_THRESHOLD') ?? 3;
+const FAILOVER_BREAKER_COOLDOWN_MS = parsePositiveEnvNumber('FAILOVER_BREAKER_COOLDOWN_MS') ?? 30_000;
+const MAX_FALLBACKS = 10;
+
+export type FailoverStep = { provider: string; model: string };
+
+/** One chain entry that did not serve the request, as reported in fallback warnings. */
+export type FailoverAttempt = FailoverStep & { reason: string };
+
+function parseStep(entry: unknown): FailoverStep | null {
+  if (typeof entry === 'string') {
+    const [provider, ...modelParts] = entry.trim().split('/');
+    const model = modelParts.join('/');
+    return provider && model ? { provider, model } : null;
+  }
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return null;
+  const { provider, model } = entry as Record<string, unknown>;
+  if (typeof provider !== 'string' || !provider.trim() || typeof model !== 'string' || !model.trim()) return null;
+  return { provider: provider.trim(), model: model.trim() };
+}
+
+/** Check a `fallbacks:` list (agent YAML or parent-key settings). Returns an error message or null. */
+export function validateFallbacks(value: unknown, param = 'fallbacks'): string | null {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value)) return `'${param}' must be a list of provider/model pairs`;
+  if (value.length > MAX_FALLBACKS) return `'${param}' can list at most ${MAX_FALLBACKS} entries`;
+  for (const [index, entry] of value.entries()) {
+    if (!parseStep(entry)) return `${param}[${index}] must be "provider/model" or { provider, model }`;
+  }
+  return null;
+}
+
+/** Read a `fallbacks:` list, ignoring invalid entries and duplicates. */
+export function fallbacksFromYaml(value: unknown): FailoverStep[] {
+  if (!Array.isArray(value)) return [];
+  const seen = new Set<string>();
+  const steps: FailoverStep[] = [];
+  for (const entry of value.slice(0, MAX_FALLBACKS)) {
+    const step = parseStep(entry);
+    if (!step || seen.has(`${step.provider}/${step.model}`)) continue;
+    seen.add(`${step.provider}/${step.model}`);
+    steps.push(step);
+  }
+  return steps;
+}
+
+/**
+ * Keep the steps the caller may use (its effective provider models), resolved to
+ * registry model names, without duplicates.
+ */
+export function allowedFailoverSteps(steps: FailoverStep[], effectiveModels: ProviderModelRecord[]): FailoverStep[] {
+  const seen = new Set<string>();
+  const allowed: FailoverStep[] = [];
+  for (const step of steps) {
+    const match = effectiveModels.find(item => item.provider === step.provider && (item.model === step.model || item.id === step.model));
+    if (!match || seen.has(`${match.provider}/${match.model}`)) continue;
+    seen.add(`${match.provider}/${match.model}`);
+    allowed.push({ provider: match.provider, model: match.model });
+  }
+  return allowed;
+}
+
+/**
+ * Classify an upstream error. Returns a short reason when the next provider in
+ * the chain should be tried, or null when the error should be surfaced as is.
+ * The ozwellai client reports HTTP errors as "HTTP <status>: <text>" and
+ * timeouts as an aborted fetch.
+ */
+export function failoverReason(error: unknown): string | null {
+  if (!(error instanceof Error)) return null;
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') return 'timeout';
+  const status = /\bHTTP (\d{3})\b/.exec(error.message)?.[1];
+  if (status === '429') return 'rate_limited';
+  if (status && status.startsWith('5')) return `http_${status}`;
+  // fetch() rejects with "fetch failed" when the connection is refused or reset
+  if (error.message === 'fetch failed') return 'network_error';
+  return null;
+}
+
+type BreakerState = { failures: number; openedAt: number | null; probeStartedAt: number | null };
+
+const breakers = new Map<string, BreakerState>();
+
+function coolingDown(state: BreakerState): boolean {
+  return state.openedAt !== null && Date.now() - state.openedAt < FAILOVER_BREAKER_COOLDOWN_MS;
+}
+
+/**
+ * Whether a request may go to the provider now. False while its breaker is open.
+ * Once half-open, the first caller becomes the probe and gets true; the rest get
+ * false until it reports back. A probe that never does is given up on after
+ * another cooldown.
+ */
+export function acquireProvider(provider: string): boolean {
+  const state = breakers.get(provider);
+  if (!state?.openedAt) return true;
+  if (coolingDown(state)) return false;
+  const now = Date.now();
+  if (state.probeStartedAt !== null && now - state.probeStartedAt < FAILOVER_BREAKER_COOLDOWN_MS) return false;
+  state.probeStartedAt = now;
+  return true;
+}
+
+/** End a probe that neither succeeded nor failed over (e.g. a 400), so the next request probes instead. */
+export function releaseProvider(provider: string): void {
+  const state = breakers.get(provider);
+  if (state) state.probeStartedAt = null;
+}
+
+export function recordProviderSuccess(provider: string): void {
+  breakers.delete(provider);
+}
+
+export function recordProviderFailure(provider: string, log: FastifyBaseLogger): void {
+  const state = breakers.get(provider) ?? { failures: 0, openedAt: null, probeStartedAt: null };
+  state.failures += 1;
+  state.probeStartedAt = null;
+  // A failed probe re-opens the breaker straight away
+  if (state.failures >= FAILOVER_BREAKER_THRESHOLD) {
+    if (!coolingDown(state)) {
+      log.warn({ provider, failures: state.failures, cooldownMs: FAILOVER_BREAKER_COOLDOWN_MS }, 'Provider circuit breaker opened');
+      emitWebhookEvent(log, null, 'provider.failing', {
+        provider,
+        consecutive_failures: state.failures,
+        retry_after_seconds: Math.ceil(FAILOVER_BREAKER_COOLDOWN_MS / 1000),
+      });
+    }
+    state.openedAt = Date.now();
+  }
+  breakers.set(provider, state);
+}
@@ -0,0 +1,154 @@
+import { MODERATION_CATEGORIES } from '../../../spec';
+import { contentToText, createError, isRecord } from './index';
+import { classifyText, compileModerationRule } from './moderation-rules';
+
+// --- Agent guardrails ---
+// Agent YAML can check what callers send and what the model answers:
+//
+//   guardrails:
+//     input:
+//       categories: [self-harm/instructions, illicit]
+//       patterns: ['ignore (all )?previous instructions']
+//     output:
+//       categories: [violence/graphic]
+//       keywords: [internal use only]
+//     action: refuse        # or error
+//     refusal: I can't help with that request.
+//
+// `categories` uses the local moderation rules (moderation.ts); `keywords` and
+// `patterns` are the agent's own, matched case-insensitively. Input checks run
+// on the user messages of the request before anything is sent upstream. Output
+// checks run on the reply: on the whole message, or chunk by chunk (with the
+// end of the text before it) as a stream comes in, which is cut off at the
+// chunk that trips a rule.
+//
+// `refuse` (the default) answers with `refusal` and finish_reason
+// `content_filter`; `error` fails with a `guardrail_violation` error. Either
+// way the reply carries a `guardrail` object (an SSE `guardrail` event when
+// streaming) naming the stage and the categories that tripped; matched text is
+// never echoed. Agent keywords and patterns report the category `custom`.
+
+const DEFAULT_REFUSAL = "I'm sorry, but I can't help with that request.";
+const CUSTOM_CATEGORY = 'custom';
+
+type GuardrailChecks = {
+  categories: string[];
+  custom: ReturnType<typeof compileModerationRule>;
+};
+
+export type GuardrailPolicy = {
+  input: GuardrailChecks | null;
+  output: GuardrailChecks | null;
+  action: 'refuse' | 'error';
+  refusal: string;
+};
+
+export type GuardrailViolation = {
+  type: 'guardrail';
+  stage: 'input' | 'output';
+  action: 'refuse' | 'error';
+  categories: string[];
+};
+
+function stringList(value: unknown): string[] {
+  return Array.isArray(value) ? value.filter((item): item is string => typeof item === 'string' && !!item.trim()) : [];
+}
+
+function checksFromYaml(value: unknown): GuardrailChecks | null {
+  if (!isRecord(value)) return null;
+  const categories = stringList(value.categories).filter(category => (MODERATION_CATEGORIES as readonly string[]).includes(category));
+  const custom = compileModerationRule(CUSTOM_CATEGORY, { keywords: stringList(value.keywords), patterns: stringList(value.patterns) });
+  return categories.length > 0 || custom.regexes.length > 0 ? { categories, custom } : null;
+}
+
+/** Read an agent YAML `guardrails:` block; null when it checks nothing. */
+export function guardrailsFromYaml(value: unknown): GuardrailPolicy | null {
+  if (!isRecord(value)) return null;
+  const input = checksFromYaml(value.input);
+  const output = checksFromYaml(value.output);
+  if (!input && !output) return null;
+  return {
+    input,
+    output,
+    action: value.action === 'error' ? 'error' : 'refuse',
+    refusal: typeof value.refusal === 'string' && value.refusal.trim() ? value.refusal : DEFAULT_REFUSAL,
+  };
+}
+
+// Categories that trip on `text`, or null when it passes
+function check(checks: GuardrailChecks, text: string): string[] | null {
+  if (!text) return null;
+  const tripped: string[] = [];
+  if (checks.categories.length > 0) {
+    const result = classifyText(text);
+    tripped.push(...checks.categories.filter(category => result.categories[category]));
+  }
+  if (checks.custom.regexes.some(regex => regex.test(text))) tripped.push(CUSTOM_CATEGORY);
+  return tripped.length > 0 ? tripped : null;
+}
+
+function violation(policy: GuardrailPolicy, stage: GuardrailViolation['stage'], categories: string[]): GuardrailViolation {
+  return { type: 'guardrail', stage, action: policy.action, categories };
+}
+
+/** Check the user messages a caller sent. */
+export function checkGuardrailInput(policy: GuardrailPolicy, messages: Array<{ role: string; content?: unknown }>): GuardrailViolation | null {
+  if (!policy.input) return null;
+  const text = messages.filter(m => m.role === 'user').map(m => contentToText(m.content)).join('\n');
+  const tripped = check(policy.input, text);
+  return tripped ? violation(policy, 'input', tripped) : null;
+}
+
+/** Check a complete reply. */
+export function checkGuardrailOutput(policy: GuardrailPolicy, text: string | null | undefined): GuardrailViolation | null {
+  if (!policy.output || !text) return null;
+  const tripped = check(policy.output, text);
+  return tripped ? violation(policy, 'output', tripped) : null;
+}
+
+// How much already-sent text a streamed check looks back over. Anything fully
+// inside the sent text has been checked, so only a match reaching into the new
+// delta can trip; one that starts further back than this isn't seen.
+const OUTPUT_WINDOW_CHARS = 500;
+
+/**
+ * Output checks for a streamed reply. `push` each content delta before it is
+ * forwarded; it is checked with the tail of the text already sent, so a phrase
+ * split across chunks is still caught (its first part may already have been
+ * sent) without re-checking the whole reply on every chunk.
+ */
+export function createOutputGuard(policy: GuardrailPolicy) {
+  let sent = '';
+  return {
+    push(delta: string): GuardrailViolation | null {
+      let tail = sent.slice(-OUTPUT_WINDOW_CHARS);
+      // Start on a word boundary, so a cut word can't match as a whole one
+      if (tail.length < sent.length) tail = tail.slice(tail.search(/\s/) + 1);
+      const found = checkGuardrailOutput(policy, tail + delta);
+      if (!found) sent += delta;
+      return found;
+    },
+    /** Take back the last `chars` characters: text that was held back and never sent after all */
+    unsend(chars: number) {
+      sent = sent.slice(0, sent.length - chars);
+    },
+    /** The text let through before a rule tripped */
+    get sent() {
+      return sent;
+    },
+  };
+}
+
+/** The refusal as sent after `sent` text, on a line of its own when text came first. */
+export function refusalAfter(policy: GuardrailPolicy, sent: string) {
+  return sent ? `\n\n${policy.refusal}` : policy.refusal;
+}
+
+/** The error body for `action: error`. */
+export function guardrailError(found: GuardrailViolation) {
+  const what = found.stage === 'input' ? 'Request' : 'Response';
+  return {
+    ...createError(`${what} blocked by the agent's guardrails (${found.categories.join(', ')})`, 'invalid_request_error', found.stage === 'input' ? 'messages' : null, 'guardrail_violation'),
+    guardrail: found,
+  };
+}
@@ -9,11 +9,45 @@ export function getKeyHint(key: string): string {
   return key.slice(-4);
 }
 
-/** Format an agent key as a display hint: agnt_key-...XXXX */
+/** Format an agent key (or its stored 4-char hint) as a display hint: agnt_key-...XXXX */
 export function formatAgentKeyHint(key: string): string {
   return `${AGENT_KEY_PREFIX}key-...${getKeyHint(key)}`;
 }
 
+// Keys are stored as a salted SHA-256 digest plus a short clear-text lookup
+// prefix. Keys are long random secrets, so a fast hash is enough here.
+const KEY_LOOKUP_CHARS = 8;
+
+/** Generate a new key: the type prefix plus 48 random hex chars */
+export function generateKeySecret(prefix: string): string {
+  return `${prefix}${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/** The clear-text start of a key kept for indexed lookup: its type prefix plus 8 chars */
+export function getKeyLookupPrefix(key: string): string {
+  const typePrefix = [`${AGENT_KEY_PREFIX}key-`, KEY_PREFIX].find(p => key.startsWith(p)) ?? '';
+  return key.slice(0, typePrefix.length + KEY_LOOKUP_CHARS);
+}
+
+function digestKey(salt: string, key: string): string {
+  return crypto.createHash('sha256').update(salt).update(key).digest('hex');
+}
+
+/** Hash a key for storage, as `salt:digest` */
+export function hashKey(key: string): string {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `${salt}:${digestKey(salt, key)}`;
+}
+
+/** Check a presented key against a stored `salt:digest` hash */
+export function verifyKey(key: string, stored: string): boolean {
+  const [salt, digest] = stored.split(':');
+  if (!salt || !digest) return false;
+  const expected = Buffer.from(digest, 'hex');
+  const actual = Buffer.from(digestKey(salt, key), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
 /** Check if a key has a valid parent key prefix */
 export function isValidApiKey(key: string): boolean {
   return key.startsWith(KEY_PREFIX);
@@ -196,6 +230,34 @@ export function countTokens(text: string): number {
   return Math.ceil(text.length / 4);
 }
 
+/** True for JSON objects: not null, not an array. */
+export function isRecord(value: unknown): value is Record<string, unknown> {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Flatten a message's content into a plain string. Strings pass through; arrays
+ * of content parts are reduced to their concatenated `text` fields. This keeps
+ * downstream string operations (e.g. toLowerCase, JSON.parse) safe when callers
+ * send multimodal content arrays.
+ */
+export function contentToText(content: unknown): string {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map((part) => {
+        if (typeof part === 'string') return part;
+        if (part && typeof part === 'object' && typeof (part as { text?: unknown }).text === 'string') {
+          return (part as { text: string }).text;
+        }
+        return '';
+      })
+      .filter(Boolean)
+      .join(' ');
+  }
+  return '';
+}
+
 /**
  * Create OpenAI-compatible error response
  */
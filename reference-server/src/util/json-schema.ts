@@ -0,0 +1,223 @@
+import Ajv, { type ErrorObject, type ValidateFunction } from 'ajv';
+import addFormats from 'ajv-formats';
+import { isRecord } from './index';
+
+// --- JSON Schema checks ---
+// Model output is checked against caller-supplied schemas (response_format
+// json_schema, tool parameters) with ajv (draft-07, plus `$defs` and the
+// standard string formats). Schemas are compiled strictly: an unknown keyword
+// or format, or a pattern that isn't a valid regular expression, is an error
+// in the schema (jsonSchemaError) rather than something silently not checked.
+//
+// Problems read like agent validation errors, with `$` for the value itself:
+//
+//   $.patient.age must be an integer
+//   $.tags[2] must be one of "urgent", "routine"
+
+type Schema = Record<string, unknown> | boolean;
+
+const TYPE_NAMES: Record<string, string> = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object',
+  null: 'null',
+};
+
+// Stop collecting after this many problems; they are shown to callers and models
+const MAX_PROBLEMS = 20;
+// Compiled schemas kept for reuse; requests tend to send the same few over and over
+const MAX_CACHED_SCHEMAS = 200;
+
+const ajv = new Ajv({ allErrors: true, strict: true, strictTypes: false, strictTuples: false, unicodeRegExp: true });
+addFormats(ajv);
+const compiled = new Map<string, ValidateFunction | Error>();
+
+function propertyPath(path: string, key: string) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+// The compiled schema, or the reason it doesn't compile
+function compile(schema: Schema): ValidateFunction | Error {
+  const key = JSON.stringify(schema);
+  const cached = compiled.get(key);
+  if (cached) return cached;
+  let result: ValidateFunction | Error;
+  try {
+    result = ajv.compile(schema);
+  } catch (error) {
+    result = error instanceof Error ? error : new Error(String(error));
+  } finally {
+    // ajv keeps every schema object it has seen (and reserves its $id); the cache above is bounded
+    if (typeof schema === 'object') ajv.removeSchema(schema);
+  }
+  if (compiled.size >= MAX_CACHED_SCHEMAS) compiled.delete(compiled.keys().next().value!);
+  compiled.set(key, result);
+  return result;
+}
+
+// `$.a.b[2]` for the JSON pointer `/a/b/2`; the value tells list indexes from keys
+function pathOf(pointer: string, value: unknown) {
+  let path = '$';
+  let node = value;
+  for (const raw of pointer.split('/').slice(1)) {
+    const key = raw.replace(/~1/g, '/').replace(/~0/g, '~');
+    path = Array.isArray(node) ? `${path}[${key}]` : propertyPath(path, key);
+    node = Array.isArray(node) || isRecord(node) ? (node as Record<string, unknown>)[key] : undefined;
+  }
+  return path;
+}
+
+function describe(error: ErrorObject, value: unknown): string {
+  const path = pathOf(error.instancePath, value);
+  const params = error.params as Record<string, unknown>;
+  switch (error.keyword) {
+    case 'type':
+      return `${path} must be ${String(params.type).split(',').map(type => TYPE_NAMES[type] ?? type).join(' or ')}`;
+    case 'enum':
+      return `${path} must be one of ${(params.allowedValues as unknown[]).map(option => JSON.stringify(option)).join(', ')}`;
+    case 'const':
+      return `${path} must be ${JSON.stringify(params.allowedValue)}`;
+    case 'required':
+      return `${propertyPath(path, String(params.missingProperty))} is required`;
+    case 'additionalProperties':
+      return `${propertyPath(path, String(params.additionalProperty))} is not allowed`;
+    case 'false schema':
+      return `${path} is not allowed`;
+    case 'minLength':
+      return `${path} must be at least ${params.limit} characters`;
+    case 'maxLength':
+      return `${path} must be at most ${params.limit} characters`;
+    case 'pattern':
+      return `${path} must match ${params.pattern}`;
+    case 'format':
+      return `${path} must be a valid ${params.format}`;
+    case 'minimum':
+      return `${path} must be at least ${params.limit}`;
+    case 'maximum':
+      return `${path} must be at most ${params.limit}`;
+    case 'exclusiveMinimum':
+      return `${path} must be greater than ${params.limit}`;
+    case 'exclusiveMaximum':
+      return `${path} must be less than ${params.limit}`;
+    case 'minItems':
+      return `${path} must have at least ${params.limit} items`;
+    case 'maxItems':
+      return `${path} must have at most ${params.limit} items`;
+    case 'anyOf':
+      return `${path} must match at least one of the allowed schemas`;
+    case 'oneOf':
+      return `${path} must match exactly one of the allowed schemas`;
+    default:
+      return `${path} ${error.message ?? 'is not valid'}`;
+  }
+}
+
+/** Why `schema` can't be used to check values, e.g. an unknown keyword or a bad pattern; null when it can. */
+export function jsonSchemaError(schema: unknown): string | null {
+  if (!isRecord(schema) && typeof schema !== 'boolean') return 'must be a JSON schema object';
+  const result = compile(schema);
+  return result instanceof Error ? result.message : null;
+}
+
+/**
+ * Check a parsed JSON value; returns the problems found (empty when it
+ * conforms). A schema that doesn't compile (see jsonSchemaError) is reported
+ * as the one problem.
+ */
+export function validateJsonSchema(value: unknown, schema: unknown): string[] {
+  if (!isRecord(schema) && typeof schema !== 'boolean') return [];
+  const validate = compile(schema);
+  if (validate instanceof Error) return [`$ can't be checked: the schema is invalid (${validate.message})`];
+  if (validate(value)) return [];
+  const errors = validate.errors ?? [];
+  // anyOf and oneOf are reported once, not with every way each option failed
+  const alternatives = errors.filter(error => error.keyword === 'anyOf' || error.keyword === 'oneOf').map(error => `${error.schemaPath}/`);
+  return errors
+    .filter(error => !alternatives.some(prefix => error.schemaPath.startsWith(prefix)))
+    .map(error => describe(error, value))
+    .slice(0, MAX_PROBLEMS);
+}
+
+// Follow a local reference such as #/$defs/address or #/definitions/address
+function resolveRef(root: Schema, ref: string): Schema | null {
+  if (!ref.startsWith('#')) return null;
+  let node: unknown = root;
+  for (const raw of ref.slice(1).split('/').filter(Boolean)) {
+    const key = raw.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!isRecord(node) || !(key in node)) return null;
+    node = node[key];
+  }
+  return isRecord(node) || typeof node === 'boolean' ? node : null;
+}
+
+const SAMPLE_STRINGS: Record<string, string> = {
+  'date': '2024-01-01',
+  'date-time': '2024-01-01T00:00:00Z',
+  'time': '00:00:00',
+  'email': 'user@example.com',
+  'uri': 'https://example.com',
+  'uuid': '00000000-0000-4000-8000-000000000000',
+};
+
+function sample(schema: Schema, root: Schema, depth: number): unknown {
+  if (typeof schema === 'boolean' || depth > 16) return null;
+  if (typeof schema.$ref === 'string') {
+    const target = resolveRef(root, schema.$ref);
+    return target === null ? null : sample(target, root, depth + 1);
+  }
+  if ('const' in schema) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+  if ('default' in schema) return schema.default;
+  for (const keyword of ['anyOf', 'oneOf'] as const) {
+    const options = schema[keyword];
+    if (Array.isArray(options) && options.length > 0) return sample(options[0] as Schema, root, depth + 1);
+  }
+  if (Array.isArray(schema.allOf)) {
+    // Object parts are merged; allOf of non-object schemas isn't sampled
+    const { allOf, ...rest } = schema;
+    return Object.assign({}, ...[...allOf, rest].map(part => sample(part as Schema, root, depth + 1)).filter(isRecord));
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const type = types.find(t => typeof t === 'string' && t !== 'null') ?? types[0] ?? (isRecord(schema.properties) ? 'object' : undefined);
+  switch (type) {
+    case 'object': {
+      const properties = isRecord(schema.properties) ? schema.properties : {};
+      return Object.fromEntries(Object.entries(properties).map(([key, property]) => [key, sample(property as Schema, root, depth + 1)]));
+    }
+    case 'array': {
+      const count = Math.min(Math.max(typeof schema.minItems === 'number' ? schema.minItems : 1, 0), typeof schema.maxItems === 'number' ? schema.maxItems : Infinity);
+      return Array.from({ length: count }, () => sample((schema.items ?? {}) as Schema, root, depth + 1));
+    }
+    case 'string': {
+      const text = typeof schema.format === 'string' && SAMPLE_STRINGS[schema.format] ? SAMPLE_STRINGS[schema.format] : 'string';
+      const minLength = typeof schema.minLength === 'number' ? schema.minLength : 0;
+      const padded = text.padEnd(minLength, 'x');
+      return typeof schema.maxLength === 'number' ? padded.slice(0, schema.maxLength) : padded;
+    }
+    case 'integer':
+    case 'number': {
+      if (typeof schema.minimum === 'number') return type === 'integer' ? Math.ceil(schema.minimum) : schema.minimum;
+      if (typeof schema.exclusiveMinimum === 'number') return Math.floor(schema.exclusiveMinimum) + 1;
+      if (typeof schema.maximum === 'number' && schema.maximum < 0) return type === 'integer' ? Math.floor(schema.maximum) : schema.maximum;
+      return 0;
+    }
+    case 'boolean':
+      return true;
+    default:
+      return null;
+  }
+}
+
+/**
+ * A small value that conforms to `schema`: every listed property, the first
+ * enum option, the minimum of a range. Used where a deterministic answer is
+ * needed (mock backends). Patterns aren't honoured.
+ */
+export function sampleFromJsonSchema(schema: unknown): unknown {
+  if (!isRecord(schema)) return {};
+  return sample(schema, schema, 0);
+}
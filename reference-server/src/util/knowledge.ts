@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import type { FastifyBaseLogger } from 'fastify';
+import { generateEmbedding, isLLMBackendConfigured, isOllamaAvailable, parsePositiveEnvNumber } from './index';
+import { fileStore, readFileContent, type StoredFile } from '../storage/files';
+import { knowledgeStore, type KnowledgeMatch } from '../storage/knowledge';
+import { fetchLLMEmbeddings, fetchOllamaEmbeddings, OLLAMA_EMBED_MODEL } from './embedding-backends';
+import { createRedactor, type RedactionPolicy, type Redactor } from './redaction';
+
+// --- Retrieval over uploaded files ---
+// Agent YAML can attach files uploaded through /v1/files:
+//
+//   knowledge:
+//     - file-abc123
+//     - file-def456
+//
+// Each file is split into chunks, embedded and stored in the knowledge index
+// (storage/knowledge.ts). On every chat turn the latest user message is
+// embedded, the closest chunks are looked up and appended to the agent's system
+// prompt with numbered labels the model is asked to cite.
+//
+// Files are (re)indexed when an agent referencing them is saved, and lazily at
+// chat time when the file changed or the embedder did. Embeddings follow the
+// same backend order as /v1/embeddings (LLM backend, then Ollama, then the
+// deterministic generateEmbedding mock when ALLOW_MOCK=true).
+// KNOWLEDGE_EMBED_MODEL=mock always uses the mock, so retrieval works fully
+// offline: identical text gets identical vectors, but nothing more semantic.
+//
+// For an agent with `redaction:` (see redaction.ts), what goes to the LLM
+// backend's embeddings endpoint is redacted like its chat requests: the query
+// with the request's placeholders, and each chunk on its own. Those vectors
+// are kept apart from unredacted ones by the embedder id.
+
+const KNOWLEDGE_TOP_K = parsePositiveEnvNumber('KNOWLEDGE_TOP_K') ?? 4;
+const KNOWLEDGE_CHUNK_CHARS = parsePositiveEnvNumber('KNOWLEDGE_CHUNK_CHARS') ?? 1000;
+const KNOWLEDGE_EMBED_MODEL = process.env.KNOWLEDGE_EMBED_MODEL || 'text-embedding-3-small';
+// Chunks sent to the embeddings backend per request while indexing
+const EMBED_BATCH_SIZE = 64;
+
+export type KnowledgeCitation = KnowledgeMatch & { filename: string };
+
+type Embedder = {
+  // Stored with each indexed file; a different id means its vectors must be rebuilt
+  id: string;
+  embed: (texts: string[]) => Promise<number[][]>;
+};
+
+// Short, stable tag for a redaction policy, so vectors are only reused under the same one
+function redactionTag(policy: RedactionPolicy): string {
+  const source = JSON.stringify([[...policy.detect].sort(), policy.patterns.map(p => [p.label, p.regex.source])]);
+  return crypto.createHash('sha256').update(source).digest('hex').slice(0, 12);
+}
+
+async function resolveEmbedder(redaction: RedactionPolicy | null = null): Promise<Embedder> {
+  if (KNOWLEDGE_EMBED_MODEL !== 'mock') {
+    if (isLLMBackendConfigured()) {
+      return {
+        id: `llm:${KNOWLEDGE_EMBED_MODEL}${redaction ? `+redacted:${redactionTag(redaction)}` : ''}`,
+        embed: async (texts) => {
+          const input = redaction ? texts.map(text => createRedactor(redaction).text(text)) : texts;
+          const upstream = await fetchLLMEmbeddings({ model: KNOWLEDGE_EMBED_MODEL, input });
+          if (!upstream.ok) throw new Error(`Embeddings backend failed (${upstream.status}): ${await upstream.text()}`);
+          const result = await upstream.json() as { data?: Array<{ embedding: number[]; index: number }> };
+          if (!Array.isArray(result.data) || result.data.length !== texts.length) {
+            throw new Error('Embeddings backend returned an unexpected payload');
+          }
+          return [...result.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+        },
+      };
+    }
+    if (await isOllamaAvailable()) {
+      return { id: `ollama:${OLLAMA_EMBED_MODEL}`, embed: fetchOllamaEmbeddings };
+    }
+    // Like /v1/embeddings, don't quietly fall back to meaningless vectors
+    if (process.env.ALLOW_MOCK !== 'true') {
+      throw new Error('No embeddings backend configured or reachable (set ALLOW_MOCK=true or KNOWLEDGE_EMBED_MODEL=mock to use mock vectors)');
+    }
+  }
+  return { id: 'mock', embed: async (texts) => texts.map(text => generateEmbedding(text)) };
+}
+
+/** Read an agent YAML `knowledge:` block, ignoring anything invalid. */
+export function knowledgeFromYaml(value: unknown): string[] {
+  if (!Array.isArray(value)) return [];
+  return [...new Set(value.filter((entry): entry is string => typeof entry === 'string' && !!entry.trim()))];
+}
+
+/**
+ * Split text into chunks of at most `maxChars`, packing whole paragraphs
+ * together where they fit and hard-splitting paragraphs that don't.
+ */
+export function chunkText(text: string, maxChars: number = KNOWLEDGE_CHUNK_CHARS): string[] {
+  const chunks: string[] = [];
+  let current = '';
+  const paragraphs = text.replace(/\r\n/g, '\n').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  for (const paragraph of paragraphs) {
+    for (let start = 0; start < paragraph.length; start += maxChars) {
+      const piece = paragraph.slice(start, start + maxChars);
+      if (current && current.length + 2 + piece.length > maxChars) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/** Index one file unless its current index was built from the same bytes with the same embedder. */
+async function ensureFileIndexed(file: StoredFile, embedder: Embedder, log: FastifyBaseLogger): Promise<void> {
+  const indexed = knowledgeStore.getFile(file.id);
+  if (indexed && indexed.embedder === embedder.id && indexed.bytes === file.bytes) return;
+
+  const content = await readFileContent(file.id);
+  // Binary uploads (images, PDFs, ...) aren't text we can chunk; index them as empty
+  const chunks = content.includes(0) ? [] : chunkText(content.toString('utf-8'));
+  const vectors: number[][] = [];
+  for (let start = 0; start < chunks.length; start += EMBED_BATCH_SIZE) {
+    vectors.push(...await embedder.embed(chunks.slice(start, start + EMBED_BATCH_SIZE)));
+  }
+  knowledgeStore.replaceFile(file.id, embedder.id, file.bytes, chunks.map((text, i) => ({ text, embedding: vectors[i] })));
+  log.info({ fileId: file.id, embedder: embedder.id, chunks: chunks.length }, 'Indexed knowledge file');
+}
+
+async function indexFiles(fileIds: string[], embedder: Embedder, log: FastifyBaseLogger, parentKeyId?: string) {
+  const files: StoredFile[] = [];
+  const missing: string[] = [];
+  for (const fileId of fileIds) {
+    const file = parentKeyId ? fileStore.getForParentKey(fileId, parentKeyId) : fileStore.getFile(fileId);
+    if (file) files.push(file);
+    else missing.push(fileId);
+  }
+  for (const file of files) {
+    await ensureFileIndexed(file, embedder, log);
+  }
+  return { files, missing };
+}
+
+/**
+ * Look up the uploaded files behind `fileIds` and make sure each is indexed.
+ * Returns the files that exist (and, when `parentKeyId` is given, were uploaded
+ * with that parent key or one of its agents' keys) plus the IDs that don't.
+ */
+export async function indexKnowledgeFiles(
+  fileIds: string[],
+  log: FastifyBaseLogger,
+  parentKeyId?: string,
+  redaction: RedactionPolicy | null = null,
+): Promise<{ files: StoredFile[]; missing: string[] }> {
+  return indexFiles(fileIds, await resolveEmbedder(redaction), log, parentKeyId);
+}
+
+/**
+ * The `topK` chunks of the given files closest to `query`. With a `redactor`,
+ * only redacted text is sent to be embedded. With `parentKeyId`, files uploaded
+ * under another parent key are treated as missing.
+ */
+export async function retrieveKnowledge(
+  fileIds: string[],
+  query: string,
+  log: FastifyBaseLogger,
+  topK: number = KNOWLEDGE_TOP_K,
+  redactor: Redactor | null = null,
+  parentKeyId?: string,
+): Promise<KnowledgeCitation[]> {
+  if (fileIds.length === 0 || !query.trim()) return [];
+
+  const embedder = await resolveEmbedder(redactor?.policy ?? null);
+  const { files, missing } = await indexFiles(fileIds, embedder, log, parentKeyId);
+  if (missing.length > 0) log.warn({ fileIds: missing }, 'Agent knowledge references missing files');
+  if (files.length === 0) return [];
+
+  const [queryVector] = await embedder.embed([redactor ? redactor.text(query) : query]);
+  const filenames = new Map(files.map(f => [f.id, f.filename]));
+  return knowledgeStore.search(files.map(f => f.id), queryVector, topK)
+    .map(match => ({ ...match, filename: filenames.get(match.file_id) ?? match.file_id }));
+}
+
+/** Format retrieved chunks as a system prompt section with numbered citation labels. */
+export function formatKnowledgeContext(citations: KnowledgeCitation[]): string {
+  const sections = citations.map((c, i) => `[${i + 1}] ${c.filename} (${c.file_id}#${c.chunk_index})\n${c.text}`);
+  return '=== KNOWLEDGE ===\n'
+    + 'Excerpts from files attached to this agent, most relevant first. Use them when they answer the user\'s question '
+    + 'and cite each excerpt you rely on by its number, e.g. [1]. If they don\'t cover the question, say so rather than guessing.\n\n'
+    + sections.join('\n\n');
+}
+
+/**
+ * Append the chunks most relevant to `query` to an agent system prompt. Only
+ * files owned by `parentKeyId`, the agent's parent key, are searched.
+ * Retrieval failures are logged and the prompt is returned unchanged, so a
+ * broken embeddings backend degrades answers rather than failing the chat.
+ */
+export async function withKnowledge(
+  systemPrompt: string,
+  fileIds: string[],
+  query: string,
+  log: FastifyBaseLogger,
+  redactor: Redactor | null = null,
+  parentKeyId?: string,
+): Promise<string> {
+  if (fileIds.length === 0) return systemPrompt;
+  try {
+    const citations = await retrieveKnowledge(fileIds, query, log, KNOWLEDGE_TOP_K, redactor, parentKeyId);
+    if (citations.length === 0) return systemPrompt;
+    const context = formatKnowledgeContext(citations);
+    return systemPrompt ? `${systemPrompt.trimEnd()}\n\n${context}` : context;
+  } catch (err) {
+    log.warn({ err, fileIds }, 'Knowledge retrieval failed; continuing without it');
+    return systemPrompt;
+  }
+}
@@ -0,0 +1,179 @@
+import type { FastifyReply, FastifyRequest } from 'fastify';
+
+// --- Metric counters ---
+// In-memory counters, gauges and histograms that /metrics (routes/metrics.ts)
+// renders. Routes and helpers record into them through the functions below.
+
+// Seconds; covers quick model lists up to long streamed completions
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+type Labels = Record<string, string | number | null | undefined>;
+
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelKey(labelNames: string[], labels: Labels): string {
+  return labelNames.map(name => `${name}="${escapeLabelValue(String(labels[name] ?? ''))}"`).join(',');
+}
+
+function sample(name: string, key: string, value: number): string {
+  return `${name}${key ? `{${key}}` : ''} ${value}`;
+}
+
+abstract class Metric {
+  constructor(readonly name: string, readonly help: string, readonly type: string, readonly labelNames: string[]) {}
+
+  protected abstract samples(): string[];
+
+  render(): string {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.samples()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  private values = new Map<string, number>();
+
+  constructor(name: string, help: string, labelNames: string[] = []) {
+    super(name, help, 'counter', labelNames);
+  }
+
+  inc(labels: Labels = {}, value = 1): void {
+    const key = labelKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) ?? 0) + value);
+  }
+
+  protected samples(): string[] {
+    return [...this.values].map(([key, value]) => sample(this.name, key, value));
+  }
+}
+
+class Gauge extends Metric {
+  private values = new Map<string, number>();
+
+  constructor(name: string, help: string, labelNames: string[] = []) {
+    super(name, help, 'gauge', labelNames);
+  }
+
+  set(labels: Labels, value: number): void {
+    this.values.set(labelKey(this.labelNames, labels), value);
+  }
+
+  inc(labels: Labels = {}, value = 1): void {
+    const key = labelKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) ?? 0) + value);
+  }
+
+  dec(labels: Labels = {}, value = 1): void {
+    this.inc(labels, -value);
+  }
+
+  protected samples(): string[] {
+    // Unlabelled gauges report 0 before their first change
+    if (this.values.size === 0 && this.labelNames.length === 0) return [sample(this.name, '', 0)];
+    return [...this.values].map(([key, value]) => sample(this.name, key, value));
+  }
+}
+
+type HistogramSeries = { buckets: number[]; sum: number; count: number };
+
+class Histogram extends Metric {
+  private series = new Map<string, HistogramSeries>();
+
+  constructor(name: string, help: string, labelNames: string[], private readonly bounds: number[]) {
+    super(name, help, 'histogram', labelNames);
+  }
+
+  observe(labels: Labels, value: number): void {
+    const key = labelKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { buckets: this.bounds.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.bounds.forEach((bound, i) => {
+      if (value <= bound) series.buckets[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  protected samples(): string[] {
+    const lines: string[] = [];
+    for (const [key, series] of this.series) {
+      const prefix = key ? `${key},` : '';
+      this.bounds.forEach((bound, i) => lines.push(`${this.name}_bucket{${prefix}le="${bound}"} ${series.buckets[i]}`));
+      lines.push(`${this.name}_bucket{${prefix}le="+Inf"} ${series.count}`);
+      lines.push(sample(`${this.name}_sum`, key, series.sum));
+      lines.push(sample(`${this.name}_count`, key, series.count));
+    }
+    return lines;
+  }
+}
+
+const httpRequests = new Counter('ozwell_http_requests_total', 'HTTP requests by method, route and status code.', ['method', 'route', 'status']);
+const httpDuration = new Histogram('ozwell_http_request_duration_seconds', 'HTTP request latency by method and route.', ['method', 'route'], DURATION_BUCKETS);
+const llmRequests = new Counter('ozwell_llm_requests_total', 'Model requests (chat, responses, embeddings, audio) by route, provider, model and status code.', ['route', 'provider', 'model', 'status']);
+const llmDuration = new Histogram('ozwell_llm_request_duration_seconds', 'Model request latency, to the end of the stream for streamed replies.', ['route', 'provider', 'model'], DURATION_BUCKETS);
+const upstreamErrors = new Counter('ozwell_upstream_errors_total', 'Failed calls to an upstream LLM provider by reason.', ['provider', 'reason']);
+const mockResponses = new Counter('ozwell_mock_responses_total', 'Deterministic mock responses returned, by reason.', ['route', 'reason']);
+const responseCache = new Counter('ozwell_response_cache_total', 'Response cache lookups for cacheable requests, by route and result.', ['route', 'result']);
+const modelFallbacks = new Counter('ozwell_model_fallbacks_total', 'Requests answered by a failover step instead of the selected model.', ['provider', 'model']);
+const activeStreams = new Gauge('ozwell_sse_streams_active', 'Server-sent event streams currently open.');
+const heartbeats = new Counter('ozwell_sse_heartbeats_total', 'SSE keepalive comments written.');
+const registryRefreshes = new Counter('ozwell_model_registry_refreshes_total', 'Scheduled provider model registry refreshes by outcome.', ['outcome']);
+const registryModels = new Gauge('ozwell_model_registry_models', 'Models found by the last successful registry refresh.');
+
+const METRICS: Metric[] = [
+  httpRequests, httpDuration, llmRequests, llmDuration, upstreamErrors, mockResponses,
+  responseCache, modelFallbacks, activeStreams, heartbeats, registryRefreshes, registryModels,
+];
+
+export function renderMetrics(): string {
+  return `${METRICS.map(metric => metric.render()).join('\n')}\n`;
+}
+
+/** Record one model request as written to usage_events, with its latency in milliseconds. */
+export function recordLlmRequest(route: string, provider: string | null | undefined, model: string | null, statusCode: number, durationMs: number): void {
+  llmRequests.inc({ route, provider, model, status: statusCode });
+  llmDuration.observe({ route, provider, model }, durationMs / 1000);
+}
+
+export function recordUpstreamError(provider: string, reason: string): void {
+  upstreamErrors.inc({ provider, reason });
+}
+
+export function recordMockResponse(route: string, reason: string): void {
+  mockResponses.inc({ route, reason });
+}
+
+export function recordResponseCache(route: string, result: 'hit' | 'miss'): void {
+  responseCache.inc({ route, result });
+}
+
+export function recordModelFallback(provider: string, model: string): void {
+  modelFallbacks.inc({ provider, model });
+}
+
+export function recordHeartbeat(): void {
+  heartbeats.inc();
+}
+
+export function recordModelRegistryRefresh(outcome: 'success' | 'failure', modelCount?: number): void {
+  registryRefreshes.inc({ outcome });
+  if (modelCount !== undefined) registryModels.set({}, modelCount);
+}
+
+/** Count an SSE stream as open until its connection closes. Call once, when the stream's headers are written. */
+export function trackSseStream(reply: FastifyReply): void {
+  activeStreams.inc();
+  reply.raw.once('close', () => activeStreams.dec());
+}
+
+/** onResponse hook for every route; labels use the route pattern, not the raw URL. */
+export function observeHttpRequest(request: FastifyRequest, reply: FastifyReply): void {
+  const route = request.routeOptions.url ?? 'unmatched';
+  if (route === '/metrics') return;
+  httpRequests.inc({ method: request.method, route, status: reply.statusCode });
+  httpDuration.observe({ method: request.method, route }, reply.elapsedTime / 1000);
+}
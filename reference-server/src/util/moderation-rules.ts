@@ -0,0 +1,101 @@
+import { readFileSync } from 'fs';
+import { MODERATION_CATEGORIES } from '../../../spec';
+
+// --- Moderation rules ---
+// The local rule-based classifier behind /v1/moderations and agent guardrails:
+// each category has keyword lists and regexes, and a category is flagged when
+// any of them matches. Scores are 1 for a match and 0 otherwise. The built-in
+// rules below are a small starting point; MODERATION_RULES_PATH points at a
+// JSON file that adds to them or defines new categories:
+//
+//   { "self-harm": { "keywords": ["overdose on purpose"] },
+//     "phi_request": { "patterns": ["\\bfull (patient )?list\\b"] } }
+
+const MODERATION_RULES_PATH = process.env.MODERATION_RULES_PATH || '';
+
+type ModerationRuleInput = { keywords?: string[]; patterns?: string[] };
+type ModerationRule = { category: string; regexes: RegExp[] };
+
+export type ModerationResult = {
+  flagged: boolean;
+  categories: Record<string, boolean>;
+  category_scores: Record<string, number>;
+};
+
+// Groups the hate rules look for, by religion, ethnicity, origin, sexuality, gender or disability
+const GROUPS = String.raw`(?:immigrants|refugees|foreigners|migrants|muslims|jews|christians|hindus|sikhs|blacks|whites|asians|arabs|mexicans|latinos|africans|gays|lesbians|homosexuals|trans(?:gender)? people|women|disabled people)`;
+
+const BUILTIN_RULES: Record<typeof MODERATION_CATEGORIES[number], ModerationRuleInput> = {
+  'harassment': { keywords: ['you are worthless', "you're worthless", 'you are pathetic', 'nobody likes you'] },
+  'harassment/threatening': {
+    keywords: ['watch your back'],
+    patterns: [String.raw`\bi(?:'m| am)? (?:going to|gonna|will) (?:hurt|kill|find) you\b`, String.raw`\bi'll (?:hurt|kill|find) you\b`],
+  },
+  'hate': {
+    patterns: [String.raw`\b(?:all |those |these |the )?${GROUPS} (?:are|is) (?:all )?(?:animals|vermin|subhuman|parasites|inferior|a disease|a plague|filth)\b`],
+  },
+  'hate/threatening': {
+    patterns: [String.raw`\b(?:kill|exterminate|wipe out|eradicate|gas|lynch) (?:all )?(?:the |those |these )?${GROUPS}\b`],
+  },
+  'illicit': { patterns: [String.raw`\bhow (?:to|do i|can i) (?:make|cook|synthesi[sz]e|buy) (?:meth|methamphetamine|fentanyl|heroin|cocaine)\b`] },
+  'illicit/violent': { patterns: [String.raw`\bhow (?:to|do i|can i) (?:make|build) (?:a )?(?:pipe )?(?:bomb|explosive)s?\b`] },
+  'self-harm': { keywords: ['kill myself', 'end my life', 'hurt myself', 'cut myself'] },
+  'self-harm/intent': { patterns: [String.raw`\bi(?:'m| am)? (?:going to|gonna|want to|will) (?:kill myself|end my life|die)\b`] },
+  'self-harm/instructions': { patterns: [String.raw`\bhow (?:to|do i|can i) (?:kill myself|end my life|commit suicide)\b`] },
+  'sexual': { keywords: ['pornography', 'porn'] },
+  'sexual/minors': { patterns: [String.raw`\b(?:child|minor|underage|kid)s?\b.{0,40}\b(?:sex|sexual|nude|porn)`] },
+  'violence': { patterns: [String.raw`\b(?:kill|murder|stab|shoot) (?:him|her|them|everyone)\b`] },
+  'violence/graphic': { keywords: ['dismember', 'disembowel'] },
+};
+
+function escapeRegex(text: string) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Compile keyword lists and regexes into case-insensitive rules; invalid regexes are skipped. */
+export function compileModerationRule(category: string, rule: ModerationRuleInput): ModerationRule {
+  const regexes: RegExp[] = [];
+  for (const keyword of rule.keywords ?? []) {
+    if (typeof keyword === 'string' && keyword.trim()) regexes.push(new RegExp(`(?<![\\w])${escapeRegex(keyword.trim())}(?![\\w])`, 'i'));
+  }
+  for (const pattern of rule.patterns ?? []) {
+    try {
+      regexes.push(new RegExp(pattern, 'i'));
+    } catch {
+      // Invalid patterns are rejected by agent validation; a bad rules file just loses that entry
+    }
+  }
+  return { category, regexes };
+}
+
+function loadModerationRules(): ModerationRule[] {
+  const merged: Record<string, ModerationRuleInput> = {};
+  for (const [category, rule] of Object.entries(BUILTIN_RULES)) merged[category] = { keywords: [...rule.keywords ?? []], patterns: [...rule.patterns ?? []] };
+  if (MODERATION_RULES_PATH) {
+    try {
+      const extra = JSON.parse(readFileSync(MODERATION_RULES_PATH, 'utf8')) as Record<string, ModerationRuleInput>;
+      for (const [category, rule] of Object.entries(extra)) {
+        const target = merged[category] ??= { keywords: [], patterns: [] };
+        if (Array.isArray(rule?.keywords)) target.keywords!.push(...rule.keywords);
+        if (Array.isArray(rule?.patterns)) target.patterns!.push(...rule.patterns);
+      }
+    } catch (err) {
+      console.warn(`[moderation] Ignoring MODERATION_RULES_PATH=${MODERATION_RULES_PATH}: ${err instanceof Error ? err.message : err}`);
+    }
+  }
+  return Object.entries(merged).map(([category, rule]) => compileModerationRule(category, rule));
+}
+
+const MODERATION_RULES = loadModerationRules();
+
+/** Run the local classifier over one text. */
+export function classifyText(text: string): ModerationResult {
+  const categories: Record<string, boolean> = {};
+  const category_scores: Record<string, number> = {};
+  for (const rule of MODERATION_RULES) {
+    const hit = rule.regexes.some(regex => regex.test(text));
+    categories[rule.category] = hit;
+    category_scores[rule.category] = hit ? 1 : 0;
+  }
+  return { flagged: Object.values(categories).some(Boolean), categories, category_scores };
+}
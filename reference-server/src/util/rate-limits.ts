@@ -0,0 +1,160 @@
+import type { FastifyReply } from 'fastify';
+import { createError } from './index';
+import { agentStore, type RateLimits } from '../storage/agents';
+import type { UsageContext } from './types';
+import { emitWebhookEvent } from './webhook-events';
+
+// --- Per-key rate limits and token quotas ---
+// Limits come from two places and both apply:
+//   • parent keys — parent_key_limits, managed via /v1/manager/admin/parent-keys/:key_id/limits
+//     (counts everything the parent key and its agents do)
+//   • agents      — a `limits:` block in the agent YAML
+//
+//   limits:
+//     requests_per_minute: 20
+//     tokens_per_day: 200000
+//
+// Usage is read back from usage_events: requests over a rolling minute, tokens
+// since midnight UTC. Calls are counted once they're recorded, so a burst of
+// concurrent requests can briefly overshoot requests_per_minute.
+//
+// When a scope's tokens today reach 80% and then 100% of tokens_per_day, a
+// quota.threshold_crossed webhook event goes to the parent key's endpoints,
+// once per threshold per day (tracked in memory, per server process).
+
+export const NO_LIMITS: RateLimits = { requests_per_minute: null, tokens_per_day: null };
+
+const QUOTA_THRESHOLDS = [0.8, 1];
+
+let quotaDay = '';
+const crossedQuotaThresholds = new Set<string>();
+
+function notifyQuotaThresholds(
+  reply: FastifyReply,
+  parentKeyId: string | null,
+  scope: { column: 'parent_key_id' | 'agent_id'; id: string },
+  limit: number,
+  used: number,
+  resetsAt: number,
+) {
+  if (!parentKeyId) return;
+  const day = new Date().toISOString().slice(0, 10);
+  if (day !== quotaDay) {
+    quotaDay = day;
+    crossedQuotaThresholds.clear();
+  }
+  const threshold = [...QUOTA_THRESHOLDS].reverse().find(fraction => used >= limit * fraction);
+  if (threshold === undefined) return;
+  const key = `${scope.column}:${scope.id}:${threshold}`;
+  if (crossedQuotaThresholds.has(key)) return;
+  // Crossing straight to 100% also counts as having passed 80%
+  for (const fraction of QUOTA_THRESHOLDS) {
+    if (fraction <= threshold) crossedQuotaThresholds.add(`${scope.column}:${scope.id}:${fraction}`);
+  }
+  emitWebhookEvent(reply.log, parentKeyId, 'quota.threshold_crossed', {
+    scope: scope.column === 'agent_id' ? 'agent' : 'parent_key',
+    parent_key_id: parentKeyId,
+    agent_id: scope.column === 'agent_id' ? scope.id : null,
+    quota: 'tokens_per_day',
+    threshold,
+    limit,
+    used,
+    resets_at: resetsAt,
+  });
+}
+
+function isLimitValue(value: unknown): value is number | null {
+  return value === null || (typeof value === 'number' && Number.isInteger(value) && value > 0);
+}
+
+/** Read an agent YAML `limits:` block, ignoring anything invalid. */
+export function rateLimitsFromYaml(value: unknown): RateLimits {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return NO_LIMITS;
+  const record = value as Record<string, unknown>;
+  return {
+    requests_per_minute: isLimitValue(record.requests_per_minute) ? record.requests_per_minute : null,
+    tokens_per_day: isLimitValue(record.tokens_per_day) ? record.tokens_per_day : null,
+  };
+}
+
+type LimitCheck = { scope: string; limit: number; used: number; remaining: number; resetSeconds: number };
+
+// Of the scopes that set a limit, the one closest to running out decides.
+function tightest(current: LimitCheck | null, candidate: LimitCheck) {
+  return !current || candidate.remaining < current.remaining ? candidate : current;
+}
+
+/**
+ * Apply parent-key and agent quotas to a request. Always sets the OpenAI
+ * `x-ratelimit-*` headers for limits that apply. When a limit is exhausted it
+ * sets 429 plus `retry-after` and returns the error payload; otherwise null.
+ */
+export function enforceRateLimits(reply: FastifyReply, usageContext: UsageContext, agentLimits: RateLimits | null) {
+  const now = Date.now();
+  const minuteAgo = new Date(now - 60_000).toISOString();
+  const midnight = new Date(now);
+  midnight.setUTCHours(0, 0, 0, 0);
+  const secondsToMidnight = Math.ceil((midnight.getTime() + 86_400_000 - now) / 1000);
+
+  const scopes: Array<{ scope: string; column: 'parent_key_id' | 'agent_id'; id: string; limits: RateLimits }> = [];
+  if (usageContext.parentKeyId) {
+    scopes.push({ scope: 'parent key', column: 'parent_key_id', id: usageContext.parentKeyId, limits: agentStore.getParentKeyLimits(usageContext.parentKeyId) });
+  }
+  if (usageContext.agentId && agentLimits) {
+    scopes.push({ scope: 'agent', column: 'agent_id', id: usageContext.agentId, limits: agentLimits });
+  }
+
+  let requests: LimitCheck | null = null;
+  let tokens: LimitCheck | null = null;
+  for (const { scope, column, id, limits } of scopes) {
+    if (limits.requests_per_minute) {
+      const window = agentStore.getUsageSince(column, id, minuteAgo);
+      const resetMs = window.oldest_at ? Date.parse(window.oldest_at) + 60_000 - now : 0;
+      requests = tightest(requests, {
+        scope,
+        limit: limits.requests_per_minute,
+        used: window.requests,
+        remaining: Math.max(0, limits.requests_per_minute - window.requests),
+        resetSeconds: Math.max(1, Math.ceil(resetMs / 1000)),
+      });
+    }
+    if (limits.tokens_per_day) {
+      const window = agentStore.getUsageSince(column, id, midnight.toISOString());
+      notifyQuotaThresholds(reply, usageContext.parentKeyId, { column, id }, limits.tokens_per_day, window.tokens, Math.floor(midnight.getTime() / 1000) + 86_400);
+      tokens = tightest(tokens, {
+        scope,
+        limit: limits.tokens_per_day,
+        used: window.tokens,
+        remaining: Math.max(0, limits.tokens_per_day - window.tokens),
+        resetSeconds: secondsToMidnight,
+      });
+    }
+  }
+
+  if (requests) {
+    reply.header('x-ratelimit-limit-requests', String(requests.limit));
+    // This request uses one of the remaining slots
+    reply.header('x-ratelimit-remaining-requests', String(Math.max(0, requests.remaining - 1)));
+    reply.header('x-ratelimit-reset-requests', `${requests.resetSeconds}s`);
+  }
+  if (tokens) {
+    reply.header('x-ratelimit-limit-tokens', String(tokens.limit));
+    reply.header('x-ratelimit-remaining-tokens', String(tokens.remaining));
+    reply.header('x-ratelimit-reset-tokens', `${tokens.resetSeconds}s`);
+  }
+
+  const exceeded = requests && requests.remaining === 0 ? { check: requests, unit: 'requests per minute' }
+    : tokens && tokens.remaining === 0 ? { check: tokens, unit: 'tokens per day' }
+      : null;
+  if (!exceeded) return null;
+
+  const { check, unit } = exceeded;
+  reply.code(429);
+  reply.header('retry-after', String(check.resetSeconds));
+  return createError(
+    `Rate limit reached for ${unit} on this ${check.scope}: Limit ${check.limit}, Used ${check.used}. Please try again in ${check.resetSeconds}s.`,
+    'rate_limit_error',
+    null,
+    'rate_limit_exceeded',
+  );
+}
@@ -0,0 +1,293 @@
+import { AGENT_REDACTION_TYPES } from '../../../spec';
+import type { NonNullableMessage, ToolCall } from './types';
+import { isRecord } from './index';
+
+// --- PHI/PII redaction ---
+// Agent YAML can ask for identifiers to be replaced with placeholders before a
+// request is sent upstream, so the provider never sees them:
+//
+//   redaction:
+//     detect: [names, ssn, mrn, phone, email, dob]
+//     patterns:
+//       - name: chart_id
+//         regex: 'CH-\d{6}'
+//
+// Each distinct value gets a placeholder such as [NAME_1] or [CHART_ID_2],
+// stable for the whole request (tool rounds included). Placeholders in the
+// model's reply, streamed or not, are swapped back for the real values, so the
+// caller, the thread history and server-run tools only ever see real values.
+//
+// `names` and `dob` values come from tool results: string fields such as
+// `name`, `last_name` or `date_of_birth` in JSON tool output are learned and
+// then replaced wherever they appear in the conversation. `mrn` and `dob` also
+// match labelled values in text ("MRN: 123456", "DOB 01/02/1960"). A custom
+// pattern with a capture group only replaces the first group. Custom patterns
+// run over every message, so agent validation keeps them short and rejects
+// nested repeats such as (a+)+ (see RegexStringSchema in the spec).
+//
+// Detection is pattern based. It lowers what reaches the provider; it doesn't
+// guarantee that nothing identifying does.
+
+export type RedactionType = typeof AGENT_REDACTION_TYPES[number];
+
+type Detector = { label: string; regex: RegExp };
+
+export type RedactionPolicy = {
+  detect: RedactionType[];
+  patterns: Detector[];
+};
+
+const DATE = String.raw`\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|\d{4}-\d{2}-\d{2}|(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.? \d{1,2},? \d{4}`;
+
+// Run in this order; custom patterns run after them
+const DETECTORS: Record<Exclude<RedactionType, 'names'>, Detector> = {
+  ssn: { label: 'SSN', regex: /\b\d{3}-\d{2}-\d{4}\b/g },
+  mrn: { label: 'MRN', regex: /\b(?:MRN|medical record (?:number|no\.?|#))\s*[:#]?\s*([A-Z]{0,3}\d[\dA-Z-]*)/gi },
+  dob: { label: 'DOB', regex: new RegExp(String.raw`\b(?:DOB|D\.O\.B\.?|date of birth|birth ?date|born(?: on)?)\s*[:-]?\s*(${DATE})`, 'gi') },
+  phone: { label: 'PHONE', regex: /(?<![\w-])(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}(?![\w-])/g },
+  email: { label: 'EMAIL', regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+};
+
+// Tool result fields whose string values are learned as names or dates of birth
+const NAME_FIELD = /^(?:(?:patient|full|first|last|middle|given|family|preferred|display)_?)?name$|^(?:given|family|surname)$/i;
+const DOB_FIELD = /^(?:dob|birth_?date|date_?of_?birth)$/i;
+
+const PLACEHOLDER = /\[[A-Z][A-Z0-9_]*_\d+\]/g;
+const PLACEHOLDER_SPLIT = /(\[[A-Z][A-Z0-9_]*_\d+\])/;
+// A stream holds back a trailing `[LABEL_` until it can tell whether it is a placeholder
+const PLACEHOLDER_PREFIX = /\[[A-Z0-9_]*$/;
+const MAX_PLACEHOLDER_LENGTH = 48;
+
+const REDACTION_NOTE = 'Some personal details in this conversation were replaced with placeholders such as [NAME_1]. '
+  + 'Use the placeholders exactly as written when you refer to those details.';
+
+// Streamed delta fields that carry text
+const TEXT_FIELDS = ['content', 'thinking', 'reasoning_content'] as const;
+
+function escapeRegex(text: string) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Read an agent YAML `redaction:` block; null when it asks for nothing. */
+export function redactionFromYaml(value: unknown): RedactionPolicy | null {
+  if (!isRecord(value)) return null;
+  const detect = Array.isArray(value.detect)
+    ? [...new Set(value.detect.filter((type): type is RedactionType => (AGENT_REDACTION_TYPES as readonly unknown[]).includes(type)))]
+    : [];
+  const patterns = Array.isArray(value.patterns)
+    ? value.patterns.flatMap((entry): Detector[] => {
+      if (!isRecord(entry) || typeof entry.name !== 'string' || typeof entry.regex !== 'string' || !entry.regex) return [];
+      try {
+        return [{ label: entry.name.toUpperCase(), regex: new RegExp(entry.regex, 'g') }];
+      } catch {
+        return [];
+      }
+    })
+    : [];
+  return detect.length > 0 || patterns.length > 0 ? { detect, patterns } : null;
+}
+
+export type Redactor = ReturnType<typeof createRedactor>;
+
+/** Placeholder state for one request. */
+export function createRedactor(policy: RedactionPolicy) {
+  const detectors = [
+    ...(Object.keys(DETECTORS) as Array<keyof typeof DETECTORS>).filter(type => policy.detect.includes(type)).map(type => DETECTORS[type]),
+    ...policy.patterns,
+  ];
+  const learnNames = policy.detect.includes('names');
+  const learnDob = policy.detect.includes('dob');
+
+  const placeholders = new Map<string, string>(); // value → placeholder
+  const values = new Map<string, string>();       // placeholder → value
+  const counts: Record<string, number> = {};
+  // Values replaced wherever they appear, by label: those learned from tool
+  // results and those a detector already found (an MRN in the user's text is
+  // also caught when the model passes it back as a bare tool argument)
+  const learned = new Map<string, string>();
+  let learnedRegex: RegExp | null = null;
+
+  const learn = (label: string, value: string) => {
+    const trimmed = value.trim();
+    if (trimmed.length < 2 || learned.has(trimmed)) return;
+    learned.set(trimmed, label);
+    learnedRegex = null;
+  };
+
+  const placeholderFor = (label: string, value: string) => {
+    let placeholder = placeholders.get(value);
+    if (!placeholder) {
+      counts[label] = (counts[label] ?? 0) + 1;
+      placeholder = `[${label}_${counts[label]}]`;
+      placeholders.set(value, placeholder);
+      values.set(placeholder, value);
+      learn(label, value);
+    }
+    return placeholder;
+  };
+
+  const learnFromToolResult = (value: unknown, field: string | null) => {
+    if (Array.isArray(value)) {
+      for (const item of value) learnFromToolResult(item, field);
+    } else if (isRecord(value)) {
+      for (const [key, item] of Object.entries(value)) learnFromToolResult(item, key);
+    } else if (typeof value === 'string' && field) {
+      if (learnNames && NAME_FIELD.test(field)) {
+        learn('NAME', value);
+        // "Jane Q. Doe" is also matched as "Doe" or "Jane"
+        for (const part of value.split(/[\s,]+/)) {
+          if (/^\p{Lu}[\p{L}'-]+$/u.test(part)) learn('NAME', part);
+        }
+      }
+      if (learnDob && DOB_FIELD.test(field)) learn('DOB', value);
+    }
+  };
+
+  // Apply `regex` to the parts of `text` that aren't placeholders already
+  const replaceOutsidePlaceholders = (text: string, regex: RegExp, label: (match: string) => string) => {
+    return text.split(PLACEHOLDER_SPLIT).map((segment, index) => {
+      if (index % 2 === 1) return segment;
+      return segment.replace(regex, (match: string, ...rest: unknown[]) => {
+        const group = typeof rest[0] === 'string' ? rest[0] : null;
+        if (group) {
+          const at = match.indexOf(group);
+          return match.slice(0, at) + placeholderFor(label(group), group) + match.slice(at + group.length);
+        }
+        return match ? placeholderFor(label(match), match) : match;
+      });
+    }).join('');
+  };
+
+  const redactText = (text: string) => {
+    if (!text) return text;
+    let result = text;
+    if (learned.size > 0) {
+      // Longest first, so a full name wins over its parts
+      learnedRegex ??= new RegExp(
+        `(?<![\\p{L}\\d])(?:${[...learned.keys()].sort((a, b) => b.length - a.length).map(escapeRegex).join('|')})(?![\\p{L}\\d])`,
+        'gu',
+      );
+      result = replaceOutsidePlaceholders(result, learnedRegex, match => learned.get(match)!);
+    }
+    for (const detector of detectors) {
+      result = replaceOutsidePlaceholders(result, detector.regex, () => detector.label);
+    }
+    return result;
+  };
+
+  const redactContent = (content: NonNullableMessage['content']): NonNullableMessage['content'] => {
+    if (typeof content === 'string') return redactText(content);
+    if (!Array.isArray(content)) return content;
+    return content.map(part => (isRecord(part) && part.type === 'text' && typeof part.text === 'string'
+      ? { ...part, text: redactText(part.text) }
+      : part)) as NonNullableMessage['content'];
+  };
+
+  const restore = (text: string, asJsonString = false) => text.replace(PLACEHOLDER, (placeholder) => {
+    const value = values.get(placeholder);
+    if (value === undefined) return placeholder;
+    return asJsonString ? JSON.stringify(value).slice(1, -1) : value;
+  });
+
+  const learnFromMessages = (messages: Array<{ role: string; content?: unknown }>) => {
+    if (!learnNames && !learnDob) return;
+    for (const message of messages) {
+      if (message.role !== 'tool' || typeof message.content !== 'string') continue;
+      try {
+        learnFromToolResult(JSON.parse(message.content), null);
+      } catch {
+        // Plain-text tool output has no fields to learn from
+      }
+    }
+  };
+
+  return {
+    policy,
+
+    /** Read names and dates of birth from the tool results in `messages`. */
+    learn: learnFromMessages,
+
+    /** `text` with every identifier found so far, or found in it, replaced. */
+    text: redactText,
+
+    /**
+     * Copy of `messages` as the provider should see them. Tool results are
+     * read for names first, so earlier turns are redacted with them too.
+     */
+    messages(messages: NonNullableMessage[]): NonNullableMessage[] {
+      learnFromMessages(messages);
+      const redactAll = () => messages.map((message): NonNullableMessage => ({
+        ...message,
+        content: redactContent(message.content),
+        ...(message.tool_calls && {
+          tool_calls: message.tool_calls.map((call): ToolCall => ({ ...call, function: { ...call.function, arguments: redactText(call.function.arguments) } })),
+        }),
+      }));
+      // A value first found in a later message may also sit, unlabelled, in an earlier one
+      const known = learned.size;
+      let redacted = redactAll();
+      if (learned.size > known) redacted = redactAll();
+      if (values.size === 0) return redacted;
+      if (redacted[0]?.role === 'system' && typeof redacted[0].content === 'string') {
+        redacted[0] = { ...redacted[0], content: `${redacted[0].content}\n\n${REDACTION_NOTE}` };
+      } else {
+        redacted.unshift({ role: 'system', content: REDACTION_NOTE });
+      }
+      return redacted;
+    },
+
+    /** Swap placeholders back in a complete assistant message, in place. */
+    restoreMessage(message: Record<string, unknown>) {
+      for (const field of TEXT_FIELDS) {
+        if (typeof message[field] === 'string') message[field] = restore(message[field] as string);
+      }
+      if (Array.isArray(message.tool_calls)) {
+        for (const call of message.tool_calls as ToolCall[]) {
+          if (typeof call.function?.arguments === 'string') call.function.arguments = restore(call.function.arguments, true);
+        }
+      }
+    },
+
+    /**
+     * Restorer for one streamed reply. A placeholder can be split across
+     * chunks, so a trailing `[LABEL_` is held back until the next chunk, or
+     * until `finish` flushes everything.
+     */
+    streamRestorer() {
+      const pending = new Map<string, string>();
+      const take = (key: string, text: string, asJsonString: boolean, finish: boolean) => {
+        const buffered = (pending.get(key) ?? '') + text;
+        let cut = buffered.length;
+        if (!finish) {
+          const open = buffered.lastIndexOf('[');
+          if (open !== -1 && buffered.length - open <= MAX_PLACEHOLDER_LENGTH && PLACEHOLDER_PREFIX.test(buffered.slice(open))) cut = open;
+        }
+        pending.set(key, buffered.slice(cut));
+        return restore(buffered.slice(0, cut), asJsonString);
+      };
+      return {
+        /** Restore a chunk's delta in place */
+        delta(delta: Record<string, unknown>, finish: boolean) {
+          for (const field of TEXT_FIELDS) {
+            if (typeof delta[field] === 'string' || (finish && pending.get(field))) {
+              delta[field] = take(field, (delta[field] as string | undefined) ?? '', false, finish);
+            }
+          }
+          const calls = Array.isArray(delta.tool_calls) ? delta.tool_calls as Array<{ index?: number; function?: { arguments?: string } }> : [];
+          for (const call of calls) {
+            if (typeof call.function?.arguments === 'string') {
+              call.function.arguments = take(`tool:${call.index ?? 0}`, call.function.arguments, true, finish);
+            }
+          }
+          if (!finish) return;
+          for (const [key, rest] of pending) {
+            if (!key.startsWith('tool:') || !rest) continue;
+            calls.push({ index: Number(key.slice('tool:'.length)), function: { arguments: restore(rest, true) } });
+            pending.set(key, '');
+          }
+          if (calls.length > 0) delta.tool_calls = calls;
+        },
+      };
+    },
+  };
+}
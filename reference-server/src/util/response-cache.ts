@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+import type { FastifyRequest } from 'fastify';
+import { parsePositiveEnvNumber } from './index';
+import { responseCacheStore, type ResponseCacheEntry } from '../storage/response-cache';
+import { recordResponseCache } from './metrics';
+import type { UsageContext } from './types';
+
+// --- Response cache ---
+// Opt-in cache for requests that give the same answer every time: chat
+// completions at temperature 0 (streamed or not) and embeddings. The key is a
+// hash of the request as it would be sent upstream, after the agent system
+// prompt is injected and tools are filtered, so two agents with different
+// instructions never share entries. Entries are also scoped to the parent key.
+//
+// RESPONSE_CACHE_ENABLED=true turns it on for every caller; an agent can opt in
+// or out, and set its own TTL, in its YAML:
+//
+//   cache:
+//     enabled: true
+//     ttl_seconds: 600
+//
+// Cacheable requests get `x-ozwell-cache: hit` or `miss`. Only clean answers
+// are stored: no failover warning, no mock reply, no server-run tool rounds,
+// and no thread (a thread's history changes with every turn). Hits are
+// recorded as usage without tokens, since no provider was called.
+
+export const CACHE_HEADER = 'x-ozwell-cache';
+
+const RESPONSE_CACHE_ENABLED = process.env.RESPONSE_CACHE_ENABLED === 'true';
+const RESPONSE_CACHE_TTL_SECONDS = parsePositiveEnvNumber('RESPONSE_CACHE_TTL_SECONDS') ?? 3600;
+
+export type ResponseCacheSettings = { enabled: boolean; ttl_seconds: number };
+
+/** Settings for a caller: the agent YAML `cache:` block over the server defaults. */
+export function cacheSettingsFromYaml(value: unknown): ResponseCacheSettings {
+  const block = value && typeof value === 'object' && !Array.isArray(value) ? value as Record<string, unknown> : {};
+  const ttl = block.ttl_seconds;
+  return {
+    enabled: typeof block.enabled === 'boolean' ? block.enabled : RESPONSE_CACHE_ENABLED,
+    ttl_seconds: typeof ttl === 'number' && Number.isInteger(ttl) && ttl > 0 ? ttl : RESPONSE_CACHE_TTL_SECONDS,
+  };
+}
+
+// Object keys sorted at every level, so key order in the request doesn't matter
+function canonicalJson(value: unknown): string {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value as Record<string, unknown>)
+      .filter(([, item]) => item !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    return `{${entries.map(([key, item]) => `${JSON.stringify(key)}:${canonicalJson(item)}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export type ResponseCache = {
+  /** The stored reply, if any; counts a hit or a miss */
+  lookup(): ResponseCacheEntry | null;
+  store(body: string, model: string | null): void;
+};
+
+/**
+ * Cache handle for one request. `request` is everything that decides the
+ * answer (route, model, messages, tools, sampling parameters, whether it
+ * streams); it is hashed together with the parent key.
+ */
+export function responseCacheFor(
+  fastifyRequest: FastifyRequest,
+  usageContext: UsageContext,
+  settings: ResponseCacheSettings,
+  route: string,
+  request: Record<string, unknown>,
+): ResponseCache {
+  const stream = request.stream === true;
+  const key = crypto.createHash('sha256')
+    .update(canonicalJson({ parent_key_id: usageContext.parentKeyId, route, request }))
+    .digest('hex');
+  return {
+    lookup() {
+      let entry: ResponseCacheEntry | null = null;
+      try {
+        entry = responseCacheStore.get(key);
+      } catch (err) {
+        fastifyRequest.log.warn({ err }, 'Response cache lookup failed');
+      }
+      recordResponseCache(route, entry ? 'hit' : 'miss');
+      return entry;
+    },
+    store(body, model) {
+      try {
+        responseCacheStore.set({
+          key,
+          route,
+          parent_key_id: usageContext.parentKeyId,
+          agent_id: usageContext.agentId,
+          model,
+          stream,
+          body,
+        }, settings.ttl_seconds);
+      } catch (err) {
+        fastifyRequest.log.warn({ err }, 'Failed to store response in cache');
+      }
+    },
+  };
+}
@@ -0,0 +1,127 @@
+// --- Local speech synthesizer ---
+// /v1/audio/speech answers from this when no provider is configured, so
+// clients and tests get real audio offline. It is not speech: each letter is
+// a short voiced tone and spaces and punctuation are pauses, so the clip has
+// the rhythm and length of the text read aloud.
+//
+//   synthesizeSpeech('Hello there.', { voice: 'nova', speed: 1.5 })
+//   // → 16-bit mono PCM at 24 kHz, the format OpenAI's `pcm` output uses
+//
+// The voice sets the pitch and the speed scales every duration. The same
+// input always gives the same samples. Rendering runs on the request thread,
+// so clips stop at MAX_CLIP_SECONDS however long or slow the input is.
+
+export const SAMPLE_RATE = 24000;
+export const MAX_CLIP_SECONDS = 120;
+const MAX_SAMPLES = MAX_CLIP_SECONDS * SAMPLE_RATE;
+const WAV_HEADER_BYTES = 44;
+
+const LETTER_MS = 55;
+const WORD_GAP_MS = 70;
+const PAUSE_MS = 250;
+// Attack and release of each tone, to avoid clicks
+const RAMP_MS = 8;
+const AMPLITUDE = 0.3 * 32767;
+
+// Base pitch per voice, in Hz; other voice names get one from their letters
+const VOICE_PITCH: Record<string, number> = {
+  alloy: 180,
+  ash: 130,
+  ballad: 150,
+  coral: 210,
+  echo: 120,
+  fable: 170,
+  nova: 230,
+  onyx: 100,
+  sage: 190,
+  shimmer: 250,
+  verse: 140,
+};
+
+// Semitone steps of a pentatonic scale, so letters move the pitch without sounding random
+const SCALE = [0, 2, 4, 7, 9, 12];
+
+export type SpeechOptions = {
+  voice: string;
+  speed?: number;
+  /** `wav` puts a RIFF header in front of the samples; default `pcm` */
+  format?: 'pcm' | 'wav';
+};
+
+function voicePitch(voice: string): number {
+  const known = VOICE_PITCH[voice.toLowerCase()];
+  if (known) return known;
+  let hash = 0;
+  for (const ch of voice) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return 100 + (hash % 150);
+}
+
+/**
+ * Render text as 16-bit little-endian mono PCM at SAMPLE_RATE, raw or as a
+ * WAV file. Audio past MAX_CLIP_SECONDS is cut off.
+ */
+export function synthesizeSpeech(input: string, options: SpeechOptions): Buffer {
+  const speed = options.speed ?? 1;
+  const base = voicePitch(options.voice);
+  const samplesFor = (ms: number) => Math.round((ms / speed / 1000) * SAMPLE_RATE);
+
+  // Plan the clip first: a pitch per letter, or null for silence
+  const segments: Array<{ pitch: number | null; samples: number }> = [];
+  let total = 0;
+  const add = (pitch: number | null, ms: number) => {
+    const samples = Math.min(samplesFor(ms), MAX_SAMPLES - total);
+    segments.push({ pitch, samples });
+    total += samples;
+  };
+  for (const ch of input) {
+    if (total >= MAX_SAMPLES) break;
+    if (/[\p{L}\p{N}]/u.test(ch)) {
+      const step = SCALE[ch.toLowerCase().codePointAt(0)! % SCALE.length];
+      add(base * 2 ** (step / 12), LETTER_MS);
+    } else if (/[.,;:!?\n]/.test(ch)) {
+      add(null, PAUSE_MS);
+    } else if (/\s/.test(ch)) {
+      add(null, WORD_GAP_MS);
+    }
+  }
+  if (segments.length === 0) add(null, PAUSE_MS);
+
+  // One allocation for the header and the samples
+  const headerBytes = options.format === 'wav' ? WAV_HEADER_BYTES : 0;
+  const out = Buffer.alloc(headerBytes + total * 2);
+  if (headerBytes) writeWavHeader(out, total * 2);
+  const ramp = samplesFor(RAMP_MS);
+  let offset = headerBytes;
+  for (const { pitch, samples } of segments) {
+    if (pitch !== null) {
+      for (let i = 0; i < samples; i++) {
+        const t = i / SAMPLE_RATE;
+        const envelope = Math.min(1, i / ramp, (samples - i) / ramp);
+        // A few harmonics make it sound voiced rather than like a test tone
+        const wave = 0.6 * Math.sin(2 * Math.PI * pitch * t)
+          + 0.25 * Math.sin(4 * Math.PI * pitch * t)
+          + 0.15 * Math.sin(6 * Math.PI * pitch * t);
+        out.writeInt16LE(Math.round(wave * envelope * AMPLITUDE), offset + i * 2);
+      }
+    }
+    offset += samples * 2;
+  }
+  return out;
+}
+
+// Fill in the 44-byte WAV (RIFF) header for dataBytes of PCM
+function writeWavHeader(header: Buffer, dataBytes: number) {
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);              // fmt chunk size
+  header.writeUInt16LE(1, 20);               // PCM
+  header.writeUInt16LE(1, 22);               // mono
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32);               // block align
+  header.writeUInt16LE(16, 34);              // bits per sample
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataBytes, 40);
+}
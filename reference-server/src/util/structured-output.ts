@@ -0,0 +1,136 @@
+import { parsePositiveEnvNumber, isRecord } from './index';
+import { sampleFromJsonSchema, validateJsonSchema } from './json-schema';
+
+// --- Structured output (response_format) ---
+// Chat requests can ask for JSON:
+//
+//   "response_format": {
+//     "type": "json_schema",
+//     "json_schema": { "name": "triage", "strict": false, "schema": { ... } }
+//   }
+//
+// The format is still passed upstream, but backends (small local models above
+// all) don't always honour it, so the reply is checked here too (json-schema.ts).
+// Without `strict: true`, common faults are repaired first: code fences, prose
+// around the value, trailing commas and output cut off mid-value. A reply that
+// still fails is asked for again with the problems listed, up to
+// JSON_SCHEMA_MAX_RETRIES times. `json_object` is checked as "any JSON object".
+
+const MAX_RETRIES_ENV = 'JSON_SCHEMA_MAX_RETRIES';
+// 0 is a valid setting here (check and repair, never ask again)
+export const JSON_SCHEMA_MAX_RETRIES = process.env[MAX_RETRIES_ENV]?.trim() === '0' ? 0 : Math.floor(parsePositiveEnvNumber(MAX_RETRIES_ENV) ?? 2);
+
+export type StructuredOutputSpec = {
+  name: string;
+  schema: Record<string, unknown>;
+  strict: boolean;
+};
+
+export type StructuredOutputCheck =
+  | { valid: true; content: string; repaired: boolean }
+  | { valid: false; errors: string[] };
+
+/** The schema a request's response_format asks for; null when it asks for none. */
+export function structuredOutputFor(responseFormat: unknown): StructuredOutputSpec | null {
+  if (!isRecord(responseFormat)) return null;
+  if (responseFormat.type === 'json_object') return { name: 'json_object', schema: { type: 'object' }, strict: false };
+  if (responseFormat.type !== 'json_schema' || !isRecord(responseFormat.json_schema)) return null;
+  const { name, schema, strict } = responseFormat.json_schema;
+  return {
+    name: typeof name === 'string' && name ? name : 'response',
+    schema: isRecord(schema) ? schema : {},
+    strict: strict === true,
+  };
+}
+
+function parse(text: string): { value: unknown; error: null } | { value: null; error: string } {
+  try {
+    return { value: JSON.parse(text), error: null };
+  } catch {
+    return { value: null, error: '$ is not valid JSON' };
+  }
+}
+
+// A trailing number or literal that is already complete, e.g. `42` or `true`
+const COMPLETE_SCALAR = /(?:true|false|null|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)$/;
+
+/**
+ * Best-effort fix of a JSON reply: returns the repaired text, or null when no
+ * JSON value can be found. The result may still not parse.
+ */
+export function repairJson(text: string): string | null {
+  let candidate = text.trim();
+  // Code fences, with or without the closing fence
+  const fence = candidate.match(/```[\w-]*[ \t]*\n?([\s\S]*?)(?:```|$)/);
+  if (fence) candidate = fence[1].trim();
+  // Prose before the value
+  const start = candidate.search(/[{[]/);
+  if (start === -1) return null;
+  candidate = candidate.slice(start);
+
+  let out = '';
+  const closers: string[] = [];
+  let inString = false;
+  let escaped = false;
+  for (const ch of candidate) {
+    if (inString) {
+      out += ch;
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      closers.push(ch === '{' ? '}' : ']');
+    } else if (ch === '}' || ch === ']') {
+      // Trailing comma before the close
+      out = out.replace(/,\s*$/, '');
+      closers.pop();
+      // Anything after the value (prose, a second value) is dropped
+      if (closers.length === 0) return out + ch;
+    }
+    out += ch;
+  }
+
+  // Cut off mid-value: finish the open string, drop a half-written entry, close what is open
+  if (inString) out = (escaped ? out.slice(0, -1) : out) + '"';
+  out = out.replace(/\s+$/, '');
+  if (!COMPLETE_SCALAR.test(out) && !/["}\]]$/.test(out)) out = out.replace(/[\w.+-]+$/, '');
+  out = out.replace(/,?\s*"(?:[^"\\]|\\.)*"\s*:\s*$/, '');
+  if (closers.at(-1) === '}') out = out.replace(/([{,])\s*"(?:[^"\\]|\\.)*"$/, '$1');
+  out = out.replace(/[,:]\s*$/, '');
+  return out + closers.reverse().join('');
+}
+
+/** Check a reply against the spec, repairing it when the spec allows. */
+export function checkStructuredOutput(spec: StructuredOutputSpec, content: string): StructuredOutputCheck {
+  const parsed = parse(content.trim());
+  const errors = parsed.error !== null ? [parsed.error] : validateJsonSchema(parsed.value, spec.schema);
+  if (errors.length === 0) return { valid: true, content, repaired: false };
+  if (spec.strict) return { valid: false, errors };
+
+  const candidate = repairJson(content);
+  if (candidate === null) return { valid: false, errors };
+  const repaired = parse(candidate);
+  if (repaired.error !== null) return { valid: false, errors };
+  // Once it parses, the schema problems are the useful ones to report
+  const repairedErrors = validateJsonSchema(repaired.value, spec.schema);
+  if (repairedErrors.length > 0) return { valid: false, errors: repairedErrors };
+  return { valid: true, content: JSON.stringify(repaired.value), repaired: true };
+}
+
+/** The follow-up message that asks the model to try again. */
+export function structuredOutputCorrection(spec: StructuredOutputSpec, errors: string[]): string {
+  return [
+    `Your previous reply does not match the required JSON schema "${spec.name}":`,
+    ...errors.map(error => `- ${error}`),
+    'Reply again with only the corrected JSON value: no code fences, no commentary.',
+  ].join('\n');
+}
+
+/** A conforming sample, for mock backends. */
+export function sampleStructuredOutput(spec: StructuredOutputSpec): string {
+  return JSON.stringify(sampleFromJsonSchema(spec.schema));
+}
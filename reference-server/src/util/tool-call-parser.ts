@@ -0,0 +1,212 @@
+import type { ToolCall, ToolCallDelta } from './types';
+import { isRecord } from './index';
+
+// --- Tool call markup ---
+// Open-weight models served without a tool parser write their calls into the
+// reply text, in their chat template's own format:
+//
+//   Hermes / Qwen   <tool_call>{"name": "get_weather", "arguments": {"city": "Paris"}}</tool_call>
+//   Mistral         [TOOL_CALLS][{"name": "get_weather", "arguments": {"city": "Paris"}}]
+//   Llama 3.x       <|python_tag|>{"name": "get_weather", "parameters": {"city": "Paris"}}<|eom_id|>
+//
+// These become OpenAI-style tool calls and the markup is removed from the
+// content. Prose around the calls stays content, and a message may hold
+// several calls. Streams are parsed as they arrive: each call goes out as a
+// tool_calls delta as soon as its JSON is complete. Markup whose JSON doesn't
+// parse is left in the content as written.
+
+type MarkupFormat = {
+  open: string;
+  // Markers that end the block; with none, the block is a single JSON value
+  close: string[];
+};
+
+const FORMATS: MarkupFormat[] = [
+  { open: '<tool_call>', close: ['</tool_call>'] },
+  { open: '[TOOL_CALLS]', close: [] },
+  { open: '<|python_tag|>', close: ['<|eom_id|>', '<|eot_id|>'] },
+];
+
+// Max markup held back while waiting for a call to complete
+const MAX_MARKUP_BUFFER = 64 * 1024;
+
+export type ToolCallParseResult = { content: string; calls: ToolCallDelta[] };
+
+export type ToolCallParser = {
+  /** Parse the next piece of content; returns the content to pass on and the calls completed by it */
+  push(text: string): ToolCallParseResult;
+  /** End of the message: whatever is still held back */
+  flush(): ToolCallParseResult;
+};
+
+// Index just past the JSON object or array starting at `start`; -1 while incomplete
+function jsonValueEnd(text: string, start: number): number {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') depth++;
+    else if ((ch === '}' || ch === ']') && --depth === 0) return i + 1;
+  }
+  return -1;
+}
+
+// The calls in one JSON value: a call object or a list of them. Null when it isn't that.
+function callsIn(json: string): Array<{ name: string; arguments: string }> | null {
+  let value: unknown;
+  try {
+    value = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  const calls = [];
+  for (const item of Array.isArray(value) ? value : [value]) {
+    if (!isRecord(item)) return null;
+    const fn = isRecord(item.function) ? item.function : item;
+    if (typeof fn.name !== 'string' || !fn.name) return null;
+    const args = fn.arguments ?? fn.parameters ?? {};
+    calls.push({ name: fn.name, arguments: typeof args === 'string' ? args : JSON.stringify(args) });
+  }
+  return calls.length > 0 ? calls : null;
+}
+
+// Length of the tail of `text` that could be the start of a marker
+function partialMarkerLength(text: string): number {
+  for (let n = Math.min(text.length, Math.max(...FORMATS.map(f => f.open.length)) - 1); n > 0; n--) {
+    const tail = text.slice(-n);
+    if (FORMATS.some(f => f.open.startsWith(tail))) return n;
+  }
+  return 0;
+}
+
+/** A parser for one assistant message, fed its content piece by piece. */
+export function createToolCallParser(): ToolCallParser {
+  let buffer = '';
+  // The block being read, and its markup not yet turned into calls
+  let format: MarkupFormat | null = null;
+  let raw = '';
+  let count = 0;
+
+  const run = (final: boolean): ToolCallParseResult => {
+    let content = '';
+    const calls: ToolCallDelta[] = [];
+    // The block isn't tool calls after all: hand its markup back as content
+    const giveBack = () => {
+      content += raw + buffer;
+      buffer = '';
+      raw = '';
+      format = null;
+    };
+
+    for (;;) {
+      if (!format) {
+        let next: { at: number; format: MarkupFormat } | null = null;
+        for (const f of FORMATS) {
+          const at = buffer.indexOf(f.open);
+          if (at !== -1 && (!next || at < next.at)) next = { at, format: f };
+        }
+        if (!next) {
+          const keep = final ? 0 : partialMarkerLength(buffer);
+          content += buffer.slice(0, buffer.length - keep);
+          buffer = buffer.slice(buffer.length - keep);
+          break;
+        }
+        content += buffer.slice(0, next.at);
+        format = next.format;
+        raw = format.open;
+        buffer = buffer.slice(next.at + format.open.length);
+        continue;
+      }
+
+      const skipped = buffer.match(/^[\s;,]*/)![0];
+      const rest = buffer.slice(skipped.length);
+      const close = format.close.find(marker => rest.startsWith(marker));
+      if (close) {
+        buffer = rest.slice(close.length);
+        format = null;
+        raw = '';
+        continue;
+      }
+      if (!rest || (!final && format.close.some(marker => marker.startsWith(rest)))) {
+        // Nothing more in this block yet; at the end a missing close marker is fine
+        if (final) {
+          buffer = '';
+          format = null;
+          raw = '';
+        }
+        break;
+      }
+      if (rest[0] !== '{' && rest[0] !== '[') {
+        giveBack();
+        continue;
+      }
+      const end = jsonValueEnd(rest, 0);
+      if (end === -1) {
+        if (final || buffer.length > MAX_MARKUP_BUFFER) giveBack();
+        else break;
+        continue;
+      }
+      const found = callsIn(rest.slice(0, end));
+      if (!found) {
+        giveBack();
+        continue;
+      }
+      for (const call of found) {
+        calls.push({ index: count, id: `call_${Date.now()}_${count}`, type: 'function', function: call });
+        count++;
+      }
+      buffer = rest.slice(end);
+      raw = '';
+      if (format.close.length === 0) format = null;
+    }
+    return { content, calls };
+  };
+
+  return {
+    push(text: string) {
+      // Fast path: no markup in sight
+      if (!format && !buffer && !/[<[]/.test(text)) return { content: text, calls: [] };
+      buffer += text;
+      return run(false);
+    },
+    flush() {
+      return run(true);
+    },
+  };
+}
+
+/** Parse a whole message; null when it holds no tool call markup. */
+export function parseToolCallMarkup(text: string): { content: string; calls: ToolCall[] } | null {
+  const parser = createToolCallParser();
+  const pushed = parser.push(text);
+  const flushed = parser.flush();
+  const calls = [...pushed.calls, ...flushed.calls];
+  if (calls.length === 0) return null;
+  return {
+    content: (pushed.content + flushed.content).trim(),
+    calls: calls.map(call => ({ id: call.id!, type: 'function', function: { name: call.function!.name!, arguments: call.function!.arguments! } })),
+  };
+}
+
+/**
+ * Parse a stream chunk's delta in place: the markup leaves `delta.content` and
+ * the calls it completes are added to `delta.tool_calls`. Returns those calls.
+ */
+export function parseDeltaToolCalls(parser: ToolCallParser, delta: Record<string, unknown>, finish: boolean): ToolCallDelta[] {
+  const pushed = typeof delta.content === 'string' ? parser.push(delta.content) : { content: '', calls: [] };
+  const flushed = finish ? parser.flush() : { content: '', calls: [] };
+  const content = pushed.content + flushed.content;
+  const calls = [...pushed.calls, ...flushed.calls];
+  if (content) delta.content = content;
+  else delete delta.content;
+  if (calls.length > 0) delta.tool_calls = [...(Array.isArray(delta.tool_calls) ? delta.tool_calls : []), ...calls];
+  return calls;
+}
@@ -0,0 +1,106 @@
+import { createError, isRecord } from './index';
+import { jsonSchemaError, validateJsonSchema } from './json-schema';
+import type { NonNullableMessage, ToolCall, ToolDef } from './types';
+
+// --- Tool call validation ---
+// Every tool call a model makes is checked against the `function.parameters`
+// schema of the tool it names (json-schema.ts), before the server runs it or
+// hands it to the client. What happens to a bad call is set per agent:
+//
+//   toolValidation:
+//     on_error: reprompt    # or error
+//     max_retries: 2
+//
+// `reprompt` (the default) answers the call with a tool message listing the
+// problems and asks the model again, up to `max_retries` times. `error`, or
+// running out of retries, fails with `tool_call_validation_error` and the
+// problems per call; arguments are never echoed back. While a streamed turn
+// may still be re-prompted, its text is held until its calls are checked.
+
+const DEFAULT_MAX_RETRIES = 2;
+
+export type ToolValidationPolicy = {
+  on_error: 'reprompt' | 'error';
+  max_retries: number;
+};
+
+export type ToolCallProblem = {
+  index: number;
+  id: string;
+  name: string;
+  errors: string[];
+};
+
+/** Read an agent YAML `toolValidation:` block; also the policy for callers without one. */
+export function toolValidationFromYaml(value: unknown): ToolValidationPolicy {
+  const entry = isRecord(value) ? value : {};
+  const maxRetries = entry.max_retries;
+  return {
+    on_error: entry.on_error === 'error' ? 'error' : 'reprompt',
+    max_retries: typeof maxRetries === 'number' && Number.isInteger(maxRetries) && maxRetries >= 0 ? maxRetries : DEFAULT_MAX_RETRIES,
+  };
+}
+
+/**
+ * Check tool calls against the declared tools. Calls to tools that aren't
+ * declared are problems too; with no tools declared there is nothing to check.
+ */
+export function validateToolCalls(calls: ToolCall[] | undefined, tools: ToolDef[] | undefined): ToolCallProblem[] {
+  if (!calls?.length || !tools?.length) return [];
+  const problems: ToolCallProblem[] = [];
+  calls.forEach((call, index) => {
+    const name = call.function?.name ?? '';
+    const tool = tools.find(t => t.function.name === name);
+    let errors: string[];
+    if (!tool) {
+      errors = [`${name || 'The tool name'} is not one of the available tools`];
+    } else {
+      let args: unknown;
+      try {
+        args = JSON.parse(call.function.arguments || '{}');
+      } catch {
+        args = undefined;
+      }
+      errors = args === undefined
+        ? ['$ is not valid JSON']
+        : validateJsonSchema(args, tool.function.parameters ?? { type: 'object' });
+    }
+    if (errors.length > 0) problems.push({ index, id: call.id, name, errors });
+  });
+  return problems;
+}
+
+/** A 400 error for the first declared tool whose parameters can't be checked (see json-schema.ts); null when all can. */
+export function toolSchemaError(tools: ToolDef[] | undefined) {
+  for (const tool of tools ?? []) {
+    const problem = tool.function?.parameters === undefined ? null : jsonSchemaError(tool.function.parameters);
+    if (problem) return createError(`Invalid parameters schema for tool '${tool.function.name}': ${problem}`, 'invalid_request_error', 'tools');
+  }
+  return null;
+}
+
+/**
+ * Tool messages answering each call of a rejected turn, so the model can try
+ * again: the problems for bad calls, and a note for the rest, which weren't run.
+ */
+export function toolValidationReplies(calls: ToolCall[], problems: ToolCallProblem[]): NonNullableMessage[] {
+  return calls.map((call, index) => {
+    const problem = problems.find(p => p.index === index);
+    return {
+      role: 'tool',
+      tool_call_id: call.id,
+      content: problem
+        ? [`Invalid arguments for ${problem.name}:`, ...problem.errors.map(error => `- ${error}`), 'Call the tool again with arguments that match its parameters schema.'].join('\n')
+        : 'Not run, because another call in this turn had invalid arguments. Repeat it along with the corrected call.',
+    };
+  });
+}
+
+/** The error body once a bad call is given up on. */
+export function toolCallValidationError(problems: ToolCallProblem[]) {
+  const summary = problems.map(p => `${p.name || 'tool call'}: ${p.errors.slice(0, 3).join('; ')}`).join(' | ');
+  return {
+    ...createError(`The model made tool calls with invalid arguments (${summary})`, 'upstream_error', 'tools', 'tool_call_validation_error'),
+    tool_call_errors: problems,
+  };
+}
@@ -0,0 +1,42 @@
+import type { Message } from '../../../spec';
+
+// --- Shared chat types ---
+// Shapes passed between the chat routes and the helpers in this directory.
+// They live here so helpers never import from a route module.
+
+// JSON Schema type for tool function parameters
+type JSONSchemaParameters = {
+  type?: string;
+  properties?: Record<string, unknown>;
+  required?: string[];
+  [key: string]: unknown;
+};
+
+type ToolFunction = {
+  name: string;
+  description?: string;
+  parameters?: JSONSchemaParameters;
+};
+
+export type ToolDef = { type: 'function'; function: ToolFunction };
+export type ToolCall = { id: string; type: 'function'; function: { name: string; arguments: string } };
+export type TokenUsage = {
+  prompt_tokens?: number;
+  completion_tokens?: number;
+  total_tokens?: number;
+};
+export type NonNullableMessage = { role: Message['role']; content: NonNullable<Message['content']>; name?: Message['name']; tool_calls?: ToolCall[]; tool_call_id?: string };
+
+// Streamed tool_call fragment (OpenAI sends id/name once, arguments in pieces)
+export type ToolCallDelta = {
+  index?: number;
+  id?: string;
+  type?: string;
+  function?: { name?: string; arguments?: string };
+};
+
+export type UsageContext = {
+  authType: 'parent' | 'agent';
+  parentKeyId: string | null;
+  agentId: string | null;
+};
@@ -0,0 +1,101 @@
+import type { FastifyReply } from 'fastify';
+import { createError } from './index';
+import type { UsageBucket, UsageGroupBy, UsageInterval, UsageQuery } from '../storage/agents';
+
+// --- Usage analytics ---
+// /v1/manager/usage (the caller's own parent keys and agents) and
+// /v1/manager/admin/usage (everyone) aggregate usage_events into time buckets:
+//
+//   GET /v1/manager/usage?interval=day&group_by=provider,model&start=2026-01-01&end=2026-02-01&format=csv
+//
+// `start` is inclusive and `end` exclusive; both take a date or an ISO
+// timestamp and are read as UTC. Buckets are labelled with their UTC start
+// time. Only buckets with events are returned.
+
+const INTERVALS: UsageInterval[] = ['hour', 'day', 'month'];
+const GROUP_BY: UsageGroupBy[] = ['agent', 'parent_key', 'model', 'provider', 'route', 'status_code'];
+const FORMATS = ['json', 'csv'] as const;
+
+const GROUP_FIELDS: Record<UsageGroupBy, keyof UsageBucket> = {
+  agent: 'agent_id',
+  parent_key: 'parent_key_id',
+  model: 'model',
+  provider: 'provider',
+  route: 'route',
+  status_code: 'status_code',
+};
+const METRIC_FIELDS: (keyof UsageBucket)[] = ['request_count', 'error_count', 'prompt_tokens', 'completion_tokens', 'total_tokens'];
+
+export type UsageQuerystring = {
+  interval?: string;
+  group_by?: string;
+  start?: string;
+  end?: string;
+  format?: string;
+};
+
+export type UsageFormat = typeof FORMATS[number];
+
+export const usageQuerystringSchema = {
+  type: 'object',
+  properties: {
+    interval: { type: 'string', description: `${INTERVALS.join(', ')} (default day)` },
+    group_by: { type: 'string', description: `Comma-separated: ${GROUP_BY.join(', ')}` },
+    start: { type: 'string', description: 'Inclusive start (date or ISO timestamp, UTC)' },
+    end: { type: 'string', description: 'Exclusive end (date or ISO timestamp, UTC)' },
+    format: { type: 'string', description: 'json (default) or csv' },
+  },
+};
+
+function parseTimestamp(value: string | undefined): string | null | undefined {
+  if (!value) return null;
+  const time = new Date(value);
+  return Number.isNaN(time.getTime()) ? undefined : time.toISOString();
+}
+
+/** Read the usage querystring. Returns the query and format, or an error message and its param. */
+export function parseUsageQuery(querystring: UsageQuerystring):
+  { query: Omit<UsageQuery, 'user_id'>; format: UsageFormat; error?: never } | { error: string; param: string } {
+  const interval = (querystring.interval || 'day') as UsageInterval;
+  if (!INTERVALS.includes(interval)) return { error: `'interval' must be one of ${INTERVALS.join(', ')}`, param: 'interval' };
+
+  const groupBy = (querystring.group_by || '').split(',').map(group => group.trim()).filter(Boolean) as UsageGroupBy[];
+  const unknown = groupBy.find(group => !GROUP_BY.includes(group));
+  if (unknown) return { error: `Cannot group by '${unknown}' (use ${GROUP_BY.join(', ')})`, param: 'group_by' };
+
+  const start = parseTimestamp(querystring.start);
+  if (start === undefined) return { error: "'start' must be a date or ISO timestamp", param: 'start' };
+  const end = parseTimestamp(querystring.end);
+  if (end === undefined) return { error: "'end' must be a date or ISO timestamp", param: 'end' };
+  if (start && end && start >= end) return { error: "'start' must be before 'end'", param: 'start' };
+
+  const format = (querystring.format || 'json') as UsageFormat;
+  if (!FORMATS.includes(format)) return { error: "'format' must be json or csv", param: 'format' };
+
+  return { query: { interval, group_by: [...new Set(groupBy)], start, end }, format };
+}
+
+export function usageQueryError(reply: FastifyReply, error: string, param: string) {
+  reply.code(400);
+  return createError(error, 'invalid_request_error', param, 'invalid_usage_query');
+}
+
+function csvCell(value: unknown): string {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Keep spreadsheet apps from reading a model or route name as a formula
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Send usage buckets as a JSON list, or as a CSV download with one row per bucket. */
+export function sendUsage(reply: FastifyReply, query: Omit<UsageQuery, 'user_id'>, format: UsageFormat, buckets: UsageBucket[]) {
+  if (format === 'json') {
+    return { object: 'list', interval: query.interval, group_by: query.group_by, start: query.start, end: query.end, data: buckets };
+  }
+  const columns: (keyof UsageBucket)[] = ['bucket', ...query.group_by.map(group => GROUP_FIELDS[group]), ...METRIC_FIELDS];
+  const lines = [columns.join(','), ...buckets.map(bucket => columns.map(column => csvCell(bucket[column])).join(','))];
+  reply
+    .header('content-type', 'text/csv; charset=utf-8')
+    .header('content-disposition', `attachment; filename="ozwell-usage-${query.interval}.csv"`);
+  return `${lines.join('\r\n')}\r\n`;
+}
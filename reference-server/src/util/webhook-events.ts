@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import type { FastifyBaseLogger } from 'fastify';
+import { generateId, parsePositiveEnvNumber } from './index';
+import { webhookStore, type PendingWebhookDelivery, type WebhookDelivery, type WebhookEndpoint } from '../storage/webhooks';
+
+// --- Outbound webhook events ---
+// Parent-key owners register endpoints (/v1/webhooks, /v1/manager/webhooks)
+// for platform events. Each event is queued as one delivery per subscribed
+// endpoint and POSTed as JSON:
+//
+//   POST https://ops.example.com/ozwell
+//   x-ozwell-event: agent_key.rotated
+//   x-ozwell-delivery: whdel-...
+//   x-ozwell-signature: t=1767225600,v1=5257a869e7ec...
+//
+//   {"id":"evt-...","object":"event","type":"agent_key.rotated","created_at":1767225600,"parent_key_id":"...","data":{...}}
+//
+// v1 is the hex HMAC-SHA256 of "<t>.<raw body>" keyed with the endpoint
+// secret. A 2xx answer settles the delivery. Anything else, or no answer within
+// WEBHOOK_TIMEOUT_MS, is retried with exponential backoff from
+// WEBHOOK_RETRY_BASE_MS, up to WEBHOOK_MAX_ATTEMPTS attempts. The queue is in
+// SQLite, so pending retries survive a restart.
+
+export const WEBHOOK_EVENT_TYPES = [
+  'agent.created',
+  'agent.updated',
+  'agent.deleted',
+  'agent_key.rotated',
+  'parent_key.revoked',
+  'parent_key.rotated',
+  'quota.threshold_crossed',
+  'provider.failing',
+] as const;
+
+export type WebhookEventType = typeof WEBHOOK_EVENT_TYPES[number];
+
+/** Sent only by POST /v1/webhooks/:webhook_id/test, whatever the endpoint subscribes to. */
+export const WEBHOOK_TEST_EVENT = 'webhook.test';
+
+const WEBHOOK_MAX_ATTEMPTS = parsePositiveEnvNumber('WEBHOOK_MAX_ATTEMPTS') ?? 6;
+const WEBHOOK_RETRY_BASE_MS = parsePositiveEnvNumber('WEBHOOK_RETRY_BASE_MS') ?? 30_000;
+const WEBHOOK_RETRY_MAX_MS = 60 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = parsePositiveEnvNumber('WEBHOOK_TIMEOUT_MS') ?? 10_000;
+const DELIVERY_BATCH = 20;
+
+export type WebhookEvent = {
+  id: string;
+  object: 'event';
+  type: string;
+  created_at: number;
+  /** Null for platform-wide events such as provider.failing */
+  parent_key_id: string | null;
+  data: Record<string, unknown>;
+};
+
+/** `x-ozwell-signature` header value for a request body sent at `timestamp` (unix seconds). */
+export function signWebhookPayload(secret: string, timestamp: number, body: string): string {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/** Queue one event for a single endpoint and start delivering it. */
+export function queueWebhookEvent(endpoint: WebhookEndpoint, event: WebhookEvent, log: FastifyBaseLogger): WebhookDelivery {
+  const delivery = webhookStore.enqueueDelivery(endpoint, event, event);
+  kickDeliveries(log);
+  return delivery;
+}
+
+/**
+ * Queue an event for every enabled endpoint subscribed to it: the endpoints of
+ * `parentKeyId`, or of every parent key when it is null. A failure to queue is
+ * logged and does not fail the action that raised the event.
+ */
+export function emitWebhookEvent(log: FastifyBaseLogger, parentKeyId: string | null, type: WebhookEventType, data: Record<string, unknown>): void {
+  try {
+    const endpoints = webhookStore.listSubscribedEndpoints(parentKeyId, type);
+    if (endpoints.length === 0) return;
+    const event: WebhookEvent = {
+      id: generateId('evt'),
+      object: 'event',
+      type,
+      created_at: Math.floor(Date.now() / 1000),
+      parent_key_id: parentKeyId,
+      data,
+    };
+    for (const endpoint of endpoints) webhookStore.enqueueDelivery(endpoint, event, event);
+    kickDeliveries(log);
+  } catch (error) {
+    log.error({ err: error, type }, 'failed to queue webhook event');
+  }
+}
+
+/** Send an earlier delivery's payload again, as a new delivery with its own attempts. */
+export function redeliverWebhook(endpoint: WebhookEndpoint, delivery: WebhookDelivery, log: FastifyBaseLogger): WebhookDelivery {
+  const redelivery = webhookStore.enqueueDelivery(endpoint, { id: delivery.event_id, type: delivery.event_type }, delivery.payload, delivery.id);
+  kickDeliveries(log);
+  return redelivery;
+}
+
+function retryDelayMs(attempt: number): number {
+  return Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1), WEBHOOK_RETRY_MAX_MS);
+}
+
+async function attemptDelivery(delivery: PendingWebhookDelivery, log: FastifyBaseLogger): Promise<void> {
+  const attempt = delivery.attempts + 1;
+  let statusCode: number | null = null;
+  let error: string | null = null;
+  try {
+    const res = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'user-agent': 'Ozwell-Webhooks/1.0',
+        'x-ozwell-event': delivery.event_type,
+        'x-ozwell-delivery': delivery.id,
+        'x-ozwell-signature': signWebhookPayload(delivery.secret, Math.floor(Date.now() / 1000), delivery.body),
+      },
+      body: delivery.body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    statusCode = res.status;
+    // The body isn't used, but reading it lets the connection be reused
+    await res.arrayBuffer().catch(() => undefined);
+    if (!res.ok) error = `Endpoint answered HTTP ${res.status}`;
+  } catch (err) {
+    error = err instanceof Error && err.name === 'TimeoutError'
+      ? `No answer within ${WEBHOOK_TIMEOUT_MS}ms`
+      : err instanceof Error ? err.message : 'Delivery failed';
+  }
+
+  const succeeded = error === null;
+  const nextAttemptAt = succeeded || attempt >= WEBHOOK_MAX_ATTEMPTS ? null : Date.now() + retryDelayMs(attempt);
+  webhookStore.recordAttempt(delivery.id, { succeeded, statusCode, error, nextAttemptAt });
+  if (!succeeded) {
+    log.warn({ deliveryId: delivery.id, endpointId: delivery.endpoint_id, attempt, statusCode, error, willRetry: nextAttemptAt !== null }, 'webhook delivery failed');
+  }
+}
+
+let delivering = false;
+let deliverAgain = false;
+
+/**
+ * Attempt every delivery that is due. Runs one pass at a time; a call made
+ * while a pass is running triggers another pass once it ends.
+ */
+export async function deliverDueWebhooks(log: FastifyBaseLogger): Promise<void> {
+  if (delivering) {
+    deliverAgain = true;
+    return;
+  }
+  delivering = true;
+  try {
+    do {
+      deliverAgain = false;
+      let due = webhookStore.listDueDeliveries(Date.now(), DELIVERY_BATCH);
+      while (due.length > 0) {
+        await Promise.all(due.map(delivery => attemptDelivery(delivery, log)));
+        due = webhookStore.listDueDeliveries(Date.now(), DELIVERY_BATCH);
+      }
+    } while (deliverAgain);
+  } catch (error) {
+    log.error({ err: error }, 'webhook delivery pass failed');
+  } finally {
+    delivering = false;
+  }
+}
+
+function kickDeliveries(log: FastifyBaseLogger): void {
+  setImmediate(() => { void deliverDueWebhooks(log); });
+}
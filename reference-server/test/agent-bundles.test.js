@@ -0,0 +1,167 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Keep in sync with DEMO_API_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const PORT = 3357;
+const BASE = `http://localhost:${PORT}`;
+
+const DEV_HEADERS = {
+    'x-user': 'bundle-dev',
+    'x-preferred-username': 'bundledev',
+    'x-email': 'bundle-dev@example.test',
+    'x-groups': 'ldapusers',
+};
+const PROD_HEADERS = {
+    'x-user': 'bundle-prod',
+    'x-preferred-username': 'bundleprod',
+    'x-email': 'bundle-prod@example.test',
+    'x-groups': 'ldapusers',
+};
+
+const YAML = '# Support desk agent\nname: Support\ninstructions: Help customers.\ntemperature: 0.3\n';
+
+let server;
+let tmp;
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+before(async () => {
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-bundles-test-'));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: path.join(tmp, 'ozwell.db'),
+            DATA_DIR: tmp,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: 'true',
+            LLM_BASE_URL: '',
+            LLM_API_KEY: '',
+            OLLAMA_BASE_URL: 'http://127.0.0.1:9',
+            TRUST_FORWARD_AUTH_HEADERS: 'true',
+        }
+    });
+    await waitForReady();
+});
+
+after(() => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+function call(method, url, headers, body) {
+    return fetch(`${BASE}${url}`, {
+        method,
+        headers: { ...headers, ...(body !== undefined && { 'Content-Type': typeof body === 'string' ? 'application/yaml' : 'application/json' }) },
+        body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+    });
+}
+
+const PARENT = { Authorization: `Bearer ${PARENT_KEY}` };
+
+test('bundles — clone copies the YAML under a new agent key', async () => {
+    const original = await (await call('POST', '/v1/agents', PARENT, YAML)).json();
+    const r = await call('POST', `/v1/agents/${original.agent_id}/clone`, PARENT);
+    assert.equal(r.status, 201);
+    const clone = await r.json();
+    assert.equal(clone.cloned_from, original.agent_id);
+    assert.notEqual(clone.agent_id, original.agent_id);
+    assert.match(clone.agent_key, /^agnt_key-/);
+    assert.notEqual(clone.agent_key, original.agent_key);
+    assert.equal((await (await call('GET', `/v1/agents/${clone.agent_id}`, PARENT)).json()).yaml, YAML);
+
+    const renamed = await (await call('POST', `/v1/agents/${original.agent_id}/clone`, PARENT, { name: 'Support (EU)' })).json();
+    const renamedYaml = (await (await call('GET', `/v1/agents/${renamed.agent_id}`, PARENT)).json()).yaml;
+    assert.equal(renamedYaml, '# Support desk agent\nname: Support (EU)\ninstructions: Help customers.\ntemperature: 0.3\n');
+
+    // The original is untouched
+    assert.equal((await (await call('GET', `/v1/agents/${original.agent_id}`, PARENT)).json()).yaml, YAML);
+});
+
+test('bundles — export and import move an agent with its model policy to another key', async () => {
+    await call('GET', '/v1/manager/me', DEV_HEADERS);
+    await call('GET', '/v1/manager/me', PROD_HEADERS);
+    const created = await (await call('POST', '/v1/manager/agents', DEV_HEADERS, YAML)).json();
+    const policy = {
+        default_model: { provider: 'openai', model: 'gpt-4o-mini' },
+        allowed_models: [{ provider: 'openai', model: 'gpt-4o-mini' }, { provider: 'ollama', model: null }],
+    };
+    assert.equal((await call('PUT', `/v1/manager/agents/${created.agent_id}/model-policy`, DEV_HEADERS, policy)).status, 200);
+
+    const exported = await call('GET', `/v1/manager/agents/${created.agent_id}/export`, DEV_HEADERS);
+    assert.equal(exported.status, 200);
+    assert.match(exported.headers.get('content-disposition'), /attachment/);
+    const bundle = await exported.json();
+    assert.deepEqual([bundle.object, bundle.version, bundle.yaml], ['agent.bundle', 1, YAML]);
+    assert.deepEqual(bundle.source, { agent_id: created.agent_id, revision: 1 });
+    assert.deepEqual(bundle.model_policy, policy);
+    assert.ok(!JSON.stringify(bundle).includes(created.agent_key));
+
+    const imported = await call('POST', '/v1/manager/agents/import', PROD_HEADERS, bundle);
+    assert.equal(imported.status, 201);
+    const agent = await imported.json();
+    assert.equal(agent.imported_from, created.agent_id);
+    assert.match(agent.agent_key, /^agnt_key-/);
+
+    const view = await (await call('GET', `/v1/manager/agents/${agent.agent_id}`, PROD_HEADERS)).json();
+    assert.equal(view.yaml, YAML);
+    const importedPolicy = await (await call('GET', `/v1/manager/agents/${agent.agent_id}/model-policy`, PROD_HEADERS)).json();
+    assert.deepEqual([importedPolicy.default_model, importedPolicy.allowed_models], [policy.default_model, policy.allowed_models]);
+
+    // Owned by the importing key only
+    assert.equal((await call('GET', `/v1/manager/agents/${agent.agent_id}`, DEV_HEADERS)).status, 404);
+});
+
+test('bundles — a model set in the YAML travels as the model policy', async () => {
+    const yaml = 'name: Legacy\ninstructions: Help.\nmodel: openai/gpt-4o\n';
+    const created = await (await call('POST', '/v1/agents', PARENT, yaml)).json();
+    const bundle = await (await call('GET', `/v1/agents/${created.agent_id}/export`, PARENT)).json();
+    assert.deepEqual(bundle.model_policy, { default_model: { provider: 'openai', model: 'gpt-4o' }, allowed_models: [] });
+
+    const agent = await (await call('POST', '/v1/agents/import', PARENT, bundle)).json();
+    const view = await (await call('GET', `/v1/agents/${agent.agent_id}`, PARENT)).json();
+    assert.deepEqual([view.provider, view.model], ['openai', 'gpt-4o']);
+
+    const plain = await (await call('POST', '/v1/agents', PARENT, YAML)).json();
+    assert.equal((await (await call('GET', `/v1/agents/${plain.agent_id}/export`, PARENT)).json()).model_policy, null);
+});
+
+test('bundles — bad bundles and other keys are rejected', async () => {
+    const created = await (await call('POST', '/v1/manager/agents', DEV_HEADERS, YAML)).json();
+    assert.equal((await call('GET', `/v1/manager/agents/${created.agent_id}/export`, PROD_HEADERS)).status, 404);
+    assert.equal((await call('POST', `/v1/manager/agents/${created.agent_id}/clone`, PROD_HEADERS)).status, 404);
+
+    const future = await call('POST', '/v1/agents/import', PARENT, { object: 'agent.bundle', version: 2, yaml: YAML, model_policy: null });
+    assert.equal(future.status, 400);
+    assert.equal((await future.json()).error.code, 'unsupported_bundle_version');
+
+    const invalid = await call('POST', '/v1/agents/import', PARENT, { object: 'agent.bundle', version: 1, yaml: 'name: Broken\n', model_policy: null });
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error.code, 'invalid_agent_definition');
+
+    const policy = { default_model: { provider: 'openai', model: 'gpt-4o' }, allowed_models: [{ provider: 'ollama', model: null }] };
+    const conflicting = await call('POST', '/v1/agents/import', PARENT, { object: 'agent.bundle', version: 1, yaml: YAML, model_policy: policy });
+    assert.equal(conflicting.status, 400);
+    assert.equal((await conflicting.json()).error.code, 'default_model_not_allowed');
+
+    assert.equal((await call('POST', '/v1/agents/import', PARENT, { yaml: YAML })).status, 400);
+});
@@ -0,0 +1,173 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+// Keep in sync with DEMO_API_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const PORT = 3356;
+const BASE = `http://localhost:${PORT}`;
+
+const MANAGER_HEADERS = {
+    'x-user': 'definition-user',
+    'x-preferred-username': 'definitionuser',
+    'x-email': 'definition-user@example.test',
+    'x-groups': 'ldapusers',
+};
+
+let server;
+let tmp;
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+before(async () => {
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-definition-test-'));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: path.join(tmp, 'ozwell.db'),
+            DATA_DIR: tmp,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: 'true',
+            LLM_BASE_URL: '',
+            LLM_API_KEY: '',
+            OLLAMA_BASE_URL: 'http://127.0.0.1:9',
+            TRUST_FORWARD_AUTH_HEADERS: 'true',
+        }
+    });
+    await waitForReady();
+});
+
+after(() => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+function post(url, body, headers = { Authorization: `Bearer ${PARENT_KEY}` }) {
+    return fetch(`${BASE}${url}`, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': 'application/yaml' },
+        body,
+    });
+}
+
+test('agent definition — typos in keys are saved with warnings', async () => {
+    const r = await post('/v1/agents', 'name: Typos\ninstructions: Help.\npagetools: all\ntemprature: 0.2\n');
+    assert.equal(r.status, 201);
+    const body = await r.json();
+    assert.deepEqual(body.warnings.map(w => [w.message, w.line, w.column]), [
+        ['pagetools is not a known key and is ignored (did you mean pageTools?)', 3, 1],
+        ['temprature is not a known key and is ignored (did you mean temperature?)', 4, 1],
+    ]);
+
+    const clean = await (await post('/v1/agents', 'name: Clean\ninstructions: Help.\n')).json();
+    assert.equal(clean.warnings, undefined);
+});
+
+test('agent definition — bad values are rejected with their line and column', async () => {
+    const r = await post('/v1/agents', 'name: Hot\ninstructions: Help.\ntemperature: hot\nbehavior:\n  rules: be nice\n');
+    assert.equal(r.status, 400);
+    const { error } = await r.json();
+    assert.equal(error.code, 'invalid_agent_definition');
+    assert.equal(error.param, 'temperature');
+    assert.equal(error.message, 'temperature must be a number (line 3, column 14)');
+    assert.deepEqual([error.line, error.column], [3, 14]);
+    assert.deepEqual(error.details.map(d => [d.path, d.message, d.line, d.column]), [
+        ['temperature', 'temperature must be a number', 3, 14],
+        ['behavior.rules', 'behavior.rules must be a list', 5, 10],
+    ]);
+
+    const missing = await (await post('/v1/agents', 'instructions: Help.\n')).json();
+    assert.equal(missing.error.message, 'name is required (line 1, column 1)');
+
+    const syntax = await (await post('/v1/agents', 'name: Broken\ninstructions: [\n')).json();
+    assert.match(syntax.error.message, /^Invalid YAML: /);
+    assert.equal(syntax.error.line, 3);
+});
+
+test('agent definition — validate is a dry run that returns the normalized agent', async () => {
+    const before = (await (await fetch(`${BASE}/v1/agents`, { headers: { Authorization: `Bearer ${PARENT_KEY}` } })).json()).data.length;
+    const yaml = [
+        'name: Support',
+        'instructions: Help.',
+        'model: openai/gpt-4o-mini',
+        'tools:',
+        '  - lookup_order',
+        'behavior:',
+        '  tone: calm',
+        '  langauge: fr',
+        'fallbacks:',
+        '  - anthropic/claude-sonnet-4-5',
+        '',
+    ].join('\n');
+    const r = await post('/v1/agents/validate', yaml);
+    assert.equal(r.status, 200);
+    const result = await r.json();
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual([result.agent.provider, result.agent.model], ['openai', 'gpt-4o-mini']);
+    assert.deepEqual(result.agent.tools, [{ name: 'lookup_order' }]);
+    assert.deepEqual(result.agent.behavior, { tone: 'calm' });
+    assert.equal(result.agent.pageTools, 'all');
+    assert.deepEqual(result.agent.fallbacks, [{ provider: 'anthropic', model: 'claude-sonnet-4-5' }]);
+    assert.equal(result.warnings[0].message, 'behavior.langauge is not a known key and is ignored (did you mean behavior.language?)');
+
+    const invalid = await (await post('/v1/agents/validate', 'name: Bad\ninstructions: Help.\ntools:\n  - name: lookup\n    webhook:\n      url: ftp://example.test\nlimits:\n  rpm: 5\n')).json();
+    assert.equal(invalid.valid, false);
+    assert.equal(invalid.agent, null);
+    assert.deepEqual(invalid.errors.map(e => [e.param, e.message, e.line]), [
+        ['tools[0]', 'tools[0].webhook.url must be an http(s) URL', 6],
+        ['limits', 'limits.rpm is not supported (use requests_per_minute or tokens_per_day)', 8],
+    ]);
+
+    const after = (await (await fetch(`${BASE}/v1/agents`, { headers: { Authorization: `Bearer ${PARENT_KEY}` } })).json()).data.length;
+    assert.equal(after, before);
+});
+
+test('agent definition — manager console can validate too', async () => {
+    const r = await post('/v1/manager/agents/validate', 'name: Console\ninstructions: Help.\ntype: real\n', MANAGER_HEADERS);
+    assert.equal(r.status, 200);
+    const result = await r.json();
+    assert.equal(result.valid, false);
+    assert.equal(result.errors[0].message, 'type must be one of mock');
+    assert.equal((await post('/v1/manager/agents/validate', 'name: Console\n', {})).status, 401);
+});
+
+test('agent definition — the editor JSON Schema lists the same keys as the zod schema', () => {
+    const { AgentDefinitionSchema, AgentBehaviorSchema, AgentToolDefinitionSchema, AgentWebhookSchema, AgentLimitsSchema, AgentCacheSchema, AgentRedactionSchema, AgentRedactionPatternSchema, AgentGuardrailsSchema, AgentGuardrailChecksSchema, AgentToolValidationSchema } = require('../dist/spec/index.js');
+    const jsonSchema = JSON.parse(readFileSync(new URL('../../spec/agent-definition.schema.json', import.meta.url), 'utf8'));
+    const keys = schema => Object.keys(schema.shape).sort();
+    const properties = schema => Object.keys(schema.properties).sort();
+
+    assert.deepEqual(properties(jsonSchema), keys(AgentDefinitionSchema));
+    assert.deepEqual(properties(jsonSchema.properties.behavior), keys(AgentBehaviorSchema));
+    assert.deepEqual(properties(jsonSchema.properties.limits), keys(AgentLimitsSchema));
+    assert.deepEqual(properties(jsonSchema.properties.cache), keys(AgentCacheSchema));
+    assert.deepEqual(properties(jsonSchema.properties.redaction), keys(AgentRedactionSchema));
+    assert.deepEqual(properties(jsonSchema.definitions.redactionPattern), keys(AgentRedactionPatternSchema));
+    assert.deepEqual(properties(jsonSchema.properties.guardrails), keys(AgentGuardrailsSchema));
+    assert.deepEqual(properties(jsonSchema.definitions.guardrailChecks), keys(AgentGuardrailChecksSchema));
+    assert.deepEqual(properties(jsonSchema.properties.toolValidation), keys(AgentToolValidationSchema));
+    assert.deepEqual(properties(jsonSchema.definitions.toolDefinition), keys(AgentToolDefinitionSchema));
+    assert.deepEqual(properties(jsonSchema.definitions.toolDefinition.properties.webhook), keys(AgentWebhookSchema));
+});
@@ -0,0 +1,210 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { createServer } from 'node:http';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Keep in sync with DEMO_API_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const PORT = 3355;
+const BASE = `http://localhost:${PORT}`;
+
+const MANAGER_HEADERS = {
+    'x-user': 'revisions-user',
+    'x-preferred-username': 'revisionsuser',
+    'x-email': 'revisions-user@example.test',
+    'x-groups': 'ldapusers',
+};
+
+const V1 = 'name: Versioned\ninstructions: Answer in English.\n';
+const V2 = 'name: Versioned\ninstructions: Answer in French.\n';
+
+let server;
+let gateway;
+let tmp;
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+// Replies with the system prompt it was sent, so tests can see which YAML was used
+function startGateway() {
+    const srv = createServer((req, res) => {
+        if (req.method === 'GET' && req.url === '/v1/models') {
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ object: 'list', data: [{ id: 'gpt-4o-mini', object: 'model', owned_by: 'openai' }] }));
+            return;
+        }
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = JSON.parse(raw);
+            const system = body.messages.find(m => m.role === 'system');
+            if (body.stream) {
+                res.writeHead(200, { 'content-type': 'text/event-stream' });
+                res.write(`data: ${JSON.stringify({
+                    id: 'c1', object: 'chat.completion.chunk', created: 1, model: body.model,
+                    choices: [{ index: 0, delta: { role: 'assistant', content: system ? system.content : '' }, finish_reason: 'stop' }],
+                })}\n\n`);
+                res.end('data: [DONE]\n\n');
+                return;
+            }
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'c1',
+                object: 'chat.completion',
+                created: 1,
+                model: body.model,
+                choices: [{ index: 0, message: { role: 'assistant', content: system ? system.content : '' }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+            }));
+        });
+    });
+    return new Promise(resolve => srv.listen(0, '127.0.0.1', () => resolve(srv)));
+}
+
+before(async () => {
+    gateway = await startGateway();
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-revisions-test-'));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: path.join(tmp, 'ozwell.db'),
+            DATA_DIR: tmp,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: 'false',
+            LLM_BASE_URL: `http://127.0.0.1:${gateway.address().port}`,
+            LLM_API_KEY: 'test-key',
+            LLM_PROVIDER: 'openai',
+            LLM_MODEL: 'gpt-4o-mini',
+            OLLAMA_BASE_URL: '',
+            MODEL_DISCOVERY_REFRESH_MS: '600000',
+            TRUST_FORWARD_AUTH_HEADERS: 'true',
+        }
+    });
+    await waitForReady();
+    // The first scheduled registry refresh runs a second after startup
+    for (let i = 0; i < 25; i++) {
+        const models = await (await api('GET', '/v1/models')).json();
+        if (models.data?.some(model => model.id === 'gpt-4o-mini')) break;
+        await delay(200);
+    }
+});
+
+after(async () => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+    gateway.closeAllConnections();
+    await new Promise(resolve => gateway.close(resolve));
+});
+
+function api(method, url, body, key = PARENT_KEY) {
+    return fetch(`${BASE}${url}`, {
+        method,
+        headers: { Authorization: `Bearer ${key}`, ...(body !== undefined && { 'Content-Type': 'application/yaml' }) },
+        body,
+    });
+}
+
+function chat(agentKey, headers = {}, extra = {}) {
+    return fetch(`${BASE}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${agentKey}`, ...headers },
+        body: JSON.stringify({ provider: 'openai', messages: [{ role: 'user', content: 'hi' }], ...extra }),
+    });
+}
+
+async function createAgent() {
+    const created = await (await api('POST', '/v1/agents', V1)).json();
+    const updated = await api('PUT', `/v1/agents/${created.agent_id}`, V2);
+    assert.equal(updated.status, 200);
+    assert.equal((await updated.json()).revision, 2);
+    return created;
+}
+
+test('revisions — every update is kept with its author', async () => {
+    const { agent_id } = await createAgent();
+    const r = await api('GET', `/v1/agents/${agent_id}/revisions`);
+    assert.equal(r.status, 200);
+    const list = await r.json();
+    assert.equal(list.current_revision, 2);
+    assert.deepEqual(list.data.map(rev => [rev.revision, rev.source, rev.current]), [[2, 'update', true], [1, 'create', false]]);
+    assert.equal(list.data[0].author.type, 'parent_key');
+    assert.equal(list.data[0].yaml, undefined);
+
+    const first = await (await api('GET', `/v1/agents/${agent_id}/revisions/1`)).json();
+    assert.equal(first.yaml, V1);
+    assert.equal(first.current, false);
+    assert.equal((await api('GET', `/v1/agents/${agent_id}/revisions/9`)).status, 404);
+});
+
+test('revisions — diff two revisions', async () => {
+    const { agent_id } = await createAgent();
+    const diff = await (await api('GET', `/v1/agents/${agent_id}/revisions/2/diff`)).json();
+    assert.deepEqual([diff.from, diff.to], [1, 2]);
+    assert.equal(diff.diff, '--- revision 1\n+++ revision 2\n@@ -1,2 +1,2 @@\n name: Versioned\n-instructions: Answer in English.\n+instructions: Answer in French.\n');
+
+    const reverse = await (await api('GET', `/v1/agents/${agent_id}/revisions/1/diff?from=2`)).json();
+    assert.match(reverse.diff, /^-instructions: Answer in French\.$/m);
+    const initial = await (await api('GET', `/v1/agents/${agent_id}/revisions/1/diff`)).json();
+    assert.equal(initial.from, null);
+    assert.match(initial.diff, /^@@ -0,0 \+1,2 @@$/m);
+});
+
+test('revisions — rollback restores old YAML as a new revision', async () => {
+    const { agent_id } = await createAgent();
+    const r = await api('POST', `/v1/agents/${agent_id}/revisions/1/rollback`);
+    assert.equal(r.status, 200);
+    const body = await r.json();
+    assert.deepEqual([body.revision, body.restored_from, body.yaml], [3, 1, V1]);
+
+    const list = await (await api('GET', `/v1/agents/${agent_id}/revisions`)).json();
+    assert.deepEqual(list.data.map(rev => [rev.revision, rev.source, rev.restored_from]), [[3, 'rollback', 1], [2, 'update', null], [1, 'create', null]]);
+    assert.equal((await (await api('GET', `/v1/agents/${agent_id}`)).json()).yaml, V1);
+});
+
+test('revisions — chat can pin a revision with a header', async () => {
+    const { agent_id, agent_key } = await createAgent();
+    await api('POST', `/v1/agents/${agent_id}/revisions/1/rollback`);
+
+    const live = await (await chat(agent_key)).json();
+    assert.match(live.choices[0].message.content, /English/);
+
+    const pinned = await chat(agent_key, { 'x-ozwell-agent-revision': '2' });
+    assert.equal(pinned.status, 200);
+    assert.equal(pinned.headers.get('x-ozwell-agent-revision'), '2');
+    assert.match((await pinned.json()).choices[0].message.content, /French/);
+
+    const streamed = await chat(agent_key, { 'x-ozwell-agent-revision': '2' }, { stream: true });
+    assert.equal(streamed.status, 200);
+    assert.match(streamed.headers.get('content-type'), /text\/event-stream/);
+    assert.equal(streamed.headers.get('x-ozwell-agent-revision'), '2');
+    assert.match(await streamed.text(), /French/);
+
+    const missing = await chat(agent_key, { 'x-ozwell-agent-revision': '42' });
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).error.code, 'revision_not_found');
+    assert.equal((await chat(agent_key, { 'x-ozwell-agent-revision': 'latest' })).status, 400);
+    assert.equal((await chat(PARENT_KEY, { 'x-ozwell-agent-revision': '1' })).status, 400);
+});
+
+test('revisions — only the owning parent key can read them', async () => {
+    const { agent_id } = await createAgent();
+    const r = await fetch(`${BASE}/v1/manager/agents/${agent_id}/revisions`, { headers: MANAGER_HEADERS });
+    assert.equal(r.status, 404);
+});
@@ -0,0 +1,305 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { createServer } from 'node:http';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Keep in sync with DEMO_API_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const PORT = 3345;
+const BASE = `http://localhost:${PORT}`;
+// Size of the body the webhook offers for mrn 999; the server keeps 16KB of it.
+const HUGE_BODY_BYTES = 32 * 1024 * 1024;
+
+let server;
+let tmp;
+let gateway;
+let webhook;
+let webhookRequests = [];
+let gatewayBodies = [];
+let hugeBodyReports = [];
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+async function listen(handler) {
+    const srv = createServer(handler);
+    await new Promise(resolve => srv.listen(0, '127.0.0.1', resolve));
+    return srv;
+}
+
+// Backend webhook the agent's lookup_patient tool points at.
+function webhookHandler(req, res) {
+    webhookRequests.push({ method: req.method, url: req.url, clinic: req.headers['x-clinic'] });
+    if (req.url.startsWith('/patients/999')) {
+        // Far more than the server keeps; writes stop once the server hangs up
+        const chunk = 'x'.repeat(64 * 1024);
+        const report = { sent: 0, closed: false, finished: false };
+        hugeBodyReports.push(report);
+        res.writeHead(200, { 'content-type': 'text/plain' });
+        res.on('close', () => Object.assign(report, { closed: true, finished: res.writableFinished }));
+        const pump = () => {
+            while (!res.destroyed && report.sent < HUGE_BODY_BYTES) {
+                report.sent += chunk.length;
+                if (report.sent >= HUGE_BODY_BYTES) { res.end(chunk); return; }
+                if (!res.write(chunk)) { res.once('drain', pump); return; }
+            }
+        };
+        pump();
+        return;
+    }
+    if (req.url.startsWith('/patients/404')) {
+        res.writeHead(404, { 'content-type': 'application/json' });
+        res.end('{"message":"no such patient"}');
+        return;
+    }
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ name: 'Ada Lovelace' }));
+}
+
+// Fake OpenAI-compatible gateway: calls lookup_patient until it sees a tool result,
+// then answers with that result. `loop-forever` in the prompt keeps it calling the tool.
+function gatewayHandler(req, res) {
+    if (req.method === 'GET' && req.url === '/v1/models') {
+        const models = req.headers['x-portkey-provider'] === 'openai' ? [{ id: 'gpt-4o-mini', object: 'model' }] : [];
+        res.writeHead(models.length ? 200 : 404, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ object: 'list', data: models }));
+        return;
+    }
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        const body = JSON.parse(raw);
+        gatewayBodies.push(body);
+        const userText = body.messages.filter(m => m.role === 'user').map(m => m.content).join(' ');
+        const last = body.messages.at(-1);
+        const mrn = userText.match(/mrn (\d+)/)?.[1] ?? '123';
+        const usage = { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 };
+        const message = last.role === 'tool' && !userText.includes('loop-forever')
+            ? { role: 'assistant', content: `Found: ${last.content}` }
+            : {
+                role: 'assistant',
+                content: null,
+                tool_calls: [
+                    { id: `call_${gatewayBodies.length}`, type: 'function', function: { name: 'lookup_patient', arguments: JSON.stringify({ mrn, clinic: 'north' }) } },
+                    ...(userText.includes('also page') ? [{ id: 'call_page', type: 'function', function: { name: 'postMessage_highlight', arguments: '{}' } }] : []),
+                ],
+            };
+        const finishReason = message.tool_calls ? 'tool_calls' : 'stop';
+        if (!body.stream) {
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'chatcmpl_gw', object: 'chat.completion', created: 1, model: body.model,
+                choices: [{ index: 0, message, finish_reason: finishReason }],
+                usage,
+            }));
+            return;
+        }
+        res.writeHead(200, { 'content-type': 'text/event-stream' });
+        const chunk = (delta, finish = null, extra = {}) => res.write(`data: ${JSON.stringify({
+            id: 'chatcmpl_gw', object: 'chat.completion.chunk', created: 1, model: body.model,
+            choices: [{ index: 0, delta, finish_reason: finish }], ...extra,
+        })}\n\n`);
+        if (message.tool_calls) {
+            chunk({ role: 'assistant', tool_calls: message.tool_calls.map((tc, index) => ({ index, ...tc })) });
+        } else {
+            chunk({ role: 'assistant', content: message.content });
+        }
+        chunk({}, finishReason);
+        res.write(`data: ${JSON.stringify({ id: 'chatcmpl_gw', object: 'chat.completion.chunk', created: 1, model: body.model, choices: [], usage })}\n\n`);
+        res.end('data: [DONE]\n\n');
+    });
+}
+
+before(async () => {
+    gateway = await listen(gatewayHandler);
+    webhook = await listen(webhookHandler);
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-agent-tools-test-'));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: path.join(tmp, 'ozwell.db'),
+            NODE_ENV: 'development',
+            ALLOW_MOCK: '',
+            LLM_BASE_URL: `http://127.0.0.1:${gateway.address().port}`,
+            LLM_API_KEY: 'test-key',
+            LLM_PROVIDER: 'openai',
+            LLM_MODEL: 'gpt-4o-mini',
+            MODEL_DISCOVERY_REFRESH_MS: '0',
+            AGENT_TOOL_MAX_ITERATIONS: '2',
+        }
+    });
+    await waitForReady();
+    // Populate the provider model registry from the fake gateway.
+    await fetch(`${BASE}/v1/models`, { headers: { Authorization: `Bearer ${PARENT_KEY}` } });
+});
+
+after(async () => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+    await new Promise(resolve => gateway.close(resolve));
+    await new Promise(resolve => webhook.close(resolve));
+});
+
+function agentYaml() {
+    return `name: Chart Assistant
+instructions: Look up patients when asked.
+tools:
+  - highlight
+  - name: lookup_patient
+    description: Look up a patient by MRN
+    parameters:
+      type: object
+      properties:
+        mrn: { type: string }
+      required: [mrn]
+    webhook:
+      url: http://127.0.0.1:${webhook.address().port}/patients/{{mrn}}
+      method: GET
+      headers:
+        X-Clinic: '{{clinic}}'
+`;
+}
+
+async function createAgent(yamlText) {
+    return fetch(`${BASE}/v1/agents`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/yaml', 'Authorization': `Bearer ${PARENT_KEY}` },
+        body: yamlText,
+    });
+}
+
+async function chat(agentKey, body) {
+    return fetch(`${BASE}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${agentKey}` },
+        body: JSON.stringify(body),
+    });
+}
+
+function reset() {
+    webhookRequests = [];
+    gatewayBodies = [];
+    hugeBodyReports = [];
+}
+
+test('agent tools — server runs webhook tools and continues the conversation', async () => {
+    const agent = await (await createAgent(agentYaml())).json();
+    reset();
+
+    const r = await chat(agent.agent_key, { messages: [{ role: 'user', content: 'Who is mrn 42?' }] });
+    assert.equal(r.status, 200);
+    const j = await r.json();
+    assert.equal(j.choices[0].message.content, 'Found: {"name":"Ada Lovelace"}');
+    assert.equal(j.choices[0].message.tool_calls, undefined);
+    assert.equal(j.usage.total_tokens, 30, 'usage is summed across rounds');
+
+    assert.deepEqual(webhookRequests, [{ method: 'GET', url: '/patients/42', clinic: 'north' }]);
+    assert.equal(gatewayBodies.length, 2);
+    assert.ok(gatewayBodies[0].tools.some(t => t.function.name === 'lookup_patient'), 'webhook tool is advertised');
+    assert.deepEqual(gatewayBodies[1].messages.slice(-2).map(m => m.role), ['assistant', 'tool']);
+    assert.equal(gatewayBodies[1].messages.at(-1).tool_call_id, 'call_1');
+});
+
+test('agent tools — streaming hides webhook calls from the client', async () => {
+    const agent = await (await createAgent(agentYaml())).json();
+    reset();
+
+    const r = await chat(agent.agent_key, { stream: true, messages: [{ role: 'user', content: 'Who is mrn 7?' }] });
+    assert.equal(r.status, 200);
+    const text = await r.text();
+    assert.ok(!text.includes('lookup_patient'), 'webhook tool calls are not forwarded');
+    assert.ok(!text.includes('"finish_reason":"tool_calls"'));
+    assert.ok(text.includes('Found: {\\"name\\":\\"Ada Lovelace\\"}'));
+    assert.ok(text.trimEnd().endsWith('data: [DONE]'));
+    assert.equal(webhookRequests[0].url, '/patients/7');
+});
+
+test('agent tools — webhook errors are reported to the model, and rounds are capped', async () => {
+    const agent = await (await createAgent(agentYaml())).json();
+    reset();
+
+    const failed = await (await chat(agent.agent_key, { messages: [{ role: 'user', content: 'Who is mrn 404?' }] })).json();
+    assert.match(failed.choices[0].message.content, /Webhook returned HTTP 404/);
+
+    reset();
+    const capped = await chat(agent.agent_key, { messages: [{ role: 'user', content: 'loop-forever mrn 1' }] });
+    assert.equal(capped.status, 200);
+    const j = await capped.json();
+    assert.equal(j.choices[0].finish_reason, 'stop');
+    assert.equal(j.choices[0].message.tool_calls, undefined);
+    assert.equal(webhookRequests.length, 2, 'AGENT_TOOL_MAX_ITERATIONS rounds run');
+});
+
+test('agent tools — large webhook bodies are cut off without being downloaded', async () => {
+    const agent = await (await createAgent(agentYaml())).json();
+    reset();
+
+    const r = await chat(agent.agent_key, { messages: [{ role: 'user', content: 'Who is mrn 999?' }] });
+    assert.equal(r.status, 200);
+    assert.equal(gatewayBodies[1].messages.at(-1).content, 'x'.repeat(16 * 1024));
+    for (let i = 0; i < 50 && !hugeBodyReports[0].closed; i++) await delay(20);
+    assert.equal(hugeBodyReports[0].finished, false, 'the server hung up early');
+    assert.ok(hugeBodyReports[0].sent < HUGE_BODY_BYTES / 4, `sent ${hugeBodyReports[0].sent} bytes`);
+});
+
+test('agent tools — turns that also call page tools go back to the client', async () => {
+    const agent = await (await createAgent(agentYaml())).json();
+    reset();
+
+    const r = await chat(agent.agent_key, {
+        messages: [{ role: 'user', content: 'mrn 5, also page' }],
+        tools: [{ type: 'function', function: { name: 'postMessage_highlight', parameters: { type: 'object', properties: {} } } }],
+    });
+    const j = await r.json();
+    assert.deepEqual(j.choices[0].message.tool_calls.map(tc => tc.function.name), ['postMessage_highlight']);
+    assert.equal(webhookRequests.length, 0);
+});
+
+test('agent tools — invalid webhook definitions are rejected', async () => {
+    const r = await createAgent(`name: Bad
+instructions: x
+tools:
+  - name: lookup
+    webhook:
+      url: ftp://example.com
+`);
+    assert.equal(r.status, 400);
+    const j = await r.json();
+    assert.equal(j.error.param, 'tools[0]');
+    assert.match(j.error.message, /webhook\.url/);
+});
+
+test('agent tools — webhook parameters must be a schema the server can check', async () => {
+    const r = await createAgent(`name: Bad schema
+instructions: x
+tools:
+  - name: lookup
+    parameters:
+      type: object
+      properties:
+        mrn: { type: string, pattern: "(" }
+    webhook:
+      url: https://example.com/lookup
+`);
+    assert.equal(r.status, 400);
+    const j = await r.json();
+    assert.equal(j.error.param, 'tools[0]');
+    assert.match(j.error.message, /parameters is not a usable JSON schema: Invalid regular expression/);
+});
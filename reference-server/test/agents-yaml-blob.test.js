@@ -266,22 +266,22 @@ test('agents route — GET :id and PUT :id mask key', async () => {
     }
 });
 
-test('agents route — reveal-key returns full key with parent auth', async () => {
+test('agents route — reveal-key is gone, keys are only shown at creation', async () => {
     const { server, tmp } = startServer();
     try {
         await waitForReady();
         const create = await fetch(`${BASE}/v1/agents`, {
             method: 'POST', headers: H_YAML, body: 'name: R1\ninstructions: hi\n'
         });
-        const { agent_id, agent_key: originalKey } = await create.json();
+        const { agent_id } = await create.json();
 
         const reveal = await fetch(`${BASE}/v1/agents/${agent_id}/reveal-key`, {
             method: 'POST', headers: { 'Authorization': `Bearer ${DEMO_KEY}` }
         });
-        assert.equal(reveal.status, 200);
-        assert.match(reveal.headers.get('cache-control') || '', /no-store/, 'no-store header set');
+        assert.equal(reveal.status, 410);
         const revealBody = await reveal.json();
-        assert.equal(revealBody.agent_key, originalKey, 'reveal returns same key as create');
+        assert.equal(revealBody.error.code, 'key_not_retrievable');
+        assert.equal(revealBody.agent_key, undefined);
     } finally {
         stopServer(server, tmp);
     }
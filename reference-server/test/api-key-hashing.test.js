@@ -0,0 +1,134 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const Database = require('better-sqlite3');
+
+const PORT = 3347;
+const BASE = `http://localhost:${PORT}`;
+const LEGACY_PARENT_KEY = 'ozw_legacy_plaintext_parent_key';
+const LEGACY_AGENT_KEY = 'agnt_key-legacy-plaintext-agent';
+
+let server;
+let tmp;
+let dbPath;
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+// Database in the layout used before keys were hashed: plaintext key columns.
+function seedLegacyDatabase() {
+    const db = new Database(dbPath);
+    try {
+        db.exec(`
+          CREATE TABLE api_keys (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            key TEXT NOT NULL UNIQUE,
+            key_hint TEXT NOT NULL,
+            created_at TEXT DEFAULT (datetime('now')),
+            user_id TEXT,
+            status TEXT DEFAULT 'active'
+          );
+          CREATE INDEX idx_api_keys_key ON api_keys(key);
+          CREATE TABLE agents (
+            id TEXT PRIMARY KEY,
+            agent_key TEXT UNIQUE NOT NULL,
+            parent_key TEXT NOT NULL,
+            yaml TEXT NOT NULL,
+            created_at INTEGER NOT NULL
+          );
+          CREATE INDEX idx_agents_agent_key ON agents(agent_key);
+        `);
+        db.prepare('INSERT INTO api_keys (id, name, key, key_hint, user_id) VALUES (?, ?, ?, ?, ?)')
+            .run('legacy-key', 'Legacy Key', LEGACY_PARENT_KEY, 'pkey', 'mgr_legacy');
+        db.prepare('INSERT INTO agents (id, agent_key, parent_key, yaml, created_at) VALUES (?, ?, ?, ?, ?)')
+            .run('legacy-agent', LEGACY_AGENT_KEY, 'legacy-key', 'name: Legacy\ninstructions: hi\n', 1700000000);
+    } finally {
+        db.close();
+    }
+}
+
+before(async () => {
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-key-hashing-test-'));
+    dbPath = path.join(tmp, 'ozwell.db');
+    seedLegacyDatabase();
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: dbPath,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: 'true',
+            LLM_BASE_URL: '',
+            LLM_API_KEY: '',
+            OLLAMA_BASE_URL: 'http://127.0.0.1:9',
+        }
+    });
+    await waitForReady();
+});
+
+after(() => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+async function validate(key) {
+    return (await fetch(`${BASE}/v1/keys/validate`, { headers: { Authorization: `Bearer ${key}` } })).status;
+}
+
+test('key hashing — plaintext keys from an older database are migrated and keep working', async () => {
+    assert.equal(await validate(LEGACY_PARENT_KEY), 200);
+    assert.equal(await validate(LEGACY_AGENT_KEY), 200);
+    assert.equal(await validate('ozw_legacy_plaintext_parent_kex'), 401, 'a key sharing the lookup prefix is rejected');
+
+    const agents = await (await fetch(`${BASE}/v1/agents`, { headers: { Authorization: `Bearer ${LEGACY_PARENT_KEY}` } })).json();
+    assert.deepEqual(agents.data.map(a => [a.id, a.key_hint]), [['legacy-agent', 'agnt_key-...gent']]);
+
+    const db = new Database(dbPath, { readonly: true });
+    try {
+        const parent = db.prepare('SELECT * FROM api_keys WHERE id = ?').get('legacy-key');
+        assert.equal(parent.key, undefined);
+        assert.equal(parent.key_prefix, 'ozw_legacy_p');
+        assert.equal(parent.key_hint, 'pkey');
+        assert.equal(parent.user_id, 'mgr_legacy', 'other columns survive the rebuild');
+        const agent = db.prepare('SELECT * FROM agents WHERE id = ?').get('legacy-agent');
+        assert.equal(agent.agent_key, undefined);
+        assert.equal(agent.key_hint, 'gent');
+    } finally {
+        db.close();
+    }
+});
+
+test('key hashing — a copied database file holds no usable keys', async () => {
+    const created = await (await fetch(`${BASE}/v1/agents`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/yaml', Authorization: `Bearer ${LEGACY_PARENT_KEY}` },
+        body: 'name: Fresh\ninstructions: hi\n',
+    })).json();
+    assert.match(created.agent_key, /^agnt_key-[0-9a-f]{48}$/);
+    assert.equal(await validate(created.agent_key), 200);
+
+    const file = readFileSync(dbPath);
+    for (const key of [LEGACY_PARENT_KEY, LEGACY_AGENT_KEY, created.agent_key]) {
+        assert.ok(!file.includes(key), `${key.slice(0, 12)}… is not in the database file`);
+    }
+});
@@ -0,0 +1,220 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { createServer } from 'node:http';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const Database = require('better-sqlite3');
+
+// Keep in sync with DEMO_API_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const LOCAL_PORT = 3366;
+const PROXY_PORT = 3367;
+
+// What the fake provider streams back, in two pieces
+const PROVIDER_AUDIO = [Buffer.from('ID3 first half '), Buffer.from('second half')];
+
+const servers = [];
+let gateway;
+let tmp;
+let speechRequests = [];
+
+async function waitForReady(port, maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`http://localhost:${port}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+// Fake TTS provider. "fail" in the input gets a provider error.
+function startGateway() {
+    const srv = createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', async () => {
+            if (req.url !== '/v1/audio/speech') {
+                res.writeHead(404, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'not found' } }));
+                return;
+            }
+            const body = JSON.parse(raw);
+            speechRequests.push({ body, provider: req.headers['x-portkey-provider'] });
+            if (/fail/.test(body.input)) {
+                res.writeHead(400, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'Unsupported voice', type: 'invalid_request_error', param: 'voice', code: null } }));
+                return;
+            }
+            res.writeHead(200, { 'content-type': 'audio/mpeg' });
+            res.write(PROVIDER_AUDIO[0]);
+            await delay(50);
+            res.end(PROVIDER_AUDIO[1]);
+        });
+    });
+    return new Promise(resolve => srv.listen(0, '127.0.0.1', () => resolve(srv)));
+}
+
+function startServer(port, env) {
+    const server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DB_PATH: path.join(tmp, `ozwell-${port}.db`),
+            DATA_DIR: path.join(tmp, String(port)),
+            NODE_ENV: 'development',
+            ALLOW_MOCK: '',
+            OLLAMA_BASE_URL: '',
+            MODEL_DISCOVERY_REFRESH_MS: '0',
+            ...env,
+        }
+    });
+    servers.push(server);
+    return waitForReady(port);
+}
+
+before(async () => {
+    gateway = await startGateway();
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-audio-speech-test-'));
+    await startServer(LOCAL_PORT, { LLM_BASE_URL: '', LLM_API_KEY: '', LLM_PROVIDER: '' });
+    await startServer(PROXY_PORT, {
+        LLM_BASE_URL: `http://127.0.0.1:${gateway.address().port}`,
+        LLM_API_KEY: 'test-key',
+        LLM_PROVIDER: 'openai',
+        LLM_MODEL: 'gpt-4o-mini',
+    });
+});
+
+after(async () => {
+    for (const server of servers) {
+        try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+    gateway.closeAllConnections();
+    await new Promise(resolve => gateway.close(resolve));
+});
+
+function speech(port, body, key = PARENT_KEY) {
+    return fetch(`http://localhost:${port}/v1/audio/speech`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: 'tts-1', voice: 'alloy', input: 'Your appointment is at noon.', ...body }),
+    });
+}
+
+function usageEvents(port) {
+    const db = new Database(path.join(tmp, `ozwell-${port}.db`), { readonly: true });
+    try {
+        return db.prepare("SELECT model, provider, status_code FROM usage_events WHERE route = '/v1/audio/speech' ORDER BY created_at").all();
+    } finally {
+        db.close();
+    }
+}
+
+test('audio speech — the local synthesizer returns a valid WAV', async () => {
+    const r = await speech(LOCAL_PORT, { response_format: 'wav' });
+    assert.equal(r.status, 200);
+    assert.equal(r.headers.get('content-type'), 'audio/wav');
+    const wav = Buffer.from(await r.arrayBuffer());
+    assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+    assert.equal(wav.toString('ascii', 8, 12), 'WAVE');
+    assert.equal(wav.readUInt32LE(4), wav.length - 8);
+    assert.equal(wav.readUInt16LE(20), 1, 'PCM');
+    assert.equal(wav.readUInt16LE(22), 1, 'mono');
+    assert.equal(wav.readUInt32LE(24), 24000);
+    assert.equal(wav.readUInt16LE(34), 16);
+    assert.equal(wav.readUInt32LE(40), wav.length - 44);
+    assert.ok(wav.length > 44 + 24000, 'about as long as the text read aloud');
+    assert.ok(wav.subarray(44).some(byte => byte !== 0), 'not silence');
+});
+
+test('audio speech — local audio is repeatable and follows speed, voice and format', async () => {
+    const bytes = async body => Buffer.from(await (await speech(LOCAL_PORT, body)).arrayBuffer());
+    const normal = await bytes({});
+    assert.deepEqual(await bytes({}), normal);
+    // mp3 can't be encoded locally, so the default format is WAV as well
+    assert.equal(normal.toString('ascii', 0, 4), 'RIFF');
+
+    const fast = await bytes({ speed: 2 });
+    assert.ok(Math.abs((fast.length - 44) * 2 - (normal.length - 44)) < 400, 'twice the speed is half the length');
+    assert.notDeepEqual(await bytes({ voice: 'onyx' }), normal);
+
+    const r = await speech(LOCAL_PORT, { response_format: 'pcm' });
+    assert.equal(r.headers.get('content-type'), 'audio/pcm');
+    assert.deepEqual(Buffer.from(await r.arrayBuffer()), normal.subarray(44));
+});
+
+test('audio speech — local clips stop at two minutes', async () => {
+    const r = await speech(LOCAL_PORT, { input: 'a'.repeat(4096), speed: 0.25, response_format: 'wav' });
+    assert.equal(r.status, 200);
+    const wav = Buffer.from(await r.arrayBuffer());
+    assert.equal(wav.length, 44 + 120 * 24000 * 2);
+    assert.equal(wav.readUInt32LE(40), wav.length - 44);
+    assert.equal(wav.readUInt32LE(4), wav.length - 8);
+});
+
+test('audio speech — invalid requests are rejected with the parameter named', async () => {
+    const cases = [
+        [{ input: '' }, 'input'],
+        [{ input: 'x'.repeat(4097) }, 'input'],
+        [{ voice: undefined }, 'voice'],
+        [{ model: undefined }, 'model'],
+        [{ response_format: 'flac' }, 'response_format'],
+        [{ speed: 5 }, 'speed'],
+        [{ speed: 0.1 }, 'speed'],
+    ];
+    for (const [body, param] of cases) {
+        const r = await speech(LOCAL_PORT, body);
+        assert.equal(r.status, 400, JSON.stringify(body));
+        const json = await r.json();
+        assert.equal(json.error.type, 'invalid_request_error');
+        assert.equal(json.error.param, param, JSON.stringify(body));
+    }
+});
+
+test('audio speech — keys are checked and usage is recorded', async () => {
+    const r = await speech(LOCAL_PORT, {}, 'ozw_not_a_real_key');
+    assert.equal(r.status, 401);
+    const anonymous = await fetch(`http://localhost:${LOCAL_PORT}/v1/audio/speech`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: 'tts-1', voice: 'alloy', input: 'Hi' }),
+    });
+    assert.equal(anonymous.status, 401);
+
+    const before = usageEvents(LOCAL_PORT).length;
+    await (await speech(LOCAL_PORT, { model: 'tts-1-hd' })).arrayBuffer();
+    assert.deepEqual(usageEvents(LOCAL_PORT).slice(before), [{ model: 'tts-1-hd', provider: null, status_code: 200 }]);
+});
+
+test('audio speech — proxied to the provider and streamed back', async () => {
+    speechRequests = [];
+    const r = await speech(PROXY_PORT, { response_format: 'mp3', speed: 1.25, instructions: 'Calm and clear.' });
+    assert.equal(r.status, 200);
+    assert.equal(r.headers.get('content-type'), 'audio/mpeg');
+    assert.deepEqual(Buffer.from(await r.arrayBuffer()), Buffer.concat(PROVIDER_AUDIO));
+    assert.deepEqual(speechRequests, [{
+        body: { model: 'tts-1', input: 'Your appointment is at noon.', voice: 'alloy', instructions: 'Calm and clear.', response_format: 'mp3', speed: 1.25 },
+        provider: 'openai',
+    }]);
+
+    const failed = await speech(PROXY_PORT, { input: 'please fail' });
+    assert.equal(failed.status, 400);
+    assert.equal((await failed.json()).error.param, 'voice');
+
+    assert.deepEqual(usageEvents(PROXY_PORT), [
+        { model: 'tts-1', provider: 'openai', status_code: 200 },
+        { model: 'tts-1', provider: 'openai', status_code: 400 },
+    ]);
+});
@@ -0,0 +1,170 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const Database = require('better-sqlite3');
+
+const PORT = 3354;
+const BASE = `http://localhost:${PORT}`;
+
+const ADMIN_HEADERS = {
+    'x-user': 'audit-admin',
+    'x-preferred-username': 'auditadmin',
+    'x-email': 'audit-admin@example.test',
+    'x-groups': 'ldapusers',
+};
+const USER_HEADERS = {
+    'x-user': 'audit-user',
+    'x-preferred-username': 'audituser',
+    'x-email': 'audit-user@example.test',
+    'x-groups': 'ldapusers',
+};
+
+let server;
+let tmp;
+let dbPath;
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+before(async () => {
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-audit-test-'));
+    dbPath = path.join(tmp, 'ozwell.db');
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: dbPath,
+            DATA_DIR: tmp,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: 'true',
+            LLM_BASE_URL: '',
+            LLM_API_KEY: '',
+            OLLAMA_BASE_URL: 'http://127.0.0.1:9',
+            TRUST_FORWARD_AUTH_HEADERS: 'true',
+            ADMIN_EXTERNAL_USER_IDS: 'audit-admin',
+        }
+    });
+    await waitForReady();
+});
+
+after(() => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+function call(method, url, headers, body) {
+    return fetch(`${BASE}${url}`, {
+        method,
+        headers: { ...headers, ...(body !== undefined && { 'Content-Type': typeof body === 'string' ? 'application/yaml' : 'application/json' }) },
+        body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+    });
+}
+
+async function audit(query) {
+    const r = await call('GET', `/v1/manager/admin/audit?${query}`, ADMIN_HEADERS);
+    assert.equal(r.status, 200);
+    return r.json();
+}
+
+test('audit — agent lifecycle and key actions are recorded with the acting user', async () => {
+    const created = await (await call('POST', '/v1/manager/agents', USER_HEADERS, 'name: Audited\ninstructions: Help.\ntemperature: 0.2\n')).json();
+    assert.equal((await call('PUT', `/v1/manager/agents/${created.agent_id}`, USER_HEADERS, 'name: Audited\ninstructions: Help politely.\ntemperature: 0.2\n')).status, 200);
+    assert.equal((await call('POST', `/v1/manager/agents/${created.agent_id}/reveal-key`, USER_HEADERS)).status, 410);
+    const rotated = await (await call('POST', `/v1/manager/agents/${created.agent_id}/rotate-key`, USER_HEADERS)).json();
+    assert.equal((await call('DELETE', `/v1/manager/agents/${created.agent_id}`, USER_HEADERS)).status, 200);
+
+    const { data } = await audit(`target_id=${created.agent_id}`);
+    assert.deepEqual(data.map(event => event.action), ['agent.delete', 'agent_key.rotate', 'agent_key.reveal', 'agent.update', 'agent.create']);
+    for (const event of data) {
+        assert.equal(event.actor.type, 'user');
+        assert.equal(event.actor.label, 'audit-user@example.test');
+        assert.equal(event.target.type, 'agent');
+        assert.match(event.created_at, /^\d{4}-\d{2}-\d{2}T/);
+    }
+
+    const [, rotate, reveal, update] = data;
+    assert.deepEqual(rotate.before, { key_hint: created.key_hint });
+    assert.deepEqual(rotate.after, { key_hint: rotated.key_hint });
+    assert.equal(rotate.request.method, 'POST');
+    assert.equal(rotate.request.url, `/v1/manager/agents/${created.agent_id}/rotate-key`);
+    assert.equal(reveal.after.revealed, false);
+    assert.equal(update.diff, '--- before\n+++ after\n@@ -1,3 +1,3 @@\n name: Audited\n-instructions: Help.\n+instructions: Help politely.\n temperature: 0.2\n');
+
+    // Secrets never reach the log
+    const raw = JSON.stringify(data);
+    assert.ok(!raw.includes(created.agent_key));
+    assert.ok(!raw.includes(rotated.agent_key));
+});
+
+test('audit — admin actions record before and after', async () => {
+    const me = await (await call('GET', '/v1/manager/me', USER_HEADERS)).json();
+    const userId = me.identity.id;
+    assert.equal((await call('POST', `/v1/manager/admin/users/${userId}/promote`, ADMIN_HEADERS)).status, 200);
+    assert.equal((await call('POST', `/v1/manager/admin/users/${userId}/demote`, ADMIN_HEADERS)).status, 200);
+    const keyId = me.parent_key_id;
+    assert.equal((await call('PUT', `/v1/manager/admin/parent-keys/${keyId}/limits`, ADMIN_HEADERS, { requests_per_minute: 5 })).status, 200);
+    assert.equal((await call('POST', `/v1/manager/admin/parent-keys/${keyId}/revoke`, ADMIN_HEADERS, { reason: 'offboarded' })).status, 200);
+
+    const promote = (await audit('action=user.promote')).data[0];
+    assert.deepEqual([promote.target, promote.before.is_admin, promote.after.is_admin], [{ type: 'user', id: userId }, false, true]);
+    assert.equal(promote.actor.label, 'audit-admin@example.test');
+
+    const { data } = await audit(`target_type=parent_key&target_id=${keyId}`);
+    assert.deepEqual(data.map(event => event.action), ['parent_key.revoke', 'parent_key.limits.update']);
+    assert.deepEqual([data[0].before.status, data[0].after], ['active', { status: 'revoked', revoked_reason: 'offboarded' }]);
+    assert.deepEqual([data[1].before.requests_per_minute, data[1].after.requests_per_minute], [null, 5]);
+});
+
+test('audit — filters by actor and time, and pages with after', async () => {
+    const admin = await (await call('GET', '/v1/manager/me', ADMIN_HEADERS)).json();
+    const byAdmin = await audit(`actor_id=${admin.identity.id}`);
+    assert.ok(byAdmin.data.length >= 4);
+    assert.ok(byAdmin.data.every(event => event.actor.id === admin.identity.id));
+
+    assert.equal((await audit('until=2000-01-01')).data.length, 0);
+
+    const first = await audit('limit=2');
+    assert.equal(first.data.length, 2);
+    assert.equal(first.has_more, true);
+    const second = await audit(`limit=2&after=${first.last_id}`);
+    assert.notEqual(second.first_id, first.last_id);
+    assert.ok(!first.data.some(event => second.data.some(other => other.id === event.id)));
+});
+
+test('audit — admin only, with bad queries rejected', async () => {
+    assert.equal((await call('GET', '/v1/manager/admin/audit', USER_HEADERS)).status, 403);
+    assert.equal((await call('GET', '/v1/manager/admin/audit', {})).status, 401);
+    const bad = await call('GET', '/v1/manager/admin/audit?since=someday', ADMIN_HEADERS);
+    assert.equal(bad.status, 400);
+    assert.equal((await bad.json()).error.param, 'since');
+});
+
+test('audit — rows cannot be updated or deleted', () => {
+    const db = new Database(dbPath);
+    try {
+        assert.ok(db.prepare('SELECT COUNT(*) AS count FROM audit_events').get().count > 0);
+        assert.throws(() => db.prepare("UPDATE audit_events SET action = 'tampered'").run(), /append-only/);
+        assert.throws(() => db.prepare('DELETE FROM audit_events').run(), /append-only/);
+    } finally {
+        db.close();
+    }
+});
@@ -0,0 +1,232 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { createServer } from 'node:http';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Keep in sync with DEMO_API_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const PORT = 3365;
+const BASE = `http://localhost:${PORT}`;
+
+const TOOLS = [{
+    type: 'function',
+    function: {
+        name: 'lookup_patient',
+        parameters: {
+            type: 'object',
+            properties: { mrn: { type: 'string' }, include_history: { type: 'boolean' } },
+            required: ['mrn'],
+        },
+    },
+}];
+
+const SAMPLING = {
+    top_p: 0.9,
+    n: 2,
+    stop: ['END', '\n\n'],
+    presence_penalty: 0.5,
+    frequency_penalty: -0.5,
+    logit_bias: { '50256': -100 },
+    logprobs: true,
+    top_logprobs: 3,
+    seed: 42,
+    user: 'user-123',
+};
+
+let server;
+let gateway;
+let tmp;
+let lastBody = null;
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+// Fake gateway that records the last chat request it was sent.
+function startGateway() {
+    const srv = createServer((req, res) => {
+        if (req.method === 'GET' && req.url === '/v1/models') {
+            const models = req.headers['x-portkey-provider'] === 'openai' ? [{ id: 'gpt-4o-mini', object: 'model' }, { id: 'o4-mini', object: 'model' }] : [];
+            res.writeHead(models.length ? 200 : 404, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ object: 'list', data: models }));
+            return;
+        }
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            lastBody = JSON.parse(raw);
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'chatcmpl_gw', object: 'chat.completion', created: 1, model: lastBody.model,
+                choices: [{ index: 0, message: { role: 'assistant', content: 'Done.' }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+            }));
+        });
+    });
+    return new Promise(resolve => srv.listen(0, '127.0.0.1', () => resolve(srv)));
+}
+
+before(async () => {
+    gateway = await startGateway();
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-chat-params-test-'));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: path.join(tmp, 'ozwell.db'),
+            DATA_DIR: tmp,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: '',
+            LLM_BASE_URL: `http://127.0.0.1:${gateway.address().port}`,
+            LLM_API_KEY: 'test-key',
+            LLM_PROVIDER: 'openai',
+            LLM_MODEL: 'gpt-4o-mini',
+            OLLAMA_BASE_URL: '',
+            MODEL_DISCOVERY_REFRESH_MS: '0',
+        }
+    });
+    await waitForReady();
+    // Populate the provider model registry from the fake gateway.
+    await fetch(`${BASE}/v1/models`, { headers: { Authorization: `Bearer ${PARENT_KEY}` } });
+});
+
+after(async () => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+    gateway.closeAllConnections();
+    await new Promise(resolve => gateway.close(resolve));
+});
+
+function chat(key, body) {
+    return fetch(`${BASE}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ messages: [{ role: 'user', content: 'hello' }], ...body }),
+    });
+}
+
+let mockKey;
+async function mockAgentKey() {
+    if (mockKey) return mockKey;
+    const r = await fetch(`${BASE}/v1/agents`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${PARENT_KEY}`, 'Content-Type': 'application/yaml' },
+        body: 'name: Mocked\ninstructions: Help.\ntype: mock\n',
+    });
+    mockKey = (await r.json()).agent_key;
+    return mockKey;
+}
+
+test('chat parameters — OpenAI parameters reach the provider', async () => {
+    const r = await chat(PARENT_KEY, {
+        model: 'gpt-4o-mini',
+        ...SAMPLING,
+        tools: TOOLS,
+        tool_choice: { type: 'function', function: { name: 'lookup_patient' } },
+        parallel_tool_calls: false,
+        reasoning_effort: 'low',
+    });
+    assert.equal(r.status, 200);
+    for (const [key, value] of Object.entries(SAMPLING)) assert.deepEqual(lastBody[key], value, key);
+    assert.deepEqual(lastBody.tool_choice, { type: 'function', function: { name: 'lookup_patient' } });
+    assert.equal(lastBody.parallel_tool_calls, false);
+    // Only reasoning models take reasoning_effort
+    assert.equal('reasoning_effort' in lastBody, false);
+});
+
+test('chat parameters — reasoning models get reasoning_effort but no sampling controls', async () => {
+    const r = await chat(PARENT_KEY, { model: 'o4-mini', ...SAMPLING, reasoning_effort: 'high' });
+    assert.equal(r.status, 200);
+    assert.equal(lastBody.reasoning_effort, 'high');
+    for (const key of ['top_p', 'presence_penalty', 'frequency_penalty', 'logit_bias', 'logprobs', 'top_logprobs', 'temperature']) {
+        assert.equal(key in lastBody, false, key);
+    }
+    assert.equal(lastBody.seed, 42);
+    assert.deepEqual(lastBody.stop, ['END', '\n\n']);
+});
+
+test('chat parameters — tool parameters are only sent with tools', async () => {
+    const r = await chat(PARENT_KEY, { tool_choice: 'none', parallel_tool_calls: true });
+    assert.equal(r.status, 200);
+    assert.equal('tool_choice' in lastBody, false);
+    assert.equal('parallel_tool_calls' in lastBody, false);
+});
+
+test('chat parameters — invalid values are rejected with the parameter named', async () => {
+    const cases = [
+        [{ top_p: 1.5 }, 'top_p'],
+        [{ n: 1.5 }, 'n'],
+        [{ stop: ['a', 'b', 'c', 'd', 'e'] }, 'stop'],
+        [{ presence_penalty: 3 }, 'presence_penalty'],
+        [{ top_logprobs: 21 }, 'top_logprobs'],
+        [{ reasoning_effort: 'extreme' }, 'reasoning_effort'],
+        [{ tool_choice: 'sometimes', tools: TOOLS }, 'tool_choice'],
+        [{ tool_choice: 'required' }, 'tool_choice'],
+        [{ tool_choice: { type: 'function', function: { name: 'delete_chart' } }, tools: TOOLS }, 'tool_choice'],
+    ];
+    for (const [params, param] of cases) {
+        const r = await chat(PARENT_KEY, params);
+        assert.equal(r.status, 400, JSON.stringify(params));
+        const body = await r.json();
+        assert.equal(body.error.type, 'invalid_request_error');
+        assert.equal(body.error.param, param, JSON.stringify(params));
+    }
+});
+
+test('chat parameters — the mock returns n choices and honors stop sequences', async () => {
+    const key = await mockAgentKey();
+    const body = await (await chat(key, { n: 3, stop: [' view', 'never'] })).json();
+    assert.equal(body.choices.length, 3);
+    assert.deepEqual(body.choices.map(c => c.index), [0, 1, 2]);
+    for (const choice of body.choices) {
+        assert.equal(choice.message.content, 'Hello! I can help you');
+        assert.equal(choice.finish_reason, 'stop');
+    }
+
+    const streamed = await (await chat(key, { n: 2, stream: true })).text();
+    const chunks = streamed.split('\n\n').filter(block => block.startsWith('data: {')).map(block => JSON.parse(block.slice(6)));
+    const finishes = chunks.filter(c => c.choices[0].finish_reason).map(c => c.choices[0].index);
+    assert.deepEqual(finishes, [0, 1]);
+});
+
+test('chat parameters — the mock follows tool_choice', async () => {
+    const key = await mockAgentKey();
+    const forced = await (await chat(key, { tools: TOOLS, tool_choice: { type: 'function', function: { name: 'lookup_patient' } } })).json();
+    assert.equal(forced.choices[0].finish_reason, 'tool_calls');
+    const [call] = forced.choices[0].message.tool_calls;
+    assert.equal(call.function.name, 'lookup_patient');
+    assert.deepEqual(JSON.parse(call.function.arguments), { mrn: 'string', include_history: true });
+
+    const required = await (await chat(key, { tools: TOOLS, tool_choice: 'required' })).json();
+    assert.equal(required.choices[0].message.tool_calls[0].function.name, 'lookup_patient');
+
+    // "What is my name" is answered with a get_form_data call unless tools are off
+    const none = await (await chat(key, { messages: [{ role: 'user', content: 'What is my name?' }], tools: TOOLS, tool_choice: 'none' })).json();
+    assert.equal(none.choices[0].message.tool_calls, undefined);
+    assert.equal(none.choices[0].finish_reason, 'stop');
+    assert.ok(none.choices[0].message.content);
+});
+
+test('chat parameters — the mock is repeatable with a seed', async () => {
+    const key = await mockAgentKey();
+    const request = { messages: [{ role: 'user', content: 'What is my name?' }], seed: 7 };
+    const first = await (await chat(key, request)).json();
+    const second = await (await chat(key, request)).json();
+    assert.equal(first.choices[0].message.tool_calls[0].id, 'call_seed7_0');
+    assert.deepEqual(first.choices, second.choices);
+});
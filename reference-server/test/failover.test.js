@@ -0,0 +1,291 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { createServer } from 'node:http';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdirSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const PORT = 3351;
+const BASE = `http://localhost:${PORT}`;
+// A second server with a short breaker cooldown
+const PROBE_PORT = 3368;
+const HEADERS = {
+    'x-user': 'failover-admin',
+    'x-preferred-username': 'failoveradmin',
+    'x-email': 'failover-admin@example.test',
+    'x-groups': 'ldapusers',
+};
+const H_JSON = { 'Content-Type': 'application/json', ...HEADERS };
+const H_YAML = { 'Content-Type': 'application/yaml', ...HEADERS };
+
+// What the fake gateway does for each provider/model: answer, fail with a status, or hang
+const BEHAVIOR = {
+    'openai/gpt-4o-mini': 'ok',
+    'openai/gpt-4o': 503,
+    'openai/slow': 'hang',
+    'anthropic/claude-sonnet-4-5': 'ok',
+    'anthropic/claude-haiku': 429,
+    'ollama/down': 503,
+    'ollama/bad': 400,
+    // Fails, but only after a while, so concurrent requests overlap with it
+    'anthropic/probe': 'slow_503',
+};
+
+let server;
+let probeServer;
+let gateway;
+let tmp;
+const calls = {};
+
+async function waitForReady(base = BASE, maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${base}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+function startGateway() {
+    const srv = createServer((req, res) => {
+        const provider = req.headers['x-portkey-provider'];
+        if (req.method === 'GET' && req.url === '/v1/models') {
+            const models = Object.keys(BEHAVIOR).filter(id => id.startsWith(`${provider}/`)).map(id => id.slice(provider.length + 1));
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ object: 'list', data: models.map(id => ({ id, object: 'model', owned_by: provider })) }));
+            return;
+        }
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', async () => {
+            const body = JSON.parse(raw);
+            const key = `${provider}/${body.model}`;
+            calls[key] = (calls[key] ?? 0) + 1;
+            let behavior = BEHAVIOR[key];
+            if (behavior === 'hang') return;
+            if (behavior === 'slow_503') {
+                await delay(300);
+                behavior = 503;
+            }
+            if (behavior !== 'ok') {
+                res.writeHead(behavior, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: `${key} failed` } }));
+                return;
+            }
+            const content = `from ${key}`;
+            if (body.stream) {
+                res.writeHead(200, { 'content-type': 'text/event-stream' });
+                res.write(`data: ${JSON.stringify({ id: 'c1', object: 'chat.completion.chunk', created: 1, model: body.model, choices: [{ index: 0, delta: { role: 'assistant', content }, finish_reason: null }] })}\n\n`);
+                res.write(`data: ${JSON.stringify({ id: 'c1', object: 'chat.completion.chunk', created: 1, model: body.model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`);
+                res.end('data: [DONE]\n\n');
+                return;
+            }
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'c1',
+                object: 'chat.completion',
+                created: 1,
+                model: body.model,
+                choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+            }));
+        });
+    });
+    return new Promise(resolve => srv.listen(0, '127.0.0.1', () => resolve(srv)));
+}
+
+function startServer(port, dir, env) {
+    return spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DB_PATH: path.join(dir, 'ozwell.db'),
+            DATA_DIR: dir,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: '',
+            TRUST_FORWARD_AUTH_HEADERS: 'true',
+            ADMIN_EXTERNAL_USER_IDS: 'failover-admin',
+            LLM_BASE_URL: `http://127.0.0.1:${gateway.address().port}`,
+            LLM_API_KEY: 'test-key',
+            LLM_PROVIDER: 'openai',
+            LLM_MODEL: 'gpt-4o-mini',
+            OLLAMA_BASE_URL: '',
+            MODEL_DISCOVERY_REFRESH_MS: '0',
+            LLM_TIMEOUT_MS: '500',
+            FAILOVER_BREAKER_THRESHOLD: '2',
+            FAILOVER_BREAKER_COOLDOWN_MS: '60000',
+            ...env,
+        }
+    });
+}
+
+before(async () => {
+    gateway = await startGateway();
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-failover-test-'));
+    server = startServer(PORT, tmp);
+    await waitForReady();
+    await fetch(`${BASE}/v1/manager/me`, { headers: HEADERS });
+    assert.equal((await fetch(`${BASE}/v1/manager/models`, { headers: HEADERS })).status, 200);
+});
+
+after(async () => {
+    for (const child of [server, probeServer].filter(Boolean)) {
+        try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(child.pid), '/T', '/F']); else process.kill(-child.pid, 'SIGKILL'); } catch { /* ignore */ }
+    }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+    gateway.closeAllConnections();
+    await new Promise(resolve => gateway.close(resolve));
+});
+
+async function createAgent(yaml) {
+    const r = await fetch(`${BASE}/v1/manager/agents`, { method: 'POST', headers: H_YAML, body: yaml });
+    assert.equal(r.status, 201);
+    return (await r.json()).agent_key;
+}
+
+function chat(key, body) {
+    return fetch(`${BASE}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+        body: JSON.stringify({ messages: [{ role: 'user', content: 'hi' }], ...body }),
+    });
+}
+
+test('failover — a rate-limited model fails over to the agent fallback', async () => {
+    const key = await createAgent('name: Limited\ninstructions: Help.\nprovider: anthropic\nmodel: claude-haiku\nfallbacks:\n  - openai/gpt-4o-mini\n');
+    const r = await chat(key, {});
+    assert.equal(r.status, 200);
+    const body = await r.json();
+    assert.equal(body.choices[0].message.content, 'from openai/gpt-4o-mini');
+    assert.equal(body.warning.type, 'model_fallback');
+    assert.equal(body.warning.original_model, 'claude-haiku');
+    assert.equal(body.warning.fallback_model, 'gpt-4o-mini');
+    assert.equal(body.warning.fallback_provider, 'openai');
+    assert.deepEqual(body.warning.attempts, [{ provider: 'anthropic', model: 'claude-haiku', reason: 'rate_limited' }]);
+});
+
+test('failover — a timed-out stream fails over before its first chunk', async () => {
+    const key = await createAgent('name: Slow\ninstructions: Help.\nprovider: openai\nmodel: slow\nfallbacks:\n  - provider: anthropic\n    model: claude-sonnet-4-5\n');
+    const r = await chat(key, { stream: true });
+    assert.equal(r.status, 200);
+    const text = await r.text();
+    const warningAt = text.indexOf('event: warning');
+    assert.ok(warningAt !== -1 && warningAt < text.indexOf('from anthropic/claude-sonnet-4-5'));
+    const warning = JSON.parse(text.slice(warningAt).split('\n')[1].slice('data: '.length));
+    assert.deepEqual(warning.attempts, [{ provider: 'openai', model: 'slow', reason: 'timeout' }]);
+    assert.ok(text.trimEnd().endsWith('data: [DONE]'));
+});
+
+test('failover — errors that are not outages end the chain', async () => {
+    const key = await createAgent('name: Bad\ninstructions: Help.\nprovider: ollama\nmodel: bad\nfallbacks:\n  - openai/gpt-4o-mini\n');
+    const before = calls['openai/gpt-4o-mini'] ?? 0;
+    const r = await chat(key, {});
+    assert.equal(r.status, 503);
+    assert.equal(calls['openai/gpt-4o-mini'] ?? 0, before);
+});
+
+test('failover — a provider that keeps failing is skipped by its circuit breaker', async () => {
+    const key = await createAgent('name: Down\ninstructions: Help.\nprovider: ollama\nmodel: down\nfallbacks:\n  - openai/gpt-4o-mini\n');
+    for (let i = 0; i < 2; i++) {
+        const body = await (await chat(key, {})).json();
+        assert.equal(body.warning.attempts[0].reason, 'http_503');
+    }
+    assert.equal(calls['ollama/down'], 2);
+
+    const body = await (await chat(key, {})).json();
+    assert.equal(body.choices[0].message.content, 'from openai/gpt-4o-mini');
+    assert.deepEqual(body.warning.attempts, [{ provider: 'ollama', model: 'down', reason: 'circuit_open' }]);
+    assert.equal(calls['ollama/down'], 2, 'the open breaker skips the provider');
+});
+
+test('failover — rejects malformed agent fallbacks', async () => {
+    const r = await fetch(`${BASE}/v1/manager/agents`, { method: 'POST', headers: H_YAML, body: 'name: X\ninstructions: Help.\nfallbacks:\n  - gpt-4o\n' });
+    assert.equal(r.status, 400);
+    assert.equal((await r.json()).error.param, 'fallbacks');
+});
+
+test('failover — parent-key chains only use models the key may use', async () => {
+    const rotated = await (await fetch(`${BASE}/v1/manager/parent-key/rotate`, { method: 'POST', headers: HEADERS })).json();
+    const keyId = rotated.parent_key_id;
+
+    const restricted = await fetch(`${BASE}/v1/manager/admin/parent-keys/${keyId}/model-restrictions`, {
+        method: 'PUT',
+        headers: H_JSON,
+        body: JSON.stringify({ allowed_models: [{ provider: 'openai' }] }),
+    });
+    assert.equal(restricted.status, 200);
+    const saved = await fetch(`${BASE}/v1/manager/admin/parent-keys/${keyId}/fallbacks`, {
+        method: 'PUT',
+        headers: H_JSON,
+        body: JSON.stringify({ fallbacks: [{ provider: 'anthropic', model: 'claude-sonnet-4-5' }, { provider: 'openai', model: 'gpt-4o-mini' }] }),
+    });
+    assert.equal(saved.status, 200);
+    const view = await saved.json();
+    assert.equal(view.fallbacks.length, 2);
+    assert.deepEqual(view.effective_fallbacks, [{ provider: 'openai', model: 'gpt-4o-mini' }]);
+
+    const anthropicBefore = calls['anthropic/claude-sonnet-4-5'] ?? 0;
+    const r = await chat(rotated.parent_key, { provider: 'openai', model: 'gpt-4o' });
+    assert.equal(r.status, 200);
+    const body = await r.json();
+    assert.equal(body.choices[0].message.content, 'from openai/gpt-4o-mini');
+    assert.deepEqual(body.warning.attempts, [{ provider: 'openai', model: 'gpt-4o', reason: 'http_503' }]);
+    assert.equal(calls['anthropic/claude-sonnet-4-5'] ?? 0, anthropicBefore);
+
+    const responses = await fetch(`${BASE}/v1/responses`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${rotated.parent_key}` },
+        body: JSON.stringify({ provider: 'openai', model: 'gpt-4o', input: 'hi' }),
+    });
+    assert.equal(responses.status, 200);
+    const response = await responses.json();
+    assert.equal(response.model, 'gpt-4o-mini');
+    assert.equal(response.warning.fallback_model, 'gpt-4o-mini');
+});
+
+test('failover — a half-open breaker lets one probe through at a time', async () => {
+    const probeBase = `http://localhost:${PROBE_PORT}`;
+    const dir = path.join(tmp, 'probe');
+    mkdirSync(dir);
+    probeServer = startServer(PROBE_PORT, dir, { FAILOVER_BREAKER_COOLDOWN_MS: '500' });
+    await waitForReady(probeBase);
+    await fetch(`${probeBase}/v1/manager/me`, { headers: HEADERS });
+    await fetch(`${probeBase}/v1/manager/models`, { headers: HEADERS });
+    const created = await fetch(`${probeBase}/v1/manager/agents`, {
+        method: 'POST',
+        headers: H_YAML,
+        body: 'name: Probe\ninstructions: Help.\nprovider: anthropic\nmodel: probe\nfallbacks:\n  - openai/gpt-4o-mini\n',
+    });
+    const key = (await created.json()).agent_key;
+    const probeChat = () => fetch(`${probeBase}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+        body: JSON.stringify({ messages: [{ role: 'user', content: 'hi' }] }),
+    }).then(r => r.json());
+
+    // Two failures open the breaker
+    await probeChat();
+    await probeChat();
+    assert.equal(calls['anthropic/probe'], 2);
+    await delay(600);
+
+    // Past the cooldown, concurrent requests: one probes, the others skip the provider
+    const bodies = await Promise.all([probeChat(), probeChat(), probeChat()]);
+    assert.equal(calls['anthropic/probe'], 3);
+    const reasons = bodies.map(body => body.warning.attempts[0].reason).sort();
+    assert.deepEqual(reasons, ['circuit_open', 'circuit_open', 'http_503']);
+    for (const body of bodies) assert.equal(body.choices[0].message.content, 'from openai/gpt-4o-mini');
+
+    // The failed probe opened the breaker again
+    const next = await probeChat();
+    assert.equal(next.warning.attempts[0].reason, 'circuit_open');
+    assert.equal(calls['anthropic/probe'], 3);
+});
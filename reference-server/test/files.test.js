@@ -0,0 +1,161 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Keep in sync with DEMO_API_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const PORT = 3350;
+const BASE = `http://localhost:${PORT}`;
+const LEGACY_FILE_ID = 'file-legacy0000000000000000';
+
+const MANAGER_HEADERS = {
+    'x-user': 'files-test-user',
+    'x-preferred-username': 'filestest',
+    'x-email': 'filestest@example.test',
+    'x-groups': 'ldapusers',
+};
+
+let server;
+let tmp;
+let otherKey;
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+before(async () => {
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-files-test-'));
+    // A pre-ownership upload, as the old index.json recorded it
+    mkdirSync(path.join(tmp, 'files'));
+    writeFileSync(path.join(tmp, 'files', LEGACY_FILE_ID), 'legacy');
+    writeFileSync(path.join(tmp, 'files', 'index.json'), JSON.stringify([
+        { id: LEGACY_FILE_ID, object: 'file', bytes: 6, created_at: 1755458351, filename: 'legacy.txt', purpose: 'assistants' },
+    ]));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: path.join(tmp, 'ozwell.db'),
+            DATA_DIR: tmp,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: 'true',
+            LLM_BASE_URL: '',
+            LLM_API_KEY: '',
+            OLLAMA_BASE_URL: 'http://127.0.0.1:9',
+            TRUST_FORWARD_AUTH_HEADERS: 'true',
+        }
+    });
+    await waitForReady();
+    // A second tenant: the manager console provisions a parent key on first visit
+    otherKey = (await (await fetch(`${BASE}/v1/manager/me`, { headers: MANAGER_HEADERS })).json()).parent_key;
+    assert.ok(otherKey);
+});
+
+after(() => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+async function upload(key, filename, content = 'hello') {
+    const form = new FormData();
+    form.append('purpose', 'assistants');
+    form.append('file', new Blob([content]), filename);
+    return fetch(`${BASE}/v1/files`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${key}` },
+        body: form,
+    });
+}
+
+function get(key, url, method = 'GET') {
+    return fetch(`${BASE}${url}`, { method, headers: { Authorization: `Bearer ${key}` } });
+}
+
+async function listIds(key) {
+    const r = await get(key, '/v1/files');
+    assert.equal(r.status, 200);
+    return (await r.json()).data.map(f => f.id);
+}
+
+test('files — other keys cannot list, read, download or delete a file', async () => {
+    const file = await (await upload(PARENT_KEY, 'mine.txt', 'secret notes')).json();
+
+    assert.ok((await listIds(PARENT_KEY)).includes(file.id));
+    assert.ok(!(await listIds(otherKey)).includes(file.id));
+    assert.equal((await get(otherKey, `/v1/files/${file.id}`)).status, 404);
+    assert.equal((await get(otherKey, `/v1/files/${file.id}/content`)).status, 404);
+    assert.equal((await get(otherKey, `/v1/files/${file.id}`, 'DELETE')).status, 404);
+
+    const content = await get(PARENT_KEY, `/v1/files/${file.id}/content`);
+    assert.equal(content.status, 200);
+    assert.equal(await content.text(), 'secret notes');
+
+    const deleted = await (await get(PARENT_KEY, `/v1/files/${file.id}`, 'DELETE')).json();
+    assert.deepEqual(deleted, { id: file.id, object: 'file', deleted: true });
+    assert.equal((await get(PARENT_KEY, `/v1/files/${file.id}`)).status, 404);
+});
+
+test('files — agent keys own their uploads separately from the parent key', async () => {
+    const agent = await (await fetch(`${BASE}/v1/agents`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/yaml', 'Authorization': `Bearer ${PARENT_KEY}` },
+        body: 'name: Uploader\ninstructions: Help.\n',
+    })).json();
+
+    const file = await (await upload(agent.agent_key, 'agent.txt')).json();
+    assert.deepEqual(await listIds(agent.agent_key), [file.id]);
+    assert.ok(!(await listIds(PARENT_KEY)).includes(file.id));
+
+    // ...but the parent key can still attach it as knowledge of its agents
+    const r = await fetch(`${BASE}/v1/agents`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/yaml', 'Authorization': `Bearer ${PARENT_KEY}` },
+        body: `name: Reader\ninstructions: Help.\nknowledge:\n  - ${file.id}\n`,
+    });
+    assert.equal(r.status, 201);
+
+    // Another parent key's agents can't
+    const other = await fetch(`${BASE}/v1/agents`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/yaml', 'Authorization': `Bearer ${otherKey}` },
+        body: `name: Reader\ninstructions: Help.\nknowledge:\n  - ${file.id}\n`,
+    });
+    assert.equal(other.status, 400);
+});
+
+test('files — uploads require a key that exists, not just a valid prefix', async () => {
+    const r = await upload('ozw_not_a_real_key', 'x.txt');
+    assert.equal(r.status, 401);
+    assert.match((await r.json()).error.message, /not found/);
+    assert.equal((await get('agnt_key-not-a-real-key', '/v1/files')).status, 401);
+});
+
+test('files — concurrent uploads are all recorded', async () => {
+    const results = await Promise.all(Array.from({ length: 8 }, (_, i) => upload(otherKey, `batch-${i}.txt`, `file ${i}`)));
+    const ids = await Promise.all(results.map(async r => {
+        assert.equal(r.status, 200);
+        return (await r.json()).id;
+    }));
+    const listed = await listIds(otherKey);
+    for (const id of ids) assert.ok(listed.includes(id));
+});
+
+test('files — entries imported from the legacy index.json have no owner', async () => {
+    assert.ok(!(await listIds(PARENT_KEY)).includes(LEGACY_FILE_ID));
+    assert.equal((await get(PARENT_KEY, `/v1/files/${LEGACY_FILE_ID}`)).status, 404);
+});
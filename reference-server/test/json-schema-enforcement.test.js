@@ -0,0 +1,282 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { createServer } from 'node:http';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Keep in sync with DEMO_API_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const PORT = 3362;
+const BASE = `http://localhost:${PORT}`;
+
+let server;
+let gateway;
+let tmp;
+let gatewayBodies = [];
+
+const TRIAGE_SCHEMA = {
+    type: 'object',
+    properties: {
+        severity: { type: 'string', enum: ['low', 'medium', 'high'] },
+        age: { type: 'integer', minimum: 0 },
+        symptoms: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    },
+    required: ['severity', 'age', 'symptoms'],
+    additionalProperties: false,
+};
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+// Fake gateway. The first user message picks how it misbehaves; a correction
+// request from the server (the last message) gets a valid answer. Requests
+// with `n` get that many choices.
+function answerFor(messages, index) {
+    const first = messages.find(m => m.role === 'user').content;
+    const last = messages.at(-1);
+    const valid = '{"severity": "high", "age": 54, "symptoms": ["chest pain"]}';
+    if (/fenced/.test(first)) return 'Here you go:\n```json\n{"severity": "low", "age": 30, "symptoms": ["cough",],}\n```';
+    if (/truncated/.test(first)) return '{"severity": "medium", "age": 41, "symptoms": ["fever", "chi';
+    if (/always wrong/.test(first)) return '{"severity": "extreme"}';
+    if (/second choice wrong/.test(first) && index === 1 && messages.length === 1) return '{"severity": "high"}';
+    if (/two choices wrong/.test(first) && messages.length === 1) {
+        if (index === 1) return '{"severity": "high"}';
+        if (index === 2) return '{"severity": "extreme", "age": 54, "symptoms": ["chest pain"]}';
+    }
+    if (/wrong once/.test(first)) return /does not match the required JSON schema/.test(last.content) ? valid : '{"severity": "extreme", "age": 54, "symptoms": ["chest pain"]}';
+    return valid;
+}
+
+function startGateway() {
+    const srv = createServer((req, res) => {
+        if (req.method === 'GET' && req.url === '/v1/models') {
+            const models = req.headers['x-portkey-provider'] === 'openai' ? [{ id: 'gpt-4o-mini', object: 'model' }] : [];
+            res.writeHead(models.length ? 200 : 404, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ object: 'list', data: models }));
+            return;
+        }
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = JSON.parse(raw);
+            gatewayBodies.push(body);
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'chatcmpl_gw', object: 'chat.completion', created: 1, model: body.model,
+                choices: Array.from({ length: body.n ?? 1 }, (_, index) => ({
+                    index, message: { role: 'assistant', content: answerFor(body.messages, index) }, finish_reason: 'stop',
+                })),
+                usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+            }));
+        });
+    });
+    return new Promise(resolve => srv.listen(0, '127.0.0.1', () => resolve(srv)));
+}
+
+before(async () => {
+    gateway = await startGateway();
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-json-schema-test-'));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: path.join(tmp, 'ozwell.db'),
+            DATA_DIR: tmp,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: '',
+            LLM_BASE_URL: `http://127.0.0.1:${gateway.address().port}`,
+            LLM_API_KEY: 'test-key',
+            LLM_PROVIDER: 'openai',
+            LLM_MODEL: 'gpt-4o-mini',
+            OLLAMA_BASE_URL: '',
+            MODEL_DISCOVERY_REFRESH_MS: '0',
+            JSON_SCHEMA_MAX_RETRIES: '',
+        }
+    });
+    await waitForReady();
+    // Populate the provider model registry from the fake gateway.
+    await fetch(`${BASE}/v1/models`, { headers: { Authorization: `Bearer ${PARENT_KEY}` } });
+});
+
+after(async () => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+    gateway.closeAllConnections();
+    await new Promise(resolve => gateway.close(resolve));
+});
+
+function chat(key, content, { strict = false, ...body } = {}) {
+    return fetch(`${BASE}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            model: 'gpt-4o-mini',
+            messages: [{ role: 'user', content }],
+            response_format: { type: 'json_schema', json_schema: { name: 'triage', strict, schema: TRIAGE_SCHEMA } },
+            ...body,
+        }),
+    });
+}
+
+test('structured output — a conforming reply is passed through unchanged', async () => {
+    gatewayBodies = [];
+    const r = await chat(PARENT_KEY, 'Triage: 54 year old with chest pain');
+    assert.equal(r.status, 200);
+    const body = await r.json();
+    assert.deepEqual(JSON.parse(body.choices[0].message.content), { severity: 'high', age: 54, symptoms: ['chest pain'] });
+    assert.deepEqual(body.structured_output, { repaired: false, retries: 0 });
+    assert.equal(gatewayBodies.length, 1);
+    // The format still goes upstream
+    assert.equal(gatewayBodies[0].response_format.json_schema.name, 'triage');
+});
+
+test('structured output — code fences, trailing commas and truncation are repaired', async () => {
+    gatewayBodies = [];
+    const fenced = await (await chat(PARENT_KEY, 'Triage (fenced): cough')).json();
+    assert.equal(fenced.choices[0].message.content, '{"severity":"low","age":30,"symptoms":["cough"]}');
+    assert.deepEqual(fenced.structured_output, { repaired: true, retries: 0 });
+
+    const truncated = await (await chat(PARENT_KEY, 'Triage (truncated): fever')).json();
+    assert.deepEqual(JSON.parse(truncated.choices[0].message.content), { severity: 'medium', age: 41, symptoms: ['fever', 'chi'] });
+    assert.equal(truncated.structured_output.repaired, true);
+    assert.equal(gatewayBodies.length, 2);
+});
+
+test('structured output — a non-conforming reply is asked for again with the problems', async () => {
+    gatewayBodies = [];
+    const r = await chat(PARENT_KEY, 'Triage (wrong once): chest pain');
+    assert.equal(r.status, 200);
+    const body = await r.json();
+    assert.equal(JSON.parse(body.choices[0].message.content).severity, 'high');
+    assert.deepEqual(body.structured_output, { repaired: false, retries: 1 });
+    assert.equal(body.usage.total_tokens, 30);
+
+    assert.equal(gatewayBodies.length, 2);
+    const correction = gatewayBodies[1].messages.at(-1);
+    assert.equal(correction.role, 'user');
+    assert.match(correction.content, /\$\.severity must be one of "low", "medium", "high"/);
+    assert.equal(gatewayBodies[1].messages.at(-2).content, '{"severity": "extreme", "age": 54, "symptoms": ["chest pain"]}');
+});
+
+test('structured output — strict mode skips repair, and gives up after the retry limit', async () => {
+    gatewayBodies = [];
+    const strict = await chat(PARENT_KEY, 'Triage (fenced): cough', { strict: true });
+    assert.equal(strict.status, 502);
+    const error = (await strict.json()).error;
+    assert.equal(error.code, 'json_schema_validation_failed');
+    assert.equal(error.param, 'response_format');
+    assert.match(error.message, /after 2 retries: \$ is not valid JSON/);
+    assert.equal(gatewayBodies.length, 3);
+
+    gatewayBodies = [];
+    const wrong = await chat(PARENT_KEY, 'Triage (always wrong)');
+    assert.equal(wrong.status, 502);
+    assert.match((await wrong.json()).error.message, /\$\.age is required/);
+    assert.equal(gatewayBodies.length, 3);
+});
+
+test('structured output — streamed requests get the checked reply as chunks', async () => {
+    const r = await chat(PARENT_KEY, 'Triage (fenced): cough', { stream: true });
+    assert.equal(r.status, 200);
+    assert.equal(r.headers.get('content-type'), 'text/event-stream');
+    const chunks = (await r.text()).split('\n\n')
+        .filter(event => event.startsWith('data: {'))
+        .map(event => JSON.parse(event.slice('data: '.length)));
+    const content = chunks.map(chunk => chunk.choices[0].delta.content ?? '').join('');
+    assert.equal(content, '{"severity":"low","age":30,"symptoms":["cough"]}');
+    const last = chunks.at(-1);
+    assert.equal(last.choices[0].finish_reason, 'stop');
+    assert.deepEqual(last.structured_output, { repaired: true, retries: 0 });
+});
+
+test('structured output — every choice is checked, and streamed with its own index', async () => {
+    gatewayBodies = [];
+    const body = await (await chat(PARENT_KEY, 'Triage (second choice wrong): chest pain', { n: 2 })).json();
+    assert.deepEqual(body.choices.map(choice => choice.index), [0, 1]);
+    for (const choice of body.choices) assert.deepEqual(JSON.parse(choice.message.content), { severity: 'high', age: 54, symptoms: ['chest pain'] });
+    assert.deepEqual(body.structured_output, { repaired: false, retries: 1 });
+    assert.equal(gatewayBodies.length, 2);
+    assert.equal(gatewayBodies[1].messages.at(-2).content, '{"severity": "high"}');
+    assert.equal(gatewayBodies[1].n, 1);
+
+    const chunks = (await (await chat(PARENT_KEY, 'Triage (fenced): cough', { n: 2, stream: true })).text()).split('\n\n')
+        .filter(event => event.startsWith('data: {'))
+        .map(event => JSON.parse(event.slice('data: '.length)));
+    for (const index of [0, 1]) {
+        const own = chunks.filter(chunk => chunk.choices[0].index === index);
+        assert.equal(own.map(chunk => chunk.choices[0].delta.content ?? '').join(''), '{"severity":"low","age":30,"symptoms":["cough"]}');
+        assert.equal(own.at(-1).choices[0].finish_reason, 'stop');
+    }
+    assert.deepEqual(chunks.at(-1).structured_output, { repaired: true, retries: 0 });
+});
+
+test('structured output — each failed choice is retried with its own correction', async () => {
+    gatewayBodies = [];
+    const body = await (await chat(PARENT_KEY, 'Triage (two choices wrong): chest pain', { n: 3 })).json();
+    assert.deepEqual(body.choices.map(choice => choice.index), [0, 1, 2]);
+    for (const choice of body.choices) assert.deepEqual(JSON.parse(choice.message.content), { severity: 'high', age: 54, symptoms: ['chest pain'] });
+    assert.deepEqual(body.structured_output, { repaired: false, retries: 1 });
+    assert.equal(body.usage.total_tokens, 45);
+    const retries = gatewayBodies.slice(1);
+    assert.equal(retries.length, 2);
+    assert.deepEqual(retries.map(retry => retry.n), [1, 1]);
+    assert.equal(retries[0].messages.at(-2).content, '{"severity": "high"}');
+    assert.match(retries[0].messages.at(-1).content, /age/);
+    assert.equal(retries[1].messages.at(-2).content, '{"severity": "extreme", "age": 54, "symptoms": ["chest pain"]}');
+    assert.match(retries[1].messages.at(-1).content, /severity/);
+    assert.doesNotMatch(retries[1].messages.at(-1).content, /"age"/);
+});
+
+test('structured output — every keyword is checked, and schemas that cannot be are refused', async () => {
+    gatewayBodies = [];
+    const schema = { ...TRIAGE_SCHEMA, properties: { ...TRIAGE_SCHEMA.properties, age: { type: 'integer', multipleOf: 5 } } };
+    const r = await chat(PARENT_KEY, 'Triage: 54 year old with chest pain', {
+        response_format: { type: 'json_schema', json_schema: { name: 'triage', schema } },
+    });
+    assert.equal(r.status, 502);
+    assert.match((await r.json()).error.message, /\$\.age must be multiple of 5/);
+
+    gatewayBodies = [];
+    const refused = [
+        [{ response_format: { type: 'json_schema', json_schema: { name: 'triage', schema: { ...TRIAGE_SCHEMA, mustBe: 'valid' } } } }, 'response_format', /unknown keyword: "mustBe"/],
+        [{ response_format: { type: 'json_schema', json_schema: { name: 'triage', schema: { type: 'string', pattern: '(' } } } }, 'response_format', /Invalid regular expression/],
+        [{ tools: [{ type: 'function', function: { name: 'triage', parameters: { type: 'object', properties: { when: { type: 'string', format: 'someday' } } } } }] }, 'tools', /unknown format "someday"/],
+    ];
+    for (const [body, param, message] of refused) {
+        const bad = await chat(PARENT_KEY, 'Triage', body);
+        assert.equal(bad.status, 400, JSON.stringify(body));
+        const { error } = await bad.json();
+        assert.equal(error.type, 'invalid_request_error');
+        assert.equal(error.param, param);
+        assert.match(error.message, message);
+    }
+    assert.equal(gatewayBodies.length, 0);
+});
+
+test('structured output — mock agents answer with a conforming sample', async () => {
+    const agent = await (await fetch(`${BASE}/v1/agents`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${PARENT_KEY}`, 'Content-Type': 'application/yaml' },
+        body: 'name: Mocked\ninstructions: Help.\ntype: mock\n',
+    })).json();
+    const r = await chat(agent.agent_key, 'Triage please');
+    assert.equal(r.status, 200);
+    const body = await r.json();
+    assert.deepEqual(JSON.parse(body.choices[0].message.content), { severity: 'low', age: 0, symptoms: ['string'] });
+    assert.equal(body.choices[0].message.tool_calls, undefined);
+});
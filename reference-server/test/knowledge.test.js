@@ -0,0 +1,234 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { createServer } from 'node:http';
+import { setTimeout as delay } from 'node:timers/promises';
+import { existsSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const Database = require('better-sqlite3');
+
+// Keep in sync with DEMO_API_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const PORT = 3348;
+const BASE = `http://localhost:${PORT}`;
+
+// Short paragraphs with KNOWLEDGE_CHUNK_CHARS=60 so each one becomes its own chunk.
+const HANDBOOK = [
+    'Clinic hours are 8am to 5pm on weekdays.',
+    'Parking is free in the north garage.',
+    'Flu shots are offered every Tuesday morning.',
+    'Refill requests take two business days.',
+].join('\n\n');
+
+let server;
+let tmp;
+let gateway;
+let gatewayBodies = [];
+let embeddingCalls = 0;
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+// Fake OpenAI-compatible gateway that records chat requests. Knowledge runs with
+// KNOWLEDGE_EMBED_MODEL=mock, so it should never be asked for embeddings.
+function gatewayHandler(req, res) {
+    if (req.method === 'GET' && req.url === '/v1/models') {
+        const models = req.headers['x-portkey-provider'] === 'openai' ? [{ id: 'gpt-4o-mini', object: 'model' }] : [];
+        res.writeHead(models.length ? 200 : 404, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ object: 'list', data: models }));
+        return;
+    }
+    if (req.url === '/v1/embeddings') embeddingCalls++;
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        const body = JSON.parse(raw);
+        gatewayBodies.push(body);
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({
+            id: 'chatcmpl_gw', object: 'chat.completion', created: 1, model: body.model,
+            choices: [{ index: 0, message: { role: 'assistant', content: 'See [1].' }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+        }));
+    });
+}
+
+before(async () => {
+    gateway = createServer(gatewayHandler);
+    await new Promise(resolve => gateway.listen(0, '127.0.0.1', resolve));
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-knowledge-test-'));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: path.join(tmp, 'ozwell.db'),
+            DATA_DIR: tmp,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: '',
+            LLM_BASE_URL: `http://127.0.0.1:${gateway.address().port}`,
+            LLM_API_KEY: 'test-key',
+            LLM_PROVIDER: 'openai',
+            LLM_MODEL: 'gpt-4o-mini',
+            MODEL_DISCOVERY_REFRESH_MS: '0',
+            KNOWLEDGE_EMBED_MODEL: 'mock',
+            KNOWLEDGE_CHUNK_CHARS: '60',
+            KNOWLEDGE_TOP_K: '2',
+        }
+    });
+    await waitForReady();
+    // Populate the provider model registry from the fake gateway.
+    await fetch(`${BASE}/v1/models`, { headers: { Authorization: `Bearer ${PARENT_KEY}` } });
+});
+
+after(async () => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+    await new Promise(resolve => gateway.close(resolve));
+});
+
+async function uploadFile(filename, text, key = PARENT_KEY) {
+    const form = new FormData();
+    form.append('purpose', 'assistants');
+    form.append('file', new Blob([text], { type: 'text/plain' }), filename);
+    const r = await fetch(`${BASE}/v1/files`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${key}` },
+        body: form,
+    });
+    assert.equal(r.status, 200);
+    return r.json();
+}
+
+async function createAgent(yamlText) {
+    return fetch(`${BASE}/v1/agents`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/yaml', 'Authorization': `Bearer ${PARENT_KEY}` },
+        body: yamlText,
+    });
+}
+
+async function chat(agentKey, content) {
+    return fetch(`${BASE}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${agentKey}` },
+        body: JSON.stringify({ messages: [{ role: 'user', content }] }),
+    });
+}
+
+function systemPromptOf(body) {
+    return body.messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+}
+
+test('knowledge — top-k chunks of attached files are injected with citations', async () => {
+    const file = await uploadFile('handbook.txt', HANDBOOK);
+    const created = await createAgent(`name: Front Desk\ninstructions: Answer clinic questions.\nknowledge:\n  - ${file.id}\n`);
+    assert.equal(created.status, 201);
+    const agent = await created.json();
+    assert.ok(existsSync(path.join(tmp, 'knowledge.db')), 'index lives next to the SQLite database');
+
+    gatewayBodies = [];
+    const r = await chat(agent.agent_key, 'Flu shots are offered every Tuesday morning.');
+    assert.equal(r.status, 200);
+
+    assert.equal(gatewayBodies.length, 1);
+    const system = systemPromptOf(gatewayBodies[0]);
+    assert.ok(system.startsWith('Answer clinic questions.'), 'agent instructions come first');
+    assert.match(system, /=== KNOWLEDGE ===/);
+    // The mock embedding of identical text is identical, so that chunk ranks first.
+    assert.match(system, new RegExp(`\\[1\\] handbook\\.txt \\(${file.id}#2\\)\\nFlu shots are offered every Tuesday morning\\.`));
+    assert.match(system, /\[2\] handbook\.txt/);
+    assert.doesNotMatch(system, /\[3\]/, 'only KNOWLEDGE_TOP_K chunks are injected');
+    assert.equal(embeddingCalls, 0, 'mock embeddings never reach the backend');
+});
+
+test('knowledge — /v1/responses gets the same context', async () => {
+    const file = await uploadFile('handbook.txt', HANDBOOK);
+    const agent = await (await createAgent(`name: Front Desk\ninstructions: Answer clinic questions.\nknowledge: [${file.id}]\n`)).json();
+
+    gatewayBodies = [];
+    const r = await fetch(`${BASE}/v1/responses`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${agent.agent_key}` },
+        body: JSON.stringify({ input: 'Parking is free in the north garage.' }),
+    });
+    assert.equal(r.status, 200);
+    assert.match(systemPromptOf(gatewayBodies[0]), new RegExp(`\\[1\\] handbook\\.txt \\(${file.id}#1\\)\\nParking is free`));
+});
+
+test('knowledge — deleted files drop out of retrieval', async () => {
+    const file = await uploadFile('notes.txt', 'The lab closes at noon on Fridays.');
+    const agent = await (await createAgent(`name: Lab\ninstructions: Answer lab questions.\nknowledge:\n  - ${file.id}\n`)).json();
+
+    const deleted = await fetch(`${BASE}/v1/files/${file.id}`, { method: 'DELETE', headers: { Authorization: `Bearer ${PARENT_KEY}` } });
+    assert.equal(deleted.status, 200);
+
+    gatewayBodies = [];
+    const r = await chat(agent.agent_key, 'The lab closes at noon on Fridays.');
+    assert.equal(r.status, 200);
+    assert.equal(systemPromptOf(gatewayBodies[0]), 'Answer lab questions.');
+});
+
+test('knowledge — files that belong to another parent key are never retrieved', async () => {
+    const file = await uploadFile('payroll.txt', 'Payroll runs on the last Friday of the month.');
+    const agent = await (await createAgent(`name: Payroll\ninstructions: Answer payroll questions.\nknowledge:\n  - ${file.id}\n`)).json();
+    // The file changes hands after the agent was saved
+    const db = new Database(path.join(tmp, 'ozwell.db'));
+    try {
+        db.prepare('UPDATE files SET parent_key_id = ? WHERE id = ?').run('someone-else', file.id);
+    } finally {
+        db.close();
+    }
+
+    gatewayBodies = [];
+    const r = await chat(agent.agent_key, 'Payroll runs on the last Friday of the month.');
+    assert.equal(r.status, 200);
+    assert.equal(systemPromptOf(gatewayBodies[0]), 'Answer payroll questions.');
+});
+
+test('knowledge — agent YAML must reference existing files', async () => {
+    const missing = await createAgent('name: Bad\ninstructions: x\nknowledge:\n  - file-does-not-exist\n');
+    assert.equal(missing.status, 400);
+    const missingBody = await missing.json();
+    assert.equal(missingBody.error.param, 'knowledge');
+    assert.match(missingBody.error.message, /file-does-not-exist/);
+
+    const invalid = await createAgent('name: Bad\ninstructions: x\nknowledge: handbook.txt\n');
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error.param, 'knowledge');
+});
+
+test('knowledge — files uploaded with an agent key can be attached', async () => {
+    const agent = await (await createAgent('name: Intake\ninstructions: Answer intake questions.\n')).json();
+    const file = await uploadFile('intake.txt', 'Bring your insurance card to every visit.', agent.agent_key);
+
+    const updated = await fetch(`${BASE}/v1/agents/${agent.agent_id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/yaml', 'Authorization': `Bearer ${PARENT_KEY}` },
+        body: `name: Intake\ninstructions: Answer intake questions.\nknowledge:\n  - ${file.id}\n`,
+    });
+    assert.equal(updated.status, 200);
+
+    // Another agent of the same parent key may use it too
+    const sibling = await createAgent(`name: Billing\ninstructions: Answer billing questions.\nknowledge:\n  - ${file.id}\n`);
+    assert.equal(sibling.status, 201);
+
+    gatewayBodies = [];
+    await chat(agent.agent_key, 'Bring your insurance card to every visit.');
+    assert.match(systemPromptOf(gatewayBodies[0]), /\[1\] intake\.txt/);
+});
@@ -7,6 +7,7 @@ import { mkdtempSync, rmSync } from 'node:fs';
 import { tmpdir } from 'node:os';
 import path from 'node:path';
 import { createRequire } from 'node:module';
+import { createHash, randomBytes } from 'node:crypto';
 
 const require = createRequire(import.meta.url);
 const Database = require('better-sqlite3');
@@ -114,12 +115,23 @@ function stopServer(server, tmp) {
     try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
 }
 
+// Stored form of a key, matching hashKey()/getKeyLookupPrefix() in src/util.
+function storedKey(key) {
+    const salt = randomBytes(16).toString('hex');
+    const typePrefix = key.startsWith('agnt_key-') ? 'agnt_key-' : 'ozw_';
+    return {
+        key_prefix: key.slice(0, typePrefix.length + 8),
+        key_hash: `${salt}:${createHash('sha256').update(salt).update(key).digest('hex')}`,
+        key_hint: key.slice(-4),
+    };
+}
+
 function getUserAndActiveKey(dbPath) {
     const db = new Database(dbPath);
     try {
         const user = db.prepare('SELECT id FROM users WHERE external_user_id = ?').get(MANAGER_HEADERS['x-user']);
         assert.ok(user?.id, 'manager user should exist');
-        const key = db.prepare("SELECT id, key, status FROM api_keys WHERE user_id = ? AND COALESCE(status, 'active') = 'active' AND revoked_at IS NULL").get(user.id);
+        const key = db.prepare("SELECT id, key_hint, status FROM api_keys WHERE user_id = ? AND COALESCE(status, 'active') = 'active' AND revoked_at IS NULL").get(user.id);
         assert.ok(key?.id, 'manager user should have an active parent key');
         return { user, key };
     } finally {
@@ -131,26 +143,25 @@ function seedClaimableKey(dbPath) {
     const db = new Database(dbPath);
     try {
         db.prepare(`
-          INSERT INTO api_keys (id, name, key, key_hint, created_at, status)
-          VALUES (?, ?, ?, ?, ?, ?)
-        `).run(
-            'existing-key',
-            'Existing Key',
-            'ozw_existing_parent_key_for_testing',
-            'ting',
-            new Date().toISOString(),
-            'active',
-        );
+          INSERT INTO api_keys (id, name, key_prefix, key_hash, key_hint, created_at, status)
+          VALUES (@id, @name, @key_prefix, @key_hash, @key_hint, @created_at, @status)
+        `).run({
+            id: 'existing-key',
+            name: 'Existing Key',
+            ...storedKey('ozw_existing_parent_key_for_testing'),
+            created_at: new Date().toISOString(),
+            status: 'active',
+        });
         db.prepare(`
-          INSERT INTO agents (id, agent_key, parent_key, yaml, created_at)
-          VALUES (?, ?, ?, ?, ?)
-        `).run(
-            'existing-agent',
-            'agnt_key-existing-test',
-            'existing-key',
-            'name: Existing Agent\ninstructions: Already owned by old key\n',
-            Math.floor(Date.now() / 1000),
-        );
+          INSERT INTO agents (id, key_prefix, key_hash, key_hint, parent_key, yaml, created_at)
+          VALUES (@id, @key_prefix, @key_hash, @key_hint, @parent_key, @yaml, @created_at)
+        `).run({
+            id: 'existing-agent',
+            ...storedKey('agnt_key-existing-test'),
+            parent_key: 'existing-key',
+            yaml: 'name: Existing Agent\ninstructions: Already owned by old key\n',
+            created_at: Math.floor(Date.now() / 1000),
+        });
     } finally {
         db.close();
     }
@@ -213,6 +224,11 @@ test('manager auth — /v1/manager/me auto-provisions user and parent key from t
         assert.equal(body.has_parent_key, true);
         assert.equal(body.provisioned, true);
         assert.match(body.parent_key_hint, /^ozw_\.\.\.[a-z0-9]{4}$/);
+        assert.match(body.parent_key, /^ozw_[0-9a-f]{48}$/, 'new parent key is shown once');
+        assert.equal(body.parent_key_hint, `ozw_...${body.parent_key.slice(-4)}`);
+
+        const again = await (await fetch(`${BASE}/v1/manager/me`, { headers: MANAGER_HEADERS })).json();
+        assert.equal(again.parent_key, undefined, 'existing parent key is never shown again');
 
         const db = new Database(dbPath);
         try {
@@ -231,10 +247,11 @@ test('manager auth — /v1/manager/me auto-provisions user and parent key from t
                 status: 'active',
                 is_admin: 0,
             });
-            const key = db.prepare('SELECT id, key, user_id, status FROM api_keys WHERE user_id = ?').get(user.id);
+            const key = db.prepare('SELECT * FROM api_keys WHERE user_id = ?').get(user.id);
             assert.ok(key.id);
-            assert.match(key.key, /^ozw_/);
-            assert.doesNotMatch(key.key, /^ozw_manager-/);
+            assert.equal(key.key, undefined, 'no plaintext key column');
+            assert.equal(key.key_prefix, body.parent_key.slice(0, 12));
+            assert.match(key.key_hash, /^[0-9a-f]{32}:[0-9a-f]{64}$/, 'only a salted hash of the key is stored');
             assert.equal(key.status, 'active');
         } finally {
             db.close();
@@ -244,22 +261,36 @@ test('manager auth — /v1/manager/me auto-provisions user and parent key from t
     }
 });
 
-test('manager auth — can reveal the active parent key explicitly', async () => {
+test('manager auth — parent key cannot be revealed, rotation issues a new one', async () => {
     const { server, tmp, dbPath } = startServer();
     try {
         await waitForReady();
-        await fetch(`${BASE}/v1/manager/me`, { headers: MANAGER_HEADERS });
+        const { parent_key: originalKey } = await (await fetch(`${BASE}/v1/manager/me`, { headers: MANAGER_HEADERS })).json();
         const { key } = getUserAndActiveKey(dbPath);
 
-        const res = await fetch(`${BASE}/v1/manager/parent-key/reveal`, {
+        const reveal = await fetch(`${BASE}/v1/manager/parent-key/reveal`, {
+            method: 'POST',
+            headers: MANAGER_HEADERS,
+        });
+        assert.equal(reveal.status, 410);
+        assert.equal((await reveal.json()).error.code, 'key_not_retrievable');
+
+        const res = await fetch(`${BASE}/v1/manager/parent-key/rotate`, {
             method: 'POST',
             headers: MANAGER_HEADERS,
         });
         assert.equal(res.status, 200);
+        assert.match(res.headers.get('cache-control') || '', /no-store/);
         const body = await res.json();
-        assert.equal(body.parent_key, key.key);
-        assert.equal(body.parent_key_id, key.id);
-        assert.match(body.parent_key_hint, /^ozw_\.\.\.[a-z0-9]{4}$/);
+        assert.equal(body.parent_key_id, key.id, 'rotation keeps the key id');
+        assert.match(body.parent_key, /^ozw_[0-9a-f]{48}$/);
+        assert.notEqual(body.parent_key, originalKey);
+        assert.equal(body.parent_key_hint, `ozw_...${body.parent_key.slice(-4)}`);
+
+        const oldValidate = await fetch(`${BASE}/v1/keys/validate`, { headers: { Authorization: `Bearer ${originalKey}` } });
+        assert.equal(oldValidate.status, 401, 'old parent key stops working');
+        const newValidate = await fetch(`${BASE}/v1/keys/validate`, { headers: { Authorization: `Bearer ${body.parent_key}` } });
+        assert.equal(newValidate.status, 200);
     } finally {
         stopServer(server, tmp);
     }
@@ -324,9 +355,7 @@ test('manager auth — active users can create/list/update/reveal/rotate/delete
             method: 'POST',
             headers: MANAGER_HEADERS,
         });
-        assert.equal(reveal.status, 200);
-        const revealBody = await reveal.json();
-        assert.equal(revealBody.agent_key, created.agent_key);
+        assert.equal(reveal.status, 410, 'agent keys are only shown at creation or rotation');
 
         const rotate = await fetch(`${BASE}/v1/manager/agents/${created.agent_id}/rotate-key`, {
             method: 'POST',
@@ -706,14 +735,14 @@ test('manager auth — streaming LLM usage chunks are requested and recorded', a
     });
     try {
         await waitForReady();
-        await fetch(`${BASE}/v1/manager/me`, { headers: MANAGER_HEADERS });
+        const { parent_key: parentKey } = await (await fetch(`${BASE}/v1/manager/me`, { headers: MANAGER_HEADERS })).json();
         const { key } = getUserAndActiveKey(dbPath);
 
         const chat = await fetch(`${BASE}/v1/chat/completions`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${key.key}`,
+                'Authorization': `Bearer ${parentKey}`,
             },
             body: JSON.stringify({
                 model: 'test-stream-model',
@@ -753,7 +782,7 @@ test('manager auth — streaming LLM usage chunks are requested and recorded', a
 
 test('manager auth — gpt-5 streaming request omits unsupported temperature', async () => {
     const upstream = await startStreamingLLMServer();
-    const { server, tmp, dbPath } = startServer({
+    const { server, tmp } = startServer({
         extraEnv: {
             LLM_BASE_URL: upstream.baseURL,
             LLM_API_KEY: 'test-upstream-key',
@@ -764,14 +793,13 @@ test('manager auth — gpt-5 streaming request omits unsupported temperature', a
     });
     try {
         await waitForReady();
-        await fetch(`${BASE}/v1/manager/me`, { headers: MANAGER_HEADERS });
-        const { key } = getUserAndActiveKey(dbPath);
+        const { parent_key: parentKey } = await (await fetch(`${BASE}/v1/manager/me`, { headers: MANAGER_HEADERS })).json();
 
         const chat = await fetch(`${BASE}/v1/chat/completions`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${key.key}`,
+                'Authorization': `Bearer ${parentKey}`,
             },
             body: JSON.stringify({
                 model: 'openai/gpt-5.1',
@@ -0,0 +1,182 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { createServer } from 'node:http';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Keep in sync with DEMO_API_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const PORT = 3352;
+const BASE = `http://localhost:${PORT}`;
+const METRICS_TOKEN = 'metrics-test-token';
+
+let server;
+let gateway;
+let tmp;
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+// Answers gpt-4o-mini (slowly when streaming, so a heartbeat goes out first); fails gpt-4o with a 503
+function startGateway() {
+    const srv = createServer((req, res) => {
+        if (req.method === 'GET' && req.url === '/v1/models') {
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ object: 'list', data: ['gpt-4o-mini', 'gpt-4o'].map(id => ({ id, object: 'model', owned_by: 'openai' })) }));
+            return;
+        }
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', async () => {
+            const body = JSON.parse(raw);
+            if (body.model !== 'gpt-4o-mini') {
+                res.writeHead(503, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'unavailable' } }));
+                return;
+            }
+            if (body.stream) {
+                res.writeHead(200, { 'content-type': 'text/event-stream' });
+                await delay(300);
+                res.write(`data: ${JSON.stringify({ id: 'c1', object: 'chat.completion.chunk', created: 1, model: body.model, choices: [{ index: 0, delta: { role: 'assistant', content: 'hi' }, finish_reason: 'stop' }] })}\n\n`);
+                res.end('data: [DONE]\n\n');
+                return;
+            }
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'c1',
+                object: 'chat.completion',
+                created: 1,
+                model: body.model,
+                choices: [{ index: 0, message: { role: 'assistant', content: 'hi' }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+            }));
+        });
+    });
+    return new Promise(resolve => srv.listen(0, '127.0.0.1', () => resolve(srv)));
+}
+
+before(async () => {
+    gateway = await startGateway();
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-metrics-test-'));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: path.join(tmp, 'ozwell.db'),
+            DATA_DIR: tmp,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: 'true',
+            LLM_BASE_URL: `http://127.0.0.1:${gateway.address().port}`,
+            LLM_API_KEY: 'test-key',
+            LLM_PROVIDER: 'openai',
+            LLM_MODEL: 'gpt-4o-mini',
+            OLLAMA_BASE_URL: '',
+            MODEL_DISCOVERY_REFRESH_MS: '600000',
+            STREAMING_HEARTBEAT_MS: '100',
+            METRICS_TOKEN,
+        }
+    });
+    await waitForReady();
+    // The first scheduled registry refresh runs a second after startup; the
+    // requests below need the models it discovers
+    for (let i = 0; i < 25 && valueOf(await scrape(), 'ozwell_model_registry_refreshes_total{outcome="success"}') === undefined; i++) {
+        await delay(200);
+    }
+});
+
+after(async () => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+    gateway.closeAllConnections();
+    await new Promise(resolve => gateway.close(resolve));
+});
+
+function chat(key, body) {
+    return fetch(`${BASE}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+        body: JSON.stringify({ provider: 'openai', messages: [{ role: 'user', content: 'hi' }], ...body }),
+    });
+}
+
+async function scrape() {
+    const r = await fetch(`${BASE}/metrics`, { headers: { Authorization: `Bearer ${METRICS_TOKEN}` } });
+    assert.equal(r.status, 200);
+    return r.text();
+}
+
+// Value of one sample line, or undefined when the series doesn't exist yet
+function valueOf(text, series) {
+    const line = text.split('\n').find(l => l.startsWith(`${series} `));
+    return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+test('metrics — the endpoint requires the metrics token when one is set', async () => {
+    assert.equal((await fetch(`${BASE}/metrics`)).status, 401);
+    assert.equal((await fetch(`${BASE}/metrics`, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+
+    const r = await fetch(`${BASE}/metrics`, { headers: { Authorization: `Bearer ${METRICS_TOKEN}` } });
+    assert.equal(r.status, 200);
+    assert.match(r.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    assert.match(await r.text(), /# TYPE ozwell_http_requests_total counter/);
+});
+
+test('metrics — chat requests are counted per route, provider and model', async () => {
+    assert.equal((await chat(PARENT_KEY, { model: 'gpt-4o-mini' })).status, 200);
+    const text = await scrape();
+    assert.equal(valueOf(text, 'ozwell_llm_requests_total{route="/v1/chat/completions",provider="openai",model="gpt-4o-mini",status="200"}'), 1);
+    assert.equal(valueOf(text, 'ozwell_llm_request_duration_seconds_count{route="/v1/chat/completions",provider="openai",model="gpt-4o-mini"}'), 1);
+    assert.equal(valueOf(text, 'ozwell_llm_request_duration_seconds_bucket{route="/v1/chat/completions",provider="openai",model="gpt-4o-mini",le="+Inf"}'), 1);
+    assert.equal(valueOf(text, 'ozwell_http_requests_total{method="POST",route="/v1/chat/completions",status="200"}'), 1);
+});
+
+test('metrics — upstream errors are counted by provider and reason', async () => {
+    // With ALLOW_MOCK the failed call is answered by a mock
+    const body = await (await chat(PARENT_KEY, { model: 'gpt-4o' })).json();
+    assert.equal(body.warning.reason, 'llm_error');
+    const text = await scrape();
+    assert.equal(valueOf(text, 'ozwell_upstream_errors_total{provider="openai",reason="http_503"}'), 1);
+    assert.equal(valueOf(text, 'ozwell_mock_responses_total{route="/v1/chat/completions",reason="llm_error"}'), 1);
+});
+
+test('metrics — streams are tracked while open and heartbeats are counted', async () => {
+    const r = await chat(PARENT_KEY, { model: 'gpt-4o-mini', stream: true });
+    assert.equal(r.status, 200);
+    assert.equal(valueOf(await scrape(), 'ozwell_sse_streams_active'), 1);
+    await r.text();
+    await delay(100);
+    const text = await scrape();
+    assert.equal(valueOf(text, 'ozwell_sse_streams_active'), 0);
+    assert.ok(valueOf(text, 'ozwell_sse_heartbeats_total') >= 2);
+});
+
+test('metrics — mock agent responses are counted', async () => {
+    const agent = await (await fetch(`${BASE}/v1/agents`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/yaml', Authorization: `Bearer ${PARENT_KEY}` },
+        body: 'name: Mocked\ninstructions: Help.\ntype: mock\n',
+    })).json();
+    assert.equal((await chat(agent.agent_key, {})).status, 200);
+    assert.equal(valueOf(await scrape(), 'ozwell_mock_responses_total{route="/v1/chat/completions",reason="mock_agent"}'), 1);
+});
+
+test('metrics — model registry refreshes report their outcome', async () => {
+    const text = await scrape();
+    assert.equal(valueOf(text, 'ozwell_model_registry_refreshes_total{outcome="success"}'), 1);
+    assert.ok(valueOf(text, 'ozwell_model_registry_models') >= 2);
+});
@@ -6,10 +6,6 @@ import { setTimeout as delay } from 'node:timers/promises';
 import { mkdtempSync, rmSync } from 'node:fs';
 import { tmpdir } from 'node:os';
 import path from 'node:path';
-import { createRequire } from 'node:module';
-
-const require = createRequire(import.meta.url);
-const Database = require('better-sqlite3');
 
 const PORT = 3342;
 const BASE = `http://localhost:${PORT}`;
@@ -126,17 +122,12 @@ async function startGateway(modelsByProvider = { openai: ['gpt-4o-mini', 'gpt-4o
     };
 }
 
-function activeKey(dbPath) {
-    const db = new Database(dbPath);
-    try {
-        const user = db.prepare('SELECT id FROM users WHERE external_user_id = ?').get('admin-user');
-        return db.prepare(`
-          SELECT id, key FROM api_keys
-          WHERE user_id = ? AND COALESCE(status, 'active') = 'active' AND revoked_at IS NULL
-        `).get(user.id);
-    } finally {
-        db.close();
-    }
+// Parent keys are stored hashed, so rotate to get a usable plaintext key.
+async function activeKey() {
+    const res = await fetch(`${BASE}/v1/manager/parent-key/rotate`, { method: 'POST', headers: HEADERS });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    return { id: body.parent_key_id, key: body.parent_key };
 }
 
 test('provider models — discovery populates provider-aware registry and effective uses cache', async () => {
@@ -144,7 +135,7 @@ test('provider models — discovery populates provider-aware registry and effect
         openai: ['gpt-4o-mini', 'text-embedding-3-small'],
         anthropic: ['claude-sonnet-4-5'],
     });
-    const { server, tmp, dbPath } = startServer({
+    const { server, tmp } = startServer({
         extraEnv: {
             LLM_BASE_URL: gateway.baseURL,
             LLM_API_KEY: 'test-key',
@@ -162,7 +153,7 @@ test('provider models — discovery populates provider-aware registry and effect
             ['openai/gpt-4o-mini', 'openai/text-embedding-3-small', 'anthropic/claude-sonnet-4-5'],
         );
 
-        const key = activeKey(dbPath);
+        const key = await activeKey();
         const before = gateway.getModelCount();
         const effective = await fetch(`${BASE}/v1/models/effective`, {
             headers: { Authorization: `Bearer ${key.key}` },
@@ -180,11 +171,11 @@ test('provider models — discovery populates provider-aware registry and effect
 });
 
 test('provider models — parent and agent restrictions narrow consumer choices', async () => {
-    const { server, tmp, dbPath } = startServer({ admin: true });
+    const { server, tmp } = startServer({ admin: true });
     try {
         await waitForReady();
         await fetch(`${BASE}/v1/manager/me`, { headers: HEADERS });
-        const key = activeKey(dbPath);
+        const key = await activeKey();
 
         const parentPolicy = await fetch(`${BASE}/v1/manager/admin/parent-keys/${key.id}/model-restrictions`, {
             method: 'PUT',
@@ -233,7 +224,7 @@ instructions: Test model restrictions
 
 test('provider models — chat enforces allowed provider/model before gateway call', async () => {
     const gateway = await startGateway();
-    const { server, tmp, dbPath } = startServer({
+    const { server, tmp } = startServer({
         admin: true,
         extraEnv: {
             LLM_BASE_URL: gateway.baseURL,
@@ -245,7 +236,7 @@ test('provider models — chat enforces allowed provider/model before gateway ca
     try {
         await waitForReady();
         await fetch(`${BASE}/v1/manager/me`, { headers: HEADERS });
-        const key = activeKey(dbPath);
+        const key = await activeKey();
 
         const policy = await fetch(`${BASE}/v1/manager/admin/parent-keys/${key.id}/model-restrictions`, {
             method: 'PUT',
@@ -290,7 +281,7 @@ test('provider models — ambiguous legacy model-only request requires provider'
         openai: ['shared-model'],
         anthropic: ['shared-model'],
     });
-    const { server, tmp, dbPath } = startServer({
+    const { server, tmp } = startServer({
         extraEnv: {
             LLM_BASE_URL: gateway.baseURL,
             LLM_API_KEY: 'test-key',
@@ -303,7 +294,7 @@ test('provider models — ambiguous legacy model-only request requires provider'
         await fetch(`${BASE}/v1/manager/me`, { headers: HEADERS });
         const models = await fetch(`${BASE}/v1/manager/models`, { headers: HEADERS });
         assert.equal(models.status, 200);
-        const key = activeKey(dbPath);
+        const key = await activeKey();
 
         const response = await fetch(`${BASE}/v1/chat/completions`, {
             method: 'POST',
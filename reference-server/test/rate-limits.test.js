@@ -0,0 +1,202 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Keep in sync with DEMO_API_KEY in src/storage/agents.ts (its id is 'demo-key').
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const PARENT_KEY_ID = 'demo-key';
+const PORT = 3346;
+const BASE = `http://localhost:${PORT}`;
+
+const ADMIN_HEADERS = {
+    'x-user': 'admin-user',
+    'x-preferred-username': 'testadmin',
+    'x-email': 'test-admin@example.test',
+    'x-groups': 'ldapusers',
+};
+
+let server;
+let tmp;
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+before(async () => {
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-rate-limits-test-'));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: path.join(tmp, 'ozwell.db'),
+            NODE_ENV: 'development',
+            ALLOW_MOCK: 'true',
+            LLM_BASE_URL: '',
+            LLM_API_KEY: '',
+            OLLAMA_BASE_URL: 'http://127.0.0.1:9',
+            TRUST_FORWARD_AUTH_HEADERS: 'true',
+            ADMIN_EXTERNAL_USER_IDS: 'admin-user',
+        }
+    });
+    await waitForReady();
+});
+
+after(() => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+async function createAgent(yamlText) {
+    return fetch(`${BASE}/v1/agents`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/yaml', 'Authorization': `Bearer ${PARENT_KEY}` },
+        body: yamlText,
+    });
+}
+
+async function chat(key, extra = {}) {
+    return fetch(`${BASE}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${key}` },
+        body: JSON.stringify({ messages: [{ role: 'user', content: 'hello' }], ...extra }),
+    });
+}
+
+async function embed(key) {
+    return fetch(`${BASE}/v1/embeddings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${key}` },
+        body: JSON.stringify({ model: 'text-embedding-3-small', input: 'hello' }),
+    });
+}
+
+async function setParentLimits(body) {
+    const r = await fetch(`${BASE}/v1/manager/admin/parent-keys/${PARENT_KEY_ID}/limits`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...ADMIN_HEADERS },
+        body: JSON.stringify(body),
+    });
+    assert.equal(r.status, 200);
+    return r.json();
+}
+
+test('rate limits — agent YAML requests_per_minute returns 429 with x-ratelimit headers', async () => {
+    const agent = await (await createAgent(`name: Limited
+type: mock
+instructions: Say hello.
+limits:
+  requests_per_minute: 2
+`)).json();
+
+    const first = await chat(agent.agent_key);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-ratelimit-limit-requests'), '2');
+    assert.equal(first.headers.get('x-ratelimit-remaining-requests'), '1');
+    assert.match(first.headers.get('x-ratelimit-reset-requests'), /^\d+s$/);
+
+    assert.equal((await chat(agent.agent_key)).status, 200);
+
+    const limited = await chat(agent.agent_key);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('x-ratelimit-remaining-requests'), '0');
+    assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+    const body = await limited.json();
+    assert.equal(body.error.type, 'rate_limit_error');
+    assert.equal(body.error.code, 'rate_limit_exceeded');
+    assert.match(body.error.message, /requests per minute on this agent: Limit 2, Used 2/);
+
+    const otherAgent = await (await createAgent('name: Free\ntype: mock\ninstructions: Say hello.\n')).json();
+    assert.equal((await chat(otherAgent.agent_key)).status, 200, 'limits are per agent');
+});
+
+test('rate limits — streamed replies carry the x-ratelimit headers', async () => {
+    const agent = await (await createAgent(`name: Streaming
+type: mock
+instructions: Say hello.
+limits:
+  requests_per_minute: 5
+`)).json();
+
+    const streamed = await chat(agent.agent_key, { stream: true });
+    assert.equal(streamed.status, 200);
+    assert.match(streamed.headers.get('content-type'), /text\/event-stream/);
+    assert.equal(streamed.headers.get('x-ratelimit-limit-requests'), '5');
+    assert.equal(streamed.headers.get('x-ratelimit-remaining-requests'), '4');
+    assert.match(await streamed.text(), /data: \[DONE\]/);
+
+    const response = await fetch(`${BASE}/v1/responses`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${agent.agent_key}` },
+        body: JSON.stringify({ input: 'hello', stream: true }),
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+    assert.equal(response.headers.get('x-ratelimit-remaining-requests'), '3');
+    await response.text();
+});
+
+test('rate limits — parent-key tokens_per_day applies to embeddings and audio', async () => {
+    // Earlier chats through the demo key's agents already used tokens today.
+    const limits = await setParentLimits({ tokens_per_day: 1 });
+    assert.equal(limits.tokens_per_day, 1);
+    assert.equal(limits.requests_per_minute, null);
+    assert.ok(limits.usage.tokens_today > 1);
+
+    const limited = await embed(PARENT_KEY);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('x-ratelimit-limit-tokens'), '1');
+    assert.equal(limited.headers.get('x-ratelimit-remaining-tokens'), '0');
+    const body = await limited.json();
+    assert.match(body.error.message, /tokens per day on this parent key/);
+
+    const form = new FormData();
+    form.append('file', new Blob([Buffer.from('RIFF')], { type: 'audio/wav' }), 'a.wav');
+    form.append('model', 'whisper-1');
+    const audio = await fetch(`${BASE}/v1/audio/transcriptions`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${PARENT_KEY}` },
+        body: form,
+    });
+    assert.equal(audio.status, 429);
+
+    const cleared = await setParentLimits({});
+    assert.equal(cleared.tokens_per_day, null);
+    const ok = await embed(PARENT_KEY);
+    assert.equal(ok.status, 200);
+    assert.equal(ok.headers.get('x-ratelimit-limit-tokens'), null);
+});
+
+test('rate limits — admin limits routes require an admin and validate input', async () => {
+    const anon = await fetch(`${BASE}/v1/manager/admin/parent-keys/${PARENT_KEY_ID}/limits`);
+    assert.notEqual(anon.status, 200);
+
+    const bad = await fetch(`${BASE}/v1/manager/admin/parent-keys/${PARENT_KEY_ID}/limits`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...ADMIN_HEADERS },
+        body: JSON.stringify({ requests_per_minute: 0 }),
+    });
+    assert.equal(bad.status, 400);
+});
+
+test('rate limits — invalid agent YAML limits are rejected', async () => {
+    const r = await createAgent('name: Bad\ninstructions: x\nlimits:\n  requests_per_minute: fast\n');
+    assert.equal(r.status, 400);
+    const body = await r.json();
+    assert.equal(body.error.param, 'limits');
+    assert.match(body.error.message, /limits\.requests_per_minute must be a positive integer/);
+});
@@ -0,0 +1,306 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { createServer } from 'node:http';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Keep in sync with DEMO_API_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const PORT = 3360;
+const BASE = `http://localhost:${PORT}`;
+
+let server;
+let tmp;
+let gateway;
+let webhook;
+let webhookRequests = [];
+let gatewayBodies = [];
+let embeddingBodies = [];
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+async function listen(handler) {
+    const srv = createServer(handler);
+    await new Promise(resolve => srv.listen(0, '127.0.0.1', resolve));
+    return srv;
+}
+
+// Chart backend the agent's lookup_patient tool points at.
+function webhookHandler(req, res) {
+    webhookRequests.push(req.url);
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ patient: { first_name: 'Ada', last_name: 'Lovelace', date_of_birth: '1815-12-10' }, allergies: ['penicillin'] }));
+}
+
+// Fake gateway. Asked to look someone up, it calls lookup_patient with the MRN
+// placeholder it was given; otherwise it repeats back every placeholder in the
+// latest message. Streamed answers arrive three characters at a time, so
+// placeholders are split across chunks. Knowledge files and queries are
+// embedded here too, as three-number vectors.
+function gatewayHandler(req, res) {
+    if (req.method === 'GET' && req.url === '/v1/models') {
+        const models = req.headers['x-portkey-provider'] === 'openai' ? [{ id: 'gpt-4o-mini', object: 'model' }] : [];
+        res.writeHead(models.length ? 200 : 404, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ object: 'list', data: models }));
+        return;
+    }
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        const body = JSON.parse(raw);
+        if (req.url === '/v1/embeddings') {
+            embeddingBodies.push(body);
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({
+                object: 'list', model: body.model,
+                data: body.input.map((text, index) => ({ object: 'embedding', index, embedding: [text.length, 1, 0] })),
+            }));
+            return;
+        }
+        gatewayBodies.push(body);
+        const last = body.messages.at(-1);
+        const placeholders = String(last.content).match(/\[[A-Z_]+_\d+\]/g) ?? [];
+        const message = last.role === 'user' && /look up/i.test(last.content)
+            ? {
+                role: 'assistant',
+                content: null,
+                tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup_patient', arguments: JSON.stringify({ mrn: placeholders[0] }) } }],
+            }
+            : { role: 'assistant', content: `Noted: ${placeholders.join(' ')}` };
+        const finishReason = message.tool_calls ? 'tool_calls' : 'stop';
+        const usage = { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 };
+        if (!body.stream) {
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'chatcmpl_gw', object: 'chat.completion', created: 1, model: body.model,
+                choices: [{ index: 0, message, finish_reason: finishReason }],
+                usage,
+            }));
+            return;
+        }
+        res.writeHead(200, { 'content-type': 'text/event-stream' });
+        const chunk = (delta, finish = null) => res.write(`data: ${JSON.stringify({
+            id: 'chatcmpl_gw', object: 'chat.completion.chunk', created: 1, model: body.model,
+            choices: [{ index: 0, delta, finish_reason: finish }],
+        })}\n\n`);
+        if (message.tool_calls) {
+            chunk({ role: 'assistant', tool_calls: message.tool_calls.map((tc, index) => ({ index, ...tc })) });
+        } else {
+            for (let i = 0; i < message.content.length; i += 3) chunk({ content: message.content.slice(i, i + 3) });
+        }
+        chunk({}, finishReason);
+        res.end('data: [DONE]\n\n');
+    });
+}
+
+before(async () => {
+    gateway = await listen(gatewayHandler);
+    webhook = await listen(webhookHandler);
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-redaction-test-'));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: path.join(tmp, 'ozwell.db'),
+            DATA_DIR: tmp,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: '',
+            LLM_BASE_URL: `http://127.0.0.1:${gateway.address().port}`,
+            LLM_API_KEY: 'test-key',
+            LLM_PROVIDER: 'openai',
+            LLM_MODEL: 'gpt-4o-mini',
+            OLLAMA_BASE_URL: '',
+            MODEL_DISCOVERY_REFRESH_MS: '0',
+        }
+    });
+    await waitForReady();
+    // Populate the provider model registry from the fake gateway.
+    await fetch(`${BASE}/v1/models`, { headers: { Authorization: `Bearer ${PARENT_KEY}` } });
+});
+
+after(async () => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+    await new Promise(resolve => gateway.close(resolve));
+    await new Promise(resolve => webhook.close(resolve));
+});
+
+function agentYaml(extra = '') {
+    return `name: Chart Assistant
+instructions: Help with patient charts.
+redaction:
+  detect: [names, ssn, mrn, phone, email, dob]
+  patterns:
+    - name: chart_id
+      regex: 'chart (CH-\\d{4})'
+tools:
+  - name: lookup_patient
+    parameters:
+      type: object
+      properties:
+        mrn: { type: string }
+    webhook:
+      url: http://127.0.0.1:${webhook.address().port}/patients/{{mrn}}
+      method: GET
+${extra}`;
+}
+
+async function createAgent(yamlText) {
+    const r = await fetch(`${BASE}/v1/agents`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${PARENT_KEY}`, 'Content-Type': 'application/yaml' },
+        body: yamlText,
+    });
+    return { status: r.status, body: await r.json() };
+}
+
+function post(url, key, body) {
+    return fetch(`${BASE}${url}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+}
+
+const IDENTIFIERS = 'SSN 123-45-6789, MRN: 884412, call 555-867-5309 or ada@example.com, DOB 12/10/1815, chart CH-2041';
+
+function sentUpstream() {
+    return JSON.stringify(gatewayBodies.map(body => body.messages));
+}
+
+test('redaction — identifiers are replaced upstream and restored in the reply', async () => {
+    const { body: agent } = await createAgent(agentYaml());
+    gatewayBodies = [];
+    const r = await post('/v1/chat/completions', agent.agent_key, { messages: [{ role: 'user', content: `Remember ${IDENTIFIERS}` }] });
+    assert.equal(r.status, 200);
+    const reply = await r.json();
+
+    const upstream = gatewayBodies[0].messages;
+    assert.equal(upstream.at(-1).content, 'Remember SSN [SSN_1], MRN: [MRN_1], call [PHONE_1] or [EMAIL_1], DOB [DOB_1], chart [CHART_ID_1]');
+    assert.match(upstream[0].content, /replaced with placeholders/);
+    assert.equal(reply.choices[0].message.content, 'Noted: 123-45-6789 884412 555-867-5309 ada@example.com 12/10/1815 CH-2041');
+});
+
+test('redaction — placeholders split across streamed chunks are restored', async () => {
+    const { body: agent } = await createAgent(agentYaml());
+    const r = await post('/v1/chat/completions', agent.agent_key, { stream: true, messages: [{ role: 'user', content: `Remember ${IDENTIFIERS}` }] });
+    assert.equal(r.status, 200);
+    const text = await r.text();
+    const content = text.split('\n\n')
+        .filter(event => event.startsWith('data: {'))
+        .map(event => JSON.parse(event.slice('data: '.length)).choices?.[0]?.delta?.content ?? '')
+        .join('');
+    assert.equal(content, 'Noted: 123-45-6789 884412 555-867-5309 ada@example.com 12/10/1815 CH-2041');
+    assert.doesNotMatch(text, /\[[A-Z_]+_\d+\]/);
+});
+
+test('redaction — names learned from tool results stay with the server', async () => {
+    const { body: agent } = await createAgent(agentYaml());
+    gatewayBodies = [];
+    webhookRequests = [];
+    const r = await post('/v1/chat/completions', agent.agent_key, { messages: [{ role: 'user', content: 'Look up MRN 884412 for me' }] });
+    assert.equal(r.status, 200);
+    const reply = await r.json();
+
+    // The webhook got the real MRN; the model only ever saw placeholders
+    assert.deepEqual(webhookRequests, ['/patients/884412']);
+    assert.equal(gatewayBodies.length, 2);
+    const upstream = sentUpstream();
+    for (const value of ['884412', 'Ada', 'Lovelace', '1815-12-10']) assert.ok(!upstream.includes(value), value);
+    assert.ok(upstream.includes('penicillin'));
+    assert.equal(reply.choices[0].message.content, 'Noted: Ada Lovelace 1815-12-10');
+});
+
+test('redaction — /v1/responses applies the agent policy', async () => {
+    const { body: agent } = await createAgent(agentYaml());
+    gatewayBodies = [];
+    const r = await post('/v1/responses', agent.agent_key, { input: 'Write to ada@example.com' });
+    assert.equal(r.status, 200);
+    const response = await r.json();
+    assert.equal(gatewayBodies[0].messages.at(-1).content, 'Write to [EMAIL_1]');
+    assert.equal(response.output[0].content[0].text, 'Noted: ada@example.com');
+});
+
+test('redaction — knowledge files and queries are embedded redacted', async () => {
+    const form = new FormData();
+    form.append('purpose', 'assistants');
+    form.append('file', new Blob([`Escalations: ${IDENTIFIERS}.`], { type: 'text/plain' }), 'escalations.txt');
+    const upload = await fetch(`${BASE}/v1/files`, { method: 'POST', headers: { Authorization: `Bearer ${PARENT_KEY}` }, body: form });
+    const file = await upload.json();
+    embeddingBodies = [];
+    const { status, body: agent } = await createAgent(agentYaml(`knowledge:\n  - ${file.id}\n`));
+    assert.equal(status, 201);
+
+    // The patient's name is only known from an earlier tool result
+    const messages = [
+        { role: 'user', content: 'Look up MRN 884412' },
+        { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup_patient', arguments: '{"mrn":"884412"}' } }] },
+        { role: 'tool', tool_call_id: 'call_1', content: JSON.stringify({ patient: { first_name: 'Ada', last_name: 'Lovelace' } }) },
+        { role: 'user', content: `Who handles Lovelace? ${IDENTIFIERS}` },
+    ];
+    const chat = await post('/v1/chat/completions', agent.agent_key, { messages });
+    assert.equal(chat.status, 200);
+    const response = await post('/v1/responses', agent.agent_key, { input: `Who handles ${IDENTIFIERS}?` });
+    assert.equal(response.status, 200);
+
+    // The file at save time, then one query per request
+    assert.equal(embeddingBodies.length, 3);
+    const embedded = JSON.stringify(embeddingBodies);
+    for (const value of ['123-45-6789', '884412', '555-867-5309', 'ada@example.com', '12/10/1815', 'CH-2041', 'Lovelace']) {
+        assert.ok(!embedded.includes(value), value);
+    }
+    assert.match(embeddingBodies[0].input[0], /^Escalations: SSN \[SSN_1\], MRN: \[MRN_1\]/);
+    assert.match(embeddingBodies[1].input[0], /^Who handles \[NAME_\d\]\?/);
+});
+
+test('redaction — agents without a policy send messages as written', async () => {
+    const { body: agent } = await createAgent('name: Plain\ninstructions: Help.\n');
+    gatewayBodies = [];
+    await post('/v1/chat/completions', agent.agent_key, { messages: [{ role: 'user', content: 'Call 555-867-5309' }] });
+    assert.equal(gatewayBodies[0].messages.at(-1).content, 'Call 555-867-5309');
+});
+
+test('redaction — invalid policies are rejected', async () => {
+    const unknownType = await createAgent('name: Bad\ninstructions: x\nredaction:\n  detect: [ssn, zip]\n');
+    assert.equal(unknownType.status, 400);
+    assert.match(unknownType.body.error.message, /redaction\.detect\[1\] must be one of names, ssn, mrn, phone, email, dob/);
+
+    const badRegex = await createAgent('name: Bad\ninstructions: x\nredaction:\n  patterns:\n    - name: chart\n      regex: "CH-(\\\\d+"\n');
+    assert.equal(badRegex.status, 400);
+    assert.match(badRegex.body.error.message, /redaction\.patterns\[0\]\.regex must be a valid regular expression/);
+});
+
+test('redaction — patterns that can backtrack for exponential time are rejected', async () => {
+    for (const regex of ['(\\d+)+x', '(?:a|\\w*b?)*$', '((ab)+c){2,}']) {
+        const r = await createAgent(`name: Slow\ninstructions: x\nredaction:\n  patterns:\n    - name: slow\n      regex: '${regex}'\n`);
+        assert.equal(r.status, 400, regex);
+        assert.match(r.body.error.message, /redaction\.patterns\[0\]\.regex must not repeat a group that repeats inside/, regex);
+    }
+    const long = await createAgent(`name: Long\ninstructions: x\nredaction:\n  patterns:\n    - name: long\n      regex: '${'a'.repeat(201)}'\n`);
+    assert.equal(long.status, 400);
+    assert.match(long.body.error.message, /must be at most 200 characters/);
+
+    const guardrail = await createAgent("name: Slow\ninstructions: x\nguardrails:\n  input:\n    patterns: ['(a+)+$']\n");
+    assert.equal(guardrail.status, 400);
+    assert.match(guardrail.body.error.message, /guardrails\.input\.patterns\[0\] must not repeat a group/);
+
+    // Repeats that aren't nested are fine
+    const fine = await createAgent("name: Fine\ninstructions: x\nredaction:\n  patterns:\n    - name: chart\n      regex: '(CH-\\d{4})+ [A-Z]{2,}(?:-\\d)?'\n");
+    assert.equal(fine.status, 201);
+});
@@ -0,0 +1,253 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { createServer } from 'node:http';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Keep in sync with DEMO_API_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const PORT = 3359;
+const BASE = `http://localhost:${PORT}`;
+
+const ADMIN_HEADERS = {
+    'x-user': 'cache-admin',
+    'x-preferred-username': 'cacheadmin',
+    'x-email': 'cache-admin@example.test',
+    'x-groups': 'ldapusers',
+};
+
+let server;
+let gateway;
+let tmp;
+
+// Upstream calls per path
+const calls = {};
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+// Each chat answer carries the call count, so a replayed answer is easy to spot
+function startGateway() {
+    const srv = createServer((req, res) => {
+        if (req.method === 'GET' && req.url === '/v1/models') {
+            const models = req.headers['x-portkey-provider'] === 'openai' ? [{ id: 'gpt-4o-mini', object: 'model' }] : [];
+            res.writeHead(models.length ? 200 : 404, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ object: 'list', data: models }));
+            return;
+        }
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = JSON.parse(raw);
+            calls[req.url] = (calls[req.url] ?? 0) + 1;
+            if (req.url === '/v1/embeddings') {
+                const inputs = Array.isArray(body.input) ? body.input : [body.input];
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({
+                    object: 'list',
+                    data: inputs.map((_, index) => ({ object: 'embedding', index, embedding: [calls[req.url], 0.5] })),
+                    model: body.model,
+                    usage: { prompt_tokens: 3, total_tokens: 3 },
+                }));
+                return;
+            }
+            const content = `answer ${calls[req.url]}`;
+            if (body.stream) {
+                res.writeHead(200, { 'content-type': 'text/event-stream' });
+                res.write(`data: ${JSON.stringify({ id: 'c1', object: 'chat.completion.chunk', created: 1, model: body.model, choices: [{ index: 0, delta: { role: 'assistant', content }, finish_reason: null }] })}\n\n`);
+                res.write(`data: ${JSON.stringify({ id: 'c1', object: 'chat.completion.chunk', created: 1, model: body.model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`);
+                res.end('data: [DONE]\n\n');
+                return;
+            }
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'c1',
+                object: 'chat.completion',
+                created: 1,
+                model: body.model,
+                choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 },
+            }));
+        });
+    });
+    return new Promise(resolve => srv.listen(0, '127.0.0.1', () => resolve(srv)));
+}
+
+before(async () => {
+    gateway = await startGateway();
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-response-cache-test-'));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: path.join(tmp, 'ozwell.db'),
+            DATA_DIR: tmp,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: '',
+            TRUST_FORWARD_AUTH_HEADERS: 'true',
+            ADMIN_EXTERNAL_USER_IDS: 'cache-admin',
+            LLM_BASE_URL: `http://127.0.0.1:${gateway.address().port}`,
+            LLM_API_KEY: 'test-key',
+            LLM_PROVIDER: 'openai',
+            LLM_MODEL: 'gpt-4o-mini',
+            OLLAMA_BASE_URL: '',
+            MODEL_DISCOVERY_REFRESH_MS: '0',
+            RESPONSE_CACHE_ENABLED: '',
+        }
+    });
+    await waitForReady();
+    await fetch(`${BASE}/v1/manager/me`, { headers: ADMIN_HEADERS });
+    assert.equal((await fetch(`${BASE}/v1/manager/models`, { headers: ADMIN_HEADERS })).status, 200);
+});
+
+after(async () => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+    gateway.closeAllConnections();
+    await new Promise(resolve => gateway.close(resolve));
+});
+
+async function createAgent(yamlText) {
+    const r = await fetch(`${BASE}/v1/agents`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${PARENT_KEY}`, 'Content-Type': 'application/yaml' },
+        body: yamlText,
+    });
+    assert.equal(r.status, 201);
+    return r.json();
+}
+
+function post(url, key, body) {
+    return fetch(`${BASE}${url}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+}
+
+function chat(key, body) {
+    return post('/v1/chat/completions', key, { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Hi' }], temperature: 0, ...body });
+}
+
+const CACHED_AGENT = 'name: Cached\ninstructions: Answer briefly.\ncache:\n  enabled: true\n  ttl_seconds: 600\n';
+
+test('response cache — a repeated temperature 0 completion is served from the cache', async () => {
+    const agent = await createAgent(CACHED_AGENT);
+    const before = calls['/v1/chat/completions'] ?? 0;
+
+    const first = await chat(agent.agent_key, { messages: [{ role: 'user', content: 'Plain question' }] });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-ozwell-cache'), 'miss');
+    const answer = await first.json();
+
+    const second = await chat(agent.agent_key, { messages: [{ role: 'user', content: 'Plain question' }] });
+    assert.equal(second.status, 200);
+    assert.equal(second.headers.get('x-ozwell-cache'), 'hit');
+    assert.deepEqual(await second.json(), answer);
+    assert.equal(calls['/v1/chat/completions'], before + 1);
+
+    // A different question is a different key
+    const other = await chat(agent.agent_key, { messages: [{ role: 'user', content: 'Another question' }] });
+    assert.equal(other.headers.get('x-ozwell-cache'), 'miss');
+    assert.equal(calls['/v1/chat/completions'], before + 2);
+});
+
+test('response cache — streamed replies are replayed chunk for chunk', async () => {
+    const agent = await createAgent(CACHED_AGENT);
+    const before = calls['/v1/chat/completions'] ?? 0;
+
+    const first = await chat(agent.agent_key, { stream: true, messages: [{ role: 'user', content: 'Stream it' }] });
+    assert.equal(first.headers.get('x-ozwell-cache'), 'miss');
+    const text = await first.text();
+    assert.match(text, /answer \d+/);
+    assert.ok(text.trimEnd().endsWith('data: [DONE]'));
+
+    const second = await chat(agent.agent_key, { stream: true, messages: [{ role: 'user', content: 'Stream it' }] });
+    assert.equal(second.headers.get('x-ozwell-cache'), 'hit');
+    assert.equal(second.headers.get('content-type'), 'text/event-stream');
+    // Heartbeats are not part of the answer and aren't replayed
+    const events = body => body.split('\n\n').filter(event => event.startsWith('data: '));
+    assert.deepEqual(events(await second.text()), events(text));
+    assert.equal(calls['/v1/chat/completions'], before + 1);
+
+    // The non-streamed form of the same request has its own entry
+    const plain = await chat(agent.agent_key, { messages: [{ role: 'user', content: 'Stream it' }] });
+    assert.equal(plain.headers.get('x-ozwell-cache'), 'miss');
+});
+
+test('response cache — sampled requests and agents without the flag are not cached', async () => {
+    const cachedAgent = await createAgent(CACHED_AGENT);
+    const plainAgent = await createAgent('name: Uncached\ninstructions: Answer briefly.\n');
+    const before = calls['/v1/chat/completions'] ?? 0;
+
+    for (let i = 0; i < 2; i++) {
+        const sampled = await chat(cachedAgent.agent_key, { temperature: 0.7, messages: [{ role: 'user', content: 'Be creative' }] });
+        assert.equal(sampled.status, 200);
+        assert.equal(sampled.headers.get('x-ozwell-cache'), null);
+        const uncached = await chat(plainAgent.agent_key, { messages: [{ role: 'user', content: 'Be exact' }] });
+        assert.equal(uncached.status, 200);
+        assert.equal(uncached.headers.get('x-ozwell-cache'), null);
+    }
+    assert.equal(calls['/v1/chat/completions'], before + 4);
+});
+
+test('response cache — embeddings are cached per request', async () => {
+    const agent = await createAgent(CACHED_AGENT);
+    const before = calls['/v1/embeddings'] ?? 0;
+    const body = { model: 'text-embedding-3-small', input: ['alpha', 'beta'] };
+
+    const first = await post('/v1/embeddings', agent.agent_key, body);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-ozwell-cache'), 'miss');
+    const vectors = await first.json();
+
+    const second = await post('/v1/embeddings', agent.agent_key, body);
+    assert.equal(second.headers.get('x-ozwell-cache'), 'hit');
+    assert.deepEqual(await second.json(), vectors);
+    assert.equal(calls['/v1/embeddings'], before + 1);
+
+    const other = await post('/v1/embeddings', agent.agent_key, { ...body, input: 'gamma' });
+    assert.equal(other.headers.get('x-ozwell-cache'), 'miss');
+    assert.equal(calls['/v1/embeddings'], before + 2);
+});
+
+test('response cache — admins can purge the cache for one agent', async () => {
+    // Agents with the same instructions share entries, so give each its own
+    const first = await createAgent(CACHED_AGENT.replace('briefly', 'tersely'));
+    const second = await createAgent(CACHED_AGENT.replace('briefly', 'politely'));
+    for (const agent of [first, second]) {
+        assert.equal((await chat(agent.agent_key, { messages: [{ role: 'user', content: 'Purge me' }] })).headers.get('x-ozwell-cache'), 'miss');
+    }
+
+    const forbidden = await fetch(`${BASE}/v1/manager/admin/cache?agent_id=${first.agent_id}`, {
+        method: 'DELETE',
+        headers: { ...ADMIN_HEADERS, 'x-user': 'cache-someone', 'x-email': 'someone@example.test' },
+    });
+    assert.equal(forbidden.status, 403);
+
+    const r = await fetch(`${BASE}/v1/manager/admin/cache?agent_id=${first.agent_id}`, { method: 'DELETE', headers: ADMIN_HEADERS });
+    assert.equal(r.status, 200);
+    assert.deepEqual(await r.json(), { object: 'response_cache.purge', deleted: 1 });
+
+    assert.equal((await chat(first.agent_key, { messages: [{ role: 'user', content: 'Purge me' }] })).headers.get('x-ozwell-cache'), 'miss');
+    assert.equal((await chat(second.agent_key, { messages: [{ role: 'user', content: 'Purge me' }] })).headers.get('x-ozwell-cache'), 'hit');
+
+    const audit = await (await fetch(`${BASE}/v1/manager/admin/audit?action=response_cache.purge`, { headers: ADMIN_HEADERS })).json();
+    assert.equal(audit.data[0].target.id, first.agent_id);
+    assert.equal(audit.data[0].after.deleted, 1);
+});
@@ -0,0 +1,193 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { createServer } from 'node:http';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Keep in sync with DEMO_API_KEY / MOCK_AGENT_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const MOCK_KEY = 'agnt_key-mock-test';
+const PORT = 3344;
+const BASE = `http://localhost:${PORT}`;
+
+let server;
+let tmp;
+let gateway;
+let lastBody = null;
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+// Fake OpenAI-compatible gateway: one model, answers "Hello" (streamed in two chunks).
+async function startGateway() {
+    const gw = createServer((req, res) => {
+        if (req.method === 'GET' && req.url === '/v1/models') {
+            const models = req.headers['x-portkey-provider'] === 'openai' ? [{ id: 'gpt-4o-mini', object: 'model' }] : [];
+            res.writeHead(models.length ? 200 : 404, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ object: 'list', data: models }));
+            return;
+        }
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            lastBody = JSON.parse(raw);
+            const usage = { prompt_tokens: 7, completion_tokens: 2, total_tokens: 9 };
+            if (!lastBody.stream) {
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({
+                    id: 'chatcmpl_gw', object: 'chat.completion', created: 1, model: lastBody.model,
+                    choices: [{ index: 0, message: { role: 'assistant', content: 'Hello' }, finish_reason: 'stop' }],
+                    usage,
+                }));
+                return;
+            }
+            res.writeHead(200, { 'content-type': 'text/event-stream' });
+            const chunk = (delta, finish = null, extra = {}) => res.write(`data: ${JSON.stringify({
+                id: 'chatcmpl_gw', object: 'chat.completion.chunk', created: 1, model: lastBody.model,
+                choices: [{ index: 0, delta, finish_reason: finish }], ...extra,
+            })}\n\n`);
+            chunk({ role: 'assistant', content: 'Hel' });
+            chunk({ content: 'lo' });
+            chunk({}, 'stop', { usage });
+            res.end('data: [DONE]\n\n');
+        });
+    });
+    await new Promise(resolve => gw.listen(0, '127.0.0.1', resolve));
+    return gw;
+}
+
+before(async () => {
+    gateway = await startGateway();
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-responses-test-'));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: path.join(tmp, 'ozwell.db'),
+            NODE_ENV: 'development',
+            ALLOW_MOCK: '',
+            LLM_BASE_URL: `http://127.0.0.1:${gateway.address().port}`,
+            LLM_API_KEY: 'test-key',
+            LLM_PROVIDER: 'openai',
+            LLM_MODEL: 'gpt-4o-mini',
+            MODEL_DISCOVERY_REFRESH_MS: '0',
+        }
+    });
+    await waitForReady();
+    // Populate the provider model registry from the fake gateway.
+    await fetch(`${BASE}/v1/models`, { headers: { Authorization: `Bearer ${PARENT_KEY}` } });
+});
+
+after(async () => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+    await new Promise(resolve => gateway.close(resolve));
+});
+
+const headers = (key) => ({ 'Content-Type': 'application/json', 'Authorization': `Bearer ${key}` });
+
+async function createResponse(key, body) {
+    return fetch(`${BASE}/v1/responses`, { method: 'POST', headers: headers(key), body: JSON.stringify(body) });
+}
+
+function parseEvents(text) {
+    return text.split('\n\n').filter(Boolean).map((block) => {
+        const event = block.match(/^event: (.+)$/m)?.[1];
+        const data = block.match(/^data: (.+)$/m)?.[1];
+        return { event, data: data ? JSON.parse(data) : null };
+    });
+}
+
+test('responses — forwards instructions and item input through the configured backend', async () => {
+    const r = await createResponse(PARENT_KEY, {
+        model: 'gpt-4o-mini',
+        instructions: 'Be brief.',
+        input: [
+            { role: 'user', content: [{ type: 'input_text', text: 'Look up Bob' }] },
+            { type: 'function_call', call_id: 'call_1', name: 'lookup', arguments: '{"name":"Bob"}' },
+            { type: 'function_call_output', call_id: 'call_1', output: '{"age":42}' },
+        ],
+    });
+    assert.equal(r.status, 200);
+    const j = await r.json();
+    assert.equal(j.object, 'response');
+    assert.equal(j.status, 'completed');
+    assert.equal(j.output_text, 'Hello');
+    assert.equal(j.output[0].type, 'message');
+    assert.equal(j.output[0].content[0].type, 'output_text');
+    assert.deepEqual(j.usage, { input_tokens: 7, output_tokens: 2, total_tokens: 9 });
+
+    assert.deepEqual(lastBody.messages.map(m => m.role), ['system', 'user', 'assistant', 'tool']);
+    assert.equal(lastBody.messages[0].content, 'Be brief.');
+    assert.equal(lastBody.messages[2].tool_calls[0].id, 'call_1');
+    assert.equal(lastBody.messages[3].tool_call_id, 'call_1');
+});
+
+test('responses — previous_response_id replays the stored conversation', async () => {
+    const first = await (await createResponse(PARENT_KEY, { model: 'gpt-4o-mini', input: 'My name is Ada.', instructions: 'Only once.' })).json();
+    const second = await createResponse(PARENT_KEY, { model: 'gpt-4o-mini', input: 'What is my name?', previous_response_id: first.id });
+    assert.equal(second.status, 200);
+    assert.equal((await second.json()).previous_response_id, first.id);
+    assert.deepEqual(
+        lastBody.messages.map(m => [m.role, m.content]),
+        [['user', 'My name is Ada.'], ['assistant', 'Hello'], ['user', 'What is my name?']],
+        'instructions are not carried over',
+    );
+
+    const stored = await fetch(`${BASE}/v1/responses/${first.id}`, { headers: headers(PARENT_KEY) });
+    assert.equal((await stored.json()).id, first.id);
+
+    const missing = await createResponse(PARENT_KEY, { model: 'gpt-4o-mini', input: 'hi', previous_response_id: 'resp-missing' });
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).error.code, 'response_not_found');
+});
+
+test('responses — streaming emits the Responses event set', async () => {
+    const r = await createResponse(PARENT_KEY, { model: 'gpt-4o-mini', input: 'hi', stream: true });
+    assert.equal(r.status, 200);
+    assert.match(r.headers.get('content-type') || '', /text\/event-stream/);
+    const events = parseEvents(await r.text()).filter(e => e.event);
+    const types = events.map(e => e.event);
+    assert.equal(types[0], 'response.created');
+    assert.deepEqual(events.filter(e => e.event === 'response.output_text.delta').map(e => e.data.delta), ['Hel', 'lo']);
+    assert.equal(types.at(-1), 'response.completed');
+    const completed = events.at(-1).data.response;
+    assert.equal(completed.output_text, 'Hello');
+    assert.equal(completed.usage.total_tokens, 9);
+});
+
+test('responses — agent key applies the mock agent config', async () => {
+    const r = await createResponse(MOCK_KEY, { input: 'update name to Bob' });
+    assert.equal(r.status, 200);
+    const j = await r.json();
+    assert.equal(j.warning?.reason, 'mock_agent');
+    const call = j.output.find(item => item.type === 'function_call');
+    assert.equal(call.name, 'update_form_data');
+
+    const asParent = await fetch(`${BASE}/v1/responses/${j.id}`, { headers: headers(PARENT_KEY) });
+    assert.equal(asParent.status, 404, 'stored responses are scoped to the owning key');
+});
+
+test('responses — rejects unknown keys and malformed input', async () => {
+    const unknown = await createResponse('ozw_not_a_real_key', { input: 'hi' });
+    assert.equal(unknown.status, 401);
+
+    const bad = await createResponse(PARENT_KEY, { input: [{ role: 'user', content: [{ type: 'input_audio' }] }] });
+    assert.equal(bad.status, 400);
+    assert.equal((await bad.json()).error.param, 'input[0].content');
+});
@@ -6,10 +6,6 @@ import { setTimeout as delay } from 'node:timers/promises';
 import { mkdtempSync, rmSync } from 'node:fs';
 import { tmpdir } from 'node:os';
 import path from 'node:path';
-import { createRequire } from 'node:module';
-
-const require = createRequire(import.meta.url);
-const Database = require('better-sqlite3');
 
 // Keep MOCK_KEY in sync with MOCK_AGENT_KEY in src/storage/agents.ts.
 const MOCK_KEY = 'agnt_key-mock-test';
@@ -121,19 +117,6 @@ async function startCapturingLLMServer() {
     };
 }
 
-function getActiveParentKey(dbPath, externalUserId) {
-    const db = new Database(dbPath);
-    try {
-        const user = db.prepare('SELECT id FROM users WHERE external_user_id = ?').get(externalUserId);
-        assert.ok(user?.id, 'manager user should exist');
-        const key = db.prepare("SELECT key FROM api_keys WHERE user_id = ? AND COALESCE(status, 'active') = 'active' AND revoked_at IS NULL").get(user.id);
-        assert.ok(key?.key, 'manager user should have an active parent key');
-        return key.key;
-    } finally {
-        db.close();
-    }
-}
-
 // ---------------------------------------------------------------------------
 // Acceptance: body validation must not reject json_schema / json_object.
 // (mieweb/ozwellai-api#112 — AJV removeAdditional previously stripped it.)
@@ -178,7 +161,7 @@ test('response_format json_object is accepted', async () => {
 
 test('e2e — response_format json_schema is forwarded to upstream intact', async () => {
     const upstream = await startCapturingLLMServer();
-    const { server, tmp, dbPath } = startServer(3339, {
+    const { server, tmp } = startServer(3339, {
         TRUST_FORWARD_AUTH_HEADERS: 'true',
         LLM_BASE_URL: upstream.baseURL,
         LLM_API_KEY: 'test-upstream-key',
@@ -189,9 +172,10 @@ test('e2e — response_format json_schema is forwarded to upstream intact', asyn
     const base = 'http://localhost:3339';
     try {
         await waitForReady(base);
-        // Auto-provision a real (non-mock) parent key.
-        await fetch(`${base}/v1/manager/me`, { headers: MANAGER_HEADERS });
-        const key = getActiveParentKey(dbPath, MANAGER_EXTERNAL_ID);
+        // Auto-provision a real (non-mock) parent key. It is only shown on the call that creates it.
+        const me = await (await fetch(`${base}/v1/manager/me`, { headers: MANAGER_HEADERS })).json();
+        const key = me.parent_key;
+        assert.ok(key, 'first /v1/manager/me call returns the new parent key');
 
         const chat = await fetch(`${base}/v1/chat/completions`, {
             method: 'POST',
@@ -0,0 +1,143 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Keep in sync with DEMO_API_KEY / MOCK_AGENT_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const MOCK_KEY = 'agnt_key-mock-test';
+const PORT = 3343;
+const BASE = `http://localhost:${PORT}`;
+
+let server;
+let tmp;
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+before(async () => {
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-threads-test-'));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: { ...process.env, PORT: String(PORT), DB_PATH: path.join(tmp, 'ozwell.db'), NODE_ENV: 'development', ALLOW_MOCK: '' }
+    });
+    await waitForReady();
+});
+
+after(() => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+const headers = (key) => ({ 'Content-Type': 'application/json', 'Authorization': `Bearer ${key}` });
+
+async function createThread(key, body = {}) {
+    const r = await fetch(`${BASE}/v1/threads`, { method: 'POST', headers: headers(key), body: JSON.stringify(body) });
+    assert.equal(r.status, 200);
+    return r.json();
+}
+
+async function listMessages(key, threadId) {
+    const r = await fetch(`${BASE}/v1/threads/${threadId}/messages`, { headers: headers(key) });
+    assert.equal(r.status, 200);
+    return (await r.json()).data;
+}
+
+test('threads — CRUD round trip with a parent key', async () => {
+    const thread = await createThread(PARENT_KEY, {
+        metadata: { page: 'intake' },
+        messages: [{ role: 'user', content: 'first' }],
+    });
+    assert.equal(thread.object, 'thread');
+    assert.match(thread.id, /^thread-/);
+    assert.deepEqual(thread.metadata, { page: 'intake' });
+
+    const list = await (await fetch(`${BASE}/v1/threads`, { headers: headers(PARENT_KEY) })).json();
+    assert.ok(list.data.some(t => t.id === thread.id));
+
+    const updated = await (await fetch(`${BASE}/v1/threads/${thread.id}`, {
+        method: 'POST',
+        headers: headers(PARENT_KEY),
+        body: JSON.stringify({ metadata: { page: 'billing' } }),
+    })).json();
+    assert.deepEqual(updated.metadata, { page: 'billing' });
+
+    const appended = await fetch(`${BASE}/v1/threads/${thread.id}/messages`, {
+        method: 'POST',
+        headers: headers(PARENT_KEY),
+        body: JSON.stringify({ role: 'assistant', content: 'second' }),
+    });
+    assert.equal(appended.status, 200);
+    assert.equal((await appended.json()).object, 'thread.message');
+
+    const messages = await listMessages(PARENT_KEY, thread.id);
+    assert.deepEqual(messages.map(m => [m.role, m.content]), [['user', 'first'], ['assistant', 'second']]);
+
+    const del = await fetch(`${BASE}/v1/threads/${thread.id}`, { method: 'DELETE', headers: headers(PARENT_KEY) });
+    assert.deepEqual(await del.json(), { id: thread.id, object: 'thread.deleted', deleted: true });
+
+    const gone = await fetch(`${BASE}/v1/threads/${thread.id}`, { headers: headers(PARENT_KEY) });
+    assert.equal(gone.status, 404);
+});
+
+test('threads — chat completions append each turn server-side', async () => {
+    const thread = await createThread(MOCK_KEY);
+
+    const first = await fetch(`${BASE}/v1/chat/completions`, {
+        method: 'POST',
+        headers: headers(MOCK_KEY),
+        body: JSON.stringify({ thread_id: thread.id, messages: [{ role: 'user', content: 'hello' }] }),
+    });
+    assert.equal(first.status, 200);
+
+    const second = await fetch(`${BASE}/v1/chat/completions`, {
+        method: 'POST',
+        headers: headers(MOCK_KEY),
+        body: JSON.stringify({ thread_id: thread.id, stream: true, messages: [{ role: 'user', content: 'update name to Bob' }] }),
+    });
+    assert.equal(second.status, 200);
+    assert.ok((await second.text()).includes('data: [DONE]'));
+
+    const messages = await listMessages(MOCK_KEY, thread.id);
+    assert.deepEqual(messages.map(m => m.role), ['user', 'assistant', 'user', 'assistant']);
+    assert.equal(messages[0].content, 'hello');
+    assert.match(messages[1].content, /Hello/);
+    assert.equal(messages[3].tool_calls[0].function.name, 'update_form_data');
+});
+
+test('threads — scoped to the owning key', async () => {
+    const agentThread = await createThread(MOCK_KEY);
+
+    const asParent = await fetch(`${BASE}/v1/threads/${agentThread.id}`, { headers: headers(PARENT_KEY) });
+    assert.equal(asParent.status, 404);
+
+    const parentList = await (await fetch(`${BASE}/v1/threads`, { headers: headers(PARENT_KEY) })).json();
+    assert.ok(!parentList.data.some(t => t.id === agentThread.id));
+
+    const chat = await fetch(`${BASE}/v1/chat/completions`, {
+        method: 'POST',
+        headers: headers(MOCK_KEY),
+        body: JSON.stringify({ thread_id: 'thread-missing', messages: [{ role: 'user', content: 'hello' }] }),
+    });
+    assert.equal(chat.status, 404);
+    assert.equal((await chat.json()).error.code, 'thread_not_found');
+});
+
+test('threads — unauthenticated request rejected', async () => {
+    const r = await fetch(`${BASE}/v1/threads`);
+    assert.equal(r.status, 401);
+});
@@ -0,0 +1,202 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { createServer } from 'node:http';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Keep in sync with DEMO_API_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const PORT = 3364;
+const BASE = `http://localhost:${PORT}`;
+
+const tool = (name, param) => ({
+    type: 'function',
+    function: {
+        name,
+        parameters: { type: 'object', properties: { [param]: { type: 'string' } }, required: [param] },
+    },
+});
+const TOOLS = [tool('get_weather', 'city'), tool('get_time', 'zone')];
+
+// What the fake model writes, by the format named in the user message
+const REPLIES = {
+    hermes: 'Let me check.\n<tool_call>\n{"name": "get_weather", "arguments": {"city": "Paris"}}\n</tool_call>\n<tool_call>{"name": "get_time", "arguments": {"zone": "CET"}}</tool_call>',
+    mistral: '[TOOL_CALLS][{"name": "get_weather", "arguments": {"city": "Paris"}}, {"name": "get_time", "arguments": {"zone": "CET"}}]',
+    llama: '<|python_tag|>{"name": "get_weather", "parameters": {"city": "Paris"}}; {"name": "get_time", "parameters": {"zone": "CET"}}<|eom_id|>',
+    broken: 'Trying: <tool_call>{"name": get_weather}</tool_call> done',
+    // Streamed without a finish chunk, ending on what could be the start of a marker
+    unfinished: 'See the chart [TOOL',
+};
+const CALLS = [
+    { name: 'get_weather', arguments: '{"city":"Paris"}' },
+    { name: 'get_time', arguments: '{"zone":"CET"}' },
+];
+
+let server;
+let gateway;
+let tmp;
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+// Fake gateway. Streamed replies arrive three characters at a time, so the
+// markers are split across chunks; "unfinished" ends with no finish chunk.
+function startGateway() {
+    const srv = createServer((req, res) => {
+        if (req.method === 'GET' && req.url === '/v1/models') {
+            const models = req.headers['x-portkey-provider'] === 'openai' ? [{ id: 'gpt-4o-mini', object: 'model' }] : [];
+            res.writeHead(models.length ? 200 : 404, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ object: 'list', data: models }));
+            return;
+        }
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = JSON.parse(raw);
+            const format = body.messages.filter(m => m.role === 'user').at(-1).content;
+            const content = REPLIES[format];
+            if (!body.stream) {
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({
+                    id: 'chatcmpl_gw', object: 'chat.completion', created: 1, model: body.model,
+                    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+                    usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+                }));
+                return;
+            }
+            res.writeHead(200, { 'content-type': 'text/event-stream' });
+            const chunk = (delta, finish = null) => res.write(`data: ${JSON.stringify({
+                id: 'chatcmpl_gw', object: 'chat.completion.chunk', created: 1, model: body.model,
+                choices: [{ index: 0, delta, finish_reason: finish }],
+            })}\n\n`);
+            for (let i = 0; i < content.length; i += 3) chunk({ content: content.slice(i, i + 3) });
+            if (format !== 'unfinished') chunk({}, 'stop');
+            res.end('data: [DONE]\n\n');
+        });
+    });
+    return new Promise(resolve => srv.listen(0, '127.0.0.1', () => resolve(srv)));
+}
+
+before(async () => {
+    gateway = await startGateway();
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-tool-markup-test-'));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: path.join(tmp, 'ozwell.db'),
+            DATA_DIR: tmp,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: '',
+            LLM_BASE_URL: `http://127.0.0.1:${gateway.address().port}`,
+            LLM_API_KEY: 'test-key',
+            LLM_PROVIDER: 'openai',
+            LLM_MODEL: 'gpt-4o-mini',
+            OLLAMA_BASE_URL: '',
+            MODEL_DISCOVERY_REFRESH_MS: '0',
+        }
+    });
+    await waitForReady();
+    // Populate the provider model registry from the fake gateway.
+    await fetch(`${BASE}/v1/models`, { headers: { Authorization: `Bearer ${PARENT_KEY}` } });
+});
+
+after(async () => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+    gateway.closeAllConnections();
+    await new Promise(resolve => gateway.close(resolve));
+});
+
+function post(url, body) {
+    return fetch(`${BASE}${url}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${PARENT_KEY}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+}
+
+function chat(format, extra = {}) {
+    return post('/v1/chat/completions', { messages: [{ role: 'user', content: format }], tools: TOOLS, ...extra });
+}
+
+function sseData(text) {
+    return text.split('\n\n').filter(block => block.startsWith('data: ')).map(block => {
+        const data = block.slice('data: '.length);
+        return data === '[DONE]' ? data : JSON.parse(data);
+    });
+}
+
+const callsOf = toolCalls => toolCalls.map(call => ({ name: call.function.name, arguments: JSON.stringify(JSON.parse(call.function.arguments)) }));
+
+for (const format of ['hermes', 'mistral', 'llama']) {
+    test(`tool call markup — ${format} calls become tool_calls`, async () => {
+        const body = await (await chat(format)).json();
+        const [choice] = body.choices;
+        assert.equal(choice.finish_reason, 'tool_calls');
+        assert.deepEqual(callsOf(choice.message.tool_calls), CALLS);
+        assert.equal(choice.message.content, format === 'hermes' ? 'Let me check.' : null);
+    });
+
+    test(`tool call markup — streamed ${format} calls become tool_calls deltas`, async () => {
+        const r = await chat(format, { stream: true });
+        const chunks = sseData(await r.text());
+        const content = chunks.map(c => c.choices?.[0]?.delta?.content ?? '').join('');
+        assert.equal(content.trim(), format === 'hermes' ? 'Let me check.' : '');
+        assert.doesNotMatch(content, /tool_call|TOOL_CALLS|python_tag|eom_id/);
+        assert.deepEqual(callsOf(chunks.flatMap(c => c.choices?.[0]?.delta?.tool_calls ?? [])), CALLS);
+        assert.deepEqual(chunks.map(c => c.choices?.[0]?.finish_reason).filter(Boolean), ['tool_calls']);
+    });
+}
+
+test('tool call markup — markup that does not parse stays content', async () => {
+    const body = await (await chat('broken')).json();
+    assert.equal(body.choices[0].message.content, REPLIES.broken);
+    assert.equal(body.choices[0].message.tool_calls, undefined);
+
+    const chunks = sseData(await (await chat('broken', { stream: true })).text());
+    assert.equal(chunks.map(c => c.choices?.[0]?.delta?.content ?? '').join(''), REPLIES.broken);
+});
+
+test('tool call markup — left alone when the request offers no tools', async () => {
+    const body = await (await post('/v1/chat/completions', { messages: [{ role: 'user', content: 'hermes' }] })).json();
+    assert.equal(body.choices[0].message.content, REPLIES.hermes);
+    assert.equal(body.choices[0].message.tool_calls, undefined);
+});
+
+test('tool call markup — /v1/responses returns function_call items', async () => {
+    const body = await (await post('/v1/responses', { input: 'hermes', tools: TOOLS })).json();
+    assert.deepEqual(body.output.filter(item => item.type === 'function_call').map(item => item.name), ['get_weather', 'get_time']);
+    assert.equal(body.output.find(item => item.type === 'message').content[0].text, 'Let me check.');
+
+    const text = await (await post('/v1/responses', { input: 'mistral', tools: TOOLS, stream: true })).text();
+    assert.doesNotMatch(text, /TOOL_CALLS/);
+    const done = text.split('\n\n').find(block => block.startsWith('event: response.completed'));
+    const { response } = JSON.parse(done.match(/^data: (.+)$/m)[1]);
+    assert.deepEqual(response.output.map(item => item.name), ['get_weather', 'get_time']);
+});
+
+test('tool call markup — text held back is sent when the stream ends without a finish chunk', async () => {
+    const chunks = sseData(await (await chat('unfinished', { stream: true })).text());
+    assert.equal(chunks.map(c => c.choices?.[0]?.delta?.content ?? '').join(''), REPLIES.unfinished);
+
+    const text = await (await post('/v1/responses', { input: 'unfinished', tools: TOOLS, stream: true })).text();
+    const done = text.split('\n\n').find(block => block.startsWith('event: response.completed'));
+    const { response } = JSON.parse(done.match(/^data: (.+)$/m)[1]);
+    assert.equal(response.output_text, REPLIES.unfinished);
+});
@@ -0,0 +1,277 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { createServer } from 'node:http';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Keep in sync with DEMO_API_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const PORT = 3363;
+const BASE = `http://localhost:${PORT}`;
+
+const TOOLS = [{
+    type: 'function',
+    function: {
+        name: 'set_dose',
+        description: 'Set a medication dose',
+        parameters: {
+            type: 'object',
+            properties: { patient: { type: 'string' }, mg: { type: 'integer', minimum: 1 } },
+            required: ['patient', 'mg'],
+            additionalProperties: false,
+        },
+    },
+}];
+const GOOD_ARGS = '{"patient":"Ann","mg":5}';
+const BAD_ARGS = '{"patient":"Ann","mg":"five"}';
+
+let server;
+let gateway;
+let tmp;
+let requests = [];
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+// Fake gateway. It calls set_dose with a string dose, and with a valid one
+// once told what was wrong, unless the user says "stubborn". Asked for "bare"
+// or "plain" arguments it answers with the argument object as text. "Chatty"
+// streamed calls come after a sentence of prose.
+function startGateway() {
+    const srv = createServer((req, res) => {
+        if (req.method === 'GET' && req.url === '/v1/models') {
+            const models = req.headers['x-portkey-provider'] === 'openai' ? [{ id: 'gpt-4o-mini', object: 'model' }] : [];
+            res.writeHead(models.length ? 200 : 404, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ object: 'list', data: models }));
+            return;
+        }
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = JSON.parse(raw);
+            requests.push(body);
+            const last = body.messages.at(-1);
+            const userText = body.messages.filter(m => m.role === 'user').at(-1).content;
+            const text = /bare/.test(userText) ? BAD_ARGS : /plain/.test(userText) ? GOOD_ARGS : null;
+            const args = last.role === 'tool' && !/stubborn/.test(userText) ? GOOD_ARGS : BAD_ARGS;
+            const call = { id: `call_${requests.length}`, type: 'function', function: { name: 'set_dose', arguments: args } };
+            if (!body.stream) {
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({
+                    id: 'chatcmpl_gw', object: 'chat.completion', created: 1, model: body.model,
+                    choices: [{
+                        index: 0,
+                        message: text ? { role: 'assistant', content: text } : { role: 'assistant', content: null, tool_calls: [call] },
+                        finish_reason: text ? 'stop' : 'tool_calls',
+                    }],
+                    usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+                }));
+                return;
+            }
+            res.writeHead(200, { 'content-type': 'text/event-stream' });
+            const chunk = (delta, finish = null) => res.write(`data: ${JSON.stringify({
+                id: 'chatcmpl_gw', object: 'chat.completion.chunk', created: 1, model: body.model,
+                choices: [{ index: 0, delta, finish_reason: finish }],
+            })}\n\n`);
+            if (text) {
+                chunk({ content: text });
+                chunk({}, 'stop');
+            } else {
+                if (/chatty/.test(userText)) chunk({ role: 'assistant', content: 'Setting the dose. ' });
+                // The arguments arrive in two pieces, as real providers send them
+                chunk({ role: 'assistant', tool_calls: [{ index: 0, id: call.id, type: 'function', function: { name: 'set_dose', arguments: args.slice(0, 10) } }] });
+                chunk({ tool_calls: [{ index: 0, function: { arguments: args.slice(10) } }] });
+                chunk({}, 'tool_calls');
+            }
+            res.end('data: [DONE]\n\n');
+        });
+    });
+    return new Promise(resolve => srv.listen(0, '127.0.0.1', () => resolve(srv)));
+}
+
+before(async () => {
+    gateway = await startGateway();
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-tool-validation-test-'));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: path.join(tmp, 'ozwell.db'),
+            DATA_DIR: tmp,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: '',
+            LLM_BASE_URL: `http://127.0.0.1:${gateway.address().port}`,
+            LLM_API_KEY: 'test-key',
+            LLM_PROVIDER: 'openai',
+            LLM_MODEL: 'gpt-4o-mini',
+            OLLAMA_BASE_URL: '',
+            MODEL_DISCOVERY_REFRESH_MS: '0',
+        }
+    });
+    await waitForReady();
+    // Populate the provider model registry from the fake gateway.
+    await fetch(`${BASE}/v1/models`, { headers: { Authorization: `Bearer ${PARENT_KEY}` } });
+});
+
+after(async () => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+    gateway.closeAllConnections();
+    await new Promise(resolve => gateway.close(resolve));
+});
+
+async function createAgent(yamlText) {
+    const r = await fetch(`${BASE}/v1/agents`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${PARENT_KEY}`, 'Content-Type': 'application/yaml' },
+        body: yamlText,
+    });
+    return { status: r.status, body: await r.json() };
+}
+
+function post(url, key, body) {
+    return fetch(`${BASE}${url}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+}
+
+function chat(key, content, extra = {}) {
+    return post('/v1/chat/completions', key, { messages: [{ role: 'user', content }], tools: TOOLS, ...extra });
+}
+
+function sseData(text) {
+    return text.split('\n\n').filter(block => block.startsWith('data: ')).map(block => {
+        const data = block.slice('data: '.length);
+        return data === '[DONE]' ? data : JSON.parse(data);
+    });
+}
+
+test('tool validation — an invalid call is re-prompted with the problems', async () => {
+    requests = [];
+    const r = await chat(PARENT_KEY, 'Set Ann to five mg');
+    assert.equal(r.status, 200);
+    const body = await r.json();
+    assert.equal(body.choices[0].finish_reason, 'tool_calls');
+    assert.equal(body.choices[0].message.tool_calls[0].function.arguments, GOOD_ARGS);
+
+    assert.equal(requests.length, 2);
+    const [rejected, reply] = requests[1].messages.slice(-2);
+    assert.equal(rejected.role, 'assistant');
+    assert.equal(rejected.tool_calls[0].function.arguments, BAD_ARGS);
+    assert.equal(reply.role, 'tool');
+    assert.equal(reply.tool_call_id, rejected.tool_calls[0].id);
+    assert.match(reply.content, /\$\.mg must be an integer/);
+});
+
+test('tool validation — streamed calls are held back until they pass', async () => {
+    requests = [];
+    const r = await chat(PARENT_KEY, 'Set Ann to five mg', { stream: true });
+    assert.equal(r.status, 200);
+    const chunks = sseData(await r.text());
+    const calls = chunks.flatMap(c => c.choices?.[0]?.delta?.tool_calls ?? []);
+    assert.equal(calls.length, 1, 'the client gets the corrected call only, in one piece');
+    assert.equal(calls[0].function.arguments, GOOD_ARGS);
+    assert.equal(calls[0].function.name, 'set_dose');
+    assert.deepEqual(chunks.map(c => c.choices?.[0]?.finish_reason).filter(Boolean), ['tool_calls']);
+    assert.equal(chunks.at(-1), '[DONE]');
+    assert.equal(requests.length, 2);
+});
+
+test('tool validation — the text of a re-prompted turn is not streamed twice', async () => {
+    const chunks = sseData(await (await chat(PARENT_KEY, 'Set Ann to five mg, chatty', { stream: true })).text());
+    assert.equal(chunks.map(c => c.choices?.[0]?.delta?.content ?? '').join(''), 'Setting the dose. ');
+    assert.equal(chunks.flatMap(c => c.choices?.[0]?.delta?.tool_calls ?? [])[0].function.arguments, GOOD_ARGS);
+
+    const text = await (await post('/v1/responses', PARENT_KEY, { input: 'Set Ann to five mg, chatty', tools: TOOLS, stream: true })).text();
+    const deltas = [...text.matchAll(/^event: response\.output_text\.delta\ndata: (.+)$/gm)].map(match => JSON.parse(match[1]).delta);
+    assert.equal(deltas.join(''), 'Setting the dose. ');
+    const done = text.split('\n\n').find(block => block.startsWith('event: response.completed'));
+    const { response } = JSON.parse(done.match(/^data: (.+)$/m)[1]);
+    assert.equal(response.output_text, 'Setting the dose. ');
+    assert.equal(response.output.find(item => item.type === 'function_call').arguments, GOOD_ARGS);
+});
+
+test('tool validation — giving up returns tool_call_validation_error', async () => {
+    requests = [];
+    const r = await chat(PARENT_KEY, 'Set Ann to five mg, stubborn');
+    assert.equal(r.status, 502);
+    const body = await r.json();
+    assert.equal(body.error.code, 'tool_call_validation_error');
+    assert.equal(body.error.param, 'tools');
+    assert.deepEqual(body.tool_call_errors, [{ index: 0, id: 'call_3', name: 'set_dose', errors: ['$.mg must be an integer'] }]);
+    // The first answer plus the default two retries
+    assert.equal(requests.length, 3);
+});
+
+test('tool validation — agents can fail on the first invalid call', async () => {
+    const created = await createAgent(`name: Strict tools
+instructions: Set doses.
+toolValidation:
+  on_error: error
+`);
+    assert.equal(created.status, 201);
+    const key = created.body.agent_key;
+
+    requests = [];
+    const r = await chat(key, 'Set Ann to five mg');
+    assert.equal(r.status, 502);
+    assert.equal((await r.json()).error.code, 'tool_call_validation_error');
+    assert.equal(requests.length, 1);
+
+    const streamed = await chat(key, 'Set Ann to five mg', { stream: true });
+    const chunks = sseData(await streamed.text());
+    assert.equal(chunks.flatMap(c => c.choices?.[0]?.delta?.tool_calls ?? []).length, 0, 'invalid calls never reach the client');
+    assert.equal(chunks.at(-2).error.code, 'tool_call_validation_error');
+    assert.equal(chunks.at(-1), '[DONE]');
+
+    const badPolicy = await createAgent(`name: Bad policy
+instructions: Set doses.
+toolValidation:
+  on_error: ignore
+`);
+    assert.equal(badPolicy.status, 400);
+});
+
+test('tool validation — argument objects in content only become calls when they fit the schema', async () => {
+    const bare = await (await chat(PARENT_KEY, 'bare arguments please')).json();
+    assert.equal(bare.choices[0].message.content, BAD_ARGS);
+    assert.equal(bare.choices[0].message.tool_calls, undefined);
+
+    const plain = await (await chat(PARENT_KEY, 'plain arguments please')).json();
+    assert.equal(plain.choices[0].message.tool_calls[0].function.name, 'set_dose');
+    assert.equal(plain.choices[0].message.tool_calls[0].function.arguments, GOOD_ARGS);
+});
+
+test('tool validation — /v1/responses checks calls too', async () => {
+    requests = [];
+    const r = await post('/v1/responses', PARENT_KEY, { input: 'Set Ann to five mg', tools: TOOLS });
+    assert.equal(r.status, 200);
+    const body = await r.json();
+    const call = body.output.find(item => item.type === 'function_call');
+    assert.equal(call.arguments, GOOD_ARGS);
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].messages.at(-1).role, 'tool');
+
+    const streamed = await post('/v1/responses', PARENT_KEY, { input: 'Set Ann to five mg, stubborn', tools: TOOLS, stream: true });
+    const text = await streamed.text();
+    assert.match(text, /event: response\.failed/);
+    assert.match(text, /"code":"tool_call_validation_error"/);
+    assert.doesNotMatch(text, /function_call_arguments/);
+});
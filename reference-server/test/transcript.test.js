@@ -0,0 +1,179 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { test } from 'node:test';
+import vm from 'node:vm';
+import { transformSync } from 'esbuild';
+
+const TRANSCRIPT_PATH = new URL('../embed/src/transcript.ts', import.meta.url);
+const LOADER_PATH = new URL('../embed/ozwell-loader.js', import.meta.url);
+
+const EXPORTED_AT = new Date('2026-03-04T05:06:07.890Z');
+
+const MESSAGES = [
+  { role: 'user', content: 'Is <script>alert("hi")</script> & \'this\' safe?' },
+  {
+    role: 'assistant',
+    content: '',
+    thinking: 'The user wants the chart.',
+    tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_<chart>', arguments: '{"mrn":"123","full":true}' } }],
+  },
+  { role: 'tool', tool_call_id: 'call_1', content: '{"ok":true}' },
+  { role: 'assistant', content: 'Here is the chart.' },
+];
+
+// transcript.ts only has type imports, so it runs as a single module once the types are stripped
+async function loadTranscriptModule() {
+  const { code } = transformSync(await readFile(TRANSCRIPT_PATH, 'utf8'), { loader: 'ts', format: 'esm' });
+  return import(`data:text/javascript;base64,${Buffer.from(code).toString('base64')}`);
+}
+
+test('transcript — JSON keeps tool calls, tool results and thinking', async () => {
+  const { buildTranscript } = await loadTranscriptModule();
+  const transcript = buildTranscript(MESSAGES, 'json', { title: 'Visit', exportedAt: EXPORTED_AT });
+
+  assert.equal(transcript.mimeType, 'application/json');
+  assert.equal(transcript.filename, 'ozwell-transcript-2026-03-04-05-06-07.json');
+  assert.deepEqual(JSON.parse(transcript.content), {
+    object: 'transcript',
+    title: 'Visit',
+    exported_at: '2026-03-04T05:06:07.890Z',
+    messages: MESSAGES,
+  });
+});
+
+test('transcript — Markdown shows tool calls with their arguments, results and thinking', async () => {
+  const { buildTranscript } = await loadTranscriptModule();
+  const { content, mimeType, filename } = buildTranscript(MESSAGES, 'markdown', { title: 'Visit', exportedAt: EXPORTED_AT });
+
+  assert.equal(mimeType, 'text/markdown');
+  assert.ok(filename.endsWith('.md'));
+  assert.ok(content.startsWith('# Visit\n'));
+  assert.match(content, /## User\n\nIs <script>/);
+  assert.match(content, /<details><summary>Thinking<\/summary>\n\n```\nThe user wants the chart\.\n```\n\n<\/details>/);
+  assert.ok(content.includes('**Tool call:** `get_<chart>` (`call_1`)\n\n```json\n{\n  "mrn": "123",\n  "full": true\n}\n```'));
+  assert.match(content, /## Tool result\n\nCall `call_1`\n\n```\n\{"ok":true\}\n```/);
+  assert.match(content, /## Assistant\n\nHere is the chart\.\n$/);
+});
+
+test('transcript — Markdown fences outlast backticks in the content', async () => {
+  const { buildTranscript } = await loadTranscriptModule();
+  const { content } = buildTranscript(
+    [{ role: 'tool', tool_call_id: 'call_2', content: 'before ``` after' }],
+    'markdown',
+    { title: 'Visit', exportedAt: EXPORTED_AT },
+  );
+  assert.ok(content.includes('````\nbefore ``` after\n````'));
+});
+
+test('transcript — HTML escapes content, names and the title', async () => {
+  const { buildTranscript } = await loadTranscriptModule();
+  const { content, mimeType } = buildTranscript(MESSAGES, 'html', { title: 'Visit <b>"A&B"</b>', exportedAt: EXPORTED_AT });
+
+  assert.equal(mimeType, 'text/html');
+  assert.equal(content.includes('<script>'), false);
+  assert.equal(content.includes('<b>'), false);
+  assert.ok(content.includes('<title>Visit &lt;b&gt;&quot;A&amp;B&quot;&lt;/b&gt;</title>'));
+  assert.ok(content.includes('Is &lt;script&gt;alert(&quot;hi&quot;)&lt;/script&gt; &amp; &#39;this&#39; safe?'));
+  assert.ok(content.includes('Tool call <code>get_&lt;chart&gt;</code> (<code>call_1</code>)'));
+  assert.ok(content.includes('<pre>{\n  &quot;mrn&quot;: &quot;123&quot;,\n  &quot;full&quot;: true\n}</pre>'));
+  assert.ok(content.includes('<details><summary>Thinking</summary><pre>The user wants the chart.</pre></details>'));
+  assert.ok(content.includes('<p class="meta">Call <code>call_1</code></p>'));
+  assert.equal((content.match(/<section class="message /g) || []).length, MESSAGES.length);
+});
+
+// Run the loader against just enough of a page to mount the iframe and
+// exchange messages with it. Timers are captured so a test can fire them.
+async function loadWidgetLoader() {
+  const listeners = { window: {}, document: {} };
+  const on = (target) => (type, fn) => { (listeners[target][type] ||= []).push(fn); };
+  const off = (target) => (type, fn) => {
+    listeners[target][type] = (listeners[target][type] || []).filter((listener) => listener !== fn);
+  };
+  const posted = [];
+  const timers = new Map();
+  let nextTimer = 0;
+  const widgetWindow = { postMessage: (message) => posted.push(message) };
+  const element = () => ({ style: {}, setAttribute() {}, addEventListener() {}, appendChild() {} });
+
+  const window = {
+    OzwellChatConfig: { autoMount: false, defaultUI: false, containerId: 'chat' },
+    addEventListener: on('window'),
+  };
+  const document = {
+    currentScript: null,
+    readyState: 'complete',
+    head: element(),
+    body: element(),
+    querySelector: () => ({}),
+    getElementById: () => element(),
+    createElement: (tag) => (tag === 'iframe' ? { ...element(), contentWindow: widgetWindow } : element()),
+    addEventListener: on('document'),
+    removeEventListener: off('document'),
+    dispatchEvent: (event) => (listeners.document[event.type] || []).forEach((fn) => fn(event)),
+  };
+  const context = vm.createContext({
+    window,
+    document,
+    console: { log() {}, warn() {}, error() {} },
+    CustomEvent: class { constructor(type) { this.type = type; } },
+    URL,
+    setTimeout: (fn) => { timers.set(++nextTimer, fn); return nextTimer; },
+    clearTimeout: (id) => timers.delete(id),
+  });
+  vm.runInContext(await readFile(LOADER_PATH, 'utf8'), context);
+
+  const api = window.OzwellChat;
+  api.mount();
+  const fromWidget = (data) => {
+    for (const fn of listeners.window.message) fn({ source: widgetWindow, data: { source: 'ozwell-chat-widget', ...data } });
+  };
+  return { api, posted, timers, fromWidget };
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test('transcript — exportTranscript waits for the widget and matches replies by request ID', async () => {
+  const { api, posted, timers, fromWidget } = await loadWidgetLoader();
+
+  const pending = api.exportTranscript('markdown');
+  await flush();
+  assert.equal(posted.some((message) => message.type === 'export-transcript'), false, 'nothing is sent before the widget is ready');
+
+  fromWidget({ type: 'ready' });
+  await flush();
+  // The message was built inside the loader's context, so compare it as plain JSON
+  const request = posted.find((message) => message.type === 'export-transcript');
+  assert.deepEqual(JSON.parse(JSON.stringify(request)), { source: 'ozwell-chat-parent', type: 'export-transcript', payload: { format: 'markdown', requestId: 'transcript-1' } });
+  assert.equal(timers.size, 1);
+
+  const transcript = { format: 'markdown', mimeType: 'text/markdown', filename: 'ozwell-transcript.md', content: '# Chat\n' };
+  fromWidget({ type: 'transcript', payload: { requestId: 'transcript-99', transcript: { content: 'not ours' } } });
+  fromWidget({ type: 'transcript', payload: { requestId: 'transcript-1', transcript } });
+  assert.deepEqual(await pending, transcript);
+  assert.equal(timers.size, 0, 'the timeout is cleared once the transcript arrives');
+
+  // A reply that comes back twice is ignored the second time
+  fromWidget({ type: 'transcript', payload: { requestId: 'transcript-1', transcript: { content: 'again' } } });
+
+  const failing = api.exportTranscript();
+  await flush();
+  fromWidget({ type: 'transcript', payload: { requestId: 'transcript-2', error: 'Nothing to export yet' } });
+  await assert.rejects(failing, /Nothing to export yet/);
+});
+
+test('transcript — exportTranscript rejects unknown formats and times out', async () => {
+  const { api, posted, timers, fromWidget } = await loadWidgetLoader();
+
+  await assert.rejects(api.exportTranscript('pdf'), /Unsupported transcript format "pdf"/);
+
+  fromWidget({ type: 'ready' });
+  const pending = api.exportTranscript('html');
+  await flush();
+  assert.equal(posted.filter((message) => message.type === 'export-transcript').length, 1);
+  assert.equal(timers.size, 1);
+  for (const fire of timers.values()) fire();
+  await assert.rejects(pending, /did not return the transcript in time/);
+
+  // A late reply after the timeout changes nothing
+  fromWidget({ type: 'transcript', payload: { requestId: 'transcript-1', transcript: { content: 'late' } } });
+});
@@ -0,0 +1,165 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const Database = require('better-sqlite3');
+
+const PORT = 3353;
+const BASE = `http://localhost:${PORT}`;
+
+const ADMIN_HEADERS = {
+    'x-user': 'usage-admin',
+    'x-preferred-username': 'usageadmin',
+    'x-email': 'usage-admin@example.test',
+    'x-groups': 'ldapusers',
+};
+const USER_HEADERS = {
+    'x-user': 'usage-user',
+    'x-preferred-username': 'usageuser',
+    'x-email': 'usage-user@example.test',
+    'x-groups': 'ldapusers',
+};
+
+let server;
+let tmp;
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+// Usage with known timestamps, for the parent key the manager console gave each user
+function seedUsage(dbPath) {
+    const db = new Database(dbPath);
+    try {
+        const keyOf = externalUserId => db.prepare(`
+          SELECT k.id FROM api_keys k JOIN users u ON u.id = k.user_id WHERE u.external_user_id = ?
+        `).get(externalUserId).id;
+        const adminKey = keyOf('usage-admin');
+        const userKey = keyOf('usage-user');
+        const insert = db.prepare(`
+          INSERT INTO usage_events (id, parent_key_id, agent_id, auth_type, route, provider, model, status_code, prompt_tokens, completion_tokens, total_tokens, created_at)
+          VALUES (@id, @parent_key_id, NULL, 'parent', '/v1/chat/completions', @provider, @model, @status_code, @total_tokens, 0, @total_tokens, @created_at)
+        `);
+        const events = [
+            [adminKey, 'openai', 'gpt-4o-mini', 200, 10, '2026-01-01T10:05:00.000Z'],
+            [adminKey, 'openai', 'gpt-4o-mini', 503, null, '2026-01-01T10:40:00.000Z'],
+            [adminKey, 'anthropic', 'claude-sonnet-4-5', 200, 5, '2026-01-02T09:00:00.000Z'],
+            [adminKey, 'openai', 'gpt-4o-mini', 200, 7, '2026-02-03T12:00:00.000Z'],
+            [userKey, 'openai', '=cmd', 200, 100, '2026-01-01T11:00:00.000Z'],
+        ];
+        events.forEach(([parent_key_id, provider, model, status_code, total_tokens, created_at], i) => {
+            insert.run({ id: `usage-seed-${i}`, parent_key_id, provider, model, status_code, total_tokens, created_at });
+        });
+    } finally {
+        db.close();
+    }
+}
+
+before(async () => {
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-usage-test-'));
+    const dbPath = path.join(tmp, 'ozwell.db');
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: dbPath,
+            DATA_DIR: tmp,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: 'true',
+            LLM_BASE_URL: '',
+            LLM_API_KEY: '',
+            OLLAMA_BASE_URL: 'http://127.0.0.1:9',
+            TRUST_FORWARD_AUTH_HEADERS: 'true',
+            ADMIN_EXTERNAL_USER_IDS: 'usage-admin',
+        }
+    });
+    await waitForReady();
+    // The manager console provisions each user's parent key on first visit
+    assert.equal((await fetch(`${BASE}/v1/manager/me`, { headers: ADMIN_HEADERS })).status, 200);
+    assert.equal((await fetch(`${BASE}/v1/manager/me`, { headers: USER_HEADERS })).status, 200);
+    seedUsage(dbPath);
+});
+
+after(() => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+function usage(url, headers) {
+    return fetch(`${BASE}${url}`, { headers });
+}
+
+test('usage — managers see daily buckets for their own keys in the date range', async () => {
+    const r = await usage('/v1/manager/usage?interval=day&group_by=provider&start=2026-01-01&end=2026-02-01', ADMIN_HEADERS);
+    assert.equal(r.status, 200);
+    const body = await r.json();
+    assert.equal(body.interval, 'day');
+    assert.deepEqual(body.group_by, ['provider']);
+    assert.equal(body.start, '2026-01-01T00:00:00.000Z');
+    assert.deepEqual(body.data, [
+        { bucket: '2026-01-01T00:00:00Z', provider: 'openai', request_count: 2, error_count: 1, prompt_tokens: 10, completion_tokens: 0, total_tokens: 10 },
+        { bucket: '2026-01-02T00:00:00Z', provider: 'anthropic', request_count: 1, error_count: 0, prompt_tokens: 5, completion_tokens: 0, total_tokens: 5 },
+    ]);
+
+    const other = await (await usage('/v1/manager/usage?interval=month', USER_HEADERS)).json();
+    assert.deepEqual(other.data.map(row => [row.bucket, row.request_count]), [['2026-01-01T00:00:00Z', 1]]);
+});
+
+test('usage — admins see everyone, by hour or month and any grouping', async () => {
+    const hourly = await (await usage('/v1/manager/admin/usage?interval=hour&start=2026-01-01T10:00:00Z&end=2026-01-01T12:00:00Z', ADMIN_HEADERS)).json();
+    assert.deepEqual(hourly.data.map(row => [row.bucket, row.request_count]), [
+        ['2026-01-01T10:00:00Z', 2],
+        ['2026-01-01T11:00:00Z', 1],
+    ]);
+
+    const monthly = await (await usage('/v1/manager/admin/usage?interval=month&group_by=model,status_code', ADMIN_HEADERS)).json();
+    assert.deepEqual(monthly.data.map(row => [row.bucket, row.model, row.status_code, row.request_count]), [
+        ['2026-01-01T00:00:00Z', '=cmd', 200, 1],
+        ['2026-01-01T00:00:00Z', 'claude-sonnet-4-5', 200, 1],
+        ['2026-01-01T00:00:00Z', 'gpt-4o-mini', 200, 1],
+        ['2026-01-01T00:00:00Z', 'gpt-4o-mini', 503, 1],
+        ['2026-02-01T00:00:00Z', 'gpt-4o-mini', 200, 1],
+    ]);
+});
+
+test('usage — CSV export has one row per bucket', async () => {
+    const r = await usage('/v1/manager/admin/usage?interval=month&group_by=provider,model&end=2026-02-01&format=csv', ADMIN_HEADERS);
+    assert.equal(r.status, 200);
+    assert.match(r.headers.get('content-type'), /^text\/csv/);
+    assert.match(r.headers.get('content-disposition'), /attachment; filename="ozwell-usage-month\.csv"/);
+    assert.deepEqual((await r.text()).trimEnd().split('\r\n'), [
+        'bucket,provider,model,request_count,error_count,prompt_tokens,completion_tokens,total_tokens',
+        '2026-01-01T00:00:00Z,anthropic,claude-sonnet-4-5,1,0,5,0,5',
+        "2026-01-01T00:00:00Z,openai,'=cmd,1,0,100,0,100",
+        '2026-01-01T00:00:00Z,openai,gpt-4o-mini,2,1,10,0,10',
+    ]);
+});
+
+test('usage — rejects bad queries and non-admin access to everyone', async () => {
+    assert.equal((await usage('/v1/manager/admin/usage', USER_HEADERS)).status, 403);
+    assert.equal((await usage('/v1/manager/usage', {})).status, 401);
+
+    const badGroup = await usage('/v1/manager/usage?group_by=user', ADMIN_HEADERS);
+    assert.equal(badGroup.status, 400);
+    assert.equal((await badGroup.json()).error.param, 'group_by');
+    assert.equal((await (await usage('/v1/manager/usage?interval=week', ADMIN_HEADERS)).json()).error.param, 'interval');
+    assert.equal((await (await usage('/v1/manager/usage?start=soon', ADMIN_HEADERS)).json()).error.param, 'start');
+    assert.equal((await (await usage('/v1/manager/usage?start=2026-02-01&end=2026-01-01', ADMIN_HEADERS)).json()).error.param, 'start');
+});
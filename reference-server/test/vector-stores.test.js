@@ -0,0 +1,191 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Keep in sync with DEMO_API_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const PORT = 3349;
+const BASE = `http://localhost:${PORT}`;
+
+let server;
+let tmp;
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+before(async () => {
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-vector-stores-test-'));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: path.join(tmp, 'ozwell.db'),
+            DATA_DIR: tmp,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: '',
+            LLM_BASE_URL: '',
+            LLM_API_KEY: '',
+            OLLAMA_BASE_URL: 'http://127.0.0.1:9',
+            KNOWLEDGE_EMBED_MODEL: 'mock',
+            KNOWLEDGE_CHUNK_CHARS: '60',
+        }
+    });
+    await waitForReady();
+});
+
+after(() => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+async function api(method, url, body, key = PARENT_KEY) {
+    return fetch(`${BASE}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${key}` },
+        ...(body !== undefined && { body: JSON.stringify(body) }),
+    });
+}
+
+async function uploadFile(filename, content) {
+    const form = new FormData();
+    form.append('purpose', 'assistants');
+    form.append('file', new Blob([content]), filename);
+    const r = await fetch(`${BASE}/v1/files`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${PARENT_KEY}` },
+        body: form,
+    });
+    assert.equal(r.status, 200);
+    return r.json();
+}
+
+async function waitForFile(storeId, fileId) {
+    for (let i = 0; i < 50; i++) {
+        const file = await (await api('GET', `/v1/vector_stores/${storeId}/files/${fileId}`)).json();
+        if (file.status !== 'in_progress') return file;
+        await delay(100);
+    }
+    throw new Error('file never finished ingesting');
+}
+
+test('vector stores — create, ingest files and search scored chunks', async () => {
+    const handbook = await uploadFile('handbook.txt', [
+        'Clinic hours are 8am to 5pm on weekdays.',
+        'Parking is free in the north garage.',
+    ].join('\n\n'));
+    const created = await api('POST', '/v1/vector_stores', { name: 'Handbook', file_ids: [handbook.id], metadata: { team: 'front-desk' } });
+    assert.equal(created.status, 200);
+    const store = await created.json();
+    assert.equal(store.object, 'vector_store');
+    assert.equal(store.name, 'Handbook');
+    assert.deepEqual(store.metadata, { team: 'front-desk' });
+    assert.equal(store.file_counts.total, 1);
+
+    const ingested = await waitForFile(store.id, handbook.id);
+    assert.equal(ingested.object, 'vector_store.file');
+    assert.equal(ingested.status, 'completed');
+    assert.equal(ingested.vector_store_id, store.id);
+    assert.equal(ingested.last_error, null);
+
+    const notes = await uploadFile('notes.txt', 'Flu shots are offered every Tuesday morning.');
+    const attached = await (await api('POST', `/v1/vector_stores/${store.id}/files`, { file_id: notes.id })).json();
+    assert.equal(attached.id, notes.id);
+    assert.equal((await waitForFile(store.id, notes.id)).status, 'completed');
+
+    const refreshed = await (await api('GET', `/v1/vector_stores/${store.id}`)).json();
+    assert.equal(refreshed.status, 'completed');
+    assert.deepEqual(refreshed.file_counts, { in_progress: 0, completed: 2, failed: 0, cancelled: 0, total: 2 });
+    assert.equal(refreshed.usage_bytes, handbook.bytes + notes.bytes);
+
+    const search = await api('POST', `/v1/vector_stores/${store.id}/search`, { query: 'Parking is free in the north garage.', max_num_results: 2 });
+    assert.equal(search.status, 200);
+    const results = await search.json();
+    assert.equal(results.object, 'vector_store.search_results.page');
+    assert.equal(results.search_query, 'Parking is free in the north garage.');
+    assert.equal(results.data.length, 2);
+    // Mock embeddings: identical text scores 1, so that chunk ranks first
+    assert.equal(results.data[0].file_id, handbook.id);
+    assert.equal(results.data[0].filename, 'handbook.txt');
+    assert.deepEqual(results.data[0].content, [{ type: 'text', text: 'Parking is free in the north garage.' }]);
+    assert.ok(Math.abs(results.data[0].score - 1) < 1e-6);
+    assert.ok(results.data[1].score < results.data[0].score);
+});
+
+test('vector stores — list, update, remove files and delete', async () => {
+    const first = await (await api('POST', '/v1/vector_stores', { name: 'First' })).json();
+    const second = await (await api('POST', '/v1/vector_stores', { name: 'Second' })).json();
+
+    const page = await (await api('GET', '/v1/vector_stores?limit=1')).json();
+    assert.equal(page.object, 'list');
+    assert.deepEqual(page.data.map(s => s.id), [second.id]);
+    assert.equal(page.has_more, true);
+    const next = await (await api('GET', `/v1/vector_stores?limit=1&after=${page.last_id}`)).json();
+    assert.deepEqual(next.data.map(s => s.id), [first.id]);
+
+    const renamed = await (await api('POST', `/v1/vector_stores/${first.id}`, { name: 'Renamed' })).json();
+    assert.equal(renamed.name, 'Renamed');
+
+    const file = await uploadFile('a.txt', 'Some text.');
+    await api('POST', `/v1/vector_stores/${first.id}/files`, { file_id: file.id });
+    await waitForFile(first.id, file.id);
+    const files = await (await api('GET', `/v1/vector_stores/${first.id}/files?filter=completed`)).json();
+    assert.deepEqual(files.data.map(f => f.id), [file.id]);
+
+    const removed = await (await api('DELETE', `/v1/vector_stores/${first.id}/files/${file.id}`)).json();
+    assert.deepEqual(removed, { id: file.id, object: 'vector_store.file.deleted', deleted: true });
+    assert.equal((await api('GET', `/v1/vector_stores/${first.id}/files/${file.id}`)).status, 404);
+    assert.equal((await fetch(`${BASE}/v1/files/${file.id}`, { headers: { Authorization: `Bearer ${PARENT_KEY}` } })).status, 200, 'the upload is kept');
+
+    const deleted = await (await api('DELETE', `/v1/vector_stores/${first.id}`)).json();
+    assert.deepEqual(deleted, { id: first.id, object: 'vector_store.deleted', deleted: true });
+    const missing = await api('GET', `/v1/vector_stores/${first.id}`);
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).error.code, 'vector_store_not_found');
+});
+
+test('vector stores — binary files fail ingestion and unknown files are rejected', async () => {
+    const store = await (await api('POST', '/v1/vector_stores', {})).json();
+
+    const binary = await uploadFile('image.png', new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]));
+    await api('POST', `/v1/vector_stores/${store.id}/files`, { file_id: binary.id });
+    const failed = await waitForFile(store.id, binary.id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.last_error.code, 'unsupported_file');
+
+    const unknown = await api('POST', `/v1/vector_stores/${store.id}/files`, { file_id: 'file-missing' });
+    assert.equal(unknown.status, 404);
+    assert.equal((await unknown.json()).error.param, 'file_id');
+
+    const empty = await api('POST', `/v1/vector_stores/${store.id}/search`, { query: '  ' });
+    assert.equal(empty.status, 400);
+});
+
+test('vector stores — stores are private to the key that created them', async () => {
+    const store = await (await api('POST', '/v1/vector_stores', { name: 'Parent only' })).json();
+    const agent = await (await fetch(`${BASE}/v1/agents`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/yaml', 'Authorization': `Bearer ${PARENT_KEY}` },
+        body: 'name: Helper\ninstructions: Help.\n',
+    })).json();
+
+    assert.equal((await api('GET', `/v1/vector_stores/${store.id}`, undefined, agent.agent_key)).status, 404);
+    const list = await (await api('GET', '/v1/vector_stores', undefined, agent.agent_key)).json();
+    assert.deepEqual(list.data, []);
+    assert.equal((await api('GET', '/v1/vector_stores', undefined, 'ozw_not_a_real_key')).status, 401);
+});
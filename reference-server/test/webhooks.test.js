@@ -0,0 +1,305 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { createServer } from 'node:http';
+import { createHmac } from 'node:crypto';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Keep in sync with DEMO_API_KEY in src/storage/agents.ts.
+const PARENT_KEY = 'ozw_demo_localhost_key_for_testing';
+const PORT = 3358;
+const BASE = `http://localhost:${PORT}`;
+
+const ADMIN_HEADERS = {
+    'x-user': 'webhooks-admin',
+    'x-preferred-username': 'webhooksadmin',
+    'x-email': 'webhooks-admin@example.test',
+    'x-groups': 'ldapusers',
+};
+const OPS_HEADERS = {
+    'x-user': 'webhooks-ops',
+    'x-preferred-username': 'webhooksops',
+    'x-email': 'webhooks-ops@example.test',
+    'x-groups': 'ldapusers',
+};
+
+let server;
+let gateway;
+let receiver;
+let tmp;
+
+// Requests the receiver got, and how many times each path should answer 500 first
+const received = [];
+const failuresLeft = {};
+
+async function waitForReady(maxMs = 10_000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        try {
+            const r = await fetch(`${BASE}/health`);
+            if (r.status === 200) return;
+        } catch { /* not ready */ }
+        await delay(200);
+    }
+    throw new Error('server never became ready');
+}
+
+function listen(srv) {
+    return new Promise(resolve => srv.listen(0, '127.0.0.1', () => resolve(srv)));
+}
+
+function startReceiver() {
+    return listen(createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            received.push({ path: req.url, headers: req.headers, raw, body: JSON.parse(raw) });
+            const fail = (failuresLeft[req.url] ?? 0) > 0;
+            if (fail) failuresLeft[req.url] -= 1;
+            res.writeHead(fail ? 500 : 204);
+            res.end();
+        });
+    }));
+}
+
+// gpt-4o-mini answers with 45 tokens of usage; every other model is down
+function startGateway() {
+    return listen(createServer((req, res) => {
+        if (req.method === 'GET' && req.url === '/v1/models') {
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ object: 'list', data: [{ id: 'gpt-4o-mini', object: 'model', owned_by: 'openai' }, { id: 'down', object: 'model', owned_by: 'openai' }] }));
+            return;
+        }
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = JSON.parse(raw);
+            if (body.model !== 'gpt-4o-mini') {
+                res.writeHead(503, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'unavailable' } }));
+                return;
+            }
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'c1',
+                object: 'chat.completion',
+                created: 1,
+                model: body.model,
+                choices: [{ index: 0, message: { role: 'assistant', content: 'ok' }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 40, completion_tokens: 5, total_tokens: 45 },
+            }));
+        });
+    }));
+}
+
+before(async () => {
+    receiver = await startReceiver();
+    gateway = await startGateway();
+    tmp = mkdtempSync(path.join(tmpdir(), 'ozwell-webhooks-test-'));
+    server = spawn(process.execPath, ['dist/reference-server/src/server.js'], {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        detached: true,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DB_PATH: path.join(tmp, 'ozwell.db'),
+            DATA_DIR: tmp,
+            NODE_ENV: 'development',
+            ALLOW_MOCK: '',
+            TRUST_FORWARD_AUTH_HEADERS: 'true',
+            ADMIN_EXTERNAL_USER_IDS: 'webhooks-admin',
+            LLM_BASE_URL: `http://127.0.0.1:${gateway.address().port}`,
+            LLM_API_KEY: 'test-key',
+            LLM_PROVIDER: 'openai',
+            LLM_MODEL: 'gpt-4o-mini',
+            OLLAMA_BASE_URL: '',
+            MODEL_DISCOVERY_REFRESH_MS: '0',
+            FAILOVER_BREAKER_THRESHOLD: '1',
+            WEBHOOK_RETRY_BASE_MS: '200',
+            WEBHOOK_MAX_ATTEMPTS: '3',
+            WEBHOOK_DISPATCH_INTERVAL_MS: '100',
+        }
+    });
+    await waitForReady();
+    await fetch(`${BASE}/v1/manager/me`, { headers: ADMIN_HEADERS });
+    assert.equal((await fetch(`${BASE}/v1/manager/models`, { headers: ADMIN_HEADERS })).status, 200);
+});
+
+after(async () => {
+    try { if (process.platform === 'win32') spawnSync('taskkill', ['/pid', String(server.pid), '/T', '/F']); else process.kill(-server.pid, 'SIGKILL'); } catch { /* ignore */ }
+    try { rmSync(tmp, { recursive: true, force: true }); } catch { /* ignore */ }
+    for (const srv of [receiver, gateway]) {
+        srv.closeAllConnections();
+        await new Promise(resolve => srv.close(resolve));
+    }
+});
+
+function call(method, url, headers, body) {
+    return fetch(`${BASE}${url}`, {
+        method,
+        headers: { ...headers, ...(body !== undefined && { 'Content-Type': typeof body === 'string' ? 'application/yaml' : 'application/json' }) },
+        body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+    });
+}
+
+const PARENT = { Authorization: `Bearer ${PARENT_KEY}` };
+
+function receiverUrl(pathname) {
+    return `http://127.0.0.1:${receiver.address().port}${pathname}`;
+}
+
+async function waitFor(check, what, maxMs = 5000) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        const value = await check();
+        if (value) return value;
+        await delay(50);
+    }
+    throw new Error(`timed out waiting for ${what}`);
+}
+
+function verifySignature(request, secret) {
+    const { t, v1 } = Object.fromEntries(request.headers['x-ozwell-signature'].split(',').map(part => part.split('=')));
+    return v1 === createHmac('sha256', secret).update(`${t}.${request.raw}`).digest('hex');
+}
+
+test('webhooks — agent events are delivered signed with the endpoint secret', async () => {
+    const r = await call('POST', '/v1/webhooks', PARENT, { url: receiverUrl('/agents'), events: ['agent.created', 'agent.updated', 'agent_key.rotated'] });
+    assert.equal(r.status, 201);
+    const webhook = await r.json();
+    assert.match(webhook.secret, /^whsec_/);
+    assert.equal(webhook.secret_hint, `whsec_...${webhook.secret.slice(-4)}`);
+    const listed = await (await call('GET', '/v1/webhooks', PARENT)).json();
+    assert.ok(listed.data.some(item => item.id === webhook.id && item.secret === undefined));
+
+    const agent = await (await call('POST', '/v1/agents', PARENT, 'name: Hooked\ninstructions: Help.\n')).json();
+    await call('PUT', `/v1/agents/${agent.agent_id}`, PARENT, 'name: Hooked\ninstructions: Help more.\n');
+    await call('POST', `/v1/agents/${agent.agent_id}/rotate-key`, PARENT);
+    await call('DELETE', `/v1/agents/${agent.agent_id}`, PARENT);
+
+    const events = await waitFor(() => {
+        const forAgent = received.filter(item => item.path === '/agents' && item.body.data.agent_id === agent.agent_id);
+        return forAgent.length >= 3 && forAgent;
+    }, 'agent events');
+    assert.deepEqual(events.map(item => item.body.type), ['agent.created', 'agent.updated', 'agent_key.rotated']);
+    assert.deepEqual(events[1].body.data, { agent_id: agent.agent_id, name: 'Hooked', revision: 2, source: 'update' });
+    for (const event of events) {
+        assert.equal(event.headers['x-ozwell-event'], event.body.type);
+        assert.match(event.headers['x-ozwell-delivery'], /^whdel-/);
+        assert.equal(event.body.object, 'event');
+        assert.ok(verifySignature(event, webhook.secret));
+    }
+
+    // agent.deleted isn't subscribed to
+    await delay(300);
+    assert.equal(received.filter(item => item.path === '/agents' && item.body.data.agent_id === agent.agent_id).length, 3);
+    await call('DELETE', `/v1/webhooks/${webhook.id}`, PARENT);
+});
+
+test('webhooks — failed deliveries are retried with backoff and can be redelivered', async () => {
+    const flaky = await (await call('POST', '/v1/webhooks', PARENT, { url: receiverUrl('/flaky') })).json();
+    assert.deepEqual(flaky.events, ['*']);
+    failuresLeft['/flaky'] = 1;
+    const queued = await call('POST', `/v1/webhooks/${flaky.id}/test`, PARENT);
+    assert.equal(queued.status, 202);
+    const { id } = await queued.json();
+    const delivered = await waitFor(async () => {
+        const delivery = await (await call('GET', `/v1/webhooks/${flaky.id}/deliveries/${id}`, PARENT)).json();
+        return delivery.status === 'succeeded' && delivery;
+    }, 'the retried delivery');
+    assert.deepEqual([delivered.attempts, delivered.last_status_code, delivered.payload.type], [2, 204, 'webhook.test']);
+
+    const down = await (await call('POST', '/v1/webhooks', PARENT, { url: receiverUrl('/down') })).json();
+    failuresLeft['/down'] = 3;
+    const failedId = (await (await call('POST', `/v1/webhooks/${down.id}/test`, PARENT)).json()).id;
+    const failed = await waitFor(async () => {
+        const delivery = await (await call('GET', `/v1/webhooks/${down.id}/deliveries/${failedId}`, PARENT)).json();
+        return delivery.status === 'failed' && delivery;
+    }, 'the delivery to give up');
+    assert.deepEqual([failed.attempts, failed.last_status_code, failed.last_error, failed.next_attempt_at], [3, 500, 'Endpoint answered HTTP 500', null]);
+
+    const redelivered = await call('POST', `/v1/webhooks/${down.id}/deliveries/${failedId}/redeliver`, PARENT);
+    assert.equal(redelivered.status, 202);
+    const redelivery = await redelivered.json();
+    assert.equal(redelivery.redelivery_of, failedId);
+    assert.equal(redelivery.event_id, failed.event_id);
+    await waitFor(async () => (await (await call('GET', `/v1/webhooks/${down.id}/deliveries/${redelivery.id}`, PARENT)).json()).status === 'succeeded', 'the redelivery');
+
+    const log = await (await call('GET', `/v1/webhooks/${down.id}/deliveries?status=failed`, PARENT)).json();
+    assert.deepEqual(log.data.map(item => item.id), [failedId]);
+    assert.equal(log.data[0].payload, undefined);
+    const bodies = received.filter(item => item.path === '/down').map(item => item.body);
+    assert.equal(bodies.length, 4);
+    assert.ok(bodies.every(body => body.id === failed.event_id));
+    await call('DELETE', `/v1/webhooks/${flaky.id}`, PARENT);
+    await call('DELETE', `/v1/webhooks/${down.id}`, PARENT);
+});
+
+test('webhooks — quota, provider and key revocation events reach the manager console endpoint', async () => {
+    const me = await (await call('GET', '/v1/manager/me', OPS_HEADERS)).json();
+    const webhook = await (await call('POST', '/v1/manager/webhooks', OPS_HEADERS, {
+        url: receiverUrl('/ops'),
+        events: ['quota.threshold_crossed', 'provider.failing', 'parent_key.revoked'],
+    })).json();
+    const agent = await (await call('POST', '/v1/manager/agents', OPS_HEADERS, 'name: Budget\ninstructions: Help.\nlimits:\n  tokens_per_day: 100\n')).json();
+    const chat = model => fetch(`${BASE}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${agent.agent_key}` },
+        body: JSON.stringify({ provider: 'openai', model, messages: [{ role: 'user', content: 'hi' }] }),
+    });
+    const opsEvents = type => received.filter(item => item.path === '/ops' && item.body.type === type);
+
+    // 45 tokens a call: the third call sees 90 used (80%), the fourth 135 (100%)
+    for (let i = 0; i < 3; i++) assert.equal((await chat('gpt-4o-mini')).status, 200);
+    assert.equal((await chat('gpt-4o-mini')).status, 429);
+    const crossed = await waitFor(() => opsEvents('quota.threshold_crossed').length >= 2 && opsEvents('quota.threshold_crossed'), 'quota events');
+    assert.deepEqual(crossed.map(item => [item.body.data.threshold, item.body.data.used]), [[0.8, 90], [1, 135]]);
+    assert.deepEqual([crossed[0].body.data.scope, crossed[0].body.data.agent_id, crossed[0].body.data.limit], ['agent', agent.agent_id, 100]);
+    assert.equal((await chat('gpt-4o-mini')).status, 429);
+    await delay(300);
+    assert.equal(opsEvents('quota.threshold_crossed').length, 2, 'each threshold is reported once a day');
+
+    const other = await (await call('POST', '/v1/manager/agents', OPS_HEADERS, 'name: Other\ninstructions: Help.\n')).json();
+    await fetch(`${BASE}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${other.agent_key}` },
+        body: JSON.stringify({ provider: 'openai', model: 'down', messages: [{ role: 'user', content: 'hi' }] }),
+    });
+    const [failing] = await waitFor(() => opsEvents('provider.failing').length && opsEvents('provider.failing'), 'provider event');
+    assert.equal(failing.body.data.provider, 'openai');
+    assert.equal(failing.body.parent_key_id, null);
+
+    const revoke = await call('POST', `/v1/manager/admin/parent-keys/${me.parent_key_id}/revoke`, ADMIN_HEADERS, { reason: 'compromised' });
+    assert.equal(revoke.status, 200);
+    const [revoked] = await waitFor(() => opsEvents('parent_key.revoked').length && opsEvents('parent_key.revoked'), 'revocation event');
+    assert.deepEqual([revoked.body.parent_key_id, revoked.body.data.revoked_reason], [me.parent_key_id, 'compromised']);
+    assert.ok(verifySignature(revoked, webhook.secret));
+});
+
+test('webhooks — bad endpoints are rejected and other keys cannot see them', async () => {
+    const badUrl = await call('POST', '/v1/webhooks', PARENT, { url: 'ftp://example.test/hook' });
+    assert.equal(badUrl.status, 400);
+    assert.equal((await badUrl.json()).error.param, 'url');
+    const badEvent = await call('POST', '/v1/webhooks', PARENT, { url: receiverUrl('/x'), events: ['agent.exploded'] });
+    assert.equal(badEvent.status, 400);
+    assert.match((await badEvent.json()).error.message, /Unknown event type 'agent\.exploded'/);
+
+    const webhook = await (await call('POST', '/v1/webhooks', PARENT, { url: receiverUrl('/owned'), events: ['agent.created'] })).json();
+    assert.equal((await call('GET', `/v1/manager/webhooks/${webhook.id}`, ADMIN_HEADERS)).status, 404);
+    assert.equal((await call('GET', `/v1/manager/webhooks/${webhook.id}/deliveries`, ADMIN_HEADERS)).status, 404);
+
+    const disabled = await (await call('PUT', `/v1/webhooks/${webhook.id}`, PARENT, { enabled: false })).json();
+    assert.deepEqual([disabled.enabled, disabled.url], [false, receiverUrl('/owned')]);
+
+    const rotated = await (await call('POST', `/v1/webhooks/${webhook.id}/rotate-secret`, PARENT)).json();
+    assert.notEqual(rotated.secret, webhook.secret);
+    assert.equal(rotated.secret_hint, `whsec_...${rotated.secret.slice(-4)}`);
+
+    assert.deepEqual(await (await call('DELETE', `/v1/webhooks/${webhook.id}`, PARENT)).json(), { id: webhook.id, deleted: true });
+    assert.equal((await call('GET', `/v1/webhooks/${webhook.id}`, PARENT)).status, 404);
+    assert.equal((await call('GET', '/v1/webhooks', {})).status, 401);
+});
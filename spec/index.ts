@@ -82,20 +82,35 @@ export const ResponseFormatSchema = z.union([
 ]);
 
 // Chat completions schemas
+export const ChatToolChoiceSchema = z.union([
+  z.enum(['none', 'auto', 'required']),
+  z.object({
+    type: z.literal('function'),
+    function: z.object({ name: z.string() }),
+  }),
+]);
+
 export const ChatCompletionRequestSchema = z.object({
   model: z.string(),
   messages: z.array(MessageSchema),
   temperature: z.number().min(0).max(2).optional(),
   top_p: z.number().min(0).max(1).optional(),
-  n: z.number().min(1).max(128).optional(),
+  n: z.number().int().min(1).max(128).optional(),
   stream: z.boolean().optional(),
-  stop: z.union([z.string(), z.array(z.string())]).optional(),
+  stop: z.union([z.string(), z.array(z.string()).max(4)]).optional(),
   max_tokens: z.number().min(1).optional(),
   presence_penalty: z.number().min(-2).max(2).optional(),
   frequency_penalty: z.number().min(-2).max(2).optional(),
-  logit_bias: z.record(z.string(), z.number()).optional(),
+  logit_bias: z.record(z.string(), z.number().min(-100).max(100)).optional(),
+  logprobs: z.boolean().optional(),
+  top_logprobs: z.number().int().min(0).max(20).optional(),
+  seed: z.number().int().optional(),
+  tool_choice: ChatToolChoiceSchema.optional(),
+  parallel_tool_calls: z.boolean().optional(),
+  reasoning_effort: z.enum(['minimal', 'low', 'medium', 'high']).optional(),
   response_format: ResponseFormatSchema.optional(),
   user: z.string().optional(),
+  thread_id: z.string().optional(),
 });
 
 export const ChatCompletionChoiceSchema = z.object({
@@ -117,21 +132,84 @@ export const ChatCompletionResponseSchema = z.object({
   }),
 });
 
-// Responses endpoint schemas (new primitive)
+// Responses endpoint schemas (OpenAI Responses API subset, served through the chat pipeline)
+export const ResponseInputContentPartSchema = z.union([
+  z.object({ type: z.enum(['input_text', 'output_text']), text: z.string() }),
+  z.object({ type: z.literal('input_image'), image_url: z.string(), detail: z.enum(['auto', 'low', 'high']).optional() }),
+  z.object({ type: z.literal('input_file'), file_data: z.string(), filename: z.string().optional() }),
+]);
+
+export const ResponseInputItemSchema = z.union([
+  z.object({
+    type: z.literal('message').optional(),
+    role: z.enum(['user', 'assistant', 'system', 'developer']),
+    content: z.union([z.string(), z.array(ResponseInputContentPartSchema)]),
+  }),
+  z.object({
+    type: z.literal('function_call'),
+    call_id: z.string(),
+    name: z.string(),
+    arguments: z.string(),
+  }),
+  z.object({
+    type: z.literal('function_call_output'),
+    call_id: z.string(),
+    output: z.string(),
+  }),
+]);
+
 export const ResponseRequestSchema = z.object({
-  model: z.string(),
-  input: z.string(),
+  provider: z.string().optional(),
+  model: z.string().optional(),
+  input: z.union([z.string(), z.array(ResponseInputItemSchema)]),
+  instructions: z.string().optional(),
+  previous_response_id: z.string().optional(),
+  tools: z.array(z.object({
+    type: z.literal('function'),
+    name: z.string(),
+    description: z.string().optional(),
+    parameters: z.record(z.any()).optional(),
+  })).optional(),
   stream: z.boolean().optional(),
-  max_tokens: z.number().min(1).optional(),
+  store: z.boolean().optional(),
+  max_output_tokens: z.number().min(1).optional(),
   temperature: z.number().min(0).max(2).optional(),
+  metadata: z.record(z.string()).optional(),
 });
 
+export const ResponseOutputItemSchema = z.union([
+  z.object({
+    type: z.literal('message'),
+    id: z.string(),
+    status: z.literal('completed'),
+    role: z.literal('assistant'),
+    content: z.array(z.object({
+      type: z.literal('output_text'),
+      text: z.string(),
+      annotations: z.array(z.any()),
+    })),
+  }),
+  z.object({
+    type: z.literal('function_call'),
+    id: z.string(),
+    call_id: z.string(),
+    name: z.string(),
+    arguments: z.string(),
+    status: z.literal('completed'),
+  }),
+]);
+
 export const ResponseSchema = z.object({
   id: z.string(),
   object: z.literal('response'),
-  created: z.number(),
+  created_at: z.number(),
   model: z.string(),
-  output: z.string(),
+  status: z.enum(['in_progress', 'completed', 'failed']),
+  instructions: z.string().nullable(),
+  previous_response_id: z.string().nullable(),
+  metadata: z.record(z.string()),
+  output: z.array(ResponseOutputItemSchema),
+  output_text: z.string(),
   usage: z.object({
     input_tokens: z.number(),
     output_tokens: z.number(),
@@ -164,6 +242,40 @@ export const EmbeddingResponseSchema = z.object({
   }),
 });
 
+// Moderation schemas
+export const MODERATION_CATEGORIES = [
+  'harassment',
+  'harassment/threatening',
+  'hate',
+  'hate/threatening',
+  'illicit',
+  'illicit/violent',
+  'self-harm',
+  'self-harm/intent',
+  'self-harm/instructions',
+  'sexual',
+  'sexual/minors',
+  'violence',
+  'violence/graphic',
+] as const;
+
+export const ModerationRequestSchema = z.object({
+  input: z.union([z.string(), z.array(z.string())]),
+  model: z.string().optional(),
+});
+
+export const ModerationResultSchema = z.object({
+  flagged: z.boolean(),
+  categories: z.record(z.boolean()),
+  category_scores: z.record(z.number()),
+});
+
+export const ModerationResponseSchema = z.object({
+  id: z.string(),
+  model: z.string(),
+  results: z.array(ModerationResultSchema),
+});
+
 // Files schemas
 export const FileObjectSchema = z.object({
   id: z.string(),
@@ -179,6 +291,119 @@ export const FileListResponseSchema = z.object({
   data: z.array(FileObjectSchema),
 });
 
+// Threads schemas (server-side conversation history)
+export const ThreadSchema = z.object({
+  id: z.string(),
+  object: z.literal('thread'),
+  created_at: z.number(),
+  updated_at: z.number(),
+  metadata: z.record(z.string(), z.string()),
+});
+
+export const ThreadMessageSchema = MessageSchema.extend({
+  id: z.string(),
+  object: z.literal('thread.message'),
+  thread_id: z.string(),
+  created_at: z.number(),
+});
+
+export const ThreadListResponseSchema = z.object({
+  object: z.literal('list'),
+  data: z.array(ThreadSchema),
+});
+
+export const ThreadMessageListResponseSchema = z.object({
+  object: z.literal('list'),
+  data: z.array(ThreadMessageSchema),
+});
+
+// Vector stores schemas (OpenAI-compatible)
+export const VectorStoreFileCountsSchema = z.object({
+  in_progress: z.number(),
+  completed: z.number(),
+  failed: z.number(),
+  cancelled: z.number(),
+  total: z.number(),
+});
+
+export const VectorStoreSchema = z.object({
+  id: z.string(),
+  object: z.literal('vector_store'),
+  created_at: z.number(),
+  name: z.string().nullable(),
+  usage_bytes: z.number(),
+  file_counts: VectorStoreFileCountsSchema,
+  status: z.enum(['expired', 'in_progress', 'completed']),
+  expires_after: z.null(),
+  expires_at: z.number().nullable(),
+  last_active_at: z.number().nullable(),
+  metadata: z.record(z.string(), z.string()),
+});
+
+export const VectorStoreCreateRequestSchema = z.object({
+  name: z.string().optional(),
+  file_ids: z.array(z.string()).optional(),
+  metadata: z.record(z.string(), z.string()).optional(),
+});
+
+export const VectorStoreUpdateRequestSchema = z.object({
+  name: z.string().nullable().optional(),
+  metadata: z.record(z.string(), z.string()).optional(),
+});
+
+export const VectorStoreFileSchema = z.object({
+  id: z.string(),
+  object: z.literal('vector_store.file'),
+  usage_bytes: z.number(),
+  created_at: z.number(),
+  vector_store_id: z.string(),
+  status: z.enum(['in_progress', 'completed', 'cancelled', 'failed']),
+  last_error: z.object({
+    code: z.enum(['server_error', 'unsupported_file', 'invalid_file']),
+    message: z.string(),
+  }).nullable(),
+});
+
+export const VectorStoreListResponseSchema = z.object({
+  object: z.literal('list'),
+  data: z.array(VectorStoreSchema),
+  first_id: z.string().nullable(),
+  last_id: z.string().nullable(),
+  has_more: z.boolean(),
+});
+
+export const VectorStoreFileListResponseSchema = z.object({
+  object: z.literal('list'),
+  data: z.array(VectorStoreFileSchema),
+  first_id: z.string().nullable(),
+  last_id: z.string().nullable(),
+  has_more: z.boolean(),
+});
+
+export const VectorStoreSearchRequestSchema = z.object({
+  query: z.union([z.string(), z.array(z.string())]),
+  max_num_results: z.number().int().min(1).max(50).optional(),
+});
+
+export const VectorStoreSearchResultSchema = z.object({
+  file_id: z.string(),
+  filename: z.string(),
+  score: z.number(),
+  attributes: z.record(z.string(), z.union([z.string(), z.number(), z.boolean()])),
+  content: z.array(z.object({
+    type: z.literal('text'),
+    text: z.string(),
+  })),
+});
+
+export const VectorStoreSearchResponseSchema = z.object({
+  object: z.literal('vector_store.search_results.page'),
+  search_query: z.union([z.string(), z.array(z.string())]),
+  data: z.array(VectorStoreSearchResultSchema),
+  has_more: z.boolean(),
+  next_page: z.string().nullable(),
+});
+
 // Models list schema
 export const ModelsListResponseSchema = z.object({
   object: z.literal('list'),
@@ -222,14 +447,32 @@ export type MessageContent = z.infer<typeof MessageContentSchema>;
 export type Message = z.infer<typeof MessageSchema>;
 export type Model = z.infer<typeof ModelSchema>;
 export type ChatCompletionRequest = z.infer<typeof ChatCompletionRequestSchema>;
+export type ChatToolChoice = z.infer<typeof ChatToolChoiceSchema>;
 export type ChatCompletionResponse = z.infer<typeof ChatCompletionResponseSchema>;
 
 export type ResponseRequest = z.infer<typeof ResponseRequestSchema>;
 export type Response = z.infer<typeof ResponseSchema>;
+export type ResponseInputItem = z.infer<typeof ResponseInputItemSchema>;
+export type ResponseOutputItem = z.infer<typeof ResponseOutputItemSchema>;
 export type EmbeddingRequest = z.infer<typeof EmbeddingRequestSchema>;
 export type EmbeddingResponse = z.infer<typeof EmbeddingResponseSchema>;
+export type ModerationRequest = z.infer<typeof ModerationRequestSchema>;
+export type ModerationResult = z.infer<typeof ModerationResultSchema>;
+export type ModerationResponse = z.infer<typeof ModerationResponseSchema>;
 export type FileObject = z.infer<typeof FileObjectSchema>;
 export type FileListResponse = z.infer<typeof FileListResponseSchema>;
+export type Thread = z.infer<typeof ThreadSchema>;
+export type ThreadMessage = z.infer<typeof ThreadMessageSchema>;
+export type ThreadListResponse = z.infer<typeof ThreadListResponseSchema>;
+export type ThreadMessageListResponse = z.infer<typeof ThreadMessageListResponseSchema>;
+export type VectorStore = z.infer<typeof VectorStoreSchema>;
+export type VectorStoreCreateRequest = z.infer<typeof VectorStoreCreateRequestSchema>;
+export type VectorStoreUpdateRequest = z.infer<typeof VectorStoreUpdateRequestSchema>;
+export type VectorStoreFile = z.infer<typeof VectorStoreFileSchema>;
+export type VectorStoreListResponse = z.infer<typeof VectorStoreListResponseSchema>;
+export type VectorStoreFileListResponse = z.infer<typeof VectorStoreFileListResponseSchema>;
+export type VectorStoreSearchRequest = z.infer<typeof VectorStoreSearchRequestSchema>;
+export type VectorStoreSearchResponse = z.infer<typeof VectorStoreSearchResponseSchema>;
 export type ModelsListResponse = z.infer<typeof ModelsListResponseSchema>;
 export type ChatCompletionChunk = z.infer<typeof ChatCompletionChunkSchema>;
 
@@ -273,3 +516,203 @@ export const AudioTranscriptionResponseSchema = z.object({
 
 export type AudioTranscriptionRequest = z.infer<typeof AudioTranscriptionRequestSchema>;
 export type AudioTranscriptionResponse = z.infer<typeof AudioTranscriptionResponseSchema>;
+
+// Audio speech (text-to-speech) schemas
+export const AudioSpeechRequestSchema = z.object({
+  model: z.string().min(1).describe('TTS model, e.g. tts-1, tts-1-hd or gpt-4o-mini-tts'),
+  input: z.string().min(1).max(4096).describe('Text to speak'),
+  voice: z.string().min(1).describe('Voice, e.g. alloy, echo, fable, onyx, nova or shimmer'),
+  instructions: z.string().optional().describe('Speaking style, for models that support it'),
+  response_format: z.enum(['mp3', 'wav', 'opus', 'pcm']).optional(),
+  speed: z.number().min(0.25).max(4).optional(),
+});
+
+export type AudioSpeechRequest = z.infer<typeof AudioSpeechRequestSchema>;
+
+// Agent definition schemas
+// The YAML document an agent is registered with (POST /v1/agents). Unknown
+// keys are stripped rather than rejected so the server can warn about typos
+// instead of failing; agent-definition.schema.json mirrors this for editors.
+const NonEmptyStringSchema = z.string().refine(value => value.trim().length > 0, 'must not be empty');
+
+// Agent patterns run over every message, so keep out the shapes that can
+// backtrack for exponential time, such as (a+)+ or (\w*x?)*. This is a
+// heuristic: it rejects a repeated group that repeats inside, nothing more.
+const MAX_AGENT_REGEX_LENGTH = 200;
+
+function hasNestedQuantifier(source: string): boolean {
+  const groups: boolean[] = [];
+  let repeats = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') {
+      i++;
+    } else if (ch === '[') {
+      while (i + 1 < source.length && source[i + 1] !== ']') i += source[i + 1] === '\\' ? 2 : 1;
+      i++;
+    } else if (ch === '(') {
+      groups.push(repeats);
+      repeats = false;
+    } else if (ch === ')') {
+      const quantified = isRepeat(source, i + 1);
+      if (quantified && repeats) return true;
+      repeats = (groups.pop() ?? false) || repeats || quantified;
+    } else if (isRepeat(source, i)) {
+      repeats = true;
+    }
+  }
+  return false;
+}
+
+// `*`, `+` or `{n,}` / `{n,m}` at `index`
+function isRepeat(source: string, index: number): boolean {
+  const ch = source[index];
+  return ch === '*' || ch === '+' || (ch === '{' && /^\{\d+,\d*\}/.test(source.slice(index)));
+}
+
+const RegexStringSchema = z.string().min(1)
+  .max(MAX_AGENT_REGEX_LENGTH, `must be at most ${MAX_AGENT_REGEX_LENGTH} characters`)
+  .refine(value => {
+    try {
+      new RegExp(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }, 'must be a valid regular expression')
+  .refine(value => !hasNestedQuantifier(value), 'must not repeat a group that repeats inside, e.g. (a+)+, which can take exponential time to match');
+
+export const AgentWebhookSchema = z.object({
+  url: z.string().regex(/^https?:\/\//i, 'must be an http(s) URL'),
+  method: z.string().refine(
+    value => ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'].includes(value.toUpperCase()),
+    'must be one of GET, POST, PUT, PATCH, DELETE',
+  ).optional(),
+  headers: z.record(z.string()).optional(),
+  timeout_ms: z.number().positive().optional(),
+});
+
+export const AgentToolDefinitionSchema = z.object({
+  name: z.string().regex(/^[a-zA-Z0-9_-]{1,64}$/, 'must be 1-64 letters, digits, underscores or dashes'),
+  description: z.string().optional(),
+  parameters: z.record(z.unknown()).optional(),
+  webhook: AgentWebhookSchema.optional(),
+});
+
+// A tools entry is a tool name (allowlist only) or a definition (server-side webhook tool).
+export const AgentToolEntrySchema = z.union([NonEmptyStringSchema, AgentToolDefinitionSchema], {
+  errorMap: () => ({ message: 'must be a tool name or a tool definition' }),
+});
+
+export const AgentPageToolsSchema = z.union([
+  z.literal('all'),
+  z.object({ restricted: z.array(z.string()) }).strict(),
+  z.object({ blocked: z.array(z.string()) }).strict(),
+], {
+  errorMap: () => ({ message: "must be 'all', { restricted: [...] } or { blocked: [...] }" }),
+});
+
+export const AgentBehaviorSchema = z.object({
+  tone: z.string().optional(),
+  language: z.string().optional(),
+  rules: z.array(z.string()).optional(),
+});
+
+const AgentLimitSchema = z.number({ invalid_type_error: 'must be a positive integer' })
+  .int('must be a positive integer')
+  .positive('must be a positive integer')
+  .nullable();
+
+export const AgentLimitsSchema = z.object({
+  requests_per_minute: AgentLimitSchema.optional(),
+  tokens_per_day: AgentLimitSchema.optional(),
+}).strict('use requests_per_minute or tokens_per_day');
+
+// Response cache for deterministic requests; overrides RESPONSE_CACHE_ENABLED / RESPONSE_CACHE_TTL_SECONDS
+export const AgentCacheSchema = z.object({
+  enabled: z.boolean().nullish(),
+  ttl_seconds: AgentLimitSchema.optional(),
+}).strict('use enabled or ttl_seconds');
+
+// Identifiers replaced with placeholders before a request leaves the server, and restored in the reply
+export const AGENT_REDACTION_TYPES = ['names', 'ssn', 'mrn', 'phone', 'email', 'dob'] as const;
+
+export const AgentRedactionPatternSchema = z.object({
+  name: z.string().regex(/^[a-zA-Z][a-zA-Z0-9_]{0,31}$/, 'must be 1-32 letters, digits or underscores, starting with a letter'),
+  regex: RegexStringSchema,
+}).strict('use name or regex');
+
+export const AgentRedactionSchema = z.object({
+  detect: z.array(z.enum(AGENT_REDACTION_TYPES)).optional(),
+  patterns: z.array(AgentRedactionPatternSchema).max(20, 'can list at most 20 entries').optional(),
+}).strict('use detect or patterns');
+
+// Checks on the caller's messages (input) or the model's reply (output); categories come from the moderation classifier
+export const AgentGuardrailChecksSchema = z.object({
+  categories: z.array(z.enum(MODERATION_CATEGORIES)).optional(),
+  keywords: z.array(NonEmptyStringSchema).optional(),
+  patterns: z.array(RegexStringSchema).optional(),
+}).strict('use categories, keywords or patterns');
+
+export const AgentGuardrailsSchema = z.object({
+  input: AgentGuardrailChecksSchema.nullish(),
+  output: AgentGuardrailChecksSchema.nullish(),
+  // refuse answers with `refusal` as a normal reply; error fails the request
+  action: z.enum(['refuse', 'error']).nullish(),
+  refusal: NonEmptyStringSchema.nullish(),
+}).strict('use input, output, action or refusal');
+
+// What happens when a tool call's arguments don't match the tool's `parameters` schema
+export const AgentToolValidationSchema = z.object({
+  // reprompt asks the model again with the problems; error fails the request
+  on_error: z.enum(['reprompt', 'error']).nullish(),
+  max_retries: z.number().int().min(0).max(5).nullish(),
+}).strict('use on_error or max_retries');
+
+export const AgentModelSelectionSchema = z.object({
+  provider: NonEmptyStringSchema,
+  model: z.string().nullish(),
+});
+
+export const AgentFallbackSchema = z.union([
+  z.string().regex(/^\s*[^/\s][^/]*\/.*\S/, 'must be "provider/model"'),
+  z.object({ provider: NonEmptyStringSchema, model: NonEmptyStringSchema }),
+], {
+  errorMap: () => ({ message: 'must be "provider/model" or { provider, model }' }),
+});
+
+export const AgentDefinitionSchema = z.object({
+  name: NonEmptyStringSchema,
+  description: z.string().nullish(),
+  instructions: NonEmptyStringSchema,
+  // Default model; "provider/model" is accepted when provider is omitted
+  provider: z.string().nullish(),
+  model: z.string().nullish(),
+  // Legacy per-agent model policy; the manager model-policy endpoint supersedes it
+  allowedModels: z.array(AgentModelSelectionSchema).nullish(),
+  temperature: z.number().min(0).max(2).nullish(),
+  tools: z.array(AgentToolEntrySchema).optional(),
+  pageTools: AgentPageToolsSchema.nullish(),
+  behavior: AgentBehaviorSchema.nullish(),
+  type: z.enum(['mock']).nullish(),
+  limits: AgentLimitsSchema.nullish(),
+  knowledge: z.array(NonEmptyStringSchema).nullish(),
+  fallbacks: z.array(AgentFallbackSchema).max(10, 'can list at most 10 entries').nullish(),
+  cache: AgentCacheSchema.nullish(),
+  redaction: AgentRedactionSchema.nullish(),
+  guardrails: AgentGuardrailsSchema.nullish(),
+  toolValidation: AgentToolValidationSchema.nullish(),
+});
+
+export type AgentWebhook = z.infer<typeof AgentWebhookSchema>;
+export type AgentToolDefinition = z.infer<typeof AgentToolDefinitionSchema>;
+export type AgentToolEntry = z.infer<typeof AgentToolEntrySchema>;
+export type AgentPageTools = z.infer<typeof AgentPageToolsSchema>;
+export type AgentBehavior = z.infer<typeof AgentBehaviorSchema>;
+export type AgentLimits = z.infer<typeof AgentLimitsSchema>;
+export type AgentFallback = z.infer<typeof AgentFallbackSchema>;
+export type AgentCache = z.infer<typeof AgentCacheSchema>;
+export type AgentRedaction = z.infer<typeof AgentRedactionSchema>;
+export type AgentGuardrails = z.infer<typeof AgentGuardrailsSchema>;
+export type AgentToolValidation = z.infer<typeof AgentToolValidationSchema>;
+export type AgentDefinition = z.infer<typeof AgentDefinitionSchema>;